@@ -1,8 +1,150 @@
+// #region Random
+
+/**
+ * A function returning uniformly distributed numbers in the interval [0, 1),
+ * such as `Math.random`.
+ */
+declare type RandomSource = () => number;
+
+// #region Errors
+
+/**
+ * The error thrown by operations given degenerate inputs (e.g.: normalizing a
+ * zero vector) while strict mode is on, see `setStrictMode`.
+ */
+declare interface VecError extends Error {
+  /**
+   * The name of the operation that threw it, e.g.: `'normalize'`.
+   */
+  readonly operation: string;
+}
+
+declare interface VecErrorConstructor {
+  /**
+   * Creates an error thrown by `operation`.
+   * @param operation The name of an operation.
+   * @param message A description of the error.
+   */
+  new (operation: string, message?: string): VecError;
+  readonly prototype: VecError;
+}
+
+// #region Views
+
+/**
+ * Any typed array a vector can be a view over, its components are converted
+ * to the element type when written (e.g.: truncated by integer arrays).
+ */
+declare type TypedArray =
+  | Int8Array
+  | Uint8Array
+  | Uint8ClampedArray
+  | Int16Array
+  | Uint16Array
+  | Int32Array
+  | Uint32Array
+  | Float32Array
+  | Float64Array;
+
+// #region Swizzling
+
+/**
+ * Every pattern of 2 distinct components out of `Component`.
+ */
+declare type Swizzle2<Component extends string, C = Component> =
+  C extends string ? `${C}${Exclude<Component, C>}` : never;
+
+/**
+ * Every pattern of 3 distinct components out of `Component`.
+ */
+declare type Swizzle3<Component extends string, C = Component> =
+  C extends string ? `${C}${Swizzle2<Exclude<Component, C>>}` : never;
+
+/**
+ * Every pattern of 4 distinct components out of `Component`.
+ */
+declare type Swizzle4<Component extends string, C = Component> =
+  C extends string ? `${C}${Swizzle3<Exclude<Component, C>>}` : never;
+
+/**
+ * GLSL-like accessors (e.g.: `v.zx`, `v.wzyx`) for every permutation of
+ * `Component` but the `Full` one (i.e.: the array shortcut). Getters return new
+ * vectors, setters take vectors.
+ */
+declare type Swizzles<Component extends string, Full extends string> =
+  { [P in Exclude<Swizzle2<Component>, Full>]: Vec2 } &
+  { [P in Exclude<Swizzle3<Component>, Full>]: Vec3 } &
+  { [P in Exclude<Swizzle4<Component>, Full>]: Vec4 };
+
+/**
+ * Any pattern of 2 to 4 components out of `Component`, repeated or not.
+ */
+declare type SwizzlePattern<Component extends string> =
+  | `${Component}${Component}`
+  | `${Component}${Component}${Component}`
+  | `${Component}${Component}${Component}${Component}`;
+
+/**
+ * The vector resulting from swizzling by `Pattern`.
+ */
+declare type Swizzled<Component extends string, Pattern> =
+  Pattern extends `${Component}${Component}` ? Vec2 :
+  Pattern extends `${Component}${Component}${Component}` ? Vec3 :
+  Vec4;
+
 // #region Vec2
 
+/**
+ * Any value accepted wherever a 2-dimensional vector is expected: a vector,
+ * an immutable vector, an array (or typed array) of components, or an object
+ * with `x` and `y` properties. Missing components are read as 0.
+ */
+declare type Vec2Like =
+  | ArrayLike<number>
+  | { readonly x?: number; readonly y?: number };
+
+/**
+ * Polar coordinates (ρ, θ), as returned by `toPolarCoords`.
+ */
+declare interface PolarCoords {
+  /**
+   * Radius, the `magnitude`.
+   */
+  r: number;
+
+  /**
+   * Polar angle relative to the positive x-axis in radians, interval [0, 2PI).
+   */
+  theta: number;
+}
+
+/**
+ * Barycentric coordinates (u, v, w) with respect to a triangle (a, b, c), as
+ * returned by `toBarycentricCoords`, i.e.: the weights of `a`, `b`, and `c`,
+ * respectively, adding up to 1.
+ */
+declare interface BarycentricCoords {
+  /**
+   * The weight of the first vertex.
+   */
+  u: number;
+
+  /**
+   * The weight of the second vertex.
+   */
+  v: number;
+
+  /**
+   * The weight of the third vertex.
+   */
+  w: number;
+}
+
 declare interface Vec2PropertiesBase {
   /**
-   * The `magnitude` of this vector.
+   * The `magnitude` of this vector. A zero vector has no direction to scale
+   * along, so setting it leaves the vector as is (or `VecError` is thrown in
+   * strict mode).
    */
   magnitude: number;
 
@@ -28,7 +170,9 @@ declare interface Vec2PropertiesBase {
   [Symbol.iterator](): Generator<number, void, undefined>;
 }
 
-declare interface Vec2Properties extends Vec2PropertiesBase {
+declare interface Vec2Properties extends
+  Vec2PropertiesBase,
+  Swizzles<'x' | 'y', 'xy'> {
   /**
    * Angle relative the x-axis towards the positive y-axis (counter-clockwise),
    * interval [0, 2PI). Value in radians.
@@ -47,23 +191,46 @@ declare interface Vec2Properties extends Vec2PropertiesBase {
   xy: number[];
 }
 
-declare interface Vec2MethodsBase<Vec> {
+declare interface Vec2MethodsBase<Vec, VecLike> {
+  /**
+   * Sets each component of this vector to its absolute value.
+   * @returns This vector.
+   */
+  abs(): this;
+
   /**
    * Adds vector `v` to this vector.
    * @param v A vector.
    * @returns This vector.
    */
-  add(v: Vec): this;
+  add(v: VecLike): this;
+
+  /**
+   * Rounds each component of this vector up to the nearest integer.
+   * @returns This vector.
+   */
+  ceil(): this;
 
   /**
    * Keeps the `magnitude` of this vector between the given minimum and maximum
-   * values (inclusive).
+   * values (inclusive). A zero vector has no direction to be lengthened in,
+   * so it's left as is (or `VecError` is thrown in strict mode) when `min` is
+   * positive.
    * @param max A numeric value.
    * @param min A numeric value.
    * @returns This vector.
    */
   clamp(min: number, max: number): this;
 
+  /**
+   * Keeps each component of this vector between the respective components of
+   * vectors `min` and `max` (inclusive).
+   * @param min A vector.
+   * @param max A vector.
+   * @returns This vector.
+   */
+  clampComponents(min: VecLike, max: VecLike): this;
+
   /**
    * Returns a new copy of this vector.
    * @returns A new vector.
@@ -75,14 +242,14 @@ declare interface Vec2MethodsBase<Vec> {
    * @param v A vector.
    * @returns This vector.
    */
-  copy(v: Vec): this;
+  copy(v: VecLike): this;
 
   /**
    * Computes the distance from this vector to vector `v` (with the {@link https://en.wikipedia.org/wiki/Euclidean_distance Euclidean metric}).
    * @param v A vector.
    * @returns Euclidean distance.
    */
-  distance(v: Vec): number;
+  distance(v: VecLike): number;
 
   /**
    * Computes the squared distance from this vector to vector `v` (with the 
@@ -90,7 +257,15 @@ declare interface Vec2MethodsBase<Vec> {
    * @param v A vector.
    * @returns Euclidean distance squared.
    */
-  distanceSq(v: Vec): number;
+  distanceSq(v: VecLike): number;
+
+  /**
+   * Divides each component of this vector by the respective component of vector
+   * `v`.
+   * @param v A vector.
+   * @returns This vector.
+   */
+  divide(v: VecLike): this;
 
   /**
    * The {@link https://en.wikipedia.org/wiki/Dot_product dot product} (aka.
@@ -103,7 +278,46 @@ declare interface Vec2MethodsBase<Vec> {
    * @param v A vector.
    * @returns The dot product.
    */
-  dot(v: Vec): number;
+  dot(v: VecLike): number;
+
+  /**
+   * Checks whether or not each component of this vector and vector `v` are
+   * approximately equal, within the given tolerance.
+   * 
+   * - `'absolute'` mode: the difference of each pair of components must not
+   * exceed `epsilon`.
+   * - `'relative'` mode: the difference of each pair of components must not
+   * exceed `epsilon` times the largest absolute value of the pair.
+   * @param v A vector.
+   * @param epsilon Tolerance, a non-negative numeric value (1e-10 by default).
+   * @param mode Tolerance mode, `'absolute'` by default.
+   * @returns Boolean result.
+   */
+  equals(v: VecLike, epsilon?: number, mode?: 'absolute' | 'relative'): boolean;
+
+  /**
+   * Rounds each component of this vector down to the nearest integer.
+   * @returns This vector.
+   */
+  floor(): this;
+
+  /**
+   * Sets each component of this vector to its fractional part (i.e.:
+   * `x - floor(x)`), interval [0, 1).
+   * @returns This vector.
+   */
+  fract(): this;
+
+  /**
+   * Checks whether or not this vector, vector `v`, and vector `w`, taken as
+   * points, lie on the same line, i.e.: the sine of the angle between `v` and
+   * `w` relative to this vector does not exceed `epsilon`.
+   * @param v A vector.
+   * @param w A vector.
+   * @param epsilon Tolerance, a non-negative numeric value (1e-10 by default).
+   * @returns Boolean result.
+   */
+  isCollinear(v: VecLike, w: VecLike, epsilon?: number): boolean;
 
   /**
    * Checks whether or not this vector is infinite.
@@ -117,6 +331,35 @@ declare interface Vec2MethodsBase<Vec> {
    */
   isNaN(): boolean;
 
+  /**
+   * Checks whether or not this vector is a unit vector (i.e.: `magnitude` = 1),
+   * within the given tolerance.
+   * @param epsilon Tolerance, a non-negative numeric value (1e-10 by default).
+   * @returns Boolean result.
+   */
+  isNormalized(epsilon?: number): boolean;
+
+  /**
+   * Checks whether or not this vector and vector `v` are orthogonal, i.e.: the
+   * cosine of the angle between them does not exceed `epsilon` (in absolute
+   * value). A zero vector is orthogonal to any vector.
+   * @param v A vector.
+   * @param epsilon Tolerance, a non-negative numeric value (1e-10 by default).
+   * @returns Boolean result.
+   */
+  isOrthogonal(v: VecLike, epsilon?: number): boolean;
+
+  /**
+   * Checks whether or not this vector and vector `v` are parallel (pointing in
+   * either the same or opposite directions), i.e.: the sine of the angle
+   * between them does not exceed `epsilon`. A zero vector is parallel to any
+   * vector.
+   * @param v A vector.
+   * @param epsilon Tolerance, a non-negative numeric value (1e-10 by default).
+   * @returns Boolean result.
+   */
+  isParallel(v: VecLike, epsilon?: number): boolean;
+
   /**
    * Checks whether or not this vector has a magnitude of zero.
    * @returns Boolean result.
@@ -131,18 +374,63 @@ declare interface Vec2MethodsBase<Vec> {
   limitMax(max: number): this;
 
   /**
-   * Limits the minimum `magnitude` of this vector to the given value.
+   * Limits the minimum `magnitude` of this vector to the given value. A zero
+   * vector has no direction to be lengthened in, so it's left as is (or
+   * `VecError` is thrown in strict mode) when `min` is positive.
    * @param min A numeric value.
    * @returns This vector.
    */
   limitMin(min: number): this;
 
   /**
-   * Points this vector in direction of vector `v`.
+   * Points this vector in direction of vector `v`. A zero vector `v` has no
+   * direction, so this vector is left as is (or `VecError` is thrown in
+   * strict mode).
+   * @param v A vector.
+   * @returns This vector.
+   */
+  lookAt(v: VecLike): this;
+
+  /**
+   * Sets each component of this vector to the greatest between it and the
+   * respective component of vector `v`.
+   * @param v A vector.
+   * @returns This vector.
+   */
+  max(v: VecLike): this;
+
+  /**
+   * Sets each component of this vector to the least between it and the
+   * respective component of vector `v`.
+   * @param v A vector.
+   * @returns This vector.
+   */
+  min(v: VecLike): this;
+
+  /**
+   * Sets each component of this vector to its modulo `n`, with the sign of `n`
+   * (i.e.: `x - n * floor(x / n)`).
+   * @param n A numeric value, or a vector of one per component.
+   * @returns This vector.
+   */
+  mod(n: number | VecLike): this;
+
+  /**
+   * Moves this vector towards `v` a distance of `maxDelta` at most, without
+   * overshooting it.
+   * @param v A vector.
+   * @param maxDelta A non-negative numeric value.
+   * @returns This vector.
+   */
+  moveTowards(v: VecLike, maxDelta: number): this;
+
+  /**
+   * Multiplies each component of this vector by the respective component of
+   * vector `v` (i.e.: the Hadamard product).
    * @param v A vector.
    * @returns This vector.
    */
-  lookAt(v: Vec): this;
+  multiply(v: VecLike): this;
 
   /**
    * Transforms this vector into its negation (aka. opposite).
@@ -151,7 +439,19 @@ declare interface Vec2MethodsBase<Vec> {
   negate(): this;
 
   /**
-   * Transforms this vector into a unit vector (i.e.: `magnitude` = 1).
+   * Interpolates this vector towards `v` linearly, then scales it back to the
+   * linear interpolation of both magnitudes (i.e.: normalized lerp, for unit
+   * vectors it stays unit). Parameter `t` is clamped to the range of [0, 1].
+   * @param v A vector.
+   * @param t The interpolant (aka. alpha), a numeric value.
+   * @returns This vector.
+   */
+  nlerp(v: VecLike, t: number): this;
+
+  /**
+   * Transforms this vector into a unit vector (i.e.: `magnitude` = 1). A zero
+   * vector becomes (and stays) a zero vector (or `VecError` is thrown in
+   * strict mode), see `safeNormalize` for a fallback.
    * @returns This vector.
    */
   normalize(): this;
@@ -159,16 +459,40 @@ declare interface Vec2MethodsBase<Vec> {
   /**
    * Transforms this vector into the orthogonal projection of itself onto `v`,
    * i.e.: the component of this vector projected on `v` (in direction of `v`).
+   * Projecting onto a zero vector `v` results in a zero vector (or `VecError`
+   * is thrown in strict mode).
    * @param v A vector.
    * @returns This vector.
    */
-  project(v: Vec): this;
+  project(v: VecLike): this;
 
   /**
    * Randomizes the direction of this vector keeping its `magnitude`.
+   * @param source A random source, the one set with `setRandomSource` by
+   * default.
+   * @returns This vector.
+   */
+  random(source?: RandomSource): this;
+
+  /**
+   * Copies the components of this vector from `buffer`, starting at `offset`
+   * (e.g.: to unpack it from a vertex buffer).
+   * @param buffer An array or typed array.
+   * @param offset The index of the first component, 0 by default.
+   * @returns This vector.
+   */
+  readFrom(buffer: ArrayLike<number>, offset?: number): this;
+
+  /**
+   * Rotates this vector towards `v` an angle of `maxAngle` at most, and moves
+   * its magnitude towards the one of `v` by `maxMagnitudeDelta` at most,
+   * without overshooting either.
+   * @param v A vector.
+   * @param maxAngle A non-negative value in radians.
+   * @param maxMagnitudeDelta A non-negative numeric value.
    * @returns This vector.
    */
-  random(): this;
+  rotateTowards(v: VecLike, maxAngle: number, maxMagnitudeDelta: number): this;
 
   /**
    * A rotation about the z-axis moving the positive x-axis towards the positive
@@ -178,13 +502,28 @@ declare interface Vec2MethodsBase<Vec> {
    */
   rotateZ(phi: number): this;
 
+  /**
+   * Rounds each component of this vector to the nearest integer (halves up).
+   * @returns This vector.
+   */
+  round(): this;
+
+  /**
+   * Transforms this vector into a unit vector (i.e.: `magnitude` = 1), or, if
+   * it's a zero vector, into a copy of `fallback` (as is). Never throws, not
+   * even in strict mode.
+   * @param fallback A vector, the zero vector by default.
+   * @returns This vector.
+   */
+  safeNormalize(fallback?: VecLike): this;
+
   /**
    * Checks whether or not this vector and vector `v` satisfy the equality
    * definition.
    * @param v A vector.
    * @returns Boolean result.
    */
-  satisfyEquality(v: Vec): boolean;
+  satisfyEquality(v: VecLike): boolean;
 
   /**
    * Checks whether or not this vector and vector `v` satisfy the opposition
@@ -192,7 +531,7 @@ declare interface Vec2MethodsBase<Vec> {
    * @param v A vector.
    * @returns Boolean result.
    */
-  satisfyOpposition(v: Vec): boolean;
+  satisfyOpposition(v: VecLike): boolean;
 
   /**
    * Transforms this vector into the scalar multiplication of itself by a given
@@ -203,166 +542,507 @@ declare interface Vec2MethodsBase<Vec> {
   scale(c: number): this;
 
   /**
-   * Subtracts vector `v` from this vector.
+   * Sets each component of this vector to its sign: -1, 0, or 1.
+   * @returns This vector.
+   */
+  sign(): this;
+
+  /**
+   * Interpolates the direction of this vector towards the one of `v` by
+   * angle (i.e.: at a constant angular speed), and its magnitude linearly.
+   * Parameter `t` is clamped to the range of [0, 1].
    * @param v A vector.
+   * @param t The interpolant (aka. alpha), a numeric value.
    * @returns This vector.
    */
-  subtract(v: Vec): this;
+  slerp(v: VecLike, t: number): this;
 
   /**
-   * Transforms this vector into a zero vector (i.e.: `magnitude` = 0).
+   * Rounds each component of this vector to the nearest multiple of `step`
+   * (e.g.: to snap it to a grid).
+   * @param step A numeric value, or a vector of one per component.
    * @returns This vector.
    */
-  zero(): this;
-}
+  snap(step: number | VecLike): this;
+
+  /**
+   * Subtracts vector `v` from this vector.
+   * @param v A vector.
+   * @returns This vector.
+   */
+  subtract(v: VecLike): this;
 
-declare interface Vec2Methods extends Vec2MethodsBase<Vec2> {
   /**
-   * Returns the angle between this vector and vector `v`. Interval (-PI, PI].
+   * Returns the unsigned angle between this vector and vector `v`. Interval
+   * [0, PI].
    * @param v A vector.
    * @returns Value in radians.
    */
-  angleBetween(v: Vec2): number;
+  unsignedAngle(v: VecLike): number;
 
   /**
-   * Points this vector to its left, a z-axis rotation of 90 degrees (0.5PI).
-   * @returns This vector.
+   * Copies the components of this vector into `buffer`, starting at `offset`
+   * (e.g.: to pack it into a vertex buffer), without intermediate arrays.
+   * @param buffer An array or typed array.
+   * @param offset The index of the first component, 0 by default.
+   * @returns The given buffer.
    */
-  turnLeft(): this;
+  writeTo<Buffer extends { [index: number]: number }>(
+    buffer: Buffer,
+    offset?: number
+  ): Buffer;
 
   /**
-   * Points this vector to its right, a z-axis rotation of -90 degrees (-0.5PI).
+   * Transforms this vector into a zero vector (i.e.: `magnitude` = 0).
    * @returns This vector.
    */
-  turnRight(): this;
+  zero(): this;
 }
 
-declare interface Vec2 extends Vec2Properties, Vec2Methods { }
-
-declare interface Vec2ImmutableBase extends Readonly<Vec2PropertiesBase> {
+declare interface Vec2Methods extends Vec2MethodsBase<Vec2, Vec2Like> {
   /**
-   * The boolean condition of infinity of this vector.
+   * Returns the signed angle from this vector to vector `v`, positive when
+   * counter-clockwise. Interval (-PI, PI].
+   * @param v A vector.
+   * @returns Value in radians.
    */
-  readonly isInfinite: boolean;
+  angleBetween(v: Vec2Like): number;
 
   /**
-   * The boolean condition of NaN of this vector.
+   * Returns the perp-dot product (aka. 2D cross product) of this vector and
+   * vector `v`, i.e.: the dot product of this vector rotated 90° and `v`.
+   * Positive when `v` is counter-clockwise from this vector.
+   * @param v A vector.
+   * @returns The perp-dot product.
    */
-  readonly isNaN: boolean;
+  perpDot(v: Vec2Like): number;
 
   /**
-   * The boolean condition of zero of this vector.
+   * Reflects this vector off a surface with the given `normal`, e.g.: to
+   * bounce a direction. A zero `normal` leaves this vector as is (or
+   * `VecError` is thrown in strict mode).
+   * @param normal A non-zero vector, not necessarily normalized.
+   * @returns This vector.
    */
-  readonly isZero: boolean;
-}
-
-declare interface Vec2Immutable extends
-  Vec2ImmutableBase, Readonly<Vec2Properties> { }
+  reflect(normal: Vec2Like): this;
 
-declare interface Vec2ConstructorBase<Vec> {
   /**
-   * Returns the addition of `v` plus `w`.
-   * @param v A vector.
-   * @param w A vector.
-   * @returns A new vector.
+   * Refracts this vector (the unit direction of an incident ray) through a
+   * surface with the given unit `normal` (facing the incident ray), where
+   * `eta` is the ratio of the refractive indices (i.e.: from / to). Leaves
+   * this vector as is in case of total internal reflection.
+   * @param normal A unit vector.
+   * @param eta A numeric value.
+   * @returns This vector, or `null` in case of total internal reflection.
    */
-  add(v: Vec, w: Vec): Vec;
+  refract(normal: Vec2Like, eta: number): this | null;
 
   /**
-   * Computes the distance from `v` to `w` with the {@link https://en.wikipedia.org/wiki/Euclidean_distance Euclidean metric}.
+   * Transforms this vector into its rejection from `v`, i.e.: the component of
+   * this vector perpendicular to `v` (complementary to `project`). Rejecting
+   * from a zero vector `v` leaves this vector as is (or `VecError` is thrown
+   * in strict mode).
    * @param v A vector.
-   * @param w A vector.
-   * @returns Euclidean distance.
+   * @returns This vector.
    */
-  distance(v: Vec, w: Vec): number;
+  reject(v: Vec2Like): this;
 
   /**
-   * Computes the distance from `v` to `w` with the {@link https://en.wikipedia.org/wiki/Chebyshev_distance Chebyshev metric}.
-   * 
-   * "Also known as the Chessboard distance, it is somewhat similar to the
-   * Manhattan distance, but with 45 degrees rotation."
+   * Returns the signed angle from this vector to vector `v`, positive when
+   * counter-clockwise (same as `angleBetween`). Interval (-PI, PI].
    * @param v A vector.
-   * @param w A vector.
-   * @returns Chebyshev distance.
+   * @returns Value in radians.
    */
-  distanceChebyshev(v: Vec, w: Vec): number;
+  signedAngle(v: Vec2Like): number;
 
   /**
-   * Computes the distance from `v` to `w` with the {@link https://en.wikipedia.org/wiki/Taxicab_geometry Manhattan metric}
-   * (aka. taxicab metric). Given two points, it is the sum of the absolute
-   * differences of their components.
-   * 
-   * "Inspired by the grid-like organization of Manhattan, this is distance to
-   * the nearest points when you can only travel around the boundaries." I.e.:
-   * Only horizontal, vertical and diagonal (45 degrees) movements.
-   * @param v A vector.
-   * @param w A vector.
-   * @returns Manhattan distance.
+   * Returns a new vector made of the components of this vector in the order
+   * given by `pattern`, repeated or not (e.g.: `'yx'`, `'xxy'`).
+   * @param pattern From 2 to 4 component names.
+   * @returns A new vector.
    */
-  distanceManhattan(v: Vec, w: Vec): number;
+  swizzle<Pattern extends SwizzlePattern<'x' | 'y'>>(
+    pattern: Pattern
+  ): Swizzled<'x' | 'y', Pattern>;
 
   /**
-   * Computes the distance from `v` to `w` with the Minkowski metric.
-   * 
-   * Said to be a generalization of the Euclidean distance, Manhattan distance,
-   * and Chebyshev distance, the {@link https://en.wikipedia.org/wiki/Minkowski_distance Minkowski metric}
-   * is a distance of order `p` which can be equivalent to:
-   * 
-   * - Manhattan distance when `p` = 1.
-   * - Euclidean distance when `p` = 2.
-   * - Chebyshev distance when `p` = Infinite.
-   * @param v A vector.
-   * @param w A vector.
-   * @param p A numeric value equal to or greater than 1.
-   * @returns Minkowski distance.
+   * Returns the barycentric coordinates of this vector with respect to the
+   * triangle (a, b, c). Each of them is
+   * in the interval [0, 1] when the point lies inside the triangle.
+   * @param a A vector, the first vertex.
+   * @param b A vector, the second vertex.
+   * @param c A vector, the third vertex.
+   * @returns The coordinates (NaN for a degenerate triangle).
    */
-  distanceMinkowski(v: Vec, w: Vec, p: number): number;
+  toBarycentricCoords(
+    a: Vec2Like,
+    b: Vec2Like,
+    c: Vec2Like
+  ): BarycentricCoords;
 
   /**
-   * Computes the squared distance from `v` to `w` with the Euclidean metric.
-   * @param v A vector.
-   * @param w A vector.
-   * @returns Euclidean distance squared.
+   * Returns an immutable copy of this vector.
+   * @returns A new immutable vector.
    */
-  distanceSq(v: Vec, w: Vec): number;
+  toImmutable(): ImmutableVec2;
 
   /**
-   * The {@link https://en.wikipedia.org/wiki/Dot_product dot product} (aka.
-   * scalar product or inner product) measures how much `v` and `w` point in the
-   * same direction.
-   * 
-   * - When pointing in the same direction: we get the largest value.
-   * - When the angle between is 90 degrees: we get 0.
-   * - When pointing in opposite directions: we inverse the largest value.
-   * @param v A vector.
-   * @param w A vector.
-   * @returns The dot product.
+   * Returns a plain object with the components of this vector, as used by
+   * `JSON.stringify`.
+   * @returns A new object.
    */
-  dot(v: Vec, w: Vec): number;
+  toJSON(): { x: number; y: number };
 
   /**
-   * Checks whether or not vector `v` is infinite.
-   * @param v A vector.
-   * @returns Boolean result.
+   * Returns the polar coordinates (ρ, θ) of this vector, the inverse of
+   * `Vec2.fromPolarCoords`.
+   * @returns The coordinates.
    */
-  isInfinite(v: Vec): boolean;
+  toPolarCoords(): PolarCoords;
 
   /**
-   * Checks whether or not a component of vector `v` is `NaN`.
-   * @param v A vector.
-   * @returns Boolean result.
+   * Returns a string representation of this vector, e.g.: `Vec2(1, 2)`.
+   * @param precision A number of digits after the decimal point, none (i.e.:
+   * the shortest exact representation) by default.
+   * @returns A string.
    */
-  isNaN(v: Vec): boolean;
+  toString(precision?: number): string;
 
   /**
-   * Checks whether or not vector `v` has a magnitude of zero.
-   * @param v A vector.
-   * @returns Boolean result.
+   * Returns a new 3-dimensional vector made of the components of this vector
+   * plus `z`.
+   * @param z A numeric value, 0 by default.
+   * @returns A new vector.
    */
-  isZero(v: Vec): boolean;
+  toVec3(z?: number): Vec3;
 
   /**
-   * Linearly interpolates between `v` and `w`. Parameter `t` is clamped to the
+   * Returns a new 4-dimensional vector made of the components of this vector
+   * plus `z` and `w`.
+   * @param z A numeric value, 0 by default.
+   * @param w A numeric value, 0 by default.
+   * @returns A new vector.
+   */
+  toVec4(z?: number, w?: number): Vec4;
+
+  /**
+   * Transforms this vector by matrix `m` (i.e.: the product of `m` times this
+   * vector).
+   * @param m A matrix.
+   * @returns This vector.
+   */
+  transform(m: Mat2): this;
+
+  /**
+   * Points this vector to its left, a z-axis rotation of 90 degrees (0.5PI).
+   * @returns This vector.
+   */
+  turnLeft(): this;
+
+  /**
+   * Points this vector to its right, a z-axis rotation of -90 degrees (-0.5PI).
+   * @returns This vector.
+   */
+  turnRight(): this;
+}
+
+declare interface Vec2 extends Vec2Properties, Vec2Methods { }
+
+/**
+ * The methods of an immutable vector, i.e.: those of a regular vector, except
+ * that the ones that would modify it return a new immutable vector instead.
+ * `swizzle` and `writeTo` are kept as is, since they're generic and never
+ * return this vector.
+ */
+declare type ImmutableMethods<Vec, Keys extends keyof Vec, Immutable> = {
+  readonly [K in Keys]: K extends 'swizzle' | 'writeTo' ? Vec[K] :
+    Vec[K] extends (...args: infer A) => infer R ?
+      (...args: A) => R extends Vec ? Immutable : R :
+      Vec[K];
+};
+
+declare interface ImmutableVec2 extends
+  Readonly<Vec2Properties>,
+  ImmutableMethods<Vec2, keyof Vec2Methods, ImmutableVec2> {
+  /**
+   * Returns a regular (i.e.: mutable) copy of this vector.
+   * @returns A new vector.
+   */
+  toMutable(): Vec2;
+}
+
+declare interface ImmutableVec2Constructor {
+  /**
+   * Creates an immutable 2-dimensional vector. Its setters throw, the
+   * methods that would modify it return a new immutable vector instead, and
+   * it can't be the `out` argument of any method (a `TypeError` is thrown).
+   * @param x A numeric value.
+   * @param y A numeric value.
+   */
+  new(x?: number, y?: number): ImmutableVec2;
+}
+
+declare interface Vec2F32 extends Vec2 {
+  /**
+   * Returns a new copy of this vector, with Float32 storage as well.
+   * @returns A new vector.
+   */
+  clone(): Vec2F32;
+
+  /**
+   * Returns an immutable copy of this vector, with Float64 storage (there are
+   * no immutable Float32 vectors).
+   * @returns A new immutable vector.
+   */
+  toImmutable(): ImmutableVec2;
+}
+
+declare interface Vec2F32Constructor {
+  /**
+   * Creates a 2-dimensional vector whose components are stored in a
+   * `Float32Array` (i.e.: rounded to single precision), e.g.: to match
+   * WebGL/WebGPU buffers. Static methods are those of `Vec2`, which write
+   * into a new Float64 vector unless given one as `out` (e.g.:
+   * `Vec2.add(v, w, new Vec2F32())`), even if called through this class.
+   * @param x A numeric value.
+   * @param y A numeric value.
+   */
+  new(x?: number, y?: number): Vec2F32;
+}
+
+declare interface Vec2ConstructorBase<Vec, VecLike> {
+  /**
+   * Returns the absolute value of each component of `v`.
+   * @param v A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  abs(v: VecLike, out?: Vec): Vec;
+
+  /**
+   * Returns the addition of `v` plus `w`.
+   * @param v A vector.
+   * @param w A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  add(v: VecLike, w: VecLike, out?: Vec): Vec;
+
+  /**
+   * Returns each component of `v` rounded up to the nearest integer.
+   * @param v A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  ceil(v: VecLike, out?: Vec): Vec;
+
+  /**
+   * Returns each component of `v` kept between the respective components of
+   * `min` and `max` (inclusive).
+   * @param v A vector.
+   * @param min A vector.
+   * @param max A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  clampComponents(v: VecLike, min: VecLike, max: VecLike, out?: Vec): Vec;
+
+  /**
+   * Computes the distance from `v` to `w` with the {@link https://en.wikipedia.org/wiki/Euclidean_distance Euclidean metric}.
+   * @param v A vector.
+   * @param w A vector.
+   * @returns Euclidean distance.
+   */
+  distance(v: VecLike, w: VecLike): number;
+
+  /**
+   * Computes the distance from `v` to `w` with the {@link https://en.wikipedia.org/wiki/Chebyshev_distance Chebyshev metric}.
+   * 
+   * "Also known as the Chessboard distance, it is somewhat similar to the
+   * Manhattan distance, but with 45 degrees rotation."
+   * @param v A vector.
+   * @param w A vector.
+   * @returns Chebyshev distance.
+   */
+  distanceChebyshev(v: VecLike, w: VecLike): number;
+
+  /**
+   * Computes the distance from `v` to `w` with the {@link https://en.wikipedia.org/wiki/Taxicab_geometry Manhattan metric}
+   * (aka. taxicab metric). Given two points, it is the sum of the absolute
+   * differences of their components.
+   * 
+   * "Inspired by the grid-like organization of Manhattan, this is distance to
+   * the nearest points when you can only travel around the boundaries." I.e.:
+   * Only horizontal, vertical and diagonal (45 degrees) movements.
+   * @param v A vector.
+   * @param w A vector.
+   * @returns Manhattan distance.
+   */
+  distanceManhattan(v: VecLike, w: VecLike): number;
+
+  /**
+   * Computes the distance from `v` to `w` with the Minkowski metric.
+   * 
+   * Said to be a generalization of the Euclidean distance, Manhattan distance,
+   * and Chebyshev distance, the {@link https://en.wikipedia.org/wiki/Minkowski_distance Minkowski metric}
+   * is a distance of order `p` which can be equivalent to:
+   * 
+   * - Manhattan distance when `p` = 1.
+   * - Euclidean distance when `p` = 2.
+   * - Chebyshev distance when `p` = Infinite.
+   * @param v A vector.
+   * @param w A vector.
+   * @param p A numeric value equal to or greater than 1.
+   * @returns Minkowski distance.
+   */
+  distanceMinkowski(v: VecLike, w: VecLike, p: number): number;
+
+  /**
+   * Computes the squared distance from `v` to `w` with the Euclidean metric.
+   * @param v A vector.
+   * @param w A vector.
+   * @returns Euclidean distance squared.
+   */
+  distanceSq(v: VecLike, w: VecLike): number;
+
+  /**
+   * Returns the component-wise division of `v` by `w`.
+   * @param v A vector.
+   * @param w A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  divide(v: VecLike, w: VecLike, out?: Vec): Vec;
+
+  /**
+   * The {@link https://en.wikipedia.org/wiki/Dot_product dot product} (aka.
+   * scalar product or inner product) measures how much `v` and `w` point in the
+   * same direction.
+   * 
+   * - When pointing in the same direction: we get the largest value.
+   * - When the angle between is 90 degrees: we get 0.
+   * - When pointing in opposite directions: we inverse the largest value.
+   * @param v A vector.
+   * @param w A vector.
+   * @returns The dot product.
+   */
+  dot(v: VecLike, w: VecLike): number;
+
+  /**
+   * Checks whether or not each component of `v` and `w` are approximately
+   * equal, within the given tolerance.
+   * 
+   * - `'absolute'` mode: the difference of each pair of components must not
+   * exceed `epsilon`.
+   * - `'relative'` mode: the difference of each pair of components must not
+   * exceed `epsilon` times the largest absolute value of the pair.
+   * @param v A vector.
+   * @param w A vector.
+   * @param epsilon Tolerance, a non-negative numeric value (1e-10 by default).
+   * @param mode Tolerance mode, `'absolute'` by default.
+   * @returns Boolean result.
+   */
+  equals(
+    v: VecLike,
+    w: VecLike,
+    epsilon?: number,
+    mode?: 'absolute' | 'relative'
+  ): boolean;
+
+  /**
+   * Returns each component of `v` rounded down to the nearest integer.
+   * @param v A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  floor(v: VecLike, out?: Vec): Vec;
+
+  /**
+   * Returns the fractional part (i.e.: `x - floor(x)`) of each component of
+   * `v`, interval [0, 1).
+   * @param v A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  fract(v: VecLike, out?: Vec): Vec;
+
+  /**
+   * Returns the interpolant `t` for which the linear interpolation between
+   * `v` and `w` is the closest to `u` (i.e.: the inverse of `lerpUnclamped`),
+   * 0 if `v` and `w` are equal.
+   * @param v A vector.
+   * @param w A vector.
+   * @param u A vector.
+   * @returns The interpolant, not clamped.
+   */
+  inverseLerp(v: VecLike, w: VecLike, u: VecLike): number;
+
+  /**
+   * Checks whether or not `u`, `v`, and `w`, taken as points, lie on the same
+   * line, i.e.: the sine of the angle between `v` and `w` relative to `u` does
+   * not exceed `epsilon`.
+   * @param u A vector.
+   * @param v A vector.
+   * @param w A vector.
+   * @param epsilon Tolerance, a non-negative numeric value (1e-10 by default).
+   * @returns Boolean result.
+   */
+  isCollinear(u: VecLike, v: VecLike, w: VecLike, epsilon?: number): boolean;
+
+  /**
+   * Checks whether or not vector `v` is infinite.
+   * @param v A vector.
+   * @returns Boolean result.
+   */
+  isInfinite(v: VecLike): boolean;
+
+  /**
+   * Checks whether or not a component of vector `v` is `NaN`.
+   * @param v A vector.
+   * @returns Boolean result.
+   */
+  isNaN(v: VecLike): boolean;
+
+  /**
+   * Checks whether or not vector `v` is a unit vector (i.e.: `magnitude` = 1),
+   * within the given tolerance.
+   * @param v A vector.
+   * @param epsilon Tolerance, a non-negative numeric value (1e-10 by default).
+   * @returns Boolean result.
+   */
+  isNormalized(v: VecLike, epsilon?: number): boolean;
+
+  /**
+   * Checks whether or not `v` and `w` are orthogonal, i.e.: the cosine of the
+   * angle between them does not exceed `epsilon` (in absolute value). A zero
+   * vector is orthogonal to any vector.
+   * @param v A vector.
+   * @param w A vector.
+   * @param epsilon Tolerance, a non-negative numeric value (1e-10 by default).
+   * @returns Boolean result.
+   */
+  isOrthogonal(v: VecLike, w: VecLike, epsilon?: number): boolean;
+
+  /**
+   * Checks whether or not `v` and `w` are parallel (pointing in either the
+   * same or opposite directions), i.e.: the sine of the angle between them
+   * does not exceed `epsilon`. A zero vector is parallel to any vector.
+   * @param v A vector.
+   * @param w A vector.
+   * @param epsilon Tolerance, a non-negative numeric value (1e-10 by default).
+   * @returns Boolean result.
+   */
+  isParallel(v: VecLike, w: VecLike, epsilon?: number): boolean;
+
+  /**
+   * Checks whether or not vector `v` has a magnitude of zero.
+   * @param v A vector.
+   * @returns Boolean result.
+   */
+  isZero(v: VecLike): boolean;
+
+  /**
+   * Linearly interpolates between `v` and `w`. Parameter `t` is clamped to the
    * range of [0, 1].
    * 
    * - Returns `v` when `t` = 0.
@@ -371,414 +1051,3548 @@ declare interface Vec2ConstructorBase<Vec> {
    * @param v A vector.
    * @param w A vector.
    * @param t The interpolant (aka. alpha), a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new Vector.
+   */
+  lerp(v: VecLike, w: VecLike, t: number, out?: Vec): Vec;
+
+  /**
+   * Linearly interpolates between `v` and `w`, like `lerp` does, but without
+   * clamping `t` (i.e.: it extrapolates beyond `v` and `w`).
+   * @param v A vector.
+   * @param w A vector.
+   * @param t The interpolant (aka. alpha), a numeric value.
+   * @param out A vector to write the result into, a new one by default.
    * @returns A new Vector.
    */
-  lerp(v: Vec, w: Vec, t: number): Vec;
+  lerpUnclamped(v: VecLike, w: VecLike, t: number, out?: Vec): Vec;
+
+  /**
+   * Returns the greatest of each pair of components of `v` and `w`.
+   * @param v A vector.
+   * @param w A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  max(v: VecLike, w: VecLike, out?: Vec): Vec;
+
+  /**
+   * Returns the least of each pair of components of `v` and `w`.
+   * @param v A vector.
+   * @param w A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  min(v: VecLike, w: VecLike, out?: Vec): Vec;
+
+  /**
+   * Returns each component of `v` modulo `n`, with the sign of `n` (i.e.:
+   * `x - n * floor(x / n)`).
+   * @param v A vector.
+   * @param n A numeric value, or a vector of one per component.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  mod(v: VecLike, n: number | VecLike, out?: Vec): Vec;
+
+  /**
+   * Moves `v` towards `w` a distance of `maxDelta` at most, without
+   * overshooting it.
+   * @param v A vector.
+   * @param w A vector.
+   * @param maxDelta A non-negative numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  moveTowards(v: VecLike, w: VecLike, maxDelta: number, out?: Vec): Vec;
+
+  /**
+   * Returns the component-wise product (i.e.: the Hadamard product) of `v` and
+   * `w`.
+   * @param v A vector.
+   * @param w A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  multiply(v: VecLike, w: VecLike, out?: Vec): Vec;
 
   /**
    * Returns the negation (aka. opposite) of vector `v`.
    * @param v A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  negate(v: VecLike, out?: Vec): Vec;
+
+  /**
+   * Interpolates between `v` and `w` linearly, then scales the result to the
+   * linear interpolation of both magnitudes (i.e.: normalized lerp, for unit
+   * vectors it's unit). Parameter `t` is clamped to the range of [0, 1].
+   * @param v A vector.
+   * @param w A vector.
+   * @param t The interpolant (aka. alpha), a numeric value.
+   * @param out A vector to write the result into, a new one by default.
    * @returns A new vector.
    */
-  negate(v: Vec): Vec;
+  nlerp(v: VecLike, w: VecLike, t: number, out?: Vec): Vec;
+
+  /**
+   * Returns a unit vector (i.e.: `magnitude` = 1) from vector `v`. A zero
+   * vector `v` results in a zero vector (or `VecError` is thrown in strict
+   * mode), see `safeNormalize` for a fallback.
+   * @param v A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new Vector.
+   */
+  normalize(v: VecLike, out?: Vec): Vec;
+
+  /**
+   * Returns a vector that is the orthogonal projection of `v` onto `w`, i.e.:
+   * the component of `v` projected on `w` (in direction of `w`). Projecting
+   * onto a zero vector `w` results in a zero vector (or `VecError` is thrown
+   * in strict mode).
+   * @param v A vector.
+   * @param w A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns The projection vector.
+   */
+  project(v: VecLike, w: VecLike, out?: Vec): Vec;
+
+  /**
+   * Rotates `v` towards `w` an angle of `maxAngle` at most, and moves its
+   * magnitude towards the one of `w` by `maxMagnitudeDelta` at most, without
+   * overshooting either.
+   * @param v A vector.
+   * @param w A vector.
+   * @param maxAngle A non-negative value in radians.
+   * @param maxMagnitudeDelta A non-negative numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  rotateTowards(
+    v: VecLike,
+    w: VecLike,
+    maxAngle: number,
+    maxMagnitudeDelta: number,
+    out?: Vec
+  ): Vec;
+
+  /**
+   * Returns each component of `v` rounded to the nearest integer (halves up).
+   * @param v A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  round(v: VecLike, out?: Vec): Vec;
+
+  /**
+   * Returns a unit vector (i.e.: `magnitude` = 1) from vector `v`, or, if it's
+   * a zero vector, a copy of `fallback` (as is). Never throws, not even in
+   * strict mode.
+   * @param v A vector.
+   * @param fallback A vector, the zero vector by default.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  safeNormalize(v: VecLike, fallback?: VecLike, out?: Vec): Vec;
+
+  /**
+   * Checks whether or not `v` and `w` satisfy the equality definition.
+   * @param v A vector.
+   * @param w A vector.
+   * @returns Boolean result.
+   */
+  satisfyEquality(v: VecLike, w: VecLike): boolean;
+
+  /**
+   * Checks whether or not `v` and `w` satisfy the opposition definition.
+   * @param v A vector.
+   * @param w A vector.
+   * @returns Boolean result.
+   */
+  satisfyOpposition(v: VecLike, w: VecLike): boolean;
+
+  /**
+   * Returns a random vector whose components are normally distributed (aka.
+   * Gaussian distribution) around `mean`. Method by Box and Muller (1958).
+   * @param mean A vector, the origin by default.
+   * @param sigma Standard deviation, a numeric value (1 by default).
+   * @param source A random source, the one set with `setRandomSource` by
+   * default.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  randomGaussian(
+    mean?: VecLike,
+    sigma?: number,
+    source?: RandomSource,
+    out?: Vec
+  ): Vec;
+
+  /**
+   * Returns a random vector uniformly distributed inside the axis-aligned box
+   * spanned from `min` to `max`.
+   * @param min A vector, the minimum corner.
+   * @param max A vector, the maximum corner.
+   * @param source A random source, the one set with `setRandomSource` by
+   * default.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  randomInBox(
+    min: VecLike,
+    max: VecLike,
+    source?: RandomSource,
+    out?: Vec
+  ): Vec;
+
+  /**
+   * Returns the scalar multiplication of `v` by a given scalar `c`.
+   * @param v A vector.
+   * @param c A numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  scale(v: VecLike, c: number, out?: Vec): Vec;
+
+  /**
+   * Returns the sign of each component of `v`: -1, 0, or 1.
+   * @param v A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  sign(v: VecLike, out?: Vec): Vec;
+
+  /**
+   * Interpolates between the directions of `v` and `w` by angle (i.e.: at a
+   * constant angular speed), and between their magnitudes linearly.
+   * Parameter `t` is clamped to the range of [0, 1].
+   * @param v A vector.
+   * @param w A vector.
+   * @param t The interpolant (aka. alpha), a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  slerp(v: VecLike, w: VecLike, t: number, out?: Vec): Vec;
+
+  /**
+   * Gradually moves `current` towards `target` (i.e.: a critically damped
+   * spring that never overshoots), e.g.: for a camera to follow something.
+   * Meant to be called once per frame, `velocity` is updated in place and
+   * carried over from one call to the next, pass `current` as `out` to avoid
+   * allocations.
+   * @param current A vector.
+   * @param target A vector.
+   * @param velocity A (mutable) vector, zero to start with.
+   * @param smoothTime The approximate time to reach `target`, in the same unit
+   * of time as `dt`.
+   * @param dt The time elapsed since the last call.
+   * @param maxSpeed The maximum speed, infinite by default.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector, the new position.
+   */
+  smoothDamp(
+    current: VecLike,
+    target: VecLike,
+    velocity: Vec,
+    smoothTime: number,
+    dt: number,
+    maxSpeed?: number,
+    out?: Vec
+  ): Vec;
+
+  /**
+   * Returns each component of `v` rounded to the nearest multiple of `step`
+   * (e.g.: to snap it to a grid).
+   * @param v A vector.
+   * @param step A numeric value, or a vector of one per component.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  snap(v: VecLike, step: number | VecLike, out?: Vec): Vec;
+
+  /**
+   * Moves `current` one step of a (unit mass) damped spring attached to
+   * `target`, integrated implicitly so it stays stable for any `dt`. Meant to
+   * be called once per frame, `velocity` is updated in place and carried over
+   * from one call to the next, pass `current` as `out` to avoid allocations.
+   * @param current A vector.
+   * @param target A vector.
+   * @param velocity A (mutable) vector, zero to start with.
+   * @param stiffness A non-negative numeric value.
+   * @param damping A non-negative numeric value.
+   * @param dt The time elapsed since the last call.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector, the new position.
+   */
+  spring(
+    current: VecLike,
+    target: VecLike,
+    velocity: Vec,
+    stiffness: number,
+    damping: number,
+    dt: number,
+    out?: Vec
+  ): Vec;
+
+  /**
+   * Returns the subtraction of `v` minus `w`.
+   * @param v A vector.
+   * @param w A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  subtract(v: VecLike, w: VecLike, out?: Vec): Vec;
+
+  /**
+   * Returns the unsigned angle between `v` and `w`. Interval [0, PI].
+   * @param v A vector.
+   * @param w A vector.
+   * @returns Value in radians.
+   */
+  unsignedAngle(v: VecLike, w: VecLike): number;
+
+  /**
+   * Returns a vector whose components live in `buffer` (i.e.: a view, without
+   * copying them), starting at `offset + index * stride`, so every change
+   * writes straight into the buffer, e.g.: to modify a vertex attribute in an
+   * interleaved vertex buffer in place.
+   * @param buffer A typed array (e.g.: a `Float32Array` over an `ArrayBuffer`).
+   * @param index The index of the vertex (or element), 0 by default.
+   * @param stride The number of components from one vertex to the next, as
+   * many as the vector has by default (i.e.: a packed buffer).
+   * @param offset The index of the first component of the attribute within
+   * each vertex, 0 by default.
+   * @param view A (mutable) vector to turn into the view, a new one by default,
+   * e.g.: to walk a buffer with a single one.
+   * @returns The view.
+   */
+  view(
+    buffer: TypedArray,
+    index?: number,
+    stride?: number,
+    offset?: number,
+    view?: Vec
+  ): Vec;
+
+  /**
+   * Returns a zero vector (i.e.: pointing to the origin).
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new Vector.
+   */
+  zero(out?: Vec): Vec;
+}
+
+declare interface Vec2Constructor extends Vec2ConstructorBase<Vec2, Vec2Like> {
+  /**
+   * Creates a 2-dimensional vector pointing to `x` and `y`.
+   * @param x A numeric value.
+   * @param y A numeric value.
+   */
+  new(x?: number, y?: number): Vec2;
+
+  /**
+   * Returns the signed angle from `v` to `w`, positive when
+   * counter-clockwise. Interval (-PI, PI].
+   * @param v A vector.
+   * @param w A vector.
+   * @returns Value in radians.
+   */
+  angleBetween(v: Vec2Like, w: Vec2Like): number;
+
+  /**
+   * Returns a new vector created from barycentric coordinates (u, v, w) with
+   * respect to the triangle (a, b, c), i.e.: `a * u + b * v + c * w`.
+   * @param u The weight of `a`, a numeric value.
+   * @param v The weight of `b`, a numeric value.
+   * @param w The weight of `c`, a numeric value.
+   * @param a A vector, the first vertex.
+   * @param b A vector, the second vertex.
+   * @param c A vector, the third vertex.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  fromBarycentricCoords(
+    u: number,
+    v: number,
+    w: number,
+    a: Vec2Like,
+    b: Vec2Like,
+    c: Vec2Like,
+    out?: Vec2
+  ): Vec2;
+
+  /**
+   * Returns a vector from its JSON representation, either a string or an
+   * already parsed vector-like value. Components written as `null` (i.e.:
+   * `NaN` and infinite numbers, by `JSON.stringify`) are read as `NaN`.
+   * @param json A JSON string or a vector-like value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  fromJSON(json: string | Vec2Like, out?: Vec2): Vec2;
+
+  /**
+   * Returns a new vector created from polar coordinates (denoted by ρ, θ).
+   * @param r Radius, a numeric value.
+   * @param theta Polar angle relative to the positive x-axis in radians, a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  fromPolarCoords(r: number, theta: number, out?: Vec2): Vec2;
+
+  /**
+   * Creates an immutable vector, i.e.: a vector whose setters throw, and whose
+   * methods that would modify it return a new immutable vector instead.
+   * @param x A numeric value.
+   * @param y A numeric value.
+   * @returns An immutable vector.
+   */
+  immutable(x?: number, y?: number): ImmutableVec2;
+
+  /**
+   * Returns the perp-dot product (aka. 2D cross product) of `v` and `w`, i.e.:
+   * the dot product of `v` rotated 90° and `w`. Positive when `w` is
+   * counter-clockwise from `v`.
+   * @param v A vector.
+   * @param w A vector.
+   * @returns The perp-dot product.
+   */
+  perpDot(v: Vec2Like, w: Vec2Like): number;
+
+  /**
+   * Returns a random vector uniformly distributed on the circumference of a
+   * unit circle. Method by Marsaglia (1972).
+   * @param source A random source, the one set with `setRandomSource` by
+   * default.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  random(source?: RandomSource, out?: Vec2): Vec2;
+
+  /**
+   * Returns a random vector uniformly distributed inside a unit circle (i.e.:
+   * on the unit disc).
+   * @param source A random source, the one set with `setRandomSource` by
+   * default.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  randomInUnitDisc(source?: RandomSource, out?: Vec2): Vec2;
+
+  /**
+   * Returns the reflection of `v` off a surface with the given `normal`. A
+   * zero `normal` results in a copy of `v` (or `VecError` is thrown in strict
+   * mode).
+   * @param v A vector.
+   * @param normal A non-zero vector, not necessarily normalized.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  reflect(v: Vec2Like, normal: Vec2Like, out?: Vec2): Vec2;
+
+  /**
+   * Returns the refraction of `v` (the unit direction of an incident ray)
+   * through a surface with the given unit `normal` (facing the incident ray),
+   * where `eta` is the ratio of the refractive indices (i.e.: from / to).
+   * @param v A unit vector.
+   * @param normal A unit vector.
+   * @param eta A numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector, or `null` in case of total internal reflection
+   * (leaving `out` as is).
+   */
+  refract(v: Vec2Like, normal: Vec2Like, eta: number, out?: Vec2): Vec2 | null;
+
+  /**
+   * Returns the rejection of `v` from `w`, i.e.: the component of `v`
+   * perpendicular to `w` (complementary to `project`). Rejecting from a zero
+   * vector `w` results in a copy of `v` (or `VecError` is thrown in strict
+   * mode).
+   * @param v A vector.
+   * @param w A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  reject(v: Vec2Like, w: Vec2Like, out?: Vec2): Vec2;
+
+  /**
+   * Returns the signed angle from `v` to `w`, positive when counter-clockwise
+   * (same as `angleBetween`). Interval (-PI, PI].
+   * @param v A vector.
+   * @param w A vector.
+   * @returns Value in radians.
+   */
+  signedAngle(v: Vec2Like, w: Vec2Like): number;
+
+  /**
+   * Returns the transformation of `v` by matrix `m` (i.e.: the product of `m`
+   * times `v`).
+   * @param v A vector.
+   * @param m A matrix.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  transform(v: Vec2Like, m: Mat2, out?: Vec2): Vec2;
+}
+
+// #region Vec3
+
+/**
+ * Any value accepted wherever a 3-dimensional vector is expected: a vector,
+ * an immutable vector, an array (or typed array) of components, or an object
+ * with `x`, `y`, and `z` properties. Missing components are read as 0.
+ */
+declare type Vec3Like =
+  | ArrayLike<number>
+  | { readonly x?: number; readonly y?: number; readonly z?: number };
+
+/**
+ * Cylindrical coordinates (r, φ, z), as returned by `toCylindricalCoords`.
+ */
+declare interface CylindricalCoords {
+  /**
+   * Radius, the distance to the z-axis.
+   */
+  r: number;
+
+  /**
+   * Polar angle relative to the positive x-axis (counter-clockwise, towards
+   * the positive y) in radians, interval [0, 2PI).
+   */
+  phi: number;
+
+  /**
+   * Depth, the `z` component.
+   */
+  z: number;
+}
+
+/**
+ * Spherical coordinates (r, θ, φ), as returned by `toSphericalCoords`.
+ */
+declare interface SphericalCoords {
+  /**
+   * Radius, the `magnitude`.
+   */
+  r: number;
+
+  /**
+   * Azimuthal angle relative to the positive z-axis in radians, interval
+   * [0, PI].
+   */
+  theta: number;
+
+  /**
+   * Polar angle relative to the positive x-axis (counter-clockwise, towards
+   * the positive y) in radians, interval [0, 2PI).
+   */
+  phi: number;
+}
+
+declare interface Vec3PropertiesBase extends Vec2PropertiesBase {
+  /**
+   * The `z` component of this vector.
+   */
+  z: number;
+
+  /**
+   * Alias for the `z` component of this vector.
+   */
+  b: number;
+
+  /**
+   * Alias for the `y` component of this vector.
+   */
+  g: number;
+
+  /**
+   * Alias for the `x` component of this vector.
+   */
+  r: number;
+}
+
+declare interface Vec3Properties extends
+  Vec3PropertiesBase,
+  Swizzles<'x' | 'y' | 'z', 'xyz'> {
+  /**
+   * Angle relative to the positive x-axis towards the point defined by (y,
+   * z). Interval [0, PI]. Value in radians.
+   */
+  angleX: number;
+
+  /**
+   * Angle relative to the positive y-axis towards the point defined by (z,
+   * x). Interval [0, PI]. Value in radians.
+   */
+  angleY: number;
+
+  /**
+   * Angle relative to the positive z-axis towards the point defined by (x,
+   * y). Interval [0, PI]. Value in radians.
+   */
+  angleZ: number;
+
+  /**
+   * Alias to get all the components of this vector as an array.
+   */
+  rgb: number[];
+
+  /**
+   * Shortcut to get all the components of this vector as an array.
+   */
+  xyz: number[];
+}
+
+declare interface Vec3MethodsBase<Vec, VecLike> extends
+  Vec2MethodsBase<Vec, VecLike> {
+  /**
+   * Returns the (unsigned) angle between this vector and vector `v`, accurate
+   * even for (almost) parallel vectors. Interval [0, PI].
+   * @param v A vector.
+   * @returns Value in radians.
+   */
+  angleBetween(v: VecLike): number;
+}
+
+declare interface Vec3Methods extends Vec3MethodsBase<Vec3, Vec3Like> {
+  /**
+   * Rotates this vector by the unit quaternion `q`.
+   * @param q A quaternion.
+   * @returns This vector.
+   */
+  applyQuaternion(q: Quat): this;
+
+  /**
+   * Transforms this vector into the {@link https://en.wikipedia.org/wiki/Cross_product cross product}
+   * (aka. vector product) of itself cross `v`, which is perpendicular to both
+   * of them and whose magnitude measures the area they span.
+   * 
+   * - When pointing in either the same or opposite directions: we get 0.
+   * - When the angle between is 90 degrees: we get the largest value.
+   * @param v A vector.
+   * @returns This vector.
+   */
+  cross(v: Vec3Like): this;
+
+  /**
+   * Transforms this vector into its projection onto the plane (through the
+   * origin) with the given `normal`, i.e.: its rejection from `normal`. A
+   * zero `normal` leaves this vector as is (or `VecError` is thrown in strict
+   * mode).
+   * @param normal A vector.
+   * @returns This vector.
+   */
+  projectOnPlane(normal: Vec3Like): this;
+
+  /**
+   * Reflects this vector off a surface with the given `normal`, e.g.: to
+   * bounce a direction. A zero `normal` leaves this vector as is (or
+   * `VecError` is thrown in strict mode).
+   * @param normal A non-zero vector, not necessarily normalized.
+   * @returns This vector.
+   */
+  reflect(normal: Vec3Like): this;
+
+  /**
+   * Refracts this vector (the unit direction of an incident ray) through a
+   * surface with the given unit `normal` (facing the incident ray), where
+   * `eta` is the ratio of the refractive indices (i.e.: from / to). Leaves
+   * this vector as is in case of total internal reflection.
+   * @param normal A unit vector.
+   * @param eta A numeric value.
+   * @returns This vector, or `null` in case of total internal reflection.
+   */
+  refract(normal: Vec3Like, eta: number): this | null;
+
+  /**
+   * Transforms this vector into its rejection from `v`, i.e.: the component of
+   * this vector perpendicular to `v` (complementary to `project`). Rejecting
+   * from a zero vector `v` leaves this vector as is (or `VecError` is thrown
+   * in strict mode).
+   * @param v A vector.
+   * @returns This vector.
+   */
+  reject(v: Vec3Like): this;
+
+  /**
+   * A rotation about `axis` by `phi`, counter-clockwise when looking from the
+   * tip of `axis` towards the origin ({@link https://en.wikipedia.org/wiki/Rodrigues%27_rotation_formula Rodrigues' rotation formula}).
+   * A zero `axis` leaves this vector as is (or `VecError` is thrown in strict
+   * mode).
+   * @param axis A vector, it does not need to be normalized.
+   * @param phi Angle in radians, a numeric value.
+   * @returns This vector.
+   */
+  rotateAround(axis: Vec3Like, phi: number): this;
+
+  /**
+   * A rotation about the line through `pivot` in direction of `axis` by `phi`,
+   * counter-clockwise when looking from the tip of `axis` towards `pivot`. A
+   * zero `axis` leaves this vector as is (or `VecError` is thrown in strict
+   * mode).
+   * @param pivot A vector, a point on the rotation axis.
+   * @param axis A vector, it does not need to be normalized.
+   * @param phi Angle in radians, a numeric value.
+   * @returns This vector.
+   */
+  rotateAroundPoint(pivot: Vec3Like, axis: Vec3Like, phi: number): this;
+
+  /**
+   * A rotation about the x-axis moving the positive y-axis towards the
+   * positive z-axis by `phi`.
+   * @param phi Angle in radians, a numeric value.
+   * @returns This vector.
+   */
+  rotateX(phi: number): this;
+
+  /**
+   * A rotation about the y-axis moving the positive x-axis towards the
+   * positive z-axis by `phi`.
+   * @param phi Angle in radians, a numeric value.
+   * @returns This vector.
+   */
+  rotateY(phi: number): this;
+
+  /**
+   * Returns the signed angle from this vector to vector `v` around `axis`,
+   * positive when counter-clockwise (i.e.: when their cross product points
+   * along `axis`). Interval (-PI, PI].
+   * @param v A vector.
+   * @param axis A vector, not necessarily normalized.
+   * @returns Value in radians.
+   */
+  signedAngle(v: Vec3Like, axis: Vec3Like): number;
+
+  /**
+   * Returns a new vector made of the components of this vector in the order
+   * given by `pattern`, repeated or not (e.g.: `'zyx'`, `'xxy'`).
+   * @param pattern From 2 to 4 component names.
+   * @returns A new vector.
+   */
+  swizzle<Pattern extends SwizzlePattern<'x' | 'y' | 'z'>>(
+    pattern: Pattern
+  ): Swizzled<'x' | 'y' | 'z', Pattern>;
+
+  /**
+   * Returns the barycentric coordinates of this vector with respect to the
+   * triangle (a, b, c), of its projection onto the plane of the triangle.
+   * Each of them is in the interval [0, 1] when the point lies inside the
+   * triangle.
+   * @param a A vector, the first vertex.
+   * @param b A vector, the second vertex.
+   * @param c A vector, the third vertex.
+   * @returns The coordinates (NaN for a degenerate triangle).
+   */
+  toBarycentricCoords(
+    a: Vec3Like,
+    b: Vec3Like,
+    c: Vec3Like
+  ): BarycentricCoords;
+
+  /**
+   * Returns the cylindrical coordinates (r, φ, z) of this vector, the inverse
+   * of `Vec3.fromCylindricalCoords`.
+   * @returns The coordinates.
+   */
+  toCylindricalCoords(): CylindricalCoords;
+
+  /**
+   * Returns an immutable copy of this vector.
+   * @returns A new immutable vector.
+   */
+  toImmutable(): ImmutableVec3;
+
+  /**
+   * Returns a plain object with the components of this vector, as used by
+   * `JSON.stringify`.
+   * @returns A new object.
+   */
+  toJSON(): { x: number; y: number; z: number };
+
+  /**
+   * Returns the spherical coordinates (r, θ, φ) of this vector, the inverse of
+   * `Vec3.fromSphericalCoords`.
+   * @returns The coordinates.
+   */
+  toSphericalCoords(): SphericalCoords;
+
+  /**
+   * Returns a string representation of this vector, e.g.: `Vec3(1, 2, 3)`.
+   * @param precision A number of digits after the decimal point, none (i.e.:
+   * the shortest exact representation) by default.
+   * @returns A string.
+   */
+  toString(precision?: number): string;
+
+  /**
+   * Returns a new 2-dimensional vector made of the first 2 components of this
+   * vector.
+   * @returns A new vector.
+   */
+  toVec2(): Vec2;
+
+  /**
+   * Returns a new 4-dimensional vector made of the components of this vector
+   * plus `w`.
+   * @param w A numeric value, 0 by default.
+   * @returns A new vector.
+   */
+  toVec4(w?: number): Vec4;
+
+  /**
+   * Transforms this vector by matrix `m` (i.e.: the product of `m` times this
+   * vector).
+   * @param m A matrix.
+   * @returns This vector.
+   */
+  transform(m: Mat3): this;
+
+  /**
+   * Transforms this vector as a direction by the homogeneous matrix `m` (i.e.:
+   * with w = 0, so translation is ignored).
+   * @param m A matrix.
+   * @returns This vector.
+   */
+  transformDirection(m: Mat4): this;
+
+  /**
+   * Transforms this vector as a point by the homogeneous matrix `m` (i.e.: with
+   * w = 1, dividing the result by its resulting w).
+   * @param m A matrix.
+   * @returns This vector.
+   */
+  transformPoint(m: Mat4): this;
+}
+
+declare interface Vec3 extends Vec3Properties, Vec3Methods { }
+
+declare interface ImmutableVec3 extends
+  Readonly<Vec3Properties>,
+  ImmutableMethods<Vec3, keyof Vec3Methods, ImmutableVec3> {
+  /**
+   * Returns a regular (i.e.: mutable) copy of this vector.
+   * @returns A new vector.
+   */
+  toMutable(): Vec3;
+}
+
+declare interface ImmutableVec3Constructor {
+  /**
+   * Creates an immutable 3-dimensional vector. Its setters throw, the
+   * methods that would modify it return a new immutable vector instead, and
+   * it can't be the `out` argument of any method (a `TypeError` is thrown).
+   * @param x A numeric value.
+   * @param y A numeric value.
+   * @param z A numeric value.
+   */
+  new(x?: number, y?: number, z?: number): ImmutableVec3;
+}
+
+declare interface Vec3F32 extends Vec3 {
+  /**
+   * Returns a new copy of this vector, with Float32 storage as well.
+   * @returns A new vector.
+   */
+  clone(): Vec3F32;
+
+  /**
+   * Returns an immutable copy of this vector, with Float64 storage (there are
+   * no immutable Float32 vectors).
+   * @returns A new immutable vector.
+   */
+  toImmutable(): ImmutableVec3;
+}
+
+declare interface Vec3F32Constructor {
+  /**
+   * Creates a 3-dimensional vector whose components are stored in a
+   * `Float32Array` (i.e.: rounded to single precision), e.g.: to match
+   * WebGL/WebGPU buffers. Static methods are those of `Vec3`, which write
+   * into a new Float64 vector unless given one as `out` (e.g.:
+   * `Vec3.add(v, w, new Vec3F32())`), even if called through this class.
+   * @param x A numeric value.
+   * @param y A numeric value.
+   * @param z A numeric value.
+   */
+  new(x?: number, y?: number, z?: number): Vec3F32;
+}
+
+declare interface Vec3ConstructorBase<Vec, VecLike> extends
+  Vec2ConstructorBase<Vec, VecLike> {
+  /**
+   * Returns the (unsigned) angle between `v` and `w`, accurate even for
+   * (almost) parallel vectors. Interval [0, PI].
+   * @param v A vector.
+   * @param w A vector.
+   * @returns Value in radians.
+   */
+  angleBetween(v: VecLike, w: VecLike): number;
+}
+
+declare interface Vec3Constructor extends Vec3ConstructorBase<Vec3, Vec3Like> {
+  /**
+   * Creates a 3-dimensional vector pointing to `x`, `y`, and `z`.
+   * @param x A numeric value.
+   * @param y A numeric value.
+   * @param z A numeric value.
+   */
+  new(x?: number, y?: number, z?: number): Vec3;
+
+  /**
+   * Returns the rotation of `v` by the unit quaternion `q`.
+   * @param v A vector.
+   * @param q A quaternion.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  applyQuaternion(v: Vec3Like, q: Quat, out?: Vec3): Vec3;
+
+  /**
+   * The {@link https://en.wikipedia.org/wiki/Cross_product cross product}
+   * (aka. vector product) of `v` cross `w`, which is perpendicular to both of
+   * them and whose magnitude measures the area they span.
+   * 
+   * - When pointing in either the same or opposite directions: we get 0.
+   * - When the angle between is 90 degrees: we get the largest value.
+   * @param v A vector.
+   * @param w A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns The cross product.
+   */
+  cross(v: Vec3Like, w: Vec3Like, out?: Vec3): Vec3;
+
+  /**
+   * Returns a new vector created from barycentric coordinates (u, v, w) with
+   * respect to the triangle (a, b, c), i.e.: `a * u + b * v + c * w`.
+   * @param u The weight of `a`, a numeric value.
+   * @param v The weight of `b`, a numeric value.
+   * @param w The weight of `c`, a numeric value.
+   * @param a A vector, the first vertex.
+   * @param b A vector, the second vertex.
+   * @param c A vector, the third vertex.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  fromBarycentricCoords(
+    u: number,
+    v: number,
+    w: number,
+    a: Vec3Like,
+    b: Vec3Like,
+    c: Vec3Like,
+    out?: Vec3
+  ): Vec3;
+
+  /**
+   * Returns a new vector created from cylindrical coordinates (r, φ, z).
+   * 
+   * - r (radius): The `magnitude`.
+   * - φ (phi): The polar angle to be relative to the positive x-axis towards
+   * the positive y-axis.
+   * @param r Radius, any a numeric value.
+   * @param phi Polar angle relative to the positive x-axis (counter-clockwise, towards the positive y) in radians, a numeric value.
+   * @param z Depth, a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  fromCylindricalCoords(r: number, phi: number, z: number, out?: Vec3): Vec3;
+
+  /**
+   * Returns a vector from its JSON representation, either a string or an
+   * already parsed vector-like value. Components written as `null` (i.e.:
+   * `NaN` and infinite numbers, by `JSON.stringify`) are read as `NaN`.
+   * @param json A JSON string or a vector-like value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  fromJSON(json: string | Vec3Like, out?: Vec3): Vec3;
+
+  /**
+   * Returns a new vector created from spherical coordinates (r, θ, φ).
+   * 
+   * - r (radius): The `magnitude`.
+   * - θ (theta): The azimuthal angle to be relative to the positive z-axis
+   * towards the xy-plane.
+   * - φ (phi): The polar angle to be relative to the positive x-axis towards
+   * the positive y-axis.
+   * @param r Radius, a numeric value.
+   * @param theta Azimuthal angle in radians, interval [0, PI], a numeric value.
+   * @param phi Polar angle in radians, interval [0, 2PI), a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  fromSphericalCoords(r: number, theta: number, phi: number, out?: Vec3): Vec3;
+
+  /**
+   * Creates an immutable vector, i.e.: a vector whose setters throw, and whose
+   * methods that would modify it return a new immutable vector instead.
+   * @param x A numeric value.
+   * @param y A numeric value.
+   * @param z A numeric value.
+   * @returns An immutable vector.
+   */
+  immutable(x?: number, y?: number, z?: number): ImmutableVec3;
+
+  /**
+   * Returns the projection of `v` onto the plane (through the origin) with the
+   * given `normal`, i.e.: the rejection of `v` from `normal`. A zero `normal`
+   * results in a copy of `v` (or `VecError` is thrown in strict mode).
+   * @param v A vector.
+   * @param normal A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  projectOnPlane(v: Vec3Like, normal: Vec3Like, out?: Vec3): Vec3;
+
+  /**
+   * Returns a random vector uniformly distributed on the surface of a unit
+   * sphere. Method by Marsaglia (1972).
+   * @param source A random source, the one set with `setRandomSource` by
+   * default.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  random(source?: RandomSource, out?: Vec3): Vec3;
+
+  /**
+   * Returns a random unit vector uniformly distributed inside the cone around
+   * `axis` with a half-angle of `angle` (i.e.: on a spherical cap). A zero
+   * `axis` results in a zero vector (or `VecError` is thrown in strict mode).
+   * @param axis A vector, it does not need to be normalized.
+   * @param angle Half-angle of the cone in radians, interval [0, PI].
+   * @param source A random source, the one set with `setRandomSource` by
+   * default.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  randomInCone(
+    axis: Vec3Like,
+    angle: number,
+    source?: RandomSource,
+    out?: Vec3
+  ): Vec3;
+
+  /**
+   * Returns a random vector uniformly distributed inside a unit sphere (i.e.:
+   * in the unit ball).
+   * @param source A random source, the one set with `setRandomSource` by
+   * default.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  randomInUnitBall(source?: RandomSource, out?: Vec3): Vec3;
+
+  /**
+   * Returns a random unit vector on the hemisphere around `normal` following a
+   * cosine-weighted distribution (i.e.: directions closer to `normal` are more
+   * likely), as used to sample diffuse reflections. A zero `normal` results in
+   * a zero vector (or `VecError` is thrown in strict mode).
+   * @param normal A vector, it does not need to be normalized.
+   * @param source A random source, the one set with `setRandomSource` by
+   * default.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  randomOnHemisphere(normal: Vec3Like, source?: RandomSource, out?: Vec3): Vec3;
+
+  /**
+   * Returns the reflection of `v` off a surface with the given `normal`. A
+   * zero `normal` results in a copy of `v` (or `VecError` is thrown in strict
+   * mode).
+   * @param v A vector.
+   * @param normal A non-zero vector, not necessarily normalized.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  reflect(v: Vec3Like, normal: Vec3Like, out?: Vec3): Vec3;
+
+  /**
+   * Returns the refraction of `v` (the unit direction of an incident ray)
+   * through a surface with the given unit `normal` (facing the incident ray),
+   * where `eta` is the ratio of the refractive indices (i.e.: from / to).
+   * @param v A unit vector.
+   * @param normal A unit vector.
+   * @param eta A numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector, or `null` in case of total internal reflection
+   * (leaving `out` as is).
+   */
+  refract(v: Vec3Like, normal: Vec3Like, eta: number, out?: Vec3): Vec3 | null;
+
+  /**
+   * Returns the rejection of `v` from `w`, i.e.: the component of `v`
+   * perpendicular to `w` (complementary to `project`). Rejecting from a zero
+   * vector `w` results in a copy of `v` (or `VecError` is thrown in strict
+   * mode).
+   * @param v A vector.
+   * @param w A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  reject(v: Vec3Like, w: Vec3Like, out?: Vec3): Vec3;
+
+  /**
+   * Returns the rotation of `v` about `axis` by `phi`, counter-clockwise when
+   * looking from the tip of `axis` towards the origin. A zero `axis` results
+   * in a copy of `v` (or `VecError` is thrown in strict mode).
+   * @param v A vector.
+   * @param axis A vector, it does not need to be normalized.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  rotateAround(v: Vec3Like, axis: Vec3Like, phi: number, out?: Vec3): Vec3;
+
+  /**
+   * Returns the rotation of `v` about the line through `pivot` in direction of
+   * `axis` by `phi`, counter-clockwise when looking from the tip of `axis`
+   * towards `pivot`. A zero `axis` results in a copy of `v` (or `VecError` is
+   * thrown in strict mode).
+   * @param v A vector.
+   * @param pivot A vector, a point on the rotation axis.
+   * @param axis A vector, it does not need to be normalized.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  rotateAroundPoint(
+    v: Vec3Like,
+    pivot: Vec3Like,
+    axis: Vec3Like,
+    phi: number,
+    out?: Vec3
+  ): Vec3;
+
+  /**
+   * Returns the signed angle from `v` to `w` around `axis`, positive when
+   * counter-clockwise (i.e.: when their cross product points along `axis`).
+   * Interval (-PI, PI].
+   * @param v A vector.
+   * @param w A vector.
+   * @param axis A vector, not necessarily normalized.
+   * @returns Value in radians.
+   */
+  signedAngle(v: Vec3Like, w: Vec3Like, axis: Vec3Like): number;
+
+  /**
+   * Returns the transformation of `v` by matrix `m` (i.e.: the product of `m`
+   * times `v`).
+   * @param v A vector.
+   * @param m A matrix.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  transform(v: Vec3Like, m: Mat3, out?: Vec3): Vec3;
+
+  /**
+   * Returns the transformation of `v` as a direction by the homogeneous matrix
+   * `m` (i.e.: with w = 0, so translation is ignored).
+   * @param v A vector.
+   * @param m A matrix.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  transformDirection(v: Vec3Like, m: Mat4, out?: Vec3): Vec3;
+
+  /**
+   * Returns the transformation of `v` as a point by the homogeneous matrix `m`
+   * (i.e.: with w = 1, dividing the result by its resulting w).
+   * @param v A vector.
+   * @param m A matrix.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  transformPoint(v: Vec3Like, m: Mat4, out?: Vec3): Vec3;
+}
+
+// #region Vec4
+
+/**
+ * Any value accepted wherever a 4-dimensional vector is expected: a vector,
+ * an immutable vector, an array (or typed array) of components, or an object
+ * with `x`, `y`, `z`, and `w` properties. Missing components are read as 0.
+ */
+declare type Vec4Like =
+  | ArrayLike<number>
+  | {
+    readonly x?: number;
+    readonly y?: number;
+    readonly z?: number;
+    readonly w?: number;
+  };
+
+/**
+ * Hyperspherical coordinates (r, φ1, φ2, φ3), as returned by
+ * `toHypersphericalCoords`.
+ */
+declare interface HypersphericalCoords {
+  /**
+   * Radius, the `magnitude`.
+   */
+  r: number;
+
+  /**
+   * First angle, relative to the positive x-axis in radians, interval [0, PI].
+   */
+  phi1: number;
+
+  /**
+   * Second angle, relative to the positive y-axis in radians, interval
+   * [0, PI].
+   */
+  phi2: number;
+
+  /**
+   * Third angle, relative to the positive z-axis (counter-clockwise, towards
+   * the positive w) in radians, interval [0, 2PI).
+   */
+  phi3: number;
+}
+
+declare interface Vec4PropertiesBase extends Vec3PropertiesBase {
+  /**
+   * The `w` component of this vector.
+   */
+  w: number;
+}
+
+declare interface Vec4Properties extends
+  Vec4PropertiesBase,
+  Swizzles<'x' | 'y' | 'z' | 'w', 'xyzw'> {
+  /**
+   * Alias for the `w` component of this vector.
+   */
+  a: number;
+
+  /**
+   * Angle relative to the positive w-axis towards the point defined by (x, y,
+   * z). Interval [0, PI]. Value in radians.
+   */
+  angleW: number;
+
+  /**
+   * Angle relative to the positive x-axis towards the point defined by (y, z,
+   * w). Interval [0, PI]. Value in radians.
+   */
+  angleX: number;
+
+  /**
+   * Angle relative to the positive y-axis towards the point defined by (z, w,
+   * x). Interval [0, PI]. Value in radians.
+   */
+  angleY: number;
+
+  /**
+   * Angle relative to the positive z-axis towards the point defined by (w, x,
+   * y). Interval [0, PI]. Value in radians.
+   */
+  angleZ: number;
+
+  /**
+   * Alias to get all the components of this vector as an array.
+   */
+  rgba: number[];
+
+  /**
+   * Shortcut to get all the components of this vector as an array.
+   */
+  xyzw: number[];
+}
+
+declare interface Vec4MethodsBase<Vec, VecLike> extends
+  Omit<Vec3MethodsBase<Vec, VecLike>, 'rotateZ'> { }
+
+declare interface Vec4Methods extends Vec4MethodsBase<Vec4, Vec4Like> {
+  /**
+   * A {@link https://en.wikipedia.org/wiki/Rotations_in_4-dimensional_Euclidean_space#Double_rotations double rotation},
+   * i.e.: two simultaneous rotations in a pair of completely orthogonal
+   * planes, `plane` by `phi` and its orthogonal counterpart by `psi` (XY and
+   * ZW, XZ and YW, or XW and YZ).
+   * @param phi Angle in radians for `plane`, a numeric value.
+   * @param psi Angle in radians for the orthogonal plane, a numeric value.
+   * @param plane The first plane of the pair, `'XY'` by default, any other
+   * value throws a `TypeError`.
+   * @returns This vector.
+   */
+  rotateDouble(phi: number, psi: number, plane?: 'XY' | 'XZ' | 'XW'): this;
+
+  /**
+   * A rotation in the xw-plane moving the positive x-axis towards the
+   * positive w-axis by `phi`.
+   * @param phi Angle in radians, a numeric value.
+   * @returns This vector.
+   */
+  rotateXW(phi: number): this;
+
+  /**
+   * A rotation in the xy-plane moving the positive x-axis towards the
+   * positive y-axis by `phi`.
+   * @param phi Angle in radians, a numeric value.
+   * @returns This vector.
+   */
+  rotateXY(phi: number): this;
+
+  /**
+   * A rotation in the xz-plane moving the positive x-axis towards the
+   * positive z-axis by `phi`.
+   * @param phi Angle in radians, a numeric value.
+   * @returns This vector.
+   */
+  rotateXZ(phi: number): this;
+
+  /**
+   * A rotation in the yw-plane moving the positive y-axis towards the
+   * positive w-axis by `phi`.
+   * @param phi Angle in radians, a numeric value.
+   * @returns This vector.
+   */
+  rotateYW(phi: number): this;
+
+  /**
+   * A rotation in the yz-plane moving the positive y-axis towards the
+   * positive z-axis by `phi`.
+   * @param phi Angle in radians, a numeric value.
+   * @returns This vector.
+   */
+  rotateYZ(phi: number): this;
+
+  /**
+   * A rotation in the zw-plane moving the positive z-axis towards the
+   * positive w-axis by `phi`.
+   * @param phi Angle in radians, a numeric value.
+   * @returns This vector.
+   */
+  rotateZW(phi: number): this;
+
+  /**
+   * Returns a new vector made of the components of this vector in the order
+   * given by `pattern`, repeated or not (e.g.: `'wzyx'`, `'xxy'`).
+   * @param pattern From 2 to 4 component names.
+   * @returns A new vector.
+   */
+  swizzle<Pattern extends SwizzlePattern<'x' | 'y' | 'z' | 'w'>>(
+    pattern: Pattern
+  ): Swizzled<'x' | 'y' | 'z' | 'w', Pattern>;
+
+  /**
+   * Returns the hyperspherical coordinates (r, φ1, φ2, φ3) of this vector, the
+   * inverse of `Vec4.fromHypersphericalCoords`.
+   * @returns The coordinates.
+   */
+  toHypersphericalCoords(): HypersphericalCoords;
+
+  /**
+   * Returns an immutable copy of this vector.
+   * @returns A new immutable vector.
+   */
+  toImmutable(): ImmutableVec4;
+
+  /**
+   * Returns a plain object with the components of this vector, as used by
+   * `JSON.stringify`.
+   * @returns A new object.
+   */
+  toJSON(): { x: number; y: number; z: number; w: number };
+
+  /**
+   * Returns a string representation of this vector, e.g.: `Vec4(1, 2, 3, 4)`.
+   * @param precision A number of digits after the decimal point, none (i.e.:
+   * the shortest exact representation) by default.
+   * @returns A string.
+   */
+  toString(precision?: number): string;
+
+  /**
+   * Returns a new 2-dimensional vector made of the first 2 components of this
+   * vector.
+   * @returns A new vector.
+   */
+  toVec2(): Vec2;
+
+  /**
+   * Returns a new 3-dimensional vector made of the first 3 components of this
+   * vector.
+   * @returns A new vector.
+   */
+  toVec3(): Vec3;
+
+  /**
+   * Transforms this vector by matrix `m` (i.e.: the product of `m` times this
+   * vector).
+   * @param m A matrix.
+   * @returns This vector.
+   */
+  transform(m: Mat4): this;
+}
+
+declare interface Vec4 extends Vec4Properties, Vec4Methods { }
+
+declare interface ImmutableVec4 extends
+  Readonly<Vec4Properties>,
+  ImmutableMethods<Vec4, keyof Vec4Methods, ImmutableVec4> {
+  /**
+   * Returns a regular (i.e.: mutable) copy of this vector.
+   * @returns A new vector.
+   */
+  toMutable(): Vec4;
+}
+
+declare interface ImmutableVec4Constructor {
+  /**
+   * Creates an immutable 4-dimensional vector. Its setters throw, the
+   * methods that would modify it return a new immutable vector instead, and
+   * it can't be the `out` argument of any method (a `TypeError` is thrown).
+   * @param x A numeric value.
+   * @param y A numeric value.
+   * @param z A numeric value.
+   * @param w A numeric value.
+   */
+  new(x?: number, y?: number, z?: number, w?: number): ImmutableVec4;
+}
+
+declare interface Vec4F32 extends Vec4 {
+  /**
+   * Returns a new copy of this vector, with Float32 storage as well.
+   * @returns A new vector.
+   */
+  clone(): Vec4F32;
+
+  /**
+   * Returns an immutable copy of this vector, with Float64 storage (there are
+   * no immutable Float32 vectors).
+   * @returns A new immutable vector.
+   */
+  toImmutable(): ImmutableVec4;
+}
+
+declare interface Vec4F32Constructor {
+  /**
+   * Creates a 4-dimensional vector whose components are stored in a
+   * `Float32Array` (i.e.: rounded to single precision), e.g.: to match
+   * WebGL/WebGPU buffers. Static methods are those of `Vec4`, which write
+   * into a new Float64 vector unless given one as `out` (e.g.:
+   * `Vec4.add(v, w, new Vec4F32())`), even if called through this class.
+   * @param x A numeric value.
+   * @param y A numeric value.
+   * @param z A numeric value.
+   * @param w A numeric value.
+   */
+  new(x?: number, y?: number, z?: number, w?: number): Vec4F32;
+}
+
+declare interface Vec4ConstructorBase<Vec, VecLike> extends
+  Vec3ConstructorBase<Vec, VecLike> { }
+
+declare interface Vec4Constructor extends Vec4ConstructorBase<Vec4, Vec4Like> {
+  /**
+   * Creates a 4-dimensional vector pointing to `x`, `y`, `z`, and `w`.
+   * @param x A numeric value.
+   * @param y A numeric value.
+   * @param z A numeric value.
+   * @param w A numeric value.
+   */
+  new(x?: number, y?: number, z?: number, w?: number): Vec4;
+
+  /**
+   * Returns a new vector created from hyperspherical coordinates
+   * (r, φ1, φ2, φ3).
+   * 
+   * - x = r cos(φ1)
+   * - y = r sin(φ1) cos(φ2)
+   * - z = r sin(φ1) sin(φ2) cos(φ3)
+   * - w = r sin(φ1) sin(φ2) sin(φ3)
+   * @param r Radius, a numeric value.
+   * @param phi1 First angle in radians, interval [0, PI], a numeric value.
+   * @param phi2 Second angle in radians, interval [0, PI], a numeric value.
+   * @param phi3 Third angle in radians, interval [0, 2PI), a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  fromHypersphericalCoords(
+    r: number,
+    phi1: number,
+    phi2: number,
+    phi3: number,
+    out?: Vec4
+  ): Vec4;
+
+  /**
+   * Returns a vector from its JSON representation, either a string or an
+   * already parsed vector-like value. Components written as `null` (i.e.:
+   * `NaN` and infinite numbers, by `JSON.stringify`) are read as `NaN`.
+   * @param json A JSON string or a vector-like value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  fromJSON(json: string | Vec4Like, out?: Vec4): Vec4;
+
+  /**
+   * Creates an immutable vector, i.e.: a vector whose setters throw, and whose
+   * methods that would modify it return a new immutable vector instead.
+   * @param x A numeric value.
+   * @param y A numeric value.
+   * @param z A numeric value.
+   * @param w A numeric value.
+   * @returns An immutable vector.
+   */
+  immutable(x?: number, y?: number, z?: number, w?: number): ImmutableVec4;
+
+  /**
+   * Returns a random vector uniformly distributed on the surface of a 4-sphere.
+   * Method by Marsaglia (1972).
+   * @param source A random source, the one set with `setRandomSource` by
+   * default.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  random(source?: RandomSource, out?: Vec4): Vec4;
+
+  /**
+   * Returns the double rotation of `v`, i.e.: two simultaneous rotations in a
+   * pair of completely orthogonal planes, `plane` by `phi` and its orthogonal
+   * counterpart by `psi` (XY and ZW, XZ and YW, or XW and YZ).
+   * @param v A vector.
+   * @param phi Angle in radians for `plane`, a numeric value.
+   * @param psi Angle in radians for the orthogonal plane, a numeric value.
+   * @param plane The first plane of the pair, `'XY'` by default, any other
+   * value throws a `TypeError` (before anything is written into `out`).
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  rotateDouble(
+    v: Vec4Like,
+    phi: number,
+    psi: number,
+    plane?: 'XY' | 'XZ' | 'XW',
+    out?: Vec4
+  ): Vec4;
+
+  /**
+   * Returns the rotation of `v` in the xw-plane moving the positive x-axis
+   * towards the positive w-axis by `phi`.
+   * @param v A vector.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  rotateXW(v: Vec4Like, phi: number, out?: Vec4): Vec4;
+
+  /**
+   * Returns the rotation of `v` in the xy-plane moving the positive x-axis
+   * towards the positive y-axis by `phi`.
+   * @param v A vector.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  rotateXY(v: Vec4Like, phi: number, out?: Vec4): Vec4;
+
+  /**
+   * Returns the rotation of `v` in the xz-plane moving the positive x-axis
+   * towards the positive z-axis by `phi`.
+   * @param v A vector.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  rotateXZ(v: Vec4Like, phi: number, out?: Vec4): Vec4;
+
+  /**
+   * Returns the rotation of `v` in the yw-plane moving the positive y-axis
+   * towards the positive w-axis by `phi`.
+   * @param v A vector.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  rotateYW(v: Vec4Like, phi: number, out?: Vec4): Vec4;
+
+  /**
+   * Returns the rotation of `v` in the yz-plane moving the positive y-axis
+   * towards the positive z-axis by `phi`.
+   * @param v A vector.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  rotateYZ(v: Vec4Like, phi: number, out?: Vec4): Vec4;
+
+  /**
+   * Returns the rotation of `v` in the zw-plane moving the positive z-axis
+   * towards the positive w-axis by `phi`.
+   * @param v A vector.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  rotateZW(v: Vec4Like, phi: number, out?: Vec4): Vec4;
+
+  /**
+   * Returns the transformation of `v` by matrix `m` (i.e.: the product of `m`
+   * times `v`).
+   * @param v A vector.
+   * @param m A matrix.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  transform(v: Vec4Like, m: Mat4, out?: Vec4): Vec4;
+}
+
+// #region Mat2
+
+declare interface MatPropertiesBase {
+  /**
+   * Shortcut to get all the elements of this matrix as an array, in
+   * column-major order.
+   */
+  elements: number[];
+
+  /**
+   * Iterator method for this matrix.
+   * @yields This matrix's elements in column-major order.
+   */
+  [Symbol.iterator](): Generator<number, void, undefined>;
+}
+
+declare interface MatMethodsBase<Mat> {
+  /**
+   * Returns a new copy of this matrix.
+   * @returns A new matrix.
+   */
+  clone(): Mat;
+
+  /**
+   * Copy each element from matrix `m` to this matrix.
+   * @param m A matrix.
+   * @returns This matrix.
+   */
+  copy(m: Mat): this;
+
+  /**
+   * Computes the {@link https://en.wikipedia.org/wiki/Determinant determinant}
+   * of this matrix.
+   * @returns The determinant.
+   */
+  determinant(): number;
+
+  /**
+   * Transforms this matrix into the identity matrix.
+   * @returns This matrix.
+   */
+  identity(): this;
+
+  /**
+   * Transforms this matrix into its inverse. A singular matrix (i.e.:
+   * `determinant` = 0) results in non-finite elements.
+   * @returns This matrix.
+   */
+  invert(): this;
+
+  /**
+   * Transforms this matrix into the product of itself times `m` (i.e.: `m` is
+   * applied first when transforming a vector).
+   * @param m A matrix.
+   * @returns This matrix.
+   */
+  multiply(m: Mat): this;
+
+  /**
+   * Transforms this matrix into the product of `m` times itself (i.e.: `m` is
+   * applied last when transforming a vector).
+   * @param m A matrix.
+   * @returns This matrix.
+   */
+  premultiply(m: Mat): this;
+
+  /**
+   * Returns the elements of this matrix in column-major order, as used by
+   * `JSON.stringify`.
+   * @returns A new array.
+   */
+  toJSON(): number[];
+
+  /**
+   * Returns a string representation of this matrix, e.g.: `Mat2(1, 0, 0, 1)`.
+   * @param precision A number of digits after the decimal point, none (i.e.:
+   * the shortest exact representation) by default.
+   * @returns A string.
+   */
+  toString(precision?: number): string;
+
+  /**
+   * Transforms this matrix into its transpose.
+   * @returns This matrix.
+   */
+  transpose(): this;
+}
+
+declare interface Mat2 extends MatPropertiesBase, MatMethodsBase<Mat2> { }
+
+declare interface MatConstructorBase<Mat> {
+  /**
+   * Computes the determinant of matrix `m`.
+   * @param m A matrix.
+   * @returns The determinant.
+   */
+  determinant(m: Mat): number;
+
+  /**
+   * Returns a matrix from its JSON representation, either a string or an
+   * already parsed array of elements in column-major order. Elements written
+   * as `null` (i.e.: `NaN` and infinite numbers, by `JSON.stringify`) are read
+   * as `NaN`.
+   * @param json A JSON string or an array of numbers.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  fromJSON(json: string | ArrayLike<number>, out?: Mat): Mat;
+
+  /**
+   * Returns an identity matrix.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  identity(out?: Mat): Mat;
+
+  /**
+   * Returns the inverse of matrix `m`. A singular matrix (i.e.: `determinant`
+   * = 0) results in non-finite elements.
+   * @param m A matrix.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  invert(m: Mat, out?: Mat): Mat;
+
+  /**
+   * Returns the product of `m` times `n` (i.e.: `n` is applied first when
+   * transforming a vector).
+   * @param m A matrix.
+   * @param n A matrix.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  multiply(m: Mat, n: Mat, out?: Mat): Mat;
+
+  /**
+   * Returns the transpose of matrix `m`.
+   * @param m A matrix.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  transpose(m: Mat, out?: Mat): Mat;
+}
+
+declare interface Mat2Constructor extends MatConstructorBase<Mat2> {
+  /**
+   * Creates a 2x2 matrix from its elements in column-major order (`mCR`
+   * being the element at column `C` and row `R`). Defaults to the identity.
+   */
+  new(
+    m00?: number, m01?: number,
+    m10?: number, m11?: number
+  ): Mat2;
+
+  /**
+   * Returns a rotation matrix moving the positive x-axis towards the positive
+   * y-axis by `phi`.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  fromRotation(phi: number, out?: Mat2): Mat2;
+
+  /**
+   * Returns a scaling matrix with the components of `v` as factors.
+   * @param v A vector.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  fromScaling(v: Vec2Like, out?: Mat2): Mat2;
+}
+
+// #region Mat3
+
+declare interface Mat3 extends MatPropertiesBase, MatMethodsBase<Mat3> { }
+
+declare interface Mat3ConstructorBase<Mat> extends MatConstructorBase<Mat> {
+  /**
+   * Returns the rotation matrix equivalent to the unit quaternion `q`.
+   * @param q A quaternion.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  fromQuat(q: Quat, out?: Mat): Mat;
+
+  /**
+   * Returns a rotation matrix about the x-axis moving the positive y-axis
+   * towards the positive z-axis by `phi`.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  fromRotationX(phi: number, out?: Mat): Mat;
+
+  /**
+   * Returns a rotation matrix about the y-axis moving the positive x-axis
+   * towards the positive z-axis by `phi`.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  fromRotationY(phi: number, out?: Mat): Mat;
+
+  /**
+   * Returns a rotation matrix about the z-axis moving the positive x-axis
+   * towards the positive y-axis by `phi`.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  fromRotationZ(phi: number, out?: Mat): Mat;
+
+  /**
+   * Returns a scaling matrix with the components of `v` as factors.
+   * @param v A vector.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  fromScaling(v: Vec3Like, out?: Mat): Mat;
+}
+
+declare interface Mat3Constructor extends Mat3ConstructorBase<Mat3> {
+  /**
+   * Creates a 3x3 matrix from its elements in column-major order (`mCR`
+   * being the element at column `C` and row `R`). Defaults to the identity.
+   */
+  new(
+    m00?: number, m01?: number, m02?: number,
+    m10?: number, m11?: number, m12?: number,
+    m20?: number, m21?: number, m22?: number
+  ): Mat3;
+}
+
+// #region Mat4
+
+declare interface Mat4 extends MatPropertiesBase, MatMethodsBase<Mat4> { }
+
+declare interface Mat4Constructor extends Mat3ConstructorBase<Mat4> {
+  /**
+   * Creates a 4x4 matrix from its elements in column-major order (`mCR`
+   * being the element at column `C` and row `R`). Defaults to the identity.
+   */
+  new(
+    m00?: number, m01?: number, m02?: number, m03?: number,
+    m10?: number, m11?: number, m12?: number, m13?: number,
+    m20?: number, m21?: number, m22?: number, m23?: number,
+    m30?: number, m31?: number, m32?: number, m33?: number
+  ): Mat4;
+
+  /**
+   * Returns a translation matrix with the components of `v` as offsets.
+   * @param v A vector.
+   * @param out A matrix to write the result into, a new one by default.
+   * @returns A new matrix.
+   */
+  fromTranslation(v: Vec3Like, out?: Mat4): Mat4;
+}
+
+// #region Quat
+
+/**
+ * The order in which Euler angles are applied, about fixed axes.
+ */
+declare type EulerOrder = 'XYZ' | 'XZY' | 'YXZ' | 'YZX' | 'ZXY' | 'ZYX';
+
+declare interface QuatProperties {
+  /**
+   * The `magnitude` (aka. norm) of this quaternion.
+   */
+  readonly magnitude: number;
+
+  /**
+   * The `w` (real) component of this quaternion.
+   */
+  w: number;
+
+  /**
+   * The `x` component of this quaternion's vector part.
+   */
+  x: number;
+
+  /**
+   * Shortcut to get all the components of this quaternion as an array.
+   */
+  xyzw: number[];
+
+  /**
+   * The `y` component of this quaternion's vector part.
+   */
+  y: number;
+
+  /**
+   * The `z` component of this quaternion's vector part.
+   */
+  z: number;
+
+  /**
+   * Iterator method for this quaternion.
+   * @yields This quaternion's components.
+   */
+  [Symbol.iterator](): Generator<number, void, undefined>;
+}
+
+declare interface QuatMethods {
+  /**
+   * Returns a new copy of this quaternion.
+   * @returns A new quaternion.
+   */
+  clone(): Quat;
+
+  /**
+   * Transforms this quaternion into its conjugate (i.e.: the negation of its
+   * vector part), which is its inverse for unit quaternions.
+   * @returns This quaternion.
+   */
+  conjugate(): this;
+
+  /**
+   * Copy each component from quaternion `q` to this quaternion.
+   * @param q A quaternion.
+   * @returns This quaternion.
+   */
+  copy(q: Quat): this;
+
+  /**
+   * Computes the dot product between this quaternion and quaternion `q`.
+   * @param q A quaternion.
+   * @returns The dot product.
+   */
+  dot(q: Quat): number;
+
+  /**
+   * Transforms this quaternion into the identity quaternion (i.e.: no
+   * rotation).
+   * @returns This quaternion.
+   */
+  identity(): this;
+
+  /**
+   * Transforms this quaternion into its inverse. A zero quaternion is left as
+   * is (or `VecError` is thrown in strict mode).
+   * @returns This quaternion.
+   */
+  invert(): this;
+
+  /**
+   * Transforms this quaternion into the product of itself times `q` (i.e.: `q`
+   * is applied first when rotating a vector).
+   * @param q A quaternion.
+   * @returns This quaternion.
+   */
+  multiply(q: Quat): this;
+
+  /**
+   * Normalized linear interpolation from this quaternion to `q` along the
+   * shortest path. Parameter `t` is clamped to the range of [0, 1].
+   * @param q A quaternion.
+   * @param t The interpolant (aka. alpha), a numeric value.
+   * @returns This quaternion.
+   */
+  nlerp(q: Quat, t: number): this;
+
+  /**
+   * Transforms this quaternion into a unit quaternion (i.e.: `magnitude` = 1).
+   * A zero quaternion is left as is (or `VecError` is thrown in strict mode).
+   * @returns This quaternion.
+   */
+  normalize(): this;
+
+  /**
+   * Transforms this quaternion into the product of `q` times itself (i.e.: `q`
+   * is applied last when rotating a vector).
+   * @param q A quaternion.
+   * @returns This quaternion.
+   */
+  premultiply(q: Quat): this;
+
+  /**
+   * Spherical linear interpolation from this unit quaternion to unit
+   * quaternion `q` along the shortest path, at constant angular speed.
+   * Parameter `t` is clamped to the range of [0, 1].
+   * @param q A quaternion.
+   * @param t The interpolant (aka. alpha), a numeric value.
+   * @returns This quaternion.
+   */
+  slerp(q: Quat, t: number): this;
+
+  /**
+   * Returns a plain object with the components of this quaternion, as used by
+   * `JSON.stringify`.
+   * @returns A new object.
+   */
+  toJSON(): { x: number; y: number; z: number; w: number };
+
+  /**
+   * Returns the rotation matrix equivalent to this unit quaternion.
+   * @returns A new matrix.
+   */
+  toMat3(): Mat3;
+
+  /**
+   * Returns the homogeneous rotation matrix equivalent to this unit
+   * quaternion.
+   * @returns A new matrix.
+   */
+  toMat4(): Mat4;
+
+  /**
+   * Returns a string representation of this quaternion, e.g.:
+   * `Quat(0, 0, 0, 1)`.
+   * @param precision A number of digits after the decimal point, none (i.e.:
+   * the shortest exact representation) by default.
+   * @returns A string.
+   */
+  toString(precision?: number): string;
+}
+
+declare interface Quat extends QuatProperties, QuatMethods { }
+
+declare interface QuatConstructor {
+  /**
+   * Creates a quaternion from its vector part (`x`, `y`, and `z`) and its real
+   * part `w`. Defaults to the identity quaternion.
+   * @param x A numeric value.
+   * @param y A numeric value.
+   * @param z A numeric value.
+   * @param w A numeric value.
+   */
+  new(x?: number, y?: number, z?: number, w?: number): Quat;
+
+  /**
+   * Returns the conjugate of quaternion `q`.
+   * @param q A quaternion.
+   * @param out A quaternion to write the result into, a new one by default.
+   * @returns A new quaternion.
+   */
+  conjugate(q: Quat, out?: Quat): Quat;
+
+  /**
+   * Computes the dot product between `q` and `r`.
+   * @param q A quaternion.
+   * @param r A quaternion.
+   * @returns The dot product.
+   */
+  dot(q: Quat, r: Quat): number;
+
+  /**
+   * Returns a unit quaternion representing a rotation of `phi` about `axis`
+   * (counter-clockwise when looking from the tip of `axis` towards the
+   * origin). A zero `axis` results in the identity quaternion (or `VecError`
+   * is thrown in strict mode).
+   * @param axis A vector, it does not need to be normalized.
+   * @param phi Angle in radians, a numeric value.
+   * @param out A quaternion to write the result into, a new one by default.
+   * @returns A new quaternion.
+   */
+  fromAxisAngle(axis: Vec3Like, phi: number, out?: Quat): Quat;
+
+  /**
+   * Returns a unit quaternion equivalent to rotating about the x, y, and z
+   * axes by `x`, `y`, and `z` respectively, in the given `order` (about fixed
+   * axes). Each rotation follows `Vec3`'s `rotateX`, `rotateY`, and `rotateZ`.
+   * @param x Angle in radians, a numeric value.
+   * @param y Angle in radians, a numeric value.
+   * @param z Angle in radians, a numeric value.
+   * @param order Order in which rotations are applied, `'XYZ'` by default,
+   * any other value throws a `TypeError`.
+   * @param out A quaternion to write the result into, a new one by default
+   * (any other value throws a `TypeError`).
+   * @returns A new quaternion.
+   */
+  fromEuler(
+    x: number,
+    y: number,
+    z: number,
+    order?: EulerOrder,
+    out?: Quat
+  ): Quat;
+
+  /**
+   * Returns a unit quaternion equivalent to rotating about the x, y, and z
+   * axes by `x`, `y`, and `z` respectively, in the default `'XYZ'` order.
+   * @param x Angle in radians, a numeric value.
+   * @param y Angle in radians, a numeric value.
+   * @param z Angle in radians, a numeric value.
+   * @param out A quaternion to write the result into.
+   * @returns The given quaternion.
+   */
+  fromEuler(x: number, y: number, z: number, out: Quat): Quat;
+
+  /**
+   * Returns the unit quaternion equivalent to the rotation matrix `m`.
+   * @param m A matrix.
+   * @param out A quaternion to write the result into, a new one by default.
+   * @returns A new quaternion.
+   */
+  fromMat3(m: Mat3, out?: Quat): Quat;
+
+  /**
+   * Returns the unit quaternion equivalent to the rotation part of the
+   * homogeneous matrix `m`.
+   * @param m A matrix.
+   * @param out A quaternion to write the result into, a new one by default.
+   * @returns A new quaternion.
+   */
+  fromMat4(m: Mat4, out?: Quat): Quat;
+
+  /**
+   * Returns a quaternion from its JSON representation, either a string or an
+   * already parsed object with `x`, `y`, `z`, and `w` components. Components
+   * written as `null` (i.e.: `NaN` and infinite numbers, by `JSON.stringify`)
+   * are read as `NaN`.
+   * @param json A JSON string or an object.
+   * @param out A quaternion to write the result into, a new one by default.
+   * @returns A new quaternion.
+   */
+  fromJSON(
+    json: string | { x: number; y: number; z: number; w: number },
+    out?: Quat
+  ): Quat;
+
+  /**
+   * Returns the unit quaternion representing the shortest rotation from the
+   * direction of `v` to the direction of `w`. A zero `v` or `w` results in
+   * the identity quaternion (or `VecError` is thrown in strict mode).
+   * @param v A vector.
+   * @param w A vector.
+   * @param out A quaternion to write the result into, a new one by default.
+   * @returns A new quaternion.
+   */
+  fromVectors(v: Vec3Like, w: Vec3Like, out?: Quat): Quat;
+
+  /**
+   * Returns the identity quaternion (i.e.: no rotation).
+   * @param out A quaternion to write the result into, a new one by default.
+   * @returns A new quaternion.
+   */
+  identity(out?: Quat): Quat;
+
+  /**
+   * Returns the inverse of quaternion `q`. A zero quaternion results in a zero
+   * quaternion (or `VecError` is thrown in strict mode).
+   * @param q A quaternion.
+   * @param out A quaternion to write the result into, a new one by default.
+   * @returns A new quaternion.
+   */
+  invert(q: Quat, out?: Quat): Quat;
+
+  /**
+   * Returns the product of `q` times `r` (i.e.: `r` is applied first when
+   * rotating a vector).
+   * @param q A quaternion.
+   * @param r A quaternion.
+   * @param out A quaternion to write the result into, a new one by default.
+   * @returns A new quaternion.
+   */
+  multiply(q: Quat, r: Quat, out?: Quat): Quat;
+
+  /**
+   * Normalized linear interpolation from `q` to `r` along the shortest path.
+   * Parameter `t` is clamped to the range of [0, 1].
+   * @param q A quaternion.
+   * @param r A quaternion.
+   * @param t The interpolant (aka. alpha), a numeric value.
+   * @param out A quaternion to write the result into, a new one by default.
+   * @returns A new quaternion.
+   */
+  nlerp(q: Quat, r: Quat, t: number, out?: Quat): Quat;
+
+  /**
+   * Returns a unit quaternion (i.e.: `magnitude` = 1) from quaternion `q`. A
+   * zero quaternion results in a zero quaternion (or `VecError` is thrown in
+   * strict mode).
+   * @param q A quaternion.
+   * @param out A quaternion to write the result into, a new one by default.
+   * @returns A new quaternion.
+   */
+  normalize(q: Quat, out?: Quat): Quat;
+
+  /**
+   * Spherical linear interpolation from unit quaternion `q` to unit quaternion
+   * `r` along the shortest path. Parameter `t` is clamped to the range of [0,
+   * 1].
+   * @param q A quaternion.
+   * @param r A quaternion.
+   * @param t The interpolant (aka. alpha), a numeric value.
+   * @param out A quaternion to write the result into, a new one by default.
+   * @returns A new quaternion.
+   */
+  slerp(q: Quat, r: Quat, t: number, out?: Quat): Quat;
+}
+
+// #region Vec2Array
+
+declare type VecArrayStorage = Float32Array | Float64Array;
+
+declare interface VecArrayBase<Vec, VecLike, VecArray> {
+  /**
+   * The underlying typed array, with the components of each vector packed one
+   * after another (e.g.: x0, y0, x1, y1, ...).
+   */
+  readonly data: VecArrayStorage;
+
+  /**
+   * The number of vectors.
+   */
+  readonly length: number;
+
+  /**
+   * Adds `v` to each vector, or each vector of `v` to its counterpart when it
+   * is a vector array (of the same length, otherwise a `RangeError` is
+   * thrown).
+   * @param v A vector or a vector array.
+   * @returns This vector array.
+   */
+  add(v: VecLike | VecArray): this;
+
+  /**
+   * Returns a view of the vector at `index`, i.e.: a regular vector whose
+   * components live in this array's storage, so mutating one mutates the
+   * other. Its magnitude is kept up to date, even after bulk operations.
+   * @param index A non-negative integer, below `length` (otherwise a
+   * `RangeError` is thrown).
+   * @param view A (mutable) vector to bind instead of creating a new one.
+   * @returns A view of the vector.
+   */
+  at(index: number, view?: Vec): Vec;
+
+  /**
+   * Returns the minimum and maximum corners of the axis-aligned box bounding
+   * all the vectors.
+   * @param min A vector to write the minimum corner into, a new one by
+   * default.
+   * @param max A vector to write the maximum corner into, a new one by
+   * default.
+   * @returns Both corners.
+   */
+  bounds(min?: Vec, max?: Vec): [Vec, Vec];
+
+  /**
+   * Returns the average of all the vectors, a zero vector if there are none.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns The centroid.
+   */
+  centroid(out?: Vec): Vec;
+
+  /**
+   * Computes the dot product of each vector with `v`, or with its counterpart
+   * when `v` is a vector array (of the same length, otherwise a `RangeError`
+   * is thrown).
+   * @param v A vector or a vector array.
+   * @param out An array to write the results into, a new one by default (a
+   * `RangeError` is thrown if it's shorter than this vector array).
+   * @returns The dot products.
+   */
+  dot<T extends number[] | VecArrayStorage = Float64Array>(
+    v: VecLike | VecArray,
+    out?: T
+  ): T;
+
+  /**
+   * Encodes the vectors into a binary buffer: an 8 bytes header (the number
+   * of components per vector and of bytes per component as uint8, 2 reserved
+   * bytes, and the number of vectors as uint32) followed by every component,
+   * all of it little-endian.
+   * @param precision Bits per component, either 32 or 64 (by default).
+   * @returns A new buffer.
+   */
+  encode(precision?: 32 | 64): ArrayBuffer;
+
+  /**
+   * Calls `callback` once per vector with a view of it. The same view is
+   * reused (i.e.: bound to each vector in turn), so it must not be kept.
+   * @param callback A function.
+   */
+  forEach(callback: (view: VecLike, index: number, array: this) => void): void;
+
+  /**
+   * Returns a copy of the vector at `index`.
+   * @param index A non-negative integer, below `length` (otherwise a
+   * `RangeError` is thrown).
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A vector.
+   */
+  get(index: number, out?: Vec): Vec;
+
+  /**
+   * Linearly interpolates each vector towards `v`, or towards its counterpart
+   * when `v` is a vector array (of the same length, otherwise a `RangeError`
+   * is thrown). Parameter `t` is clamped to the range of [0, 1].
+   * @param v A vector or a vector array.
+   * @param t The interpolant (aka. alpha), a numeric value.
+   * @returns This vector array.
+   */
+  lerp(v: VecLike | VecArray, t: number): this;
+
+  /**
+   * Transforms each vector into a unit vector (i.e.: `magnitude` = 1). Zero
+   * vectors stay zero vectors (or `VecError` is thrown in strict mode).
+   * @returns This vector array.
+   */
+  normalize(): this;
+
+  /**
+   * Multiplies each vector by a given scalar `c`.
+   * @param c A numeric value.
+   * @returns This vector array.
+   */
+  scale(c: number): this;
+
+  /**
+   * Copies the components of vector `v` into the vector at `index`.
+   * @param index A non-negative integer, below `length` (otherwise a
+   * `RangeError` is thrown).
+   * @param v A vector.
+   * @returns This vector array.
+   */
+  set(index: number, v: VecLike): this;
+
+  /**
+   * Subtracts `v` from each vector, or each vector of `v` from its
+   * counterpart when it is a vector array (of the same length, otherwise a
+   * `RangeError` is thrown).
+   * @param v A vector or a vector array.
+   * @returns This vector array.
+   */
+  subtract(v: VecLike | VecArray): this;
+
+  /**
+   * Returns the addition of all the vectors.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns The sum.
+   */
+  sum(out?: Vec): Vec;
+
+  /**
+   * Iterator method for this vector array.
+   * @yields A view of each vector.
+   */
+  [Symbol.iterator](): Generator<Vec, void, undefined>;
+}
+
+declare interface Vec2Array extends VecArrayBase<Vec2, Vec2Like, Vec2Array> {
+  /**
+   * Transforms each vector by matrix `m`.
+   * @param m A matrix.
+   * @returns This vector array.
+   */
+  transform(m: Mat2): this;
+}
+
+declare interface VecArrayConstructorBase<VecLike, VecArray> {
+  /**
+   * Decodes a vector array from a buffer made by `encode`, with a
+   * `Float32Array` or `Float64Array` storage to match its precision.
+   * @param buffer A buffer, or a view of it.
+   * @returns A new vector array.
+   */
+  decode(buffer: ArrayBuffer | ArrayBufferView): VecArray;
+
+  /**
+   * Creates a vector array from the given vectors.
+   * @param vectors An array of vectors.
+   * @returns A new vector array.
+   */
+  from(vectors: ArrayLike<VecLike>): VecArray;
+}
+
+declare interface Vec2ArrayConstructor extends
+  VecArrayConstructorBase<Vec2Like, Vec2Array> {
+  /**
+   * Creates an array of 2-dimensional vectors, either filled with zeros or
+   * wrapping the given typed array (without copying it), or copying the
+   * given array of components.
+   * @param source A number of vectors (0 by default), an array, or a
+   * `Float32Array` or `Float64Array` (otherwise a `TypeError` is thrown).
+   */
+  new(source?: number | number[] | VecArrayStorage): Vec2Array;
+}
+
+// #region Vec3Array
+
+declare interface Vec3Array extends VecArrayBase<Vec3, Vec3Like, Vec3Array> {
+  /**
+   * Transforms each vector by matrix `m`.
+   * @param m A matrix.
+   * @returns This vector array.
+   */
+  transform(m: Mat3): this;
+
+  /**
+   * Transforms each vector as a direction by the homogeneous matrix `m` (i.e.:
+   * with w = 0, so translation is ignored).
+   * @param m A matrix.
+   * @returns This vector array.
+   */
+  transformDirection(m: Mat4): this;
+
+  /**
+   * Transforms each vector as a point by the homogeneous matrix `m` (i.e.:
+   * with w = 1, dividing the result by its resulting w).
+   * @param m A matrix.
+   * @returns This vector array.
+   */
+  transformPoint(m: Mat4): this;
+}
+
+declare interface Vec3ArrayConstructor extends
+  VecArrayConstructorBase<Vec3Like, Vec3Array> {
+  /**
+   * Creates an array of 3-dimensional vectors, either filled with zeros or
+   * wrapping the given typed array (without copying it), or copying the
+   * given array of components.
+   * @param source A number of vectors (0 by default), an array, or a
+   * `Float32Array` or `Float64Array` (otherwise a `TypeError` is thrown).
+   */
+  new(source?: number | number[] | VecArrayStorage): Vec3Array;
+}
+
+// #region Vec4Array
+
+declare interface Vec4Array extends VecArrayBase<Vec4, Vec4Like, Vec4Array> {
+  /**
+   * Transforms each vector by matrix `m`.
+   * @param m A matrix.
+   * @returns This vector array.
+   */
+  transform(m: Mat4): this;
+}
+
+declare interface Vec4ArrayConstructor extends
+  VecArrayConstructorBase<Vec4Like, Vec4Array> {
+  /**
+   * Creates an array of 4-dimensional vectors, either filled with zeros or
+   * wrapping the given typed array (without copying it), or copying the
+   * given array of components.
+   * @param source A number of vectors (0 by default), an array, or a
+   * `Float32Array` or `Float64Array` (otherwise a `TypeError` is thrown).
+   */
+  new(source?: number | number[] | VecArrayStorage): Vec4Array;
+}
+
+// #region Ray3
+
+declare interface Ray3 {
+  /**
+   * The direction of this ray, normalized for `t` values to be distances.
+   * Setting it copies the given vector.
+   */
+  direction: Vec3;
+
+  /**
+   * The origin of this ray. Setting it copies the given vector.
+   */
+  origin: Vec3;
+
+  /**
+   * Returns the point of this ray at `t` (i.e.: `origin + direction * t`).
+   * @param t A numeric value.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  at(t: number, out?: Vec3): Vec3;
+
+  /**
+   * Returns a new copy of this ray.
+   * @returns A new ray.
+   */
+  clone(): Ray3;
+
+  /**
+   * Returns the point of this ray closest to `point`.
+   * @param point A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  closestPoint(point: Vec3Like, out?: Vec3): Vec3;
+
+  /**
+   * Copies the origin and direction of `ray` to this ray.
+   * @param ray A ray.
+   * @returns This ray.
+   */
+  copy(ray: Ray3): this;
+
+  /**
+   * Computes the distance from this ray to `point`.
+   * @param point A vector.
+   * @returns The distance.
+   */
+  distanceToPoint(point: Vec3Like): number;
+
+  /**
+   * Finds where this ray enters `box` with the slab method (or where it
+   * starts, if it's inside).
+   * @param box A box.
+   * @returns The `t` of the intersection, or `null` if there's none.
+   */
+  intersectAABB(box: AABB3): number | null;
+
+  /**
+   * Finds where this ray crosses `plane`.
+   * @param plane A plane.
+   * @returns The `t` of the intersection, or `null` if there's none (e.g.:
+   * the ray is parallel to the plane).
+   */
+  intersectPlane(plane: Plane): number | null;
+
+  /**
+   * Finds where this ray hits `sphere` first (on its way out, if it starts
+   * inside).
+   * @param sphere A sphere.
+   * @returns The `t` of the intersection, or `null` if there's none.
+   */
+  intersectSphere(sphere: Sphere): number | null;
+
+  /**
+   * Finds where this ray hits `triangle` with the Möller–Trumbore algorithm.
+   * @param triangle A triangle.
+   * @param cullBackFaces Whether or not to ignore the triangle when its
+   * vertices are clockwise as seen from the ray (`false` by default).
+   * @returns The `t` of the intersection, or `null` if there's none.
+   */
+  intersectTriangle(
+    triangle: Triangle3,
+    cullBackFaces?: boolean
+  ): number | null;
+}
+
+declare interface Ray3Constructor {
+  /**
+   * Creates a ray from its `origin` and `direction`. Defaults to the origin
+   * pointing to the positive z-axis.
+   * @param origin A vector.
+   * @param direction A vector.
+   */
+  new(origin?: Vec3Like, direction?: Vec3Like): Ray3;
+}
+
+// #region Segment2
+
+declare interface Segment2 {
+  /**
+   * The end point of this segment. Setting it copies the given vector.
+   */
+  end: Vec2;
+
+  /**
+   * The length of this segment.
+   */
+  readonly length: number;
+
+  /**
+   * The start point of this segment. Setting it copies the given vector.
+   */
+  start: Vec2;
+
+  /**
+   * Returns the point of this segment at `t`, interval [0, 1] (i.e.: from
+   * `start` to `end`).
+   * @param t A numeric value, clamped to [0, 1].
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  at(t: number, out?: Vec2): Vec2;
+
+  /**
+   * Returns a new copy of this segment.
+   * @returns A new segment.
+   */
+  clone(): Segment2;
+
+  /**
+   * Returns the point of this segment closest to `point`.
+   * @param point A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  closestPoint(point: Vec2Like, out?: Vec2): Vec2;
+
+  /**
+   * Copies the start and end points of `segment` to this segment.
+   * @param segment A segment.
+   * @returns This segment.
+   */
+  copy(segment: Segment2): this;
+
+  /**
+   * Computes the distance from this segment to `point`.
+   * @param point A vector.
+   * @returns The distance.
+   */
+  distanceToPoint(point: Vec2Like): number;
+
+  /**
+   * Finds where this segment crosses `segment`.
+   * @param segment A segment.
+   * @returns The `t` of the intersection along this segment, or `null` if
+   * there's none (parallel segments included).
+   */
+  intersectSegment(segment: Segment2): number | null;
+}
+
+declare interface Segment2Constructor {
+  /**
+   * Creates a segment from its `start` and `end` points.
+   * @param start A vector.
+   * @param end A vector.
+   */
+  new(start?: Vec2Like, end?: Vec2Like): Segment2;
+}
+
+// #region Segment3
+
+declare interface Segment3 {
+  /**
+   * The end point of this segment. Setting it copies the given vector.
+   */
+  end: Vec3;
+
+  /**
+   * The length of this segment.
+   */
+  readonly length: number;
+
+  /**
+   * The start point of this segment. Setting it copies the given vector.
+   */
+  start: Vec3;
+
+  /**
+   * Returns the point of this segment at `t`, interval [0, 1] (i.e.: from
+   * `start` to `end`).
+   * @param t A numeric value, clamped to [0, 1].
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  at(t: number, out?: Vec3): Vec3;
+
+  /**
+   * Returns a new copy of this segment.
+   * @returns A new segment.
+   */
+  clone(): Segment3;
+
+  /**
+   * Returns the point of this segment closest to `point`.
+   * @param point A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  closestPoint(point: Vec3Like, out?: Vec3): Vec3;
+
+  /**
+   * Copies the start and end points of `segment` to this segment.
+   * @param segment A segment.
+   * @returns This segment.
+   */
+  copy(segment: Segment3): this;
+
+  /**
+   * Computes the distance from this segment to `point`.
+   * @param point A vector.
+   * @returns The distance.
+   */
+  distanceToPoint(point: Vec3Like): number;
+}
+
+declare interface Segment3Constructor {
+  /**
+   * Creates a segment from its `start` and `end` points.
+   * @param start A vector.
+   * @param end A vector.
+   */
+  new(start?: Vec3Like, end?: Vec3Like): Segment3;
+}
+
+// #region Plane
+
+declare interface Plane {
+  /**
+   * The signed distance from the origin to this plane, against its normal
+   * (i.e.: `normal · p + constant = 0` for every point `p` on it).
+   */
+  constant: number;
+
+  /**
+   * The unit normal of this plane. Setting it copies the given vector,
+   * normalized (`constant` is kept as is).
+   */
+  normal: Vec3;
+
+  /**
+   * Returns a new copy of this plane.
+   * @returns A new plane.
+   */
+  clone(): Plane;
+
+  /**
+   * Returns the projection of `point` onto this plane.
+   * @param point A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  closestPoint(point: Vec3Like, out?: Vec3): Vec3;
+
+  /**
+   * Checks whether or not `point` lies on this plane.
+   * @param point A vector.
+   * @param epsilon Tolerance (absolute), `1e-10` by default.
+   * @returns `true` if it does, `false` otherwise.
+   */
+  containsPoint(point: Vec3Like, epsilon?: number): boolean;
+
+  /**
+   * Copies the normal and constant of `plane` to this plane.
+   * @param plane A plane.
+   * @returns This plane.
+   */
+  copy(plane: Plane): this;
+
+  /**
+   * Computes the signed distance from this plane to `point`, positive on the
+   * side its normal points to.
+   * @param point A vector.
+   * @returns The signed distance.
+   */
+  distanceToPoint(point: Vec3Like): number;
+}
+
+declare interface PlaneConstructor {
+  /**
+   * Creates a plane from its `normal` and its `constant` (see `constant`),
+   * i.e.: every point `p` such that `normal · p + constant = 0`, both divided
+   * by the magnitude of `normal` so that it's a unit vector. Defaults to the
+   * xy-plane.
+   * @param normal A non-zero vector, not necessarily normalized.
+   * @param constant A numeric value.
+   */
+  new(normal?: Vec3Like, constant?: number): Plane;
+
+  /**
+   * Returns the plane with the given `normal` through `point`.
+   * @param normal A non-zero vector, not necessarily normalized.
+   * @param point A vector.
+   * @param out A plane to write the result into, a new one by default.
+   * @returns A new plane.
+   */
+  fromNormalAndPoint(normal: Vec3Like, point: Vec3Like, out?: Plane): Plane;
+
+  /**
+   * Returns the plane through `a`, `b`, and `c`, facing the side they are
+   * counter-clockwise from.
+   * @param a A vector.
+   * @param b A vector.
+   * @param c A vector.
+   * @param out A plane to write the result into, a new one by default.
+   * @returns A new plane.
+   */
+  fromPoints(a: Vec3Like, b: Vec3Like, c: Vec3Like, out?: Plane): Plane;
+}
+
+// #region Circle
+
+declare interface Circle {
+  /**
+   * The center of this circle. Setting it copies the given vector.
+   */
+  center: Vec2;
+
+  /**
+   * The radius of this circle.
+   */
+  radius: number;
+
+  /**
+   * Returns a new copy of this circle.
+   * @returns A new circle.
+   */
+  clone(): Circle;
+
+  /**
+   * Returns the point of this circle (its area) closest to `point`, i.e.:
+   * `point` itself when it's inside.
+   * @param point A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  closestPoint(point: Vec2Like, out?: Vec2): Vec2;
+
+  /**
+   * Checks whether or not `point` lies inside this circle (inclusive).
+   * @param point A vector.
+   * @returns `true` if it does, `false` otherwise.
+   */
+  containsPoint(point: Vec2Like): boolean;
+
+  /**
+   * Copies the center and radius of `circle` to this circle.
+   * @param circle A circle.
+   * @returns This circle.
+   */
+  copy(circle: Circle): this;
+
+  /**
+   * Computes the signed distance from the edge of this circle to `point`,
+   * negative inside.
+   * @param point A vector.
+   * @returns The signed distance.
+   */
+  distanceToPoint(point: Vec2Like): number;
+
+  /**
+   * Checks whether or not this circle and `circle` overlap (or touch).
+   * @param circle A circle.
+   * @returns `true` if they do, `false` otherwise.
+   */
+  intersectsCircle(circle: Circle): boolean;
+}
+
+declare interface CircleConstructor {
+  /**
+   * Creates a circle from its `center` and `radius`. Defaults to the unit
+   * circle.
+   * @param center A vector.
+   * @param radius A numeric value.
+   */
+  new(center?: Vec2Like, radius?: number): Circle;
+}
+
+// #region Sphere
+
+declare interface Sphere {
+  /**
+   * The center of this sphere. Setting it copies the given vector.
+   */
+  center: Vec3;
+
+  /**
+   * The radius of this sphere.
+   */
+  radius: number;
+
+  /**
+   * Returns a new copy of this sphere.
+   * @returns A new sphere.
+   */
+  clone(): Sphere;
+
+  /**
+   * Returns the point of this sphere (its volume) closest to `point`, i.e.:
+   * `point` itself when it's inside.
+   * @param point A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  closestPoint(point: Vec3Like, out?: Vec3): Vec3;
+
+  /**
+   * Checks whether or not `point` lies inside this sphere (inclusive).
+   * @param point A vector.
+   * @returns `true` if it does, `false` otherwise.
+   */
+  containsPoint(point: Vec3Like): boolean;
+
+  /**
+   * Copies the center and radius of `sphere` to this sphere.
+   * @param sphere A sphere.
+   * @returns This sphere.
+   */
+  copy(sphere: Sphere): this;
+
+  /**
+   * Computes the signed distance from the surface of this sphere to `point`,
+   * negative inside.
+   * @param point A vector.
+   * @returns The signed distance.
+   */
+  distanceToPoint(point: Vec3Like): number;
+
+  /**
+   * Checks whether or not this sphere and `sphere` overlap (or touch).
+   * @param sphere A sphere.
+   * @returns `true` if they do, `false` otherwise.
+   */
+  intersectsSphere(sphere: Sphere): boolean;
+}
+
+declare interface SphereConstructor {
+  /**
+   * Creates a sphere from its `center` and `radius`. Defaults to the unit
+   * sphere.
+   * @param center A vector.
+   * @param radius A numeric value.
+   */
+  new(center?: Vec3Like, radius?: number): Sphere;
+}
+
+// #region AABB2
+
+declare interface AABBBase<Vec, VecLike, AABB> {
+  /**
+   * The maximum corner of this box. Setting it copies the given vector.
+   */
+  max: Vec;
+
+  /**
+   * The minimum corner of this box. Setting it copies the given vector.
+   */
+  min: Vec;
+
+  /**
+   * Returns the center of this box.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  center(out?: Vec): Vec;
+
+  /**
+   * Returns a new copy of this box.
+   * @returns A new box.
+   */
+  clone(): AABB;
+
+  /**
+   * Returns the point of this box closest to `point`, i.e.: `point` itself
+   * when it's inside.
+   * @param point A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  closestPoint(point: VecLike, out?: Vec): Vec;
+
+  /**
+   * Checks whether or not `point` lies inside this box (inclusive).
+   * @param point A vector.
+   * @returns `true` if it does, `false` otherwise.
+   */
+  containsPoint(point: VecLike): boolean;
+
+  /**
+   * Copies the corners of `box` to this box.
+   * @param box A box.
+   * @returns This box.
+   */
+  copy(box: AABB): this;
+
+  /**
+   * Computes the distance from this box to `point`, 0 inside.
+   * @param point A vector.
+   * @returns The distance.
+   */
+  distanceToPoint(point: VecLike): number;
+
+  /**
+   * Expands this box to contain `point`.
+   * @param point A vector.
+   * @returns This box.
+   */
+  expandByPoint(point: VecLike): this;
+
+  /**
+   * Checks whether or not this box and `box` overlap (or touch).
+   * @param box A box.
+   * @returns `true` if they do, `false` otherwise.
+   */
+  intersectsAABB(box: AABB): boolean;
+
+  /**
+   * Checks whether or not this box is empty, i.e.: its minimum corner is
+   * greater than its maximum corner in any axis.
+   * @returns `true` if it is, `false` otherwise.
+   */
+  isEmpty(): boolean;
+
+  /**
+   * Makes this box empty (i.e.: minimum corner at +Infinity and maximum
+   * corner at -Infinity), so any point expands it.
+   * @returns This box.
+   */
+  makeEmpty(): this;
+
+  /**
+   * Returns the size of this box along each axis.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  size(out?: Vec): Vec;
+}
+
+declare interface AABB2 extends AABBBase<Vec2, Vec2Like, AABB2> { }
+
+declare interface AABB2Constructor {
+  /**
+   * Creates an axis-aligned bounding box from its `min` and `max` corners.
+   * Empty by default.
+   * @param min A vector.
+   * @param max A vector.
+   */
+  new(min?: Vec2Like, max?: Vec2Like): AABB2;
+
+  /**
+   * Returns the smallest box containing every point of `points`.
+   * @param points An iterable of vectors.
+   * @param out A box to write the result into, a new one by default.
+   * @returns A new box.
+   */
+  fromPoints(points: Iterable<Vec2Like>, out?: AABB2): AABB2;
+}
+
+// #region AABB3
+
+declare interface AABB3 extends AABBBase<Vec3, Vec3Like, AABB3> { }
+
+declare interface AABB3Constructor {
+  /**
+   * Creates an axis-aligned bounding box from its `min` and `max` corners.
+   * Empty by default.
+   * @param min A vector.
+   * @param max A vector.
+   */
+  new(min?: Vec3Like, max?: Vec3Like): AABB3;
+
+  /**
+   * Returns the smallest box containing every point of `points`.
+   * @param points An iterable of vectors.
+   * @param out A box to write the result into, a new one by default.
+   * @returns A new box.
+   */
+  fromPoints(points: Iterable<Vec3Like>, out?: AABB3): AABB3;
+}
+
+// #region Triangle3
+
+declare interface Triangle3 {
+  /**
+   * The first vertex of this triangle. Setting it copies the given vector.
+   */
+  a: Vec3;
+
+  /**
+   * The area of this triangle.
+   */
+  readonly area: number;
+
+  /**
+   * The second vertex of this triangle. Setting it copies the given vector.
+   */
+  b: Vec3;
+
+  /**
+   * The third vertex of this triangle. Setting it copies the given vector.
+   */
+  c: Vec3;
 
   /**
-   * Returns a unit vector (i.e.: `magnitude` = 1) from vector `v`.
-   * @param v A vector.
-   * @returns A new Vector.
+   * Returns a new copy of this triangle.
+   * @returns A new triangle.
    */
-  normalize(v: Vec): Vec;
+  clone(): Triangle3;
 
   /**
-   * Returns a vector that is the orthogonal projection of `v` onto `w`, i.e.:
-   * the component of `v` projected on `w` (in direction of `w`).
-   * @param v A vector.
-   * @param w A vector.
-   * @returns The projection vector.
+   * Returns the point of this triangle closest to `point`.
+   * @param point A vector.
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
    */
-  project(v: Vec, w: Vec): Vec;
+  closestPoint(point: Vec3Like, out?: Vec3): Vec3;
 
   /**
-   * Checks whether or not `v` and `w` satisfy the equality definition.
-   * @param v A vector.
-   * @param w A vector.
-   * @returns Boolean result.
+   * Checks whether or not `point` lies inside this triangle (inclusive), i.e.:
+   * on its plane (within `epsilon`) and inside its edges.
+   * @param point A vector.
+   * @param epsilon Tolerance (absolute) of the distance to the plane of this
+   * triangle, `1e-10` by default.
+   * @returns `true` if it does, `false` otherwise.
    */
-  satisfyEquality(v: Vec, w: Vec): boolean;
+  containsPoint(point: Vec3Like, epsilon?: number): boolean;
 
   /**
-   * Checks whether or not `v` and `w` satisfy the opposition definition.
-   * @param v A vector.
-   * @param w A vector.
-   * @returns Boolean result.
+   * Copies the vertices of `triangle` to this triangle.
+   * @param triangle A triangle.
+   * @returns This triangle.
    */
-  satisfyOpposition(v: Vec, w: Vec): boolean;
+  copy(triangle: Triangle3): this;
 
   /**
-   * Returns the scalar multiplication of `v` by a given scalar `c`.
-   * @param v A vector.
-   * @param c A numeric value.
-   * @returns A new vector.
+   * Computes the distance from this triangle to `point`.
+   * @param point A vector.
+   * @returns The distance.
    */
-  scale(v: Vec, c: number): Vec;
+  distanceToPoint(point: Vec3Like): number;
 
   /**
-   * Returns the subtraction of `v` minus `w`.
-   * @param v A vector.
-   * @param w A vector.
+   * Returns the unit normal of this triangle, facing the side its vertices
+   * are counter-clockwise from.
+   * @param out A vector to write the result into, a new one by default.
    * @returns A new vector.
    */
-  subtract(v: Vec, w: Vec): Vec;
+  normal(out?: Vec3): Vec3;
+}
 
+declare interface Triangle3Constructor {
   /**
-   * Returns a zero vector (i.e.: pointing to the origin).
-   * @returns A new Vector.
+   * Creates a triangle from its vertices `a`, `b`, and `c`.
+   * @param a A vector.
+   * @param b A vector.
+   * @param c A vector.
    */
-  zero(v: Vec): Vec;
+  new(a?: Vec3Like, b?: Vec3Like, c?: Vec3Like): Triangle3;
 }
 
-declare interface Vec2Constructor extends Vec2ConstructorBase<Vec2> {
+// #region Curve
+
+declare interface CurveBase<Vec> {
   /**
-   * Creates a 2-dimensional vector pointing to `x` and `y`.
-   * @param x A numeric value.
-   * @param y A numeric value.
+   * The (approximate) arc length of this curve, measured along 256 chords and
+   * cached until `update` is called.
    */
-  new(x?: number, y?: number): Vec2;
+  readonly length: number;
 
   /**
-   * Returns the angle between `v` and `w`. Interval (-PI, PI].
-   * @param v A vector.
-   * @param w A vector.
-   * @returns Value in radians.
+   * The control points of this curve, owned by it (i.e.: they can be
+   * modified in place, followed by a call to `update`).
    */
-  angleBetween(v: Vec2, w: Vec2): number;
+  readonly points: Vec[];
 
   /**
-   * Returns a new vector created from polar coordinates (denoted by ρ, θ).
-   * @param r Radius, a numeric value.
-   * @param theta Polar angle relative to the positive x-axis in radians, a numeric value.
+   * Returns the derivative of this curve at `t`.
+   * @param t A value in the interval [0, 1].
+   * @param out A vector to write the result into, a new one by default.
    * @returns A new vector.
    */
-  fromPolarCoords(r: number, theta: number): Vec2;
+  derivative(t: number, out?: Vec): Vec;
 
-  /** 
-   * Creates an immutable vector. It works faster than a regular instance while
-   * while keeping a compatible interface; its only members are precomputed,
-   * read-only properties.
-   * @param x A numeric value.
-   * @param y A numeric value.
-   * @returns An immutable vector.
+  /**
+   * Returns a polyline approximating this curve, subdividing it (adaptively)
+   * until no chord deviates from the curve more than `tolerance`.
+   * @param tolerance A positive value, 0.01 by default.
+   * @returns A new array of vectors, from the start to the end of the curve.
    */
-  immutable(x?: number, y?: number): Vec2Immutable;
+  flatten(tolerance?: number): Vec[];
 
   /**
-   * Returns a random vector uniformly distributed on the circumference of a
-   * unit circle. Method by Marsaglia (1972).
-   * @returns A new vector.
+   * Returns the parameter `t` at which the arc length from the start of this
+   * curve equals `s` (i.e.: arc-length parameterisation).
+   * @param s A value in the interval [0, `length`].
+   * @returns A value in the interval [0, 1].
    */
-  random(): Vec2;
-}
+  parameterAtLength(s: number): number;
 
-// #region Vec3
+  /**
+   * Returns the point of this curve at `t`.
+   * @param t A value in the interval [0, 1].
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
+   */
+  point(t: number, out?: Vec): Vec;
 
-declare interface Vec3PropertiesBase extends Vec2PropertiesBase {
   /**
-   * The `z` component of this vector.
+   * Returns the point of this curve at the arc length `s` from its start.
+   * @param s A value in the interval [0, `length`].
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
    */
-  z: number;
+  pointAtLength(s: number, out?: Vec): Vec;
 
   /**
-   * Alias for the `z` component of this vector.
+   * Returns the unit tangent of this curve at `t`.
+   * @param t A value in the interval [0, 1].
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
    */
-  b: number;
+  tangent(t: number, out?: Vec): Vec;
 
   /**
-   * Alias for the `y` component of this vector.
+   * Returns the unit tangent of this curve at the arc length `s` from its
+   * start.
+   * @param s A value in the interval [0, `length`].
+   * @param out A vector to write the result into, a new one by default.
+   * @returns A new vector.
    */
-  g: number;
+  tangentAtLength(s: number, out?: Vec): Vec;
 
   /**
-   * Alias for the `x` component of this vector.
+   * Discards the cached arc length, to be called after modifying `points`.
+   * @returns This curve.
    */
-  r: number;
+  update(): this;
 }
 
-declare interface Vec3Properties extends Vec3PropertiesBase {
+// #region BezierCurve
+
+declare interface BezierCurve<Vec extends Vec2 | Vec3 | Vec4 = Vec2>
+  extends CurveBase<Vec> {
   /**
-   * Angle relative to the positive x-axis towards the point defined by (y,
-   * z). Interval [0, PI]. Value in radians.
+   * The degree of this curve (i.e.: its number of points minus 1).
    */
-  angleX: number;
+  readonly degree: number;
 
   /**
-   * Angle relative to the positive y-axis towards the point defined by (z,
-   * x). Interval [0, PI]. Value in radians.
+   * Splits this curve at `t` into two curves of the same degree.
+   * @param t A value in the interval [0, 1], 0.5 by default.
+   * @returns Two new curves, from the start to `t` and from `t` to the end.
    */
-  angleY: number;
+  split(t?: number): [BezierCurve<Vec>, BezierCurve<Vec>];
+}
 
+declare interface BezierCurveConstructor {
   /**
-   * Angle relative to the positive z-axis towards the point defined by (x,
-   * y). Interval [0, PI]. Value in radians.
+   * Creates a Bézier curve of any degree from its control points (e.g.: 3
+   * for a quadratic one, 4 for a cubic one), all of them copied into vectors
+   * of the same dimension.
+   * @param points An iterable of at least 2 vectors.
    */
-  angleZ: number;
+  new <Vec extends Vec2 | Vec3 | Vec4 = Vec2>(
+    points: Iterable<Vec4Like>
+  ): BezierCurve<Vec>;
+}
 
+// #region CatmullRomCurve
+
+declare interface CatmullRomCurve<Vec extends Vec2 | Vec3 | Vec4 = Vec2>
+  extends CurveBase<Vec> {
   /**
-   * Alias to get all the components of this vector as an array.
+   * Whether or not this curve loops back to its first point. Setting it
+   * calls `update`.
    */
-  rgb: number[];
+  closed: boolean;
+}
 
+declare interface CatmullRomCurveConstructor {
   /**
-   * Shortcut to get all the components of this vector as an array.
+   * Creates a (uniform) Catmull-Rom spline passing through every point of
+   * `points`, all of them copied into vectors of the same dimension.
+   * @param points An iterable of at least 2 vectors.
+   * @param closed Whether or not the curve loops, `false` by default.
    */
-  xyz: number[];
+  new <Vec extends Vec2 | Vec3 | Vec4 = Vec2>(
+    points: Iterable<Vec4Like>,
+    closed?: boolean
+  ): CatmullRomCurve<Vec>;
 }
 
-declare interface Vec3MethodsBase<Vec> extends Vec2MethodsBase<Vec> {
+// #region HermiteCurve
+
+declare interface HermiteCurve<Vec extends Vec2 | Vec3 | Vec4 = Vec2>
+  extends CurveBase<Vec> {
   /**
-   * Returns the angle between this vector and vector `v`. Interval [0, PI].
-   * @param v A vector.
-   * @returns Value in radians.
+   * The tangents of this curve at each of its points, owned by it.
    */
-  angleBetween(v: Vec): number;
+  readonly tangents: Vec[];
 }
 
-declare interface Vec3Methods extends Vec3MethodsBase<Vec3> {
+declare interface HermiteCurveConstructor {
   /**
-   * Transforms this vector into the {@link https://en.wikipedia.org/wiki/Cross_product cross product}
-   * (aka. vector product) of itself cross `v`, which is perpendicular to both
-   * of them and whose magnitude measures the area they span.
-   * 
-   * - When pointing in either the same or opposite directions: we get 0.
-   * - When the angle between is 90 degrees: we get the largest value.
-   * @param v A vector.
-   * @returns This vector.
+   * Creates a cubic Hermite spline passing through every point of `points`,
+   * with the derivative at each of them given by `tangents` (with respect to
+   * the parameter of the whole curve).
+   * @param points An iterable of at least 2 vectors.
+   * @param tangents An iterable of as many vectors as `points`.
    */
-  cross(v: Vec3): this;
+  new <Vec extends Vec2 | Vec3 | Vec4 = Vec2>(
+    points: Iterable<Vec4Like>,
+    tangents: Iterable<Vec4Like>
+  ): HermiteCurve<Vec>;
+}
 
+// #region BSplineCurve
+
+declare interface BSplineCurve<Vec extends Vec2 | Vec3 | Vec4 = Vec2>
+  extends CurveBase<Vec> {
   /**
-   * A rotation about the x-axis moving the positive y-axis towards the
-   * positive z-axis by `phi`.
-   * @param phi Angle in radians, a numeric value.
-   * @returns This vector.
+   * The degree of this curve.
    */
-  rotateX(phi: number): this;
+  readonly degree: number;
+}
 
+declare interface BSplineCurveConstructor {
   /**
-   * A rotation about the y-axis moving the positive x-axis towards the
-   * positive z-axis by `phi`.
-   * @param phi Angle in radians, a numeric value.
-   * @returns This vector.
+   * Creates a clamped uniform B-spline (i.e.: it starts and ends at the first
+   * and last points) from its control points, all of them copied into
+   * vectors of the same dimension.
+   * @param points An iterable of more than `degree` vectors.
+   * @param degree A positive integer, 3 by default.
    */
-  rotateY(phi: number): this;
+  new <Vec extends Vec2 | Vec3 | Vec4 = Vec2>(
+    points: Iterable<Vec4Like>,
+    degree?: number
+  ): BSplineCurve<Vec>;
 }
 
-declare interface Vec3 extends Vec3Properties, Vec3Methods { }
+// #region @leodeslf/vec.js module
 
-declare interface Vec3ImmutableBase extends Vec2ImmutableBase, Readonly<Vec3PropertiesBase> { }
+/**
+ * A set of classes that provide functionality related to basic linear-algebra,
+ * geometry, and more, for 2, 3, and 4-dimensional vectors and matrices.
+ * @summary JavaScript vector library.
+ * @copyright Copyright (c) Leonardo de S. Leal F., 2018-present.
+ * @author Leonardo de S. Leal F. <hello@leodeslf.com>
+ * @license MIT
+ */
+declare module '@leodeslf/vec.js' {
+  /**
+   * Returns a seedable random source, the same `seed` always yields the same
+   * sequence of numbers in the interval [0, 1). Generator xoshiro128** by
+   * Blackman and Vigna (2018).
+   * @param seed A numeric value, coerced to a 32-bit integer (0 by default).
+   * @returns A random source.
+   */
+  function createSeededRandom(seed?: number): RandomSource;
 
-declare interface Vec3Immutable extends
-  Vec3ImmutableBase, Readonly<Vec3Properties> {
-}
+  /**
+   * Returns the shortest signed difference from angle `from` to angle `to`
+   * (e.g.: to turn towards an angle the shortest way).
+   * @param from An angle in radians.
+   * @param to An angle in radians.
+   * @returns Value in radians, interval (-PI, PI].
+   */
+  function deltaAngle(from: number, to: number): number;
 
-declare interface Vec3ConstructorBase<Vec> extends Vec2ConstructorBase<Vec> {
   /**
-   * Returns the angle between `v` and `w`. Interval [0, PI].
-   * @param v A vector.
-   * @param w A vector.
-   * @returns Value in radians.
+   * Sets the random source used by every random method when none is given.
+   * @param source A random source, `Math.random` by default.
    */
-  angleBetween(v: Vec, w: Vec): number;
-}
+  function setRandomSource(source?: RandomSource): void;
 
-declare interface Vec3Constructor extends Vec3ConstructorBase<Vec3> {
   /**
-   * Creates a 3-dimensional vector pointing to `x`, `y`, and `z`.
-   * @param x A numeric value.
-   * @param y A numeric value.
-   * @param z A numeric value.
+   * Sets whether operations given degenerate inputs (i.e.: zero vectors or
+   * quaternions given to `normalize`, `project`, `projectOnPlane`, `reject`,
+   * `reflect`, `lookAt`, `limitMin`, `clamp`, `rotateAround`,
+   * `rotateAroundPoint`, `randomInCone`, `randomOnHemisphere`, `invert`,
+   * `fromAxisAngle`, `fromVectors`, or the `magnitude` setter) throw
+   * `VecError` instead of returning their documented results.
+   * @param strict A boolean, `false` by default.
    */
-  new(x?: number, y?: number, z?: number): Vec3;
+  function setStrictMode(strict?: boolean): void;
 
   /**
-   * The {@link https://en.wikipedia.org/wiki/Cross_product cross product}
-   * (aka. vector product) of `v` cross `w`, which is perpendicular to both of
-   * them and whose magnitude measures the area they span.
-   * 
-   * - When pointing in either the same or opposite directions: we get 0.
-   * - When the angle between is 90 degrees: we get the largest value.
-   * @param v A vector.
-   * @param w A vector.
-   * @returns The cross product.
+   * Converts an angle from radians to degrees.
+   * @param radians An angle in radians.
+   * @returns Value in degrees.
    */
-  cross(v: Vec3, w: Vec3): Vec3;
+  function toDegrees(radians: number): number;
 
   /**
-   * Returns a new vector created from cylindrical coordinates (r, φ, z).
-   * 
-   * - r (radius): The `magnitude`.
-   * - φ (phi): The polar angle to be relative to the positive x-axis towards
-   * the positive y-axis.
-   * @param r Radius, any a numeric value.
-   * @param phi Polar angle relative to the positive x-axis (counter-clockwise, towards the positive y) in radians, a numeric value.
-   * @param z Depth, a numeric value.
-   * @returns A new vector.
+   * Converts an angle from degrees to radians.
+   * @param degrees An angle in degrees.
+   * @returns Value in radians.
    */
-  fromCylindricalCoords(r: number, phi: number, z: number): Vec3;
+  function toRadians(degrees: number): number;
 
   /**
-   * Returns a new vector created from spherical coordinates (r, θ, φ).
-   * 
-   * - r (radius): The `magnitude`.
-   * - θ (theta): The azimuthal angle to be relative to the positive z-axis
-   * towards the xy-plane.
-   * - φ (phi): The polar angle to be relative to the positive x-axis towards
-   * the positive y-axis.
-   * @param r Radius, a numeric value.
-   * @param theta Azimuthal angle in radians, interval [0, PI], a numeric value.
-   * @param phi Polar angle in radians, interval [0, 2PI), a numeric value.
-   * @returns A new vector.
+   * Wraps an angle into the interval [0, 2PI).
+   * @param angle An angle in radians.
+   * @returns Value in radians.
    */
-  fromSphericalCoords(r: number, theta: number, phi: number): Vec3;
+  function wrapAngle(angle: number): number;
 
-  /** 
-   * Creates an immutable vector. It works faster than a regular instance while
-   * while keeping a compatible interface; its only members are precomputed,
-   * read-only properties.
-   * @param x A numeric value.
-   * @param y A numeric value.
-   * @param z A numeric value.
-   * @returns An immutable vector.
+  /**
+   * Wraps an angle into the interval (-PI, PI].
+   * @param angle An angle in radians.
+   * @returns Value in radians.
    */
-  immutable(x?: number, y?: number, z?: number): Vec3Immutable;
+  function wrapAngleSigned(angle: number): number;
 
   /**
-   * Returns a random vector uniformly distributed on the surface of a unit
-   * sphere. Method by Marsaglia (1972).
-   * @returns A new vector.
+   * A 2-dimensional axis-aligned bounding box class.
    */
-  random(): Vec3;
-}
+  const AABB2: AABB2Constructor;
 
-// #region Vec4
+  /**
+   * A 3-dimensional axis-aligned bounding box class.
+   */
+  const AABB3: AABB3Constructor;
 
-declare interface Vec4PropertiesBase extends Vec3PropertiesBase {
   /**
-   * The `w` component of this vector.
+   * A Bézier curve class, of any degree.
    */
-  w: number;
-}
+  const BezierCurve: BezierCurveConstructor;
 
-declare interface Vec4Properties extends Vec4PropertiesBase {
   /**
-   * Alias for the `w` component of this vector.
+   * A B-spline curve class.
    */
-  a: number;
+  const BSplineCurve: BSplineCurveConstructor;
 
   /**
-   * Angle relative to the positive w-axis towards the point defined by (x, y,
-   * z). Interval [0, PI]. Value in radians.
+   * A Catmull-Rom curve class.
    */
-  angleW: number;
+  const CatmullRomCurve: CatmullRomCurveConstructor;
 
   /**
-   * Angle relative to the positive x-axis towards the point defined by (y, z,
-   * w). Interval [0, PI]. Value in radians.
+   * A circle class.
    */
-  angleX: number;
+  const Circle: CircleConstructor;
 
   /**
-   * Angle relative to the positive y-axis towards the point defined by (z, w,
-   * x). Interval [0, PI]. Value in radians.
+   * A cubic Hermite curve class.
    */
-  angleY: number;
+  const HermiteCurve: HermiteCurveConstructor;
 
   /**
-   * Angle relative to the positive z-axis towards the point defined by (w, x,
-   * y). Interval [0, PI]. Value in radians.
+   * An immutable 2-dimensional vector class.
    */
-  angleZ: number;
+  const ImmutableVec2: ImmutableVec2Constructor;
 
   /**
-   * Alias to get all the components of this vector as an array.
+   * An immutable 3-dimensional vector class.
    */
-  rgba: number[];
+  const ImmutableVec3: ImmutableVec3Constructor;
 
   /**
-   * Shortcut to get all the components of this vector as an array.
+   * An immutable 4-dimensional vector class.
    */
-  xyzw: number[];
-}
+  const ImmutableVec4: ImmutableVec4Constructor;
 
-declare interface Vec4MethodsBase<Vec> extends
-  Omit<Vec3MethodsBase<Vec>, 'rotateZ'> { }
+  /**
+   * A 2x2 matrix class.
+   */
+  const Mat2: Mat2Constructor;
 
-declare interface Vec4Methods extends Vec4MethodsBase<Vec4> { }
+  /**
+   * A 3x3 matrix class.
+   */
+  const Mat3: Mat3Constructor;
 
-declare interface Vec4 extends Vec4Properties, Vec4Methods { }
+  /**
+   * A 4x4 matrix class.
+   */
+  const Mat4: Mat4Constructor;
 
-declare interface Vec4ImmutableBase extends
-  Vec3ImmutableBase, Readonly<Vec4PropertiesBase> { }
+  /**
+   * A plane class.
+   */
+  const Plane: PlaneConstructor;
 
-declare interface Vec4Immutable extends
-  Vec4ImmutableBase, Readonly<Vec4Properties> { }
+  /**
+   * A quaternion class, to represent 3-dimensional rotations.
+   */
+  const Quat: QuatConstructor;
 
-declare interface Vec4ConstructorBase<Vec> extends Vec3ConstructorBase<Vec> { }
+  /**
+   * A 3-dimensional ray class.
+   */
+  const Ray3: Ray3Constructor;
 
-declare interface Vec4Constructor extends Vec4ConstructorBase<Vec4> {
   /**
-   * Creates a 4-dimensional vector pointing to `x`, `y`, `z`, and `w`.
-   * @param x A numeric value.
-   * @param y A numeric value.
-   * @param z A numeric value.
-   * @param w A numeric value.
+   * A 2-dimensional line segment class.
    */
-  new(x?: number, y?: number, z?: number, w?: number): Vec4;
+  const Segment2: Segment2Constructor;
 
-  /** 
-   * Creates an immutable vector. It works faster than a regular instance while
-   * while keeping a compatible interface; its only members are precomputed,
-   * read-only properties.
-   * @param x A numeric value.
-   * @param y A numeric value.
-   * @param z A numeric value.
-   * @param w A numeric value.
-   * @returns An immutable vector.
+  /**
+   * A 3-dimensional line segment class.
    */
-  immutable(x?: number, y?: number, z?: number, w?: number): Vec4Immutable;
+  const Segment3: Segment3Constructor;
 
   /**
-   * Returns a random vector uniformly distributed on the surface of a 4-sphere.
-   * Method by Marsaglia (1972).
-   * @returns A new vector.
+   * A sphere class.
    */
-  random(): Vec4;
-}
+  const Sphere: SphereConstructor;
 
-// #region @leodeslf/vec.js module
+  /**
+   * A 3-dimensional triangle class.
+   */
+  const Triangle3: Triangle3Constructor;
 
-/**
- * A set of classes that provide functionality related to basic linear-algebra,
- * geometry, and more, for 2, 3, and 4-dimensional vectors.
- * @summary JavaScript vector library.
- * @copyright Copyright (c) Leonardo de S. Leal F., 2018-present.
- * @author Leonardo de S. Leal F. <hello@leodeslf.com>
- * @license MIT
- */
-declare module '@leodeslf/vec.js' {
   /**
    * A 2-dimensional vector class.
    */
   const Vec2: Vec2Constructor;
 
+  /**
+   * A packed array of 2-dimensional vectors, for bulk operations.
+   */
+  const Vec2Array: Vec2ArrayConstructor;
+
+  /**
+   * A 2-dimensional vector class with Float32 storage.
+   */
+  const Vec2F32: Vec2F32Constructor;
+
   /**
    * A 3-dimensional vector class.
    */
   const Vec3: Vec3Constructor;
 
+  /**
+   * A packed array of 3-dimensional vectors, for bulk operations.
+   */
+  const Vec3Array: Vec3ArrayConstructor;
+
+  /**
+   * A 3-dimensional vector class with Float32 storage.
+   */
+  const Vec3F32: Vec3F32Constructor;
+
   /**
    * A 4-dimensional vector class.
    */
   const Vec4: Vec4Constructor;
 
-  export { Vec2, Vec3, Vec4 };
+  /**
+   * A packed array of 4-dimensional vectors, for bulk operations.
+   */
+  const Vec4Array: Vec4ArrayConstructor;
+
+  /**
+   * A 4-dimensional vector class with Float32 storage.
+   */
+  const Vec4F32: Vec4F32Constructor;
+
+  /**
+   * The error thrown on degenerate inputs while strict mode is on.
+   */
+  const VecError: VecErrorConstructor;
+
+  export {
+    AABB2,
+    AABB3,
+    BezierCurve,
+    BSplineCurve,
+    CatmullRomCurve,
+    Circle,
+    createSeededRandom,
+    deltaAngle,
+    HermiteCurve,
+    ImmutableVec2,
+    ImmutableVec3,
+    ImmutableVec4,
+    Mat2,
+    Mat3,
+    Mat4,
+    Plane,
+    Quat,
+    Ray3,
+    Segment2,
+    Segment3,
+    setRandomSource,
+    setStrictMode,
+    Sphere,
+    toDegrees,
+    toRadians,
+    Triangle3,
+    Vec2,
+    Vec2Array,
+    Vec2F32,
+    Vec3,
+    Vec3Array,
+    Vec3F32,
+    Vec4,
+    Vec4Array,
+    Vec4F32,
+    VecError,
+    wrapAngle,
+    wrapAngleSigned
+  };
 }
@@ -1,55 +1,597 @@
-const { PI, sin, cos, acos, atan2, sqrt, random, abs } = Math;
+const {
+  PI,
+  sin,
+  cos,
+  acos,
+  atan2,
+  sqrt,
+  random,
+  abs,
+  min,
+  max,
+  floor,
+  ceil,
+  round,
+  sign,
+  imul,
+  log,
+  cbrt
+} = Math;
 const PI2 = PI * 2;
+const EPSILON = 1e-10;
+const QUAT_EPSILON = 1e-6;
+const EULER_ORDERS = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
+const MAT2_IDENTITY = [1, 0, 0, 1];
+const MAT3_IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+const MAT4_IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Module-scoped readers of each matrix's storage, assigned by the matrix
+// classes themselves so vectors can be transformed without copies.
+let mat2Elements;
+let mat3Elements;
+let mat4Elements;
+
+// Module-scoped binders of each vector's storage to any array of components
+// (e.g.: a slice of a buffer, or a frozen array), assigned by the vector
+// classes themselves so vector arrays can expose their elements as views, and
+// immutable vectors can't be written to.
+let vec2Bind;
+let vec3Bind;
+let vec4Bind;
+
+// Module-scoped coercions of vector-like values into vectors, assigned by the
+// vector classes themselves so other classes can accept them too.
+let vec2From;
+let vec3From;
+let vec4From;
+
+// Module-scoped checks of (mutable) vectors, assigned by the vector classes
+// themselves so other classes can update them in place too.
+let vec2Mutable;
+let vec3Mutable;
+let vec4Mutable;
+
+let randomSource = random;
+
+let strictMode = false;
+
+// Custom inspection hook of Node.js' `util.inspect`.
+const INSPECT = Symbol.for('nodejs.util.inspect.custom');
+
+function clamp(x, lower, upper) {
+  return x < lower ? lower : x > upper ? upper : x;
+}
+
+// Parses a JSON string, or normalizes an already parsed array or object, with
+// `null` read as `NaN`, since that's how `JSON.stringify` writes `NaN` and
+// infinite numbers (i.e.: they aren't silently coerced into 0).
+function parseJSON(json) {
+  if (typeof json !== 'string') {
+    if (
+      json === null ||
+      !Array.isArray(json) && Object.getPrototypeOf(json) !== Object.prototype
+    ) {
+      return json;
+    }
+    json = JSON.stringify(json);
+  }
+  return JSON.parse(json, (_, value) => value === null ? NaN : value);
+}
+
+function satisfyTolerance(a, b, epsilon, mode) {
+  return abs(a - b) <= (mode === 'relative' ?
+    epsilon * max(abs(a), abs(b)) :
+    epsilon);
+}
+
+function stringify(name, values, precision) {
+  const strings = [];
+  for (const value of values) {
+    strings.push(precision === undefined ?
+      String(value) :
+      value.toFixed(precision));
+  }
+  return `${name}(${strings.join(', ')})`;
+}
+
+// #region Errors
+
+// Thrown by operations given degenerate inputs (e.g.: normalizing a zero
+// vector) while strict mode is on, otherwise they return documented results.
+class VecError extends Error {
+  constructor(operation, message) {
+    super(message);
+    this.name = 'VecError';
+    this.operation = operation;
+  }
+}
+
+// Called on degenerate inputs, throws while strict mode is on, otherwise the
+// caller goes on to return its documented result.
+function degenerate(operation) {
+  if (strictMode) {
+    throw new VecError(operation, `Zero-length vector given to ${operation}.`);
+  }
+}
+
+function setStrictMode(strict = false) {
+  strictMode = strict;
+}
+
+// #region Angles
+
+function deltaAngle(from, to) {
+  return wrapAngleSigned(to - from);
+}
+
+function toDegrees(radians) {
+  return radians * 180 / PI;
+}
+
+function toRadians(degrees) {
+  return degrees * PI / 180;
+}
+
+function wrapAngle(angle) {
+  const wrapped = angle % PI2;
+  if (wrapped >= 0) return wrapped;
+  // Tiny negative angles would round up to 2π, out of the interval.
+  return wrapped + PI2 < PI2 ? wrapped + PI2 : 0;
+}
+
+function wrapAngleSigned(angle) {
+  const wrapped = wrapAngle(angle);
+  return wrapped > PI ? wrapped - PI2 : wrapped;
+}
+
+// #region Binary
+
+// Binary layout of vector arrays: an 8 bytes header (the number of components
+// per vector, and of bytes per component, as uint8, 2 reserved bytes, and the
+// number of vectors as uint32), followed by every component, all of it
+// little-endian.
+const BINARY_HEADER_SIZE = 8;
+
+function decodeVectors(buffer, size) {
+  const view = ArrayBuffer.isView(buffer) ?
+    new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength) :
+    new DataView(buffer);
+  if (view.byteLength < BINARY_HEADER_SIZE || view.getUint8(0) !== size) {
+    throw new TypeError(`Expected binary data of ${size}-dimensional vectors.`);
+  }
+  const bytes = view.getUint8(1);
+  const length = view.getUint32(4, true) * size;
+  if (
+    (bytes !== 4 && bytes !== 8) ||
+    view.byteLength !== BINARY_HEADER_SIZE + length * bytes
+  ) {
+    throw new TypeError('Malformed binary data of vectors.');
+  }
+  const data = bytes === 4 ?
+    new Float32Array(length) :
+    new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    const offset = BINARY_HEADER_SIZE + i * bytes;
+    data[i] = bytes === 4 ?
+      view.getFloat32(offset, true) :
+      view.getFloat64(offset, true);
+  }
+  return data;
+}
+
+function encodeVectors(data, count, size, precision) {
+  const bytes = precision === 32 ? 4 : 8;
+  const length = count * size;
+  const view = new DataView(
+    new ArrayBuffer(BINARY_HEADER_SIZE + length * bytes)
+  );
+  view.setUint8(0, size);
+  view.setUint8(1, bytes);
+  view.setUint32(4, count, true);
+  for (let i = 0; i < length; i++) {
+    const offset = BINARY_HEADER_SIZE + i * bytes;
+    if (bytes === 4) view.setFloat32(offset, data[i], true);
+    else view.setFloat64(offset, data[i], true);
+  }
+  return view.buffer;
+}
+
+// #region Swizzling
+
+// Every pattern of `length` distinct components out of `components` (e.g.:
+// 'xy', 'xz', 'yx', 'yz', 'zx', and 'zy' out of 'xyz').
+function permute(components, length) {
+  if (length === 0) return [''];
+  const patterns = [];
+  for (const c of components) {
+    for (const rest of permute(components.replace(c, ''), length - 1)) {
+      patterns.push(c + rest);
+    }
+  }
+  return patterns;
+}
+
+// Defines GLSL-like accessors (e.g.: `v.zx`, `v.wzyx`) for every permutation
+// of the components of a vector class, but the full one (i.e.: the array
+// shortcut). Getters return new vectors, setters take vector-like values.
+function defineSwizzles(Vec, components) {
+  const from = [, , vec2From, vec3From, vec4From];
+  for (let length = 2; length <= components.length; length++) {
+    for (const pattern of permute(components, length)) {
+      if (pattern === components) continue;
+      Object.defineProperty(Vec.prototype, pattern, {
+        configurable: true,
+        get() {
+          return swizzleVector(this, pattern, components);
+        },
+        set(v) {
+          const values = [...this];
+          let i = 0;
+          for (const value of from[length](v)) {
+            values[components.indexOf(pattern[i++])] = value;
+          }
+          this[components] = values;
+        }
+      });
+    }
+  }
+}
+
+function swizzleVector(v, pattern, components) {
+  const values = [];
+  for (const c of pattern) {
+    if (!components.includes(c)) break;
+    values.push(v[c]);
+  }
+  if (values.length === pattern.length) {
+    switch (values.length) {
+      case 2: return new Vec2(...values);
+      case 3: return new Vec3(...values);
+      case 4: return new Vec4(...values);
+    }
+  }
+  throw new TypeError(`Invalid swizzle pattern, got '${pattern}'.`);
+}
+
+// #region Curves
+
+// Number of chords the arc length of a curve is measured with.
+const CURVE_DIVISIONS = 256;
+
+// Deepest subdivision when flattening a curve (i.e.: up to 2^12 chords per
+// initial chord).
+const CURVE_FLATTENING_DEPTH = 12;
+
+// Weights of each control point of a Bézier curve of degree `n` at `t` (i.e.:
+// the Bernstein polynomials).
+function bernstein(n, t) {
+  const weights = [];
+  let coefficient = 1;
+  for (let i = 0; i <= n; i++) {
+    weights.push(coefficient * t ** i * (1 - t) ** (n - i));
+    coefficient = coefficient * (n - i) / (i + 1);
+  }
+  return weights;
+}
+
+// Weights of each control point of a clamped uniform B-spline at `t`, by the
+// Cox–de Boor recursion.
+function bSplineBasis(knots, degree, t) {
+  const last = knots[knots.length - 1];
+  let basis = [];
+  for (let i = 0; i < knots.length - 1; i++) {
+    basis.push(
+      (t >= knots[i] && t < knots[i + 1]) ||
+      // The end of the curve belongs to the last non-empty knot span.
+      (t >= last && knots[i] < last && knots[i + 1] === last) ?
+        1 :
+        0
+    );
+  }
+  for (let p = 1; p <= degree; p++) {
+    const next = [];
+    for (let i = 0; i < knots.length - 1 - p; i++) {
+      const a = knots[i + p] - knots[i];
+      const b = knots[i + p + 1] - knots[i + 1];
+      next.push(
+        (a ? (t - knots[i]) / a * basis[i] : 0) +
+        (b ? (knots[i + p + 1] - t) / b * basis[i + 1] : 0)
+      );
+    }
+    basis = next;
+  }
+  return basis;
+}
+
+// Writes the weighted sum of `points` into `out`, whatever their dimension.
+function combine(points, weights, out) {
+  if (
+    out instanceof ImmutableVec2 ||
+    out instanceof ImmutableVec3 ||
+    out instanceof ImmutableVec4
+  ) {
+    throw new TypeError(`Expected a mutable vector, got ${out}.`);
+  }
+  const values = [0, 0, 0, 0];
+  for (let i = 0; i < points.length; i++) {
+    if (weights[i] === 0) continue;
+    let j = 0;
+    for (const c of points[i]) values[j++] += c * weights[i];
+  }
+  return out.copy(values);
+}
+
+// A new (mutable) vector copied from a vector-like value, of its own class if
+// it's a vector, otherwise by its number of components.
+function vectorOf(v) {
+  if (typeof v !== 'object' || v === null) {
+    throw new TypeError(`Expected a vector-like value, got ${v}.`);
+  }
+  const size = v instanceof Vec4 ? 4 :
+    v instanceof Vec3 ? 3 :
+    v instanceof Vec2 ? 2 :
+    Array.isArray(v) || ArrayBuffer.isView(v) ? v.length :
+    'w' in v ? 4 :
+    'z' in v ? 3 :
+    2;
+  return size >= 4 ? new Vec4().copy(v) :
+    size === 3 ? new Vec3().copy(v) :
+    new Vec2().copy(v);
+}
+
+// #region Random
+
+function createSeededRandom(seed = 0) {
+  const state = new Uint32Array(4);
+  // SplitMix32 spreads the seed over the whole state, so that close seeds
+  // yield unrelated sequences.
+  for (let i = 0; i < 4; i++) {
+    seed = (seed + 0x9e3779b9) | 0;
+    let z = seed;
+    z = imul(z ^ (z >>> 16), 0x85ebca6b);
+    z = imul(z ^ (z >>> 13), 0xc2b2ae35);
+    state[i] = z ^ (z >>> 16);
+  }
+  // xoshiro128** by Blackman and Vigna (2018).
+  return () => {
+    const s1 = state[1];
+    const t = imul(s1, 5);
+    const result = imul(t << 7 | t >>> 25, 9) >>> 0;
+    const u = s1 << 9;
+    state[2] ^= state[0];
+    state[3] ^= state[1];
+    state[1] ^= state[2];
+    state[0] ^= state[3];
+    state[2] ^= u;
+    state[3] = state[3] << 11 | state[3] >>> 21;
+    return result / 4294967296;
+  };
+}
+
+function randomGaussian(source) {
+  // Box-Muller transform, `1 - source()` keeps the logarithm finite.
+  return sqrt(-2 * log(1 - source())) * cos(PI2 * source());
+}
+
+function setRandomSource(source = random) {
+  randomSource = source;
+}
 
 // #region Vec2
 
 class Vec2 {
   #magnitude = 0;
-  #prevXY = new Float64Array([0, 0]);
+  #magnitudeSq = 0;
+  #prevXY = new Float64Array(2);
   #xy = new Float64Array(2);
 
-  #computeMagnitude(
-    x = this.#xy[0],
-    y = this.#xy[1]
-  ) {
+  static {
+    vec2Bind = (v, storage) => {
+      v.#xy = storage;
+      return v;
+    };
+    vec2From = v => Vec2.#from(v);
+    vec2Mutable = v => Vec2.#mutable(v);
+    defineSwizzles(this, 'xy');
+  }
+
+  // Lazy, only recomputed when read after any component changed (i.e.: they
+  // differ from the ones it was computed from), either by a method, a setter,
+  // or a write to the storage of a view.
+  #computeMagnitude() {
+    const x = this.#xy[0];
+    const y = this.#xy[1];
     if (
       x !== this.#prevXY[0] ||
       y !== this.#prevXY[1]
     ) {
-      this.#magnitude = sqrt(
-        x ** 2 +
-        y ** 2
-      );
+      this.#magnitudeSq = x ** 2 + y ** 2;
+      this.#magnitude = sqrt(this.#magnitudeSq);
       this.#prevXY[0] = x;
       this.#prevXY[1] = y;
     }
+    return this.#magnitude;
+  }
+
+  // Either by a number, or component-wise by a vector-like value.
+  #mod(v, n) {
+    let nX = n;
+    let nY = n;
+    if (typeof n !== 'number') {
+      n = Vec2.#from(n);
+      nX = n.#xy[0];
+      nY = n.#xy[1];
+    }
+    return this.#set(
+      v.#xy[0] - nX * floor(v.#xy[0] / nX),
+      v.#xy[1] - nY * floor(v.#xy[1] / nY)
+    );
+  }
+
+  #moveTowards(v, w, maxDelta) {
+    const dX = w.#xy[0] - v.#xy[0];
+    const dY = w.#xy[1] - v.#xy[1];
+    const d = sqrt(dX ** 2 + dY ** 2);
+    if (d <= maxDelta || d === 0) return this.copy(w);
+    return this.#set(
+      v.#xy[0] + dX / d * maxDelta,
+      v.#xy[1] + dY / d * maxDelta
+    );
+  }
+
+  #nlerp(
+    v,
+    w,
+    t,
+    magnitude = v.#computeMagnitude() +
+      (w.#computeMagnitude() - v.#computeMagnitude()) * t
+  ) {
+    this.#set(
+      v.#xy[0] + (w.#xy[0] - v.#xy[0]) * t,
+      v.#xy[1] + (w.#xy[1] - v.#xy[1]) * t
+    );
+    const m = this.#computeMagnitude();
+    if (m === 0) return this;
+    return this.#set(
+      this.#xy[0] / m * magnitude,
+      this.#xy[1] / m * magnitude
+    );
+  }
+
+  #rotateTowards(v, w, maxAngle, maxMagnitudeDelta) {
+    const m = v.#computeMagnitude();
+    const n = w.#computeMagnitude();
+    const angle = abs(Vec2.angleBetween(v, w));
+    return this.#slerp(
+      v,
+      w,
+      angle > maxAngle ? maxAngle / angle : 1,
+      m < n ?
+        min(m + maxMagnitudeDelta, n) :
+        max(m - maxMagnitudeDelta, n)
+    );
+  }
+
+  #set(x, y) {
+    this.#xy[0] = x;
+    this.#xy[1] = y;
+    return this;
+  }
+
+  #slerp(
+    v,
+    w,
+    t,
+    magnitude = v.#computeMagnitude() +
+      (w.#computeMagnitude() - v.#computeMagnitude()) * t
+  ) {
+    const m = v.#computeMagnitude();
+    const n = w.#computeMagnitude();
+    const vX = v.#xy[0] / m;
+    const vY = v.#xy[1] / m;
+    const wX = w.#xy[0] / n;
+    const wY = w.#xy[1] / n;
+    const cosOmega = min(max(vX * wX + vY * wY, -1), 1);
+    if (m === 0 || n === 0 || cosOmega > 1 - EPSILON) {
+      // Undefined or (almost) equal directions, nothing to rotate.
+      return this.#nlerp(v, w, t, magnitude);
+    }
+    const omega = acos(cosOmega);
+    let pX, pY;
+    if (cosOmega < EPSILON - 1) {
+      // Opposite directions, the perpendicular one to the left is as short
+      // a way as any other.
+      pX = -vY;
+      pY = vX;
+    } else {
+      // The unit direction perpendicular to `v` towards `w`.
+      const s = sin(omega);
+      pX = (wX - vX * cosOmega) / s;
+      pY = (wY - vY * cosOmega) / s;
+    }
+    const c = cos(omega * t) * magnitude;
+    const s = sin(omega * t) * magnitude;
+    return this.#set(
+      vX * c + pX * s,
+      vY * c + pY * s
+    );
+  }
+
+  // Either to a number, or component-wise to a vector-like value.
+  #snap(v, step) {
+    let stepX = step;
+    let stepY = step;
+    if (typeof step !== 'number') {
+      step = Vec2.#from(step);
+      stepX = step.#xy[0];
+      stepY = step.#xy[1];
+    }
+    return this.#set(
+      round(v.#xy[0] / stepX) * stepX,
+      round(v.#xy[1] / stepY) * stepY
+    );
   }
 
   constructor(x = 0, y = 0) {
     this.#xy[0] = x;
     this.#xy[1] = y;
-    this.#computeMagnitude(x, y);
   }
 
-  static add(v, w) {
-    return new Vec2(
+  static abs(v, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    return out.#set(
+      abs(v.#xy[0]),
+      abs(v.#xy[1])
+    );
+  }
+
+  static add(v, w, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    return out.#set(
       v.#xy[0] + w.#xy[0],
       v.#xy[1] + w.#xy[1]
     );
   }
 
   static angleBetween(v, w) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
     const vX = v.#xy[0];
     const vY = v.#xy[1];
     const wX = w.#xy[0];
     const wY = w.#xy[1];
-    return atan2(
+    return wrapAngleSigned(atan2(
       vX * wY - vY * wX,
       vX * wX + vY * wY
+    ));
+  }
+
+  static ceil(v, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    return out.#set(
+      ceil(v.#xy[0]),
+      ceil(v.#xy[1])
+    );
+  }
+
+  static clampComponents(v, min, max, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    min = Vec2.#from(min);
+    max = Vec2.#from(max);
+    return out.#set(
+      clamp(v.#xy[0], min.#xy[0], max.#xy[0]),
+      clamp(v.#xy[1], min.#xy[1], max.#xy[1])
     );
   }
 
   static distance(v, w) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
     return sqrt(
       (v.#xy[0] - w.#xy[0]) ** 2 +
       (v.#xy[1] - w.#xy[1]) ** 2
@@ -57,6 +599,8 @@ class Vec2 {
   }
 
   static distanceChebyshev(v, w) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
     const absX = abs(v.#xy[0] - w.#xy[0]);
     const absY = abs(v.#xy[1] - w.#xy[1]);
     return absX >= absY ?
@@ -65,6 +609,8 @@ class Vec2 {
   }
 
   static distanceManhattan(v, w) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
     return (
       abs(v.#xy[0] - w.#xy[0]) +
       abs(v.#xy[1] - w.#xy[1])
@@ -72,6 +618,8 @@ class Vec2 {
   }
 
   static distanceMinkowski(v, w, p) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
     return (
       abs(v.#xy[0] - w.#xy[0]) ** p +
       abs(v.#xy[1] - w.#xy[1]) ** p
@@ -79,74 +627,121 @@ class Vec2 {
   }
 
   static distanceSq(v, w) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
     return (
       (v.#xy[0] - w.#xy[0]) ** 2 +
       (v.#xy[1] - w.#xy[1]) ** 2
     );
   }
 
+  static divide(v, w, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    return out.#set(
+      v.#xy[0] / w.#xy[0],
+      v.#xy[1] / w.#xy[1]
+    );
+  }
+
   static dot(v, w) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
     return (
       v.#xy[0] * w.#xy[0] +
       v.#xy[1] * w.#xy[1]
     );
   }
 
-  static fromPolarCoords(r, theta) {
-    return new Vec2(
-      r * cos(theta),
-      r * sin(theta)
+  static equals(v, w, epsilon = EPSILON, mode = 'absolute') {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    return (
+      satisfyTolerance(v.#xy[0], w.#xy[0], epsilon, mode) &&
+      satisfyTolerance(v.#xy[1], w.#xy[1], epsilon, mode)
     );
   }
 
-  static immutable(x = 0, y = 0) {
-    const data = new Float64Array(10);
-    data[0] = x;
-    data[1] = y;
-    data[4] = atan2(
-      y,
-      x
-    ) + (y < 0 ? PI2 : 0);
-    data[5] = -atan2(
-      x,
-      y
-    ) + (x > 0 ? PI2 : 0);
-    const magnitudeSq = (
-      x ** 2 +
-      y ** 2
+  static floor(v, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    return out.#set(
+      floor(v.#xy[0]),
+      floor(v.#xy[1])
     );
-    data[8] = sqrt(magnitudeSq);
-    data[9] = magnitudeSq;
-    const isInfinite = (
-      x === +Infinity ||
-      x === -Infinity ||
-      y === +Infinity ||
-      y === -Infinity
+  }
+
+  static fract(v, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    return out.#set(
+      v.#xy[0] - floor(v.#xy[0]),
+      v.#xy[1] - floor(v.#xy[1])
     );
-    const _isNaN = (
-      isNaN(x) &&
-      isNaN(y)
+  }
+
+  static fromBarycentricCoords(u, v, w, a, b, c, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    a = Vec2.#from(a);
+    b = Vec2.#from(b);
+    c = Vec2.#from(c);
+    return out.#set(
+      a.#xy[0] * u + b.#xy[0] * v + c.#xy[0] * w,
+      a.#xy[1] * u + b.#xy[1] * v + c.#xy[1] * w
     );
-    const isZero = (
-      x === 0 &&
-      y === 0
+  }
+
+  static fromJSON(json, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    return out.copy(parseJSON(json));
+  }
+
+  static fromPolarCoords(r, theta, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    return out.#set(
+      r * cos(theta),
+      r * sin(theta)
     );
-    const xy = Object.freeze([...data.slice(0, 2)]);
-    return {
-      get angleX() { return data[4]; },
-      get angleY() { return data[5]; },
-      get isInfinite() { return isInfinite; },
-      get isNaN() { return _isNaN; },
-      get isZero() { return isZero; },
-      get magnitude() { return data[8]; },
-      get magnitudeSq() { return data[10]; },
-      get x() { return data[0]; },
-      get xy() { return xy; },
-      get y() { return data[1]; }
-    };
+  }
+
+  static immutable(x = 0, y = 0) {
+    return new ImmutableVec2(x, y);
+  }
+
+  static inverseLerp(v, w, u) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    u = Vec2.#from(u);
+    const dX = w.#xy[0] - v.#xy[0];
+    const dY = w.#xy[1] - v.#xy[1];
+    const dd = dX ** 2 + dY ** 2;
+    if (dd === 0) return 0;
+    return (
+      (u.#xy[0] - v.#xy[0]) * dX +
+      (u.#xy[1] - v.#xy[1]) * dY
+    ) / dd;
+  }
+
+  static isCollinear(u, v, w, epsilon = EPSILON) {
+    u = Vec2.#from(u);
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    const aX = v.#xy[0] - u.#xy[0];
+    const aY = v.#xy[1] - u.#xy[1];
+    const bX = w.#xy[0] - u.#xy[0];
+    const bY = w.#xy[1] - u.#xy[1];
+    return abs(aX * bY - aY * bX) <= epsilon * sqrt((
+      aX ** 2 +
+      aY ** 2
+    ) * (
+      bX ** 2 +
+      bY ** 2
+    ));
   }
 
   static isInfinite(v) {
+    v = Vec2.#from(v);
     const x = v.#xy[0];
     const y = v.#xy[1];
     return (
@@ -158,129 +753,546 @@ class Vec2 {
   }
 
   static isNaN(v) {
+    v = Vec2.#from(v);
     return (
       isNaN(v.#xy[0]) ||
       isNaN(v.#xy[1])
     );
   }
 
+  static isNormalized(v, epsilon = EPSILON) {
+    v = Vec2.#from(v);
+    return abs(sqrt(
+      v.#xy[0] ** 2 +
+      v.#xy[1] ** 2
+    ) - 1) <= epsilon;
+  }
+
+  static isOrthogonal(v, w, epsilon = EPSILON) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    const vX = v.#xy[0];
+    const vY = v.#xy[1];
+    const wX = w.#xy[0];
+    const wY = w.#xy[1];
+    return abs(
+      vX * wX +
+      vY * wY
+    ) <= epsilon * sqrt((
+      vX ** 2 +
+      vY ** 2
+    ) * (
+      wX ** 2 +
+      wY ** 2
+    ));
+  }
+
+  static isParallel(v, w, epsilon = EPSILON) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    const vX = v.#xy[0];
+    const vY = v.#xy[1];
+    const wX = w.#xy[0];
+    const wY = w.#xy[1];
+    return abs(vX * wY - vY * wX) <= epsilon * sqrt((
+      vX ** 2 +
+      vY ** 2
+    ) * (
+      wX ** 2 +
+      wY ** 2
+    ));
+  }
+
   static isZero(v) {
+    v = Vec2.#from(v);
     return (
       v.#xy[0] === 0 &&
       v.#xy[1] === 0
     );
   }
 
-  static lerp(v, w, t) {
+  static lerp(v, w, t, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
     if (t > 1) t = 1;
     else if (t < 0) t = 0;
     const vX = v.#xy[0];
     const vY = v.#xy[1];
-    return new Vec2(
+    return out.#set(
       vX + (w.#xy[0] - vX) * t,
       vY + (w.#xy[1] - vY) * t
     );
   }
 
-  static negate(v) {
-    return new Vec2(
+  static lerpUnclamped(v, w, t, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    return out.#set(
+      v.#xy[0] + (w.#xy[0] - v.#xy[0]) * t,
+      v.#xy[1] + (w.#xy[1] - v.#xy[1]) * t
+    );
+  }
+
+  static max(v, w, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    return out.#set(
+      max(v.#xy[0], w.#xy[0]),
+      max(v.#xy[1], w.#xy[1])
+    );
+  }
+
+  static min(v, w, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    return out.#set(
+      min(v.#xy[0], w.#xy[0]),
+      min(v.#xy[1], w.#xy[1])
+    );
+  }
+
+  static mod(v, n, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    return out.#mod(Vec2.#from(v), n);
+  }
+
+  static moveTowards(v, w, maxDelta, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    return out.#moveTowards(Vec2.#from(v), Vec2.#from(w), maxDelta);
+  }
+
+  static multiply(v, w, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    return out.#set(
+      v.#xy[0] * w.#xy[0],
+      v.#xy[1] * w.#xy[1]
+    );
+  }
+
+  static negate(v, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    return out.#set(
       -v.#xy[0],
       -v.#xy[1]
     );
   }
 
-  static normalize(v) {
-    const m = v.#magnitude;
-    return new Vec2(
+  static nlerp(v, w, t, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    return out.#nlerp(Vec2.#from(v), Vec2.#from(w), t);
+  }
+
+  static normalize(v, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    const m = v.#computeMagnitude();
+    if (m === 0) {
+      degenerate('normalize');
+      return out.#set(0, 0);
+    }
+    return out.#set(
       v.#xy[0] / m,
       v.#xy[1] / m
     );
   }
 
-  static project(v, w) {
+  static perpDot(v, w) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    return v.#xy[0] * w.#xy[1] - v.#xy[1] * w.#xy[0];
+  }
+
+  static project(v, w, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
     const vX = v.#xy[0];
     const vY = v.#xy[1];
     const wX = w.#xy[0];
     const wY = w.#xy[1];
-    const wM = w.#magnitude;
-    const f = v.#magnitude * cos(atan2(
+    const wM = w.#computeMagnitude();
+    if (wM === 0) {
+      degenerate('project');
+      return out.#set(0, 0);
+    }
+    const f = v.#computeMagnitude() * cos(atan2(
       vX * wY - vY * wX,
       vX * wX + vY * wY
     ));
-    return new Vec2(
+    return out.#set(
       wX / wM * f,
       wY / wM * f
     );
   }
 
-  static random() {
-    const phi = random() * PI2;
-    return new Vec2(
+  static random(source = randomSource, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    const phi = source() * PI2;
+    return out.#set(
       cos(phi),
       sin(phi)
     );
   }
 
-  static satisfyEquality(v, w) {
-    return (
-      v.#xy[0] === w.#xy[0] &&
-      v.#xy[1] === w.#xy[1]
+  static randomGaussian(
+    mean,
+    sigma = 1,
+    source = randomSource,
+    out = new Vec2()
+  ) {
+    out = Vec2.#mutable(out);
+    if (mean) mean = Vec2.#from(mean);
+    return out.#set(
+      (mean ? mean.#xy[0] : 0) + sigma * randomGaussian(source),
+      (mean ? mean.#xy[1] : 0) + sigma * randomGaussian(source)
     );
   }
 
-  static satisfyOpposition(v, w) {
-    return (
-      v.#xy[0] === -w.#xy[0] &&
-      v.#xy[1] === -w.#xy[1]
+  static randomInBox(min, max, source = randomSource, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    min = Vec2.#from(min);
+    max = Vec2.#from(max);
+    const minX = min.#xy[0];
+    const minY = min.#xy[1];
+    return out.#set(
+      minX + (max.#xy[0] - minX) * source(),
+      minY + (max.#xy[1] - minY) * source()
     );
   }
 
-  static scale(v, c) {
-    return new Vec2(
-      v.#xy[0] * c,
-      v.#xy[1] * c
+  static randomInUnitDisc(source = randomSource, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    const r = sqrt(source());
+    const phi = source() * PI2;
+    return out.#set(
+      r * cos(phi),
+      r * sin(phi)
     );
   }
 
-  static subtract(v, w) {
-    return new Vec2(
-      v.#xy[0] - w.#xy[0],
-      v.#xy[1] - w.#xy[1]
+  static reflect(v, normal, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    normal = Vec2.#from(normal);
+    const vX = v.#xy[0];
+    const vY = v.#xy[1];
+    const nX = normal.#xy[0];
+    const nY = normal.#xy[1];
+    const nMSq = nX * nX + nY * nY;
+    if (nMSq === 0) {
+      degenerate('reflect');
+      return out.#set(vX, vY);
+    }
+    const f = 2 * (vX * nX + vY * nY) / nMSq;
+    return out.#set(
+      vX - nX * f,
+      vY - nY * f
     );
   }
 
-  static zero() {
-    return new Vec2();
+  static refract(v, normal, eta, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    normal = Vec2.#from(normal);
+    const vX = v.#xy[0];
+    const vY = v.#xy[1];
+    const nX = normal.#xy[0];
+    const nY = normal.#xy[1];
+    const d = vX * nX + vY * nY;
+    const k = 1 - eta * eta * (1 - d * d);
+    // Total internal reflection.
+    if (k < 0) return null;
+    const f = eta * d + sqrt(k);
+    return out.#set(
+      eta * vX - nX * f,
+      eta * vY - nY * f
+    );
   }
 
-  get angleX() {
-    return atan2(
-      this.#xy[1],
-      this.#xy[0]
-    ) + (this.#xy[1] < 0 ? PI2 : 0);
+  static reject(v, w, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    const vX = v.#xy[0];
+    const vY = v.#xy[1];
+    const wX = w.#xy[0];
+    const wY = w.#xy[1];
+    const wMSq = wX * wX + wY * wY;
+    if (wMSq === 0) {
+      degenerate('reject');
+      return out.#set(vX, vY);
+    }
+    const f = (vX * wX + vY * wY) / wMSq;
+    return out.#set(
+      vX - wX * f,
+      vY - wY * f
+    );
   }
 
-  get angleY() {
-    return -atan2(
-      this.#xy[0],
-      this.#xy[1]
-    ) + (this.#xy[0] > 0 ? PI2 : 0);
+  static rotateTowards(
+    v,
+    w,
+    maxAngle,
+    maxMagnitudeDelta,
+    out = new Vec2()
+  ) {
+    out = Vec2.#mutable(out);
+    return out.#rotateTowards(
+      Vec2.#from(v),
+      Vec2.#from(w),
+      maxAngle,
+      maxMagnitudeDelta
+    );
   }
 
-  get magnitude() {
-    return this.#magnitude;
+  static round(v, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    return out.#set(
+      round(v.#xy[0]),
+      round(v.#xy[1])
+    );
   }
 
-  get magnitudeSq() {
-    return this.#magnitude ** 2;
+  static safeNormalize(v, fallback, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    if (v.#computeMagnitude() !== 0) return Vec2.normalize(v, out);
+    return fallback === undefined ? out.#set(0, 0) : out.copy(fallback);
   }
 
-  get x() {
-    return this.#xy[0];
+  static satisfyEquality(v, w) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    return (
+      v.#xy[0] === w.#xy[0] &&
+      v.#xy[1] === w.#xy[1]
+    );
   }
 
-  get xy() {
-    return [...this.#xy];
+  static satisfyOpposition(v, w) {
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    return (
+      v.#xy[0] === -w.#xy[0] &&
+      v.#xy[1] === -w.#xy[1]
+    );
+  }
+
+  static scale(v, c, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    return out.#set(
+      v.#xy[0] * c,
+      v.#xy[1] * c
+    );
+  }
+
+  static sign(v, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    return out.#set(
+      sign(v.#xy[0]),
+      sign(v.#xy[1])
+    );
+  }
+
+  static signedAngle(v, w) {
+    return Vec2.angleBetween(v, w);
+  }
+
+  static slerp(v, w, t, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    return out.#slerp(Vec2.#from(v), Vec2.#from(w), t);
+  }
+
+  static smoothDamp(
+    current,
+    target,
+    velocity,
+    smoothTime,
+    dt,
+    maxSpeed = Infinity,
+    out = new Vec2()
+  ) {
+    out = Vec2.#mutable(out);
+    current = Vec2.#from(current);
+    target = Vec2.#from(target);
+    velocity = Vec2.#mutable(velocity);
+    // Critically damped spring, as in "Game Programming Gems 4" (by Thomas
+    // Lowe), with the exponential decay approximated by a polynomial.
+    smoothTime = max(smoothTime, 0.0001);
+    const omega = 2 / smoothTime;
+    const step = omega * dt;
+    const decay = 1 / (1 + step + 0.48 * step ** 2 + 0.235 * step ** 3);
+    let dX = current.#xy[0] - target.#xy[0];
+    let dY = current.#xy[1] - target.#xy[1];
+    const d = sqrt(dX ** 2 + dY ** 2);
+    const maxDelta = maxSpeed * smoothTime;
+    if (d > maxDelta) {
+      dX = dX / d * maxDelta;
+      dY = dY / d * maxDelta;
+    }
+    const tX = (velocity.#xy[0] + omega * dX) * dt;
+    const tY = (velocity.#xy[1] + omega * dY) * dt;
+    const x = current.#xy[0] - dX + (dX + tX) * decay;
+    const y = current.#xy[1] - dY + (dY + tY) * decay;
+    // Stop at the target instead of overshooting it.
+    if (
+      (target.#xy[0] - current.#xy[0]) * (x - target.#xy[0]) +
+      (target.#xy[1] - current.#xy[1]) * (y - target.#xy[1]) > 0
+    ) {
+      velocity.#set(0, 0);
+      return out.copy(target);
+    }
+    velocity.#set(
+      (velocity.#xy[0] - omega * tX) * decay,
+      (velocity.#xy[1] - omega * tY) * decay
+    );
+    return out.#set(x, y);
+  }
+
+  static snap(v, step, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    return out.#snap(Vec2.#from(v), step);
+  }
+
+  static spring(
+    current,
+    target,
+    velocity,
+    stiffness,
+    damping,
+    dt,
+    out = new Vec2()
+  ) {
+    out = Vec2.#mutable(out);
+    current = Vec2.#from(current);
+    target = Vec2.#from(target);
+    velocity = Vec2.#mutable(velocity);
+    // Implicit Euler integration of a unit mass, stable for any time step.
+    const k = stiffness * dt;
+    const c = 1 + damping * dt + k * dt;
+    velocity.#set(
+      (velocity.#xy[0] + k * (target.#xy[0] - current.#xy[0])) / c,
+      (velocity.#xy[1] + k * (target.#xy[1] - current.#xy[1])) / c
+    );
+    return out.#set(
+      current.#xy[0] + velocity.#xy[0] * dt,
+      current.#xy[1] + velocity.#xy[1] * dt
+    );
+  }
+
+  static subtract(v, w, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    w = Vec2.#from(w);
+    return out.#set(
+      v.#xy[0] - w.#xy[0],
+      v.#xy[1] - w.#xy[1]
+    );
+  }
+
+  static transform(v, m, out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    v = Vec2.#from(v);
+    const e = mat2Elements(m);
+    const x = v.#xy[0];
+    const y = v.#xy[1];
+    return out.#set(
+      e[0] * x + e[2] * y,
+      e[1] * x + e[3] * y
+    );
+  }
+
+  static unsignedAngle(v, w) {
+    return abs(Vec2.angleBetween(v, w));
+  }
+
+  static view(buffer, index = 0, stride = 2, offset = 0, view = new Vec2()) {
+    if (!ArrayBuffer.isView(buffer) || buffer instanceof DataView) {
+      throw new TypeError(`Expected a typed array, got ${buffer}.`);
+    }
+    const i = offset + index * stride;
+    if (i < 0 || i + 2 > buffer.length) {
+      throw new TypeError(`Expected 2 components from index ${i} on.`);
+    }
+    view = Vec2.#mutable(view);
+    view.#xy = buffer.subarray(i, i + 2);
+    return view;
+  }
+
+  static zero(out = new Vec2()) {
+    out = Vec2.#mutable(out);
+    return out.#set(0, 0);
+  }
+
+  static #from(v) {
+    if (typeof v !== 'object' || v === null) {
+      throw new TypeError(`Expected a vector-like value, got ${v}.`);
+    }
+    if (#xy in v) return v;
+    // Any other vector-like value is read as an array (or typed array) of
+    // components, or an object with `x` and `y` properties. Missing components
+    // default to 0.
+    return Array.isArray(v) || ArrayBuffer.isView(v) ?
+      new Vec2(v[0] ?? 0, v[1] ?? 0) :
+      new Vec2(v.x ?? 0, v.y ?? 0);
+  }
+
+  // Arguments updated in place, thus only (mutable) vectors are accepted.
+  static #mutable(v) {
+    if (
+      typeof v !== 'object' ||
+      v === null ||
+      !(#xy in v) ||
+      v instanceof ImmutableVec2
+    ) {
+      throw new TypeError(`Expected a mutable vector, got ${v}.`);
+    }
+    return v;
+  }
+
+  get angleX() {
+    return wrapAngle(atan2(
+      this.#xy[1],
+      this.#xy[0]
+    ));
+  }
+
+  get angleY() {
+    return wrapAngle(-atan2(
+      this.#xy[0],
+      this.#xy[1]
+    ));
+  }
+
+  get magnitude() {
+    return this.#computeMagnitude();
+  }
+
+  get magnitudeSq() {
+    this.#computeMagnitude();
+    return this.#magnitudeSq;
+  }
+
+  get x() {
+    return this.#xy[0];
+  }
+
+  get xy() {
+    return [...this.#xy];
   }
 
   get y() {
@@ -288,74 +1300,97 @@ class Vec2 {
   }
 
   set angleX(phi) {
-    const m = this.#magnitude;
+    phi = wrapAngle(phi);
+    const m = this.#computeMagnitude();
     this.#xy[0] = m * cos(phi);
     this.#xy[1] = m * sin(phi);
-    this.#computeMagnitude();
   }
 
   set angleY(phi) {
-    const m = this.#magnitude;
+    phi = wrapAngle(phi);
+    const m = this.#computeMagnitude();
     this.#xy[0] = m * -sin(phi);
     this.#xy[1] = m * cos(phi);
-    this.#computeMagnitude();
   }
 
   set magnitude(m) {
-    const M = this.#magnitude;
+    const M = this.#computeMagnitude();
+    if (M === 0) {
+      degenerate('magnitude');
+      return;
+    }
     this.#xy[0] = this.#xy[0] / M * m;
     this.#xy[1] = this.#xy[1] / M * m;
-    this.#computeMagnitude();
   }
 
   set x(x) {
     this.#xy[0] = x;
-    this.#computeMagnitude();
   }
 
   set xy(xy) {
     this.#xy[0] = xy[0];
     this.#xy[1] = xy[1];
-    this.#computeMagnitude();
   }
 
   set y(y) {
     this.#xy[1] = y;
-    this.#computeMagnitude();
+  }
+
+  abs() {
+    this.#xy[0] = abs(this.#xy[0]);
+    this.#xy[1] = abs(this.#xy[1]);
+    return this;
   }
 
   add(v) {
+    v = Vec2.#from(v);
     this.#xy[0] += v.#xy[0];
     this.#xy[1] += v.#xy[1];
-    this.#computeMagnitude();
     return this;
   }
 
   angleBetween(v) {
+    v = Vec2.#from(v);
     const x = this.#xy[0];
     const y = this.#xy[1];
     const vX = v.#xy[0];
     const vY = v.#xy[1];
-    return atan2(
+    return wrapAngleSigned(atan2(
       x * vY - y * vX,
       x * vX + y * vY
-    );
+    ));
+  }
+
+  ceil() {
+    this.#xy[0] = ceil(this.#xy[0]);
+    this.#xy[1] = ceil(this.#xy[1]);
+    return this;
   }
 
   clamp(min, max) {
-    const m = this.#magnitude;
+    const m = this.#computeMagnitude();
+    if (m === 0 && min > 0) {
+      degenerate('clamp');
+      return this;
+    }
     if (m > max) {
       this.#xy[0] = this.#xy[0] / m * max;
       this.#xy[1] = this.#xy[1] / m * max;
-      this.#computeMagnitude();
     } else if (m < min) {
       this.#xy[0] = this.#xy[0] / m * min;
       this.#xy[1] = this.#xy[1] / m * min;
-      this.#computeMagnitude();
     }
     return this;
   }
 
+  clampComponents(min, max) {
+    min = Vec2.#from(min);
+    max = Vec2.#from(max);
+    this.#xy[0] = clamp(this.#xy[0], min.#xy[0], max.#xy[0]);
+    this.#xy[1] = clamp(this.#xy[1], min.#xy[1], max.#xy[1]);
+    return this;
+  }
+
   clone() {
     return new Vec2(
       this.#xy[0],
@@ -364,13 +1399,14 @@ class Vec2 {
   }
 
   copy(v) {
+    v = Vec2.#from(v);
     this.#xy[0] = v.#xy[0];
     this.#xy[1] = v.#xy[1];
-    this.#computeMagnitude();
     return this;
   }
 
   distance(v) {
+    v = Vec2.#from(v);
     return sqrt(
       (this.#xy[0] - v.#xy[0]) ** 2 +
       (this.#xy[1] - v.#xy[1]) ** 2
@@ -378,19 +1414,48 @@ class Vec2 {
   }
 
   distanceSq(v) {
+    v = Vec2.#from(v);
     return (
       (this.#xy[0] - v.#xy[0]) ** 2 +
       (this.#xy[1] - v.#xy[1]) ** 2
     );
   }
 
+  divide(v) {
+    v = Vec2.#from(v);
+    this.#xy[0] /= v.#xy[0];
+    this.#xy[1] /= v.#xy[1];
+    return this;
+  }
+
   dot(v) {
+    v = Vec2.#from(v);
     return (
       this.#xy[0] * v.#xy[0] +
       this.#xy[1] * v.#xy[1]
     );
   }
 
+  equals(v, epsilon = EPSILON, mode = 'absolute') {
+    return Vec2.equals(this, v, epsilon, mode);
+  }
+
+  floor() {
+    this.#xy[0] = floor(this.#xy[0]);
+    this.#xy[1] = floor(this.#xy[1]);
+    return this;
+  }
+
+  fract() {
+    this.#xy[0] = this.#xy[0] - floor(this.#xy[0]);
+    this.#xy[1] = this.#xy[1] - floor(this.#xy[1]);
+    return this;
+  }
+
+  isCollinear(v, w, epsilon = EPSILON) {
+    return Vec2.isCollinear(this, v, w, epsilon);
+  }
+
   isInfinite() {
     const x = this.#xy[0];
     const y = this.#xy[1];
@@ -409,6 +1474,18 @@ class Vec2 {
     );
   }
 
+  isNormalized(epsilon = EPSILON) {
+    return Vec2.isNormalized(this, epsilon);
+  }
+
+  isOrthogonal(v, epsilon = EPSILON) {
+    return Vec2.isOrthogonal(this, v, epsilon);
+  }
+
+  isParallel(v, epsilon = EPSILON) {
+    return Vec2.isParallel(this, v, epsilon);
+  }
+
   isZero() {
     return (
       this.#xy[0] === 0 &&
@@ -417,74 +1494,191 @@ class Vec2 {
   }
 
   limitMax(max) {
-    const m = this.#magnitude;
+    const m = this.#computeMagnitude();
     if (m > max) {
       this.#xy[0] = this.#xy[0] / m * max;
       this.#xy[1] = this.#xy[1] / m * max;
-      this.#computeMagnitude();
     }
     return this;
   }
 
   limitMin(min) {
-    const m = this.#magnitude;
+    const m = this.#computeMagnitude();
+    if (m === 0 && min > 0) {
+      degenerate('limitMin');
+      return this;
+    }
     if (m < min) {
       this.#xy[0] = this.#xy[0] / m * min;
       this.#xy[1] = this.#xy[1] / m * min;
-      this.#computeMagnitude();
     }
     return this;
   }
 
   lookAt(v) {
-    const m = this.#magnitude;
-    const vM = v.#magnitude;
+    v = Vec2.#from(v);
+    const m = this.#computeMagnitude();
+    const vM = v.#computeMagnitude();
+    if (vM === 0) {
+      degenerate('lookAt');
+      return this;
+    }
     this.#xy[0] = v.#xy[0] / vM * m;
     this.#xy[1] = v.#xy[1] / vM * m;
-    this.#computeMagnitude();
+    return this;
+  }
+
+  max(v) {
+    v = Vec2.#from(v);
+    this.#xy[0] = max(this.#xy[0], v.#xy[0]);
+    this.#xy[1] = max(this.#xy[1], v.#xy[1]);
+    return this;
+  }
+
+  min(v) {
+    v = Vec2.#from(v);
+    this.#xy[0] = min(this.#xy[0], v.#xy[0]);
+    this.#xy[1] = min(this.#xy[1], v.#xy[1]);
+    return this;
+  }
+
+  mod(n) {
+    return this.#mod(this, n);
+  }
+
+  moveTowards(v, maxDelta) {
+    return this.#moveTowards(this, Vec2.#from(v), maxDelta);
+  }
+
+  multiply(v) {
+    v = Vec2.#from(v);
+    this.#xy[0] *= v.#xy[0];
+    this.#xy[1] *= v.#xy[1];
     return this;
   }
 
   negate() {
     this.#xy[0] *= -1;
     this.#xy[1] *= -1;
-    this.#computeMagnitude();
     return this;
   }
 
+  nlerp(v, t) {
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    return this.#nlerp(this, Vec2.#from(v), t);
+  }
+
   normalize() {
-    const m = this.#magnitude;
+    const m = this.#computeMagnitude();
+    if (m === 0) {
+      degenerate('normalize');
+      return this.#set(0, 0);
+    }
     this.#xy[0] /= m;
     this.#xy[1] /= m;
-    this.#computeMagnitude();
     return this;
   }
 
+  perpDot(v) {
+    v = Vec2.#from(v);
+    return this.#xy[0] * v.#xy[1] - this.#xy[1] * v.#xy[0];
+  }
+
   project(v) {
+    v = Vec2.#from(v);
     const x = this.#xy[0];
     const y = this.#xy[1];
     const vX = v.#xy[0];
     const vY = v.#xy[1];
-    const vM = v.#magnitude;
-    const f = this.#magnitude * cos(atan2(
+    const vM = v.#computeMagnitude();
+    if (vM === 0) {
+      degenerate('project');
+      return this.#set(0, 0);
+    }
+    const f = this.#computeMagnitude() * cos(atan2(
       x * vY - y * vX,
       x * vX + y * vY
     ));
     this.#xy[0] = vX / vM * f;
     this.#xy[1] = vY / vM * f;
-    this.#computeMagnitude();
     return this;
   }
 
-  random() {
-    const phi = random() * PI2;
-    const m = this.#magnitude;
+  random(source = randomSource) {
+    const phi = source() * PI2;
+    const m = this.#computeMagnitude();
     this.#xy[0] = m * cos(phi);
     this.#xy[1] = m * sin(phi);
-    this.#computeMagnitude();
     return this;
   }
 
+  readFrom(buffer, offset = 0) {
+    return this.#set(
+      buffer[offset],
+      buffer[offset + 1]
+    );
+  }
+
+  reflect(normal) {
+    normal = Vec2.#from(normal);
+    const x = this.#xy[0];
+    const y = this.#xy[1];
+    const nX = normal.#xy[0];
+    const nY = normal.#xy[1];
+    const nMSq = nX * nX + nY * nY;
+    if (nMSq === 0) {
+      degenerate('reflect');
+      return this;
+    }
+    const f = 2 * (x * nX + y * nY) / nMSq;
+    this.#xy[0] = x - nX * f;
+    this.#xy[1] = y - nY * f;
+    return this;
+  }
+
+  refract(normal, eta) {
+    normal = Vec2.#from(normal);
+    const x = this.#xy[0];
+    const y = this.#xy[1];
+    const nX = normal.#xy[0];
+    const nY = normal.#xy[1];
+    const d = x * nX + y * nY;
+    const k = 1 - eta * eta * (1 - d * d);
+    // Total internal reflection.
+    if (k < 0) return null;
+    const f = eta * d + sqrt(k);
+    this.#xy[0] = eta * x - nX * f;
+    this.#xy[1] = eta * y - nY * f;
+    return this;
+  }
+
+  reject(v) {
+    v = Vec2.#from(v);
+    const x = this.#xy[0];
+    const y = this.#xy[1];
+    const vX = v.#xy[0];
+    const vY = v.#xy[1];
+    const vMSq = vX * vX + vY * vY;
+    if (vMSq === 0) {
+      degenerate('reject');
+      return this;
+    }
+    const f = (x * vX + y * vY) / vMSq;
+    this.#xy[0] = x - vX * f;
+    this.#xy[1] = y - vY * f;
+    return this;
+  }
+
+  rotateTowards(v, maxAngle, maxMagnitudeDelta) {
+    return this.#rotateTowards(
+      this,
+      Vec2.#from(v),
+      maxAngle,
+      maxMagnitudeDelta
+    );
+  }
+
   rotateZ(phi) {
     const cosPhi = cos(phi);
     const sinPhi = sin(phi);
@@ -492,11 +1686,22 @@ class Vec2 {
     const y = this.#xy[1];
     this.#xy[0] = x * cosPhi - y * sinPhi;
     this.#xy[1] = x * sinPhi + y * cosPhi;
-    this.#computeMagnitude();
     return this;
   }
 
+  round() {
+    this.#xy[0] = round(this.#xy[0]);
+    this.#xy[1] = round(this.#xy[1]);
+    return this;
+  }
+
+  safeNormalize(fallback) {
+    if (this.#computeMagnitude() !== 0) return this.normalize();
+    return fallback === undefined ? this.#set(0, 0) : this.copy(fallback);
+  }
+
   satisfyEquality(v) {
+    v = Vec2.#from(v);
     return (
       this.#xy[0] === v.#xy[0] &&
       this.#xy[1] === v.#xy[1]
@@ -504,6 +1709,7 @@ class Vec2 {
   }
 
   satisfyOpposition(v) {
+    v = Vec2.#from(v);
     return (
       this.#xy[0] === -v.#xy[0] &&
       this.#xy[1] === -v.#xy[1]
@@ -516,10 +1722,106 @@ class Vec2 {
     return this;
   }
 
+  sign() {
+    this.#xy[0] = sign(this.#xy[0]);
+    this.#xy[1] = sign(this.#xy[1]);
+    return this;
+  }
+
+  signedAngle(v) {
+    return Vec2.angleBetween(this, v);
+  }
+
+  slerp(v, t) {
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    return this.#slerp(this, Vec2.#from(v), t);
+  }
+
+  snap(step) {
+    return this.#snap(this, step);
+  }
+
   subtract(v) {
+    v = Vec2.#from(v);
     this.#xy[0] -= v.#xy[0];
     this.#xy[1] -= v.#xy[1];
-    this.#computeMagnitude();
+    return this;
+  }
+
+  swizzle(pattern) {
+    return swizzleVector(this, pattern, 'xy');
+  }
+
+  toBarycentricCoords(a, b, c) {
+    a = Vec2.#from(a);
+    b = Vec2.#from(b);
+    c = Vec2.#from(c);
+    const abX = b.#xy[0] - a.#xy[0];
+    const abY = b.#xy[1] - a.#xy[1];
+    const acX = c.#xy[0] - a.#xy[0];
+    const acY = c.#xy[1] - a.#xy[1];
+    const apX = this.#xy[0] - a.#xy[0];
+    const apY = this.#xy[1] - a.#xy[1];
+    const abab = abX * abX + abY * abY;
+    const abac = abX * acX + abY * acY;
+    const acac = acX * acX + acY * acY;
+    const apab = apX * abX + apY * abY;
+    const apac = apX * acX + apY * acY;
+    const denominator = abab * acac - abac * abac;
+    const v = (acac * apab - abac * apac) / denominator;
+    const w = (abab * apac - abac * apab) / denominator;
+    return { u: 1 - v - w, v, w };
+  }
+
+  toImmutable() {
+    return new ImmutableVec2(
+      this.#xy[0],
+      this.#xy[1]
+    );
+  }
+
+  toJSON() {
+    return {
+      x: this.#xy[0],
+      y: this.#xy[1]
+    };
+  }
+
+  toPolarCoords() {
+    return {
+      r: this.#computeMagnitude(),
+      theta: this.angleX
+    };
+  }
+
+  toString(precision) {
+    return stringify('Vec2', this.#xy, precision);
+  }
+
+  toVec3(z = 0) {
+    return new Vec3(
+      this.#xy[0],
+      this.#xy[1],
+      z
+    );
+  }
+
+  toVec4(z = 0, w = 0) {
+    return new Vec4(
+      this.#xy[0],
+      this.#xy[1],
+      z,
+      w
+    );
+  }
+
+  transform(m) {
+    const e = mat2Elements(m);
+    const x = this.#xy[0];
+    const y = this.#xy[1];
+    this.#xy[0] = e[0] * x + e[2] * y;
+    this.#xy[1] = e[1] * x + e[3] * y;
     return this;
   }
 
@@ -527,7 +1829,6 @@ class Vec2 {
     const x = this.#xy[0];
     this.#xy[0] = -this.#xy[1];
     this.#xy[1] = x;
-    this.#computeMagnitude();
     return this;
   }
 
@@ -535,1497 +1836,7817 @@ class Vec2 {
     const x = this.#xy[0];
     this.#xy[0] = this.#xy[1];
     this.#xy[1] = -x;
-    this.#computeMagnitude();
     return this;
   }
 
+  unsignedAngle(v) {
+    return abs(Vec2.angleBetween(this, v));
+  }
+
+  writeTo(buffer, offset = 0) {
+    buffer[offset] = this.#xy[0];
+    buffer[offset + 1] = this.#xy[1];
+    return buffer;
+  }
+
   zero() {
     this.#xy[0] = 0;
     this.#xy[1] = 0;
-    this.#computeMagnitude();
     return this;
   }
 
+  [INSPECT]() {
+    return this.toString();
+  }
+
   *[Symbol.iterator]() {
     yield this.#xy[0];
     yield this.#xy[1];
   }
 }
 
-// #region Vec3
+// #region ImmutableVec2
 
-class Vec3 {
-  #magnitude = 0;
-  #prevXYZ = new Float64Array([0, 0, 0]);
-  #xyz = new Float64Array(3);
+class ImmutableVec2 extends Vec2 {
+  constructor(x = 0, y = 0) {
+    super(x, y);
+    vec2Bind(this, Object.freeze(super.xy));
+    Object.freeze(this);
+  }
 
-  #computeMagnitude(
-    x = this.#xyz[0],
-    y = this.#xyz[1],
-    z = this.#xyz[2]
-  ) {
-    if (
-      x !== this.#prevXYZ[0] ||
-      y !== this.#prevXYZ[1] ||
-      z !== this.#prevXYZ[2]
-    ) {
-      this.#magnitude = sqrt(
-        x ** 2 +
-        y ** 2 +
-        z ** 2
-      );
-      this.#prevXYZ[0] = x;
-      this.#prevXYZ[1] = y;
-      this.#prevXYZ[2] = z;
-    }
+  get angleX() {
+    return super.angleX;
   }
 
-  constructor(x = 0, y = 0, z = 0) {
-    this.#xyz[0] = x;
-    this.#xyz[1] = y;
-    this.#xyz[2] = z;
-    this.#computeMagnitude(x, y, z);
+  get angleY() {
+    return super.angleY;
   }
 
-  static add(v, w) {
-    return new Vec3(
-      v.#xyz[0] + w.#xyz[0],
-      v.#xyz[1] + w.#xyz[1],
-      v.#xyz[2] + w.#xyz[2]
-    );
+  get magnitude() {
+    return super.magnitude;
   }
 
-  static angleBetween(v, w) {
-    return acos((
-      v.#xyz[0] * w.#xyz[0] +
-      v.#xyz[1] * w.#xyz[1] +
-      v.#xyz[2] * w.#xyz[2]
-    ) / (v.#magnitude * w.#magnitude));
+  get x() {
+    return super.x;
   }
 
-  static cross(v, w) {
-    const vX = v.#xyz[0];
-    const vY = v.#xyz[1];
-    const vZ = v.#xyz[2];
-    const wX = w.#xyz[0];
-    const wY = w.#xyz[1];
-    const wZ = w.#xyz[2];
-    return new Vec3(
-      vY * wZ - vZ * wY,
-      vZ * wX - vX * wZ,
-      vX * wY - vY * wX
-    );
+  get xy() {
+    return super.xy;
   }
 
-  static distance(v, w) {
-    return sqrt(
-      (v.#xyz[0] - w.#xyz[0]) ** 2 +
-      (v.#xyz[1] - w.#xyz[1]) ** 2 +
-      (v.#xyz[2] - w.#xyz[2]) ** 2
-    );
+  get y() {
+    return super.y;
   }
 
-  static distanceChebyshev(v, w) {
-    const absX = abs(v.#xyz[0] - w.#xyz[0]);
-    const absY = abs(v.#xyz[1] - w.#xyz[1]);
-    const absZ = abs(v.#xyz[2] - w.#xyz[2]);
-    return absX >= absY && absX >= absZ ?
-      absX :
-      absY >= absZ ?
-        absY :
-        absZ;
+  set angleX(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
   }
 
-  static distanceManhattan(v, w) {
-    return (
-      abs(v.#xyz[0] - w.#xyz[0]) +
-      abs(v.#xyz[1] - w.#xyz[1]) +
-      abs(v.#xyz[2] - w.#xyz[2])
-    );
+  set angleY(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
   }
 
-  static distanceMinkowski(v, w, p) {
-    return (
-      abs(v.#xyz[0] - w.#xyz[0]) ** p +
-      abs(v.#xyz[1] - w.#xyz[1]) ** p +
-      abs(v.#xyz[2] - w.#xyz[2]) ** p
-    ) ** (1 / p);
+  set magnitude(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
   }
 
-  static distanceSq(v, w) {
-    return (
-      (v.#xyz[0] - w.#xyz[0]) ** 2 +
-      (v.#xyz[1] - w.#xyz[1]) ** 2 +
-      (v.#xyz[2] - w.#xyz[2]) ** 2
-    );
+  set x(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
   }
 
-  static dot(v, w) {
-    return (
-      v.#xyz[0] * w.#xyz[0] +
-      v.#xyz[1] * w.#xyz[1] +
-      v.#xyz[2] * w.#xyz[2]
-    );
+  set xy(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
   }
 
-  static fromCylindricalCoords(r, phi, z) {
-    return new Vec3(
-      r * cos(phi),
-      r * sin(phi),
-      z
-    );
+  set y(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
   }
 
-  static fromSphericalCoords(r, theta, phi) {
-    return new Vec3(
-      r * sin(theta) * cos(phi),
-      r * sin(theta) * sin(phi),
-      r * cos(theta)
-    );
+  abs() {
+    return this.toMutable().abs().toImmutable();
   }
 
-  static immutable(x = 0, y = 0, z = 0) {
-    const data = new Float64Array(10);
-    data[0] = x;
-    data[1] = y;
-    data[2] = z;
-    const xySqSum = (
-      x ** 2 +
-      y ** 2
-    );
-    data[4] = atan2(sqrt(
-      y ** 2 +
-      z ** 2
-    ), x);
-    data[5] = atan2(sqrt(
-      z ** 2 +
-      x ** 2
-    ), y);
-    data[6] = atan2(sqrt(
-      xySqSum
-    ), z);
-    const magnitudeSq = (
-      xySqSum +
-      z ** 2
-    );
-    data[8] = sqrt(magnitudeSq);
-    data[9] = magnitudeSq;
-    const isInfinite = (
-      x === +Infinity ||
-      x === -Infinity ||
-      y === +Infinity ||
-      y === -Infinity ||
-      z === +Infinity ||
-      z === -Infinity
-    );
-    const _isNaN = (
-      isNaN(x) &&
-      isNaN(y) &&
-      isNaN(z)
-    );
-    const isZero = (
-      x === 0 &&
-      y === 0 &&
-      z === 0
-    );
-    const xyz = Object.freeze([...data.slice(0, 3)]);
-    return {
-      get angleX() { return data[4]; },
-      get angleY() { return data[5]; },
-      get angleZ() { return data[6]; },
-      get b() { return data[2]; },
-      get g() { return data[1]; },
-      get isInfinite() { return isInfinite; },
-      get isNaN() { return _isNaN; },
-      get isZero() { return isZero; },
-      get magnitude() { return data[8]; },
-      get magnitudeSq() { return data[10]; },
-      get r() { return data[0]; },
-      get rgb() { return xyz; },
-      get x() { return data[0]; },
-      get xyz() { return xyz; },
-      get y() { return data[1]; },
-      get z() { return data[2]; }
-    };
+  add(v) {
+    return this.toMutable().add(v).toImmutable();
   }
 
-  static isInfinite(v) {
-    const x = v.#xyz[0];
-    const y = v.#xyz[1];
-    const z = v.#xyz[2];
-    return (
-      x === +Infinity ||
-      x === -Infinity ||
-      y === +Infinity ||
-      y === -Infinity ||
-      z === +Infinity ||
-      z === -Infinity
-    );
+  ceil() {
+    return this.toMutable().ceil().toImmutable();
   }
 
-  static isNaN(v) {
-    return (
-      isNaN(v.#xyz[0]) ||
-      isNaN(v.#xyz[1]) ||
-      isNaN(v.#xyz[2])
-    );
+  clamp(min, max) {
+    return this.toMutable().clamp(min, max).toImmutable();
   }
 
-  static isZero(v) {
-    return (
-      v.#xyz[0] === 0 &&
-      v.#xyz[1] === 0 &&
-      v.#xyz[2] === 0
-    );
+  clampComponents(min, max) {
+    return this.toMutable().clampComponents(min, max).toImmutable();
   }
 
-  static lerp(v, w, t) {
-    if (t > 1) t = 1;
-    else if (t < 0) t = 0;
-    const vX = v.#xyz[0];
-    const vY = v.#xyz[1];
-    const vZ = v.#xyz[2];
-    return new Vec3(
-      vX + (w.#xyz[0] - vX) * t,
-      vY + (w.#xyz[1] - vY) * t,
-      vZ + (w.#xyz[2] - vZ) * t
-    );
+  clone() {
+    return this;
   }
 
-  static negate(v) {
-    return new Vec3(
-      -v.#xyz[0],
-      -v.#xyz[1],
-      -v.#xyz[2]
-    );
+  copy(v) {
+    return this.toMutable().copy(v).toImmutable();
   }
 
-  static normalize(v) {
-    const m = v.#magnitude;
-    return new Vec3(
-      v.#xyz[0] / m,
-      v.#xyz[1] / m,
-      v.#xyz[2] / m
-    );
+  divide(v) {
+    return this.toMutable().divide(v).toImmutable();
   }
 
-  static project(v, w) {
-    const vM = v.#magnitude;
-    const wM = w.#magnitude;
-    const wX = w.#xyz[0];
-    const wY = w.#xyz[1];
-    const wZ = w.#xyz[2];
-    const f = vM * cos(acos((
-      v.#xyz[0] * wX +
-      v.#xyz[1] * wY +
-      v.#xyz[2] * wZ
-    ) / (vM * wM)));
-    return new Vec3(
-      wX / wM * f,
-      wY / wM * f,
-      wZ / wM * f
-    );
+  floor() {
+    return this.toMutable().floor().toImmutable();
   }
 
-  static random() {
-    let x1;
-    let x2;
-    do {
-      x1 = random() * 2 - 1;
-      x2 = random() * 2 - 1;
-    } while (x1 ** 2 + x2 ** 2 >= 1);
-    const f = sqrt((1 - x1 ** 2 - x2 ** 2));
-    return new Vec3(
-      2 * x1 * f,
-      2 * x2 * f,
-      1 - 2 * (x1 ** 2 + x2 ** 2)
-    );
+  fract() {
+    return this.toMutable().fract().toImmutable();
   }
 
-  static satisfyEquality(v, w) {
-    return (
-      v.#xyz[0] === w.#xyz[0] &&
-      v.#xyz[1] === w.#xyz[1] &&
-      v.#xyz[2] === w.#xyz[2]
-    );
+  limitMax(max) {
+    return this.toMutable().limitMax(max).toImmutable();
   }
 
-  static satisfyOpposition(v, w) {
-    return (
-      v.#xyz[0] === -w.#xyz[0] &&
-      v.#xyz[1] === -w.#xyz[1] &&
-      v.#xyz[2] === -w.#xyz[2]
-    );
+  limitMin(min) {
+    return this.toMutable().limitMin(min).toImmutable();
   }
 
-  static scale(v, c) {
-    return new Vec3(
-      v.#xyz[0] * c,
-      v.#xyz[1] * c,
-      v.#xyz[2] * c
-    );
+  lookAt(v) {
+    return this.toMutable().lookAt(v).toImmutable();
   }
 
-  static subtract(v, w) {
-    return new Vec3(
-      v.#xyz[0] - w.#xyz[0],
-      v.#xyz[1] - w.#xyz[1],
-      v.#xyz[2] - w.#xyz[2]
-    );
+  max(v) {
+    return this.toMutable().max(v).toImmutable();
   }
 
-  static zero() {
-    return new Vec3();
+  min(v) {
+    return this.toMutable().min(v).toImmutable();
   }
 
-  get angleX() {
-    return atan2(sqrt(
-      this.#xyz[1] ** 2 +
-      this.#xyz[2] ** 2
-    ), this.#xyz[0]);
+  mod(n) {
+    return this.toMutable().mod(n).toImmutable();
   }
 
-  get angleY() {
-    return atan2(sqrt(
-      this.#xyz[2] ** 2 +
-      this.#xyz[0] ** 2
-    ), this.#xyz[1]);
+  moveTowards(v, maxDelta) {
+    return this.toMutable().moveTowards(v, maxDelta).toImmutable();
   }
 
-  get angleZ() {
-    return atan2(sqrt(
-      this.#xyz[0] ** 2 +
-      this.#xyz[1] ** 2
-    ), this.#xyz[2]);
+  multiply(v) {
+    return this.toMutable().multiply(v).toImmutable();
   }
 
-  get b() {
-    return this.#xyz[2];
+  negate() {
+    return this.toMutable().negate().toImmutable();
   }
 
-  get g() {
-    return this.#xyz[1];
+  nlerp(v, t) {
+    return this.toMutable().nlerp(v, t).toImmutable();
   }
 
-  get magnitude() {
-    return this.#magnitude;
+  normalize() {
+    return this.toMutable().normalize().toImmutable();
   }
 
-  get magnitudeSq() {
-    return this.#magnitude ** 2;
+  project(v) {
+    return this.toMutable().project(v).toImmutable();
   }
 
-  get r() {
-    return this.#xyz[0];
+  random(source) {
+    return this.toMutable().random(source).toImmutable();
   }
 
-  get rgb() {
-    return [...this.#xyz];
+  readFrom(buffer, offset) {
+    return this.toMutable().readFrom(buffer, offset).toImmutable();
   }
 
-  get x() {
-    return this.#xyz[0];
+  reflect(normal) {
+    return this.toMutable().reflect(normal).toImmutable();
   }
 
-  get xyz() {
-    return [...this.#xyz];
+  refract(normal, eta) {
+    const v = this.toMutable().refract(normal, eta);
+    return v === null ? null : v.toImmutable();
   }
 
-  get y() {
-    return this.#xyz[1];
+  reject(v) {
+    return this.toMutable().reject(v).toImmutable();
   }
 
-  get z() {
-    return this.#xyz[2];
+  rotateTowards(v, maxAngle, maxMagnitudeDelta) {
+    return this.toMutable()
+      .rotateTowards(v, maxAngle, maxMagnitudeDelta)
+      .toImmutable();
   }
 
-  set b(b) {
-    this.#xyz[2] = b;
-    this.#computeMagnitude();
+  rotateZ(phi) {
+    return this.toMutable().rotateZ(phi).toImmutable();
   }
 
-  set g(g) {
-    this.#xyz[1] = g;
-    this.#computeMagnitude();
+  round() {
+    return this.toMutable().round().toImmutable();
   }
 
-  set magnitude(m) {
-    const M = this.#magnitude;
-    this.#xyz[0] = this.#xyz[0] / M * m;
-    this.#xyz[1] = this.#xyz[1] / M * m;
-    this.#xyz[2] = this.#xyz[2] / M * m;
-    this.#computeMagnitude();
+  safeNormalize(fallback) {
+    return this.toMutable().safeNormalize(fallback).toImmutable();
   }
 
-  set r(r) {
-    this.#xyz[0] = r;
-    this.#computeMagnitude();
+  scale(c) {
+    return this.toMutable().scale(c).toImmutable();
   }
 
-  set rgb(rgb) {
-    this.#xyz[0] = rgb[0];
-    this.#xyz[1] = rgb[1];
-    this.#xyz[2] = rgb[2];
-    this.#computeMagnitude();
+  sign() {
+    return this.toMutable().sign().toImmutable();
   }
 
-  set x(x) {
-    this.#xyz[0] = x;
-    this.#computeMagnitude();
+  slerp(v, t) {
+    return this.toMutable().slerp(v, t).toImmutable();
   }
 
-  set xyz(xyz) {
-    this.#xyz[0] = xyz[0];
-    this.#xyz[1] = xyz[1];
-    this.#xyz[2] = xyz[2];
-    this.#computeMagnitude();
+  snap(step) {
+    return this.toMutable().snap(step).toImmutable();
   }
 
-  set y(y) {
-    this.#xyz[1] = y;
-    this.#computeMagnitude();
+  subtract(v) {
+    return this.toMutable().subtract(v).toImmutable();
   }
 
-  set z(z) {
-    this.#xyz[2] = z;
-    this.#computeMagnitude();
+  toImmutable() {
+    return this;
   }
 
-  add(v) {
-    this.#xyz[0] += v.#xyz[0];
-    this.#xyz[1] += v.#xyz[1];
-    this.#xyz[2] += v.#xyz[2];
-    this.#computeMagnitude();
-    return this;
+  toMutable() {
+    return super.clone();
   }
 
-  angleBetween(v) {
-    return acos((
-      this.#xyz[0] * v.#xyz[0] +
-      this.#xyz[1] * v.#xyz[1] +
-      this.#xyz[2] * v.#xyz[2]
-    ) / (this.#magnitude * v.#magnitude));
+  transform(m) {
+    return this.toMutable().transform(m).toImmutable();
   }
 
-  clamp(min, max) {
-    const m = this.#magnitude;
-    if (m > max) {
-      this.#xyz[0] = this.#xyz[0] / m * max;
-      this.#xyz[1] = this.#xyz[1] / m * max;
-      this.#xyz[2] = this.#xyz[2] / m * max;
-      this.#computeMagnitude();
-    } else if (m < min) {
-      this.#xyz[0] = this.#xyz[0] / m * min;
-      this.#xyz[1] = this.#xyz[1] / m * min;
-      this.#xyz[2] = this.#xyz[2] / m * min;
-      this.#computeMagnitude();
-    }
-    return this;
+  turnLeft() {
+    return this.toMutable().turnLeft().toImmutable();
+  }
+
+  turnRight() {
+    return this.toMutable().turnRight().toImmutable();
+  }
+
+  zero() {
+    return this.toMutable().zero().toImmutable();
+  }
+}
+
+// #region Vec2F32
+
+class Vec2F32 extends Vec2 {
+  constructor(x = 0, y = 0) {
+    super();
+    vec2Bind(this, new Float32Array([x, y]));
   }
 
   clone() {
-    return new Vec3(
-      this.#xyz[0],
-      this.#xyz[1],
-      this.#xyz[2]
-    );
+    return new Vec2F32().copy(this);
   }
+}
 
-  copy(v) {
-    this.#xyz[0] = v.#xyz[0];
-    this.#xyz[1] = v.#xyz[1];
-    this.#xyz[2] = v.#xyz[2];
-    this.#computeMagnitude();
-    return this;
+// #region Vec3
+
+class Vec3 {
+  #magnitude = 0;
+  #magnitudeSq = 0;
+  #prevXYZ = new Float64Array(3);
+  #xyz = new Float64Array(3);
+
+  static {
+    vec3Bind = (v, storage) => {
+      v.#xyz = storage;
+      return v;
+    };
+    vec3From = v => Vec3.#from(v);
+    vec3Mutable = v => Vec3.#mutable(v);
+    defineSwizzles(this, 'xyz');
   }
 
-  cross(v) {
+  // Lazy, only recomputed when read after any component changed (i.e.: they
+  // differ from the ones it was computed from), either by a method, a setter,
+  // or a write to the storage of a view.
+  #computeMagnitude() {
     const x = this.#xyz[0];
     const y = this.#xyz[1];
     const z = this.#xyz[2];
-    const vX = v.#xyz[0];
-    const vY = v.#xyz[1];
-    const vZ = v.#xyz[2];
-    this.#xyz[0] = y * vZ - z * vY;
-    this.#xyz[1] = z * vX - x * vZ;
-    this.#xyz[2] = x * vY - y * vX;
-    this.#computeMagnitude();
-    return this;
+    if (
+      x !== this.#prevXYZ[0] ||
+      y !== this.#prevXYZ[1] ||
+      z !== this.#prevXYZ[2]
+    ) {
+      this.#magnitudeSq = x ** 2 + y ** 2 + z ** 2;
+      this.#magnitude = sqrt(this.#magnitudeSq);
+      this.#prevXYZ[0] = x;
+      this.#prevXYZ[1] = y;
+      this.#prevXYZ[2] = z;
+    }
+    return this.#magnitude;
   }
 
-  distance(v) {
-    return sqrt(
-      (this.#xyz[0] - v.#xyz[0]) ** 2 +
-      (this.#xyz[1] - v.#xyz[1]) ** 2 +
-      (this.#xyz[2] - v.#xyz[2]) ** 2
+  // Either by a number, or component-wise by a vector-like value.
+  #mod(v, n) {
+    let nX = n;
+    let nY = n;
+    let nZ = n;
+    if (typeof n !== 'number') {
+      n = Vec3.#from(n);
+      nX = n.#xyz[0];
+      nY = n.#xyz[1];
+      nZ = n.#xyz[2];
+    }
+    return this.#set(
+      v.#xyz[0] - nX * floor(v.#xyz[0] / nX),
+      v.#xyz[1] - nY * floor(v.#xyz[1] / nY),
+      v.#xyz[2] - nZ * floor(v.#xyz[2] / nZ)
     );
   }
 
-  distanceSq(v) {
-    return (
-      (this.#xyz[0] - v.#xyz[0]) ** 2 +
-      (this.#xyz[1] - v.#xyz[1]) ** 2 +
-      (this.#xyz[2] - v.#xyz[2]) ** 2
+  #moveTowards(v, w, maxDelta) {
+    const dX = w.#xyz[0] - v.#xyz[0];
+    const dY = w.#xyz[1] - v.#xyz[1];
+    const dZ = w.#xyz[2] - v.#xyz[2];
+    const d = sqrt(dX ** 2 + dY ** 2 + dZ ** 2);
+    if (d <= maxDelta || d === 0) return this.copy(w);
+    return this.#set(
+      v.#xyz[0] + dX / d * maxDelta,
+      v.#xyz[1] + dY / d * maxDelta,
+      v.#xyz[2] + dZ / d * maxDelta
     );
   }
 
-  dot(v) {
-    return (
-      this.#xyz[0] * v.#xyz[0] +
-      this.#xyz[1] * v.#xyz[1] +
-      this.#xyz[2] * v.#xyz[2]
+  #nlerp(
+    v,
+    w,
+    t,
+    magnitude = v.#computeMagnitude() +
+      (w.#computeMagnitude() - v.#computeMagnitude()) * t
+  ) {
+    this.#set(
+      v.#xyz[0] + (w.#xyz[0] - v.#xyz[0]) * t,
+      v.#xyz[1] + (w.#xyz[1] - v.#xyz[1]) * t,
+      v.#xyz[2] + (w.#xyz[2] - v.#xyz[2]) * t
+    );
+    const m = this.#computeMagnitude();
+    if (m === 0) return this;
+    return this.#set(
+      this.#xyz[0] / m * magnitude,
+      this.#xyz[1] / m * magnitude,
+      this.#xyz[2] / m * magnitude
     );
   }
 
-  isInfinite() {
-    const x = this.#xyz[0];
-    const y = this.#xyz[1];
-    const z = this.#xyz[2];
-    return (
-      x === +Infinity ||
-      x === -Infinity ||
-      y === +Infinity ||
-      y === -Infinity ||
-      z === +Infinity ||
-      z === -Infinity
+  #rotateAround(x, y, z, axis, phi, operation) {
+    const aM = axis.#computeMagnitude();
+    if (aM === 0) {
+      degenerate(operation);
+      return this.#set(x, y, z);
+    }
+    const cosPhi = cos(phi);
+    const sinPhi = sin(phi);
+    const aX = axis.#xyz[0] / aM;
+    const aY = axis.#xyz[1] / aM;
+    const aZ = axis.#xyz[2] / aM;
+    // Rodrigues' rotation formula.
+    const f = (aX * x + aY * y + aZ * z) * (1 - cosPhi);
+    return this.#set(
+      x * cosPhi + (aY * z - aZ * y) * sinPhi + aX * f,
+      y * cosPhi + (aZ * x - aX * z) * sinPhi + aY * f,
+      z * cosPhi + (aX * y - aY * x) * sinPhi + aZ * f
     );
   }
 
-  isNaN() {
-    return (
-      isNaN(this.#xyz[0]) ||
-      isNaN(this.#xyz[1]) ||
-      isNaN(this.#xyz[2])
+  #rotateTowards(v, w, maxAngle, maxMagnitudeDelta) {
+    const m = v.#computeMagnitude();
+    const n = w.#computeMagnitude();
+    const angle = Vec3.angleBetween(v, w);
+    return this.#slerp(
+      v,
+      w,
+      angle > maxAngle ? maxAngle / angle : 1,
+      m < n ?
+        min(m + maxMagnitudeDelta, n) :
+        max(m - maxMagnitudeDelta, n)
     );
   }
 
-  isZero() {
-    return (
-      this.#xyz[0] === 0 &&
-      this.#xyz[1] === 0 &&
-      this.#xyz[2] === 0
-    );
+  #set(x, y, z) {
+    this.#xyz[0] = x;
+    this.#xyz[1] = y;
+    this.#xyz[2] = z;
+    return this;
   }
 
-  limitMax(max) {
-    const m = this.#magnitude;
-    if (m > max) {
-      this.#xyz[0] = this.#xyz[0] / m * max;
-      this.#xyz[1] = this.#xyz[1] / m * max;
-      this.#xyz[2] = this.#xyz[2] / m * max;
-      this.#computeMagnitude();
+  #slerp(
+    v,
+    w,
+    t,
+    magnitude = v.#computeMagnitude() +
+      (w.#computeMagnitude() - v.#computeMagnitude()) * t
+  ) {
+    const m = v.#computeMagnitude();
+    const n = w.#computeMagnitude();
+    const vX = v.#xyz[0] / m;
+    const vY = v.#xyz[1] / m;
+    const vZ = v.#xyz[2] / m;
+    const wX = w.#xyz[0] / n;
+    const wY = w.#xyz[1] / n;
+    const wZ = w.#xyz[2] / n;
+    const cosOmega = min(max(vX * wX + vY * wY + vZ * wZ, -1), 1);
+    if (m === 0 || n === 0 || cosOmega > 1 - EPSILON) {
+      // Undefined or (almost) equal directions, nothing to rotate.
+      return this.#nlerp(v, w, t, magnitude);
     }
-    return this;
+    const omega = acos(cosOmega);
+    let pX, pY, pZ;
+    if (cosOmega < EPSILON - 1) {
+      // Opposite directions, any perpendicular one is as short a way, the
+      // cross product with the axis least aligned with `v` is used.
+      const a = abs(vX) < 0.9;
+      pX = a ? 0 : -vZ;
+      pY = a ? vZ : 0;
+      pZ = a ? -vY : vX;
+      const m = sqrt(pX ** 2 + pY ** 2 + pZ ** 2);
+      pX /= m;
+      pY /= m;
+      pZ /= m;
+    } else {
+      // The unit direction perpendicular to `v` towards `w`.
+      const s = sin(omega);
+      pX = (wX - vX * cosOmega) / s;
+      pY = (wY - vY * cosOmega) / s;
+      pZ = (wZ - vZ * cosOmega) / s;
+    }
+    const c = cos(omega * t) * magnitude;
+    const s = sin(omega * t) * magnitude;
+    return this.#set(
+      vX * c + pX * s,
+      vY * c + pY * s,
+      vZ * c + pZ * s
+    );
   }
 
-  limitMin(min) {
-    const m = this.#magnitude;
-    if (m < min) {
-      this.#xyz[0] = this.#xyz[0] / m * min;
-      this.#xyz[1] = this.#xyz[1] / m * min;
-      this.#xyz[2] = this.#xyz[2] / m * min;
-      this.#computeMagnitude();
+  // Either to a number, or component-wise to a vector-like value.
+  #snap(v, step) {
+    let stepX = step;
+    let stepY = step;
+    let stepZ = step;
+    if (typeof step !== 'number') {
+      step = Vec3.#from(step);
+      stepX = step.#xyz[0];
+      stepY = step.#xyz[1];
+      stepZ = step.#xyz[2];
     }
-    return this;
+    return this.#set(
+      round(v.#xyz[0] / stepX) * stepX,
+      round(v.#xyz[1] / stepY) * stepY,
+      round(v.#xyz[2] / stepZ) * stepZ
+    );
   }
 
-  lookAt(v) {
-    const m = this.#magnitude;
-    const vM = v.#magnitude;
-    this.#xyz[0] = v.#xyz[0] / vM * m;
-    this.#xyz[1] = v.#xyz[1] / vM * m;
-    this.#xyz[2] = v.#xyz[2] / vM * m;
-    this.#computeMagnitude();
-    return this;
+  constructor(x = 0, y = 0, z = 0) {
+    this.#xyz[0] = x;
+    this.#xyz[1] = y;
+    this.#xyz[2] = z;
   }
 
-  negate() {
-    this.#xyz[0] *= -1;
-    this.#xyz[1] *= -1;
-    this.#xyz[2] *= -1;
-    this.#computeMagnitude();
-    return this;
+  static abs(v, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    return out.#set(
+      abs(v.#xyz[0]),
+      abs(v.#xyz[1]),
+      abs(v.#xyz[2])
+    );
   }
 
-  normalize() {
-    const m = this.#magnitude;
-    this.#xyz[0] /= m;
-    this.#xyz[1] /= m;
-    this.#xyz[2] /= m;
-    this.#computeMagnitude();
-    return this;
+  static add(v, w, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return out.#set(
+      v.#xyz[0] + w.#xyz[0],
+      v.#xyz[1] + w.#xyz[1],
+      v.#xyz[2] + w.#xyz[2]
+    );
   }
 
-  project(v) {
-    const m = this.#magnitude;
-    const vM = v.#magnitude;
+  static angleBetween(v, w) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
     const vX = v.#xyz[0];
     const vY = v.#xyz[1];
     const vZ = v.#xyz[2];
-    const f = m * cos(acos((
-      this.#xyz[0] * vX +
-      this.#xyz[1] * vY +
-      this.#xyz[2] * vZ
-    ) / (m * vM)));
-    this.#xyz[0] = vX / vM * f;
-    this.#xyz[1] = vY / vM * f;
-    this.#xyz[2] = vZ / vM * f;
-    this.#computeMagnitude();
-    return this;
-  }
-
-  random() {
-    let x1;
-    let x2;
-    do {
-      x1 = random() * 2 - 1;
-      x2 = random() * 2 - 1;
-    } while (x1 ** 2 + x2 ** 2 >= 1);
-    const f = sqrt((1 - x1 ** 2 - x2 ** 2));
-    const m = this.#magnitude;
-    this.#xyz[0] = m * 2 * x1 * f;
-    this.#xyz[1] = m * 2 * x2 * f;
-    this.#xyz[2] = m * (1 - 2 * (x1 ** 2 + x2 ** 2));
-    this.#computeMagnitude();
-    return this;
+    const wX = w.#xyz[0];
+    const wY = w.#xyz[1];
+    const wZ = w.#xyz[2];
+    // The magnitude of the cross product (the sine) along with the dot
+    // product (the cosine), stays accurate for (almost) parallel vectors.
+    return atan2(sqrt(
+      (vY * wZ - vZ * wY) ** 2 +
+      (vZ * wX - vX * wZ) ** 2 +
+      (vX * wY - vY * wX) ** 2
+    ), vX * wX + vY * wY + vZ * wZ);
   }
 
-  rotateX(phi) {
-    const cosPhi = cos(phi);
-    const sinPhi = sin(phi);
-    const y = this.#xyz[1];
-    const z = this.#xyz[2];
-    this.#xyz[1] = y * cosPhi - z * sinPhi;
-    this.#xyz[2] = y * sinPhi + z * cosPhi;
-    this.#computeMagnitude();
-    return this;
+  static applyQuaternion(v, q, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    return out.copy(v).applyQuaternion(q);
   }
 
-  rotateY(phi) {
-    const cosPhi = cos(phi);
-    const sinPhi = sin(phi);
-    const x = this.#xyz[0];
-    const z = this.#xyz[2];
-    this.#xyz[0] = x * cosPhi + z * sinPhi;
-    this.#xyz[2] = x * sinPhi + z * cosPhi;
-    this.#computeMagnitude();
-    return this;
+  static ceil(v, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    return out.#set(
+      ceil(v.#xyz[0]),
+      ceil(v.#xyz[1]),
+      ceil(v.#xyz[2])
+    );
   }
 
-  rotateZ(phi) {
-    const cosPhi = cos(phi);
-    const sinPhi = sin(phi);
-    const x = this.#xyz[0];
-    const y = this.#xyz[1];
-    this.#xyz[0] = x * cosPhi - y * sinPhi;
-    this.#xyz[1] = x * sinPhi + y * cosPhi;
-    this.#computeMagnitude();
-    return this;
+  static clampComponents(v, min, max, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    min = Vec3.#from(min);
+    max = Vec3.#from(max);
+    return out.#set(
+      clamp(v.#xyz[0], min.#xyz[0], max.#xyz[0]),
+      clamp(v.#xyz[1], min.#xyz[1], max.#xyz[1]),
+      clamp(v.#xyz[2], min.#xyz[2], max.#xyz[2])
+    );
   }
 
-  satisfyEquality(v) {
-    return (
-      this.#xyz[0] === v.#xyz[0] &&
-      this.#xyz[1] === v.#xyz[1] &&
-      this.#xyz[2] === v.#xyz[2]
+  static cross(v, w, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    const vX = v.#xyz[0];
+    const vY = v.#xyz[1];
+    const vZ = v.#xyz[2];
+    const wX = w.#xyz[0];
+    const wY = w.#xyz[1];
+    const wZ = w.#xyz[2];
+    return out.#set(
+      vY * wZ - vZ * wY,
+      vZ * wX - vX * wZ,
+      vX * wY - vY * wX
     );
   }
 
-  satisfyOpposition(v) {
-    return (
-      this.#xyz[0] === -v.#xyz[0] &&
-      this.#xyz[1] === -v.#xyz[1] &&
-      this.#xyz[2] === -v.#xyz[2]
+  static distance(v, w) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return sqrt(
+      (v.#xyz[0] - w.#xyz[0]) ** 2 +
+      (v.#xyz[1] - w.#xyz[1]) ** 2 +
+      (v.#xyz[2] - w.#xyz[2]) ** 2
     );
   }
 
-  scale(c) {
-    this.#xyz[0] *= c;
-    this.#xyz[1] *= c;
-    this.#xyz[2] *= c;
-    this.#computeMagnitude();
-    return this;
-  }
-
-  subtract(v) {
-    this.#xyz[0] -= v.#xyz[0];
-    this.#xyz[1] -= v.#xyz[1];
-    this.#xyz[2] -= v.#xyz[2];
-    this.#computeMagnitude();
-    return this;
+  static distanceChebyshev(v, w) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    const absX = abs(v.#xyz[0] - w.#xyz[0]);
+    const absY = abs(v.#xyz[1] - w.#xyz[1]);
+    const absZ = abs(v.#xyz[2] - w.#xyz[2]);
+    return absX >= absY && absX >= absZ ?
+      absX :
+      absY >= absZ ?
+        absY :
+        absZ;
   }
 
-  zero() {
-    this.#xyz[0] = 0;
-    this.#xyz[1] = 0;
-    this.#xyz[2] = 0;
-    this.#computeMagnitude();
-    return this;
+  static distanceManhattan(v, w) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return (
+      abs(v.#xyz[0] - w.#xyz[0]) +
+      abs(v.#xyz[1] - w.#xyz[1]) +
+      abs(v.#xyz[2] - w.#xyz[2])
+    );
   }
 
-  *[Symbol.iterator]() {
-    yield this.#xyz[0];
-    yield this.#xyz[1];
-    yield this.#xyz[2];
+  static distanceMinkowski(v, w, p) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return (
+      abs(v.#xyz[0] - w.#xyz[0]) ** p +
+      abs(v.#xyz[1] - w.#xyz[1]) ** p +
+      abs(v.#xyz[2] - w.#xyz[2]) ** p
+    ) ** (1 / p);
   }
-}
-
-// #region Vec4
-
-class Vec4 {
-  #magnitude = 0;
-  #prevXYZW = new Float64Array([0, 0, 0, 0]);
-  #xyzw = new Float64Array(4);
 
-  #computeMagnitude(
-    x = this.#xyzw[0],
-    y = this.#xyzw[1],
-    z = this.#xyzw[2],
-    w = this.#xyzw[3]
-  ) {
-    if (
-      x !== this.#prevXYZW[0] ||
-      y !== this.#prevXYZW[1] ||
-      z !== this.#prevXYZW[2] ||
-      w !== this.#prevXYZW[3]
-    ) {
-      this.#magnitude = sqrt(
-        x ** 2 +
-        y ** 2 +
-        z ** 2 +
-        w ** 2
-      );
-      this.#prevXYZW[0] = x;
-      this.#prevXYZW[1] = y;
-      this.#prevXYZW[2] = z;
-      this.#prevXYZW[3] = w;
-    }
+  static distanceSq(v, w) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return (
+      (v.#xyz[0] - w.#xyz[0]) ** 2 +
+      (v.#xyz[1] - w.#xyz[1]) ** 2 +
+      (v.#xyz[2] - w.#xyz[2]) ** 2
+    );
   }
 
-  constructor(x = 0, y = 0, z = 0, w = 0) {
-    this.#xyzw[0] = x;
-    this.#xyzw[1] = y;
-    this.#xyzw[2] = z;
-    this.#xyzw[3] = w;
-    this.#computeMagnitude(x, y, z, w);
+  static divide(v, w, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return out.#set(
+      v.#xyz[0] / w.#xyz[0],
+      v.#xyz[1] / w.#xyz[1],
+      v.#xyz[2] / w.#xyz[2]
+    );
   }
 
-  static add(v, w) {
-    return new Vec4(
-      v.#xyzw[0] + w.#xyzw[0],
-      v.#xyzw[1] + w.#xyzw[1],
-      v.#xyzw[2] + w.#xyzw[2],
-      v.#xyzw[3] + w.#xyzw[3]
+  static dot(v, w) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return (
+      v.#xyz[0] * w.#xyz[0] +
+      v.#xyz[1] * w.#xyz[1] +
+      v.#xyz[2] * w.#xyz[2]
     );
   }
 
-  static angleBetween(v, w) {
-    return acos((
-      v.#xyzw[0] * w.#xyzw[0] +
-      v.#xyzw[1] * w.#xyzw[1] +
-      v.#xyzw[2] * w.#xyzw[2] +
-      v.#xyzw[3] * w.#xyzw[3]
-    ) / (v.#magnitude * w.#magnitude));
+  static equals(v, w, epsilon = EPSILON, mode = 'absolute') {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return (
+      satisfyTolerance(v.#xyz[0], w.#xyz[0], epsilon, mode) &&
+      satisfyTolerance(v.#xyz[1], w.#xyz[1], epsilon, mode) &&
+      satisfyTolerance(v.#xyz[2], w.#xyz[2], epsilon, mode)
+    );
   }
 
-  static distance(v, w) {
-    return sqrt(
-      (v.#xyzw[0] - w.#xyzw[0]) ** 2 +
-      (v.#xyzw[1] - w.#xyzw[1]) ** 2 +
-      (v.#xyzw[2] - w.#xyzw[2]) ** 2 +
-      (v.#xyzw[3] - w.#xyzw[3]) ** 2
+  static floor(v, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    return out.#set(
+      floor(v.#xyz[0]),
+      floor(v.#xyz[1]),
+      floor(v.#xyz[2])
     );
   }
 
-  static distanceChebyshev(v, w) {
-    const absX = abs(v.#xyzw[0] - w.#xyzw[0]);
-    const absY = abs(v.#xyzw[1] - w.#xyzw[1]);
-    const absZ = abs(v.#xyzw[2] - w.#xyzw[2]);
-    const absW = abs(v.#xyzw[3] - w.#xyzw[3]);
-    return absX >= absY && absX >= absZ && absX >= absW ?
-      absX :
-      absY >= absZ && absY >= absW ?
-        absY :
-        absZ >= absW ?
-          absZ :
-          absW;
+  static fract(v, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    return out.#set(
+      v.#xyz[0] - floor(v.#xyz[0]),
+      v.#xyz[1] - floor(v.#xyz[1]),
+      v.#xyz[2] - floor(v.#xyz[2])
+    );
   }
 
-  static distanceManhattan(v, w) {
-    return (
-      abs(v.#xyzw[0] - w.#xyzw[0]) +
-      abs(v.#xyzw[1] - w.#xyzw[1]) +
-      abs(v.#xyzw[2] - w.#xyzw[2]) +
-      abs(v.#xyzw[3] - w.#xyzw[3])
+  static fromBarycentricCoords(u, v, w, a, b, c, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    a = Vec3.#from(a);
+    b = Vec3.#from(b);
+    c = Vec3.#from(c);
+    return out.#set(
+      a.#xyz[0] * u + b.#xyz[0] * v + c.#xyz[0] * w,
+      a.#xyz[1] * u + b.#xyz[1] * v + c.#xyz[1] * w,
+      a.#xyz[2] * u + b.#xyz[2] * v + c.#xyz[2] * w
     );
   }
 
-  static distanceMinkowski(v, w, p) {
-    return (
-      abs(v.#xyzw[0] - w.#xyzw[0]) ** p +
-      abs(v.#xyzw[1] - w.#xyzw[1]) ** p +
-      abs(v.#xyzw[2] - w.#xyzw[2]) ** p +
-      abs(v.#xyzw[3] - w.#xyzw[3]) ** p
-    ) ** (1 / p);
+  static fromCylindricalCoords(r, phi, z, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    return out.#set(
+      r * cos(phi),
+      r * sin(phi),
+      z
+    );
   }
 
-  static distanceSq(v, w) {
-    return (
-      (v.#xyzw[0] - w.#xyzw[0]) ** 2 +
-      (v.#xyzw[1] - w.#xyzw[1]) ** 2 +
-      (v.#xyzw[2] - w.#xyzw[2]) ** 2 +
-      (v.#xyzw[3] - w.#xyzw[3]) ** 2
-    );
+  static fromJSON(json, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    return out.copy(parseJSON(json));
   }
 
-  static dot(v, w) {
-    return (
-      v.#xyzw[0] * w.#xyzw[0] +
-      v.#xyzw[1] * w.#xyzw[1] +
-      v.#xyzw[2] * w.#xyzw[2] +
-      v.#xyzw[3] * w.#xyzw[3]
+  static fromSphericalCoords(r, theta, phi, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    return out.#set(
+      r * sin(theta) * cos(phi),
+      r * sin(theta) * sin(phi),
+      r * cos(theta)
     );
   }
 
-  static immutable(x = 0, y = 0, z = 0, w = 0) {
-    const data = new Float64Array(10);
-    data[0] = x;
-    data[1] = y;
-    data[2] = z;
-    data[3] = w;
-    const xyzSqSum = (
-      x ** 2 +
-      y ** 2 +
-      z ** 2
-    );
-    data[4] = atan2(sqrt(
-      y ** 2 +
-      z ** 2 +
-      w ** 2
-    ), x);
-    data[5] = atan2(sqrt(
-      z ** 2 +
-      w ** 2 +
-      x ** 2
-    ), y);
-    data[6] = atan2(sqrt(
-      w ** 2 +
-      x ** 2 +
-      y ** 2
-    ), z);
-    data[7] = atan2(sqrt(
-      xyzSqSum
-    ), w);
-    const magnitudeSq = (
-      xyzSqSum +
-      w ** 2
-    );
-    data[8] = sqrt(magnitudeSq);
-    data[9] = magnitudeSq;
-    const isInfinite = (
-      x === +Infinity ||
-      x === -Infinity ||
-      y === +Infinity ||
-      y === -Infinity ||
-      z === +Infinity ||
-      z === -Infinity ||
-      w === +Infinity ||
-      w === -Infinity
-    );
-    const _isNaN = (
-      isNaN(x) &&
-      isNaN(y) &&
-      isNaN(z) &&
-      isNaN(w)
-    );
-    const isZero = (
-      x === 0 &&
-      y === 0 &&
-      z === 0 &&
-      w === 0
-    );
-    const xyzw = Object.freeze([...data.slice(0, 4)]);
-    return {
-      get a() { return data[3]; },
-      get angleW() { return data[7] },
-      get angleX() { return data[4]; },
-      get angleY() { return data[5]; },
-      get angleZ() { return data[6]; },
-      get b() { return data[2]; },
-      get g() { return data[1]; },
-      get isInfinite() { return isInfinite; },
-      get isNaN() { return _isNaN; },
-      get isZero() { return isZero; },
-      get magnitude() { return data[8]; },
-      get magnitudeSq() { return data[10]; },
-      get r() { return data[0]; },
-      get rgba() { return xyzw; },
-      get w() { return data[3]; },
-      get x() { return data[0]; },
-      get xyzw() { return xyzw; },
-      get y() { return data[1]; },
-      get z() { return data[2]; }
-    };
+  static immutable(x = 0, y = 0, z = 0) {
+    return new ImmutableVec3(x, y, z);
+  }
+
+  static inverseLerp(v, w, u) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    u = Vec3.#from(u);
+    const dX = w.#xyz[0] - v.#xyz[0];
+    const dY = w.#xyz[1] - v.#xyz[1];
+    const dZ = w.#xyz[2] - v.#xyz[2];
+    const dd = dX ** 2 + dY ** 2 + dZ ** 2;
+    if (dd === 0) return 0;
+    return (
+      (u.#xyz[0] - v.#xyz[0]) * dX +
+      (u.#xyz[1] - v.#xyz[1]) * dY +
+      (u.#xyz[2] - v.#xyz[2]) * dZ
+    ) / dd;
+  }
+
+  static isCollinear(u, v, w, epsilon = EPSILON) {
+    u = Vec3.#from(u);
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    const aX = v.#xyz[0] - u.#xyz[0];
+    const aY = v.#xyz[1] - u.#xyz[1];
+    const aZ = v.#xyz[2] - u.#xyz[2];
+    const bX = w.#xyz[0] - u.#xyz[0];
+    const bY = w.#xyz[1] - u.#xyz[1];
+    const bZ = w.#xyz[2] - u.#xyz[2];
+    return sqrt(
+      (aY * bZ - aZ * bY) ** 2 +
+      (aZ * bX - aX * bZ) ** 2 +
+      (aX * bY - aY * bX) ** 2
+    ) <= epsilon * sqrt((
+      aX ** 2 +
+      aY ** 2 +
+      aZ ** 2
+    ) * (
+      bX ** 2 +
+      bY ** 2 +
+      bZ ** 2
+    ));
   }
 
   static isInfinite(v) {
-    const x = v.#xyzw[0];
-    const y = v.#xyzw[1];
-    const z = v.#xyzw[2];
-    const w = v.#xyzw[3];
+    v = Vec3.#from(v);
+    const x = v.#xyz[0];
+    const y = v.#xyz[1];
+    const z = v.#xyz[2];
     return (
       x === +Infinity ||
       x === -Infinity ||
       y === +Infinity ||
       y === -Infinity ||
       z === +Infinity ||
-      z === -Infinity ||
-      w === +Infinity ||
-      w === -Infinity
+      z === -Infinity
     );
   }
 
   static isNaN(v) {
+    v = Vec3.#from(v);
     return (
-      isNaN(v.#xyzw[0]) ||
-      isNaN(v.#xyzw[1]) ||
-      isNaN(v.#xyzw[2]) ||
-      isNaN(v.#xyzw[3])
+      isNaN(v.#xyz[0]) ||
+      isNaN(v.#xyz[1]) ||
+      isNaN(v.#xyz[2])
     );
   }
 
+  static isNormalized(v, epsilon = EPSILON) {
+    v = Vec3.#from(v);
+    return abs(sqrt(
+      v.#xyz[0] ** 2 +
+      v.#xyz[1] ** 2 +
+      v.#xyz[2] ** 2
+    ) - 1) <= epsilon;
+  }
+
+  static isOrthogonal(v, w, epsilon = EPSILON) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    const vX = v.#xyz[0];
+    const vY = v.#xyz[1];
+    const vZ = v.#xyz[2];
+    const wX = w.#xyz[0];
+    const wY = w.#xyz[1];
+    const wZ = w.#xyz[2];
+    return abs(
+      vX * wX +
+      vY * wY +
+      vZ * wZ
+    ) <= epsilon * sqrt((
+      vX ** 2 +
+      vY ** 2 +
+      vZ ** 2
+    ) * (
+      wX ** 2 +
+      wY ** 2 +
+      wZ ** 2
+    ));
+  }
+
+  static isParallel(v, w, epsilon = EPSILON) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    const vX = v.#xyz[0];
+    const vY = v.#xyz[1];
+    const vZ = v.#xyz[2];
+    const wX = w.#xyz[0];
+    const wY = w.#xyz[1];
+    const wZ = w.#xyz[2];
+    return sqrt(
+      (vY * wZ - vZ * wY) ** 2 +
+      (vZ * wX - vX * wZ) ** 2 +
+      (vX * wY - vY * wX) ** 2
+    ) <= epsilon * sqrt((
+      vX ** 2 +
+      vY ** 2 +
+      vZ ** 2
+    ) * (
+      wX ** 2 +
+      wY ** 2 +
+      wZ ** 2
+    ));
+  }
+
   static isZero(v) {
+    v = Vec3.#from(v);
     return (
-      v.#xyzw[0] === 0 &&
-      v.#xyzw[1] === 0 &&
-      v.#xyzw[2] === 0 &&
-      v.#xyzw[3] === 0
+      v.#xyz[0] === 0 &&
+      v.#xyz[1] === 0 &&
+      v.#xyz[2] === 0
     );
   }
 
-  static lerp(v, w, t) {
+  static lerp(v, w, t, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
     if (t > 1) t = 1;
     else if (t < 0) t = 0;
-    const vX = v.#xyzw[0];
-    const vY = v.#xyzw[1];
-    const vZ = v.#xyzw[2];
-    const vW = v.#xyzw[3];
-    return new Vec4(
-      vX + (w.#xyzw[0] - vX) * t,
-      vY + (w.#xyzw[1] - vY) * t,
-      vZ + (w.#xyzw[2] - vZ) * t,
-      vW + (w.#xyzw[3] - vW) * t
+    const vX = v.#xyz[0];
+    const vY = v.#xyz[1];
+    const vZ = v.#xyz[2];
+    return out.#set(
+      vX + (w.#xyz[0] - vX) * t,
+      vY + (w.#xyz[1] - vY) * t,
+      vZ + (w.#xyz[2] - vZ) * t
     );
   }
 
-  static negate(v) {
-    return new Vec4(
-      -v.#xyzw[0],
-      -v.#xyzw[1],
-      -v.#xyzw[2],
-      -v.#xyzw[3]
+  static lerpUnclamped(v, w, t, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return out.#set(
+      v.#xyz[0] + (w.#xyz[0] - v.#xyz[0]) * t,
+      v.#xyz[1] + (w.#xyz[1] - v.#xyz[1]) * t,
+      v.#xyz[2] + (w.#xyz[2] - v.#xyz[2]) * t
     );
   }
 
-  static normalize(v) {
-    const m = v.#magnitude;
-    return new Vec4(
-      v.#xyzw[0] / m,
-      v.#xyzw[1] / m,
-      v.#xyzw[2] / m,
-      v.#xyzw[3] / m
+  static max(v, w, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return out.#set(
+      max(v.#xyz[0], w.#xyz[0]),
+      max(v.#xyz[1], w.#xyz[1]),
+      max(v.#xyz[2], w.#xyz[2])
     );
   }
 
-  static project(v, w) {
-    const vM = v.#magnitude;
-    const wM = w.#magnitude;
-    const wX = w.#xyzw[0];
-    const wY = w.#xyzw[1];
-    const wZ = w.#xyzw[2];
-    const wW = w.#xyzw[3];
-    const f = vM * cos(acos((
-      v.#xyzw[0] * wX +
-      v.#xyzw[1] * wY +
-      v.#xyzw[2] * wZ +
-      v.#xyzw[3] * wW
-    ) / (vM * wM)));
-    return new Vec4(
-      wX / wM * f,
-      wY / wM * f,
-      wZ / wM * f,
-      wW / wM * f
+  static min(v, w, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return out.#set(
+      min(v.#xyz[0], w.#xyz[0]),
+      min(v.#xyz[1], w.#xyz[1]),
+      min(v.#xyz[2], w.#xyz[2])
     );
   }
 
-  static random() {
-    let x1;
-    let x2;
-    let x3;
-    let x4;
-    do {
-      x1 = random() * 2 - 1;
-      x2 = random() * 2 - 1;
-      x3 = random() * 2 - 1;
-      x4 = random() * 2 - 1;
-    } while (x1 ** 2 + x2 ** 2 >= 1 || x3 ** 2 + x4 ** 2 >= 1);
-    const f = sqrt((1 - x1 ** 2 - x2 ** 2) / (x3 ** 2 + x4 ** 2));
-    return new Vec4(
-      x1,
-      x2,
-      x3 * f,
-      x4 * f
+  static mod(v, n, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    return out.#mod(Vec3.#from(v), n);
+  }
+
+  static moveTowards(v, w, maxDelta, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    return out.#moveTowards(Vec3.#from(v), Vec3.#from(w), maxDelta);
+  }
+
+  static multiply(v, w, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return out.#set(
+      v.#xyz[0] * w.#xyz[0],
+      v.#xyz[1] * w.#xyz[1],
+      v.#xyz[2] * w.#xyz[2]
     );
   }
 
-  static satisfyEquality(v, w) {
-    return (
-      v.#xyzw[0] === w.#xyzw[0] &&
-      v.#xyzw[1] === w.#xyzw[1] &&
-      v.#xyzw[2] === w.#xyzw[2] &&
-      v.#xyzw[3] === w.#xyzw[3]
+  static negate(v, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    return out.#set(
+      -v.#xyz[0],
+      -v.#xyz[1],
+      -v.#xyz[2]
     );
   }
 
-  static satisfyOpposition(v, w) {
-    return (
-      v.#xyzw[0] === -w.#xyzw[0] &&
-      v.#xyzw[1] === -w.#xyzw[1] &&
-      v.#xyzw[2] === -w.#xyzw[2] &&
-      v.#xyzw[3] === -w.#xyzw[3]
+  static nlerp(v, w, t, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    return out.#nlerp(Vec3.#from(v), Vec3.#from(w), t);
+  }
+
+  static normalize(v, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    const m = v.#computeMagnitude();
+    if (m === 0) {
+      degenerate('normalize');
+      return out.#set(0, 0, 0);
+    }
+    return out.#set(
+      v.#xyz[0] / m,
+      v.#xyz[1] / m,
+      v.#xyz[2] / m
     );
   }
 
-  static scale(v, c) {
-    return new Vec4(
-      v.#xyzw[0] * c,
-      v.#xyzw[1] * c,
-      v.#xyzw[2] * c,
-      v.#xyzw[3] * c
+  static project(v, w, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    const vM = v.#computeMagnitude();
+    const wM = w.#computeMagnitude();
+    if (wM === 0) {
+      degenerate('project');
+      return out.#set(0, 0, 0);
+    }
+    if (vM === 0) return out.#set(0, 0, 0);
+    const wX = w.#xyz[0];
+    const wY = w.#xyz[1];
+    const wZ = w.#xyz[2];
+    const f = vM * cos(acos((
+      v.#xyz[0] * wX +
+      v.#xyz[1] * wY +
+      v.#xyz[2] * wZ
+    ) / (vM * wM)));
+    return out.#set(
+      wX / wM * f,
+      wY / wM * f,
+      wZ / wM * f
     );
   }
 
-  static subtract(v, w) {
-    return new Vec4(
-      v.#xyzw[0] - w.#xyzw[0],
-      v.#xyzw[1] - w.#xyzw[1],
-      v.#xyzw[2] - w.#xyzw[2],
-      v.#xyzw[3] - w.#xyzw[3]
+  static projectOnPlane(v, normal, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    normal = Vec3.#from(normal);
+    if (normal.#computeMagnitude() === 0) {
+      degenerate('projectOnPlane');
+      return out.copy(v);
+    }
+    return Vec3.reject(v, normal, out);
+  }
+
+  static random(source = randomSource, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    let x1;
+    let x2;
+    do {
+      x1 = source() * 2 - 1;
+      x2 = source() * 2 - 1;
+    } while (x1 ** 2 + x2 ** 2 >= 1);
+    const f = sqrt((1 - x1 ** 2 - x2 ** 2));
+    return out.#set(
+      2 * x1 * f,
+      2 * x2 * f,
+      1 - 2 * (x1 ** 2 + x2 ** 2)
     );
   }
 
-  static zero() {
-    return new Vec4();
+  static randomGaussian(
+    mean,
+    sigma = 1,
+    source = randomSource,
+    out = new Vec3()
+  ) {
+    out = Vec3.#mutable(out);
+    if (mean) mean = Vec3.#from(mean);
+    return out.#set(
+      (mean ? mean.#xyz[0] : 0) + sigma * randomGaussian(source),
+      (mean ? mean.#xyz[1] : 0) + sigma * randomGaussian(source),
+      (mean ? mean.#xyz[2] : 0) + sigma * randomGaussian(source)
+    );
   }
 
-  get a() {
-    return this.#xyzw[3];
+  static randomInBox(min, max, source = randomSource, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    min = Vec3.#from(min);
+    max = Vec3.#from(max);
+    const minX = min.#xyz[0];
+    const minY = min.#xyz[1];
+    const minZ = min.#xyz[2];
+    return out.#set(
+      minX + (max.#xyz[0] - minX) * source(),
+      minY + (max.#xyz[1] - minY) * source(),
+      minZ + (max.#xyz[2] - minZ) * source()
+    );
   }
 
-  get angleW() {
-    return atan2(sqrt(
-      this.#xyzw[0] ** 2 +
-      this.#xyzw[1] ** 2 +
-      this.#xyzw[2] ** 2
-    ), this.#xyzw[3]);
+  static randomInCone(axis, angle, source = randomSource, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    axis = Vec3.#from(axis);
+    const cosTheta = 1 - source() * (1 - cos(angle));
+    const sinTheta = sqrt(1 - cosTheta ** 2);
+    const phi = source() * PI2;
+    return Vec3.#fromLocalFrame(
+      axis,
+      sinTheta * cos(phi),
+      sinTheta * sin(phi),
+      cosTheta,
+      out,
+      'randomInCone'
+    );
   }
 
-  get angleX() {
-    return atan2(sqrt(
-      this.#xyzw[1] ** 2 +
-      this.#xyzw[2] ** 2 +
-      this.#xyzw[3] ** 2
-    ), this.#xyzw[0]);
+  static randomInUnitBall(source = randomSource, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    return Vec3.random(source, out).scale(cbrt(source()));
   }
 
-  get angleY() {
-    return atan2(sqrt(
-      this.#xyzw[2] ** 2 +
-      this.#xyzw[3] ** 2 +
-      this.#xyzw[0] ** 2
-    ), this.#xyzw[1]);
+  static randomOnHemisphere(normal, source = randomSource, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    normal = Vec3.#from(normal);
+    const u = source();
+    const r = sqrt(u);
+    const phi = source() * PI2;
+    return Vec3.#fromLocalFrame(
+      normal,
+      r * cos(phi),
+      r * sin(phi),
+      sqrt(1 - u),
+      out,
+      'randomOnHemisphere'
+    );
   }
 
-  get angleZ() {
-    return atan2(sqrt(
-      this.#xyzw[3] ** 2 +
-      this.#xyzw[0] ** 2 +
-      this.#xyzw[1] ** 2
-    ), this.#xyzw[2]);
+  static reflect(v, normal, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    normal = Vec3.#from(normal);
+    const vX = v.#xyz[0];
+    const vY = v.#xyz[1];
+    const vZ = v.#xyz[2];
+    const nX = normal.#xyz[0];
+    const nY = normal.#xyz[1];
+    const nZ = normal.#xyz[2];
+    const nMSq = nX * nX + nY * nY + nZ * nZ;
+    if (nMSq === 0) {
+      degenerate('reflect');
+      return out.#set(vX, vY, vZ);
+    }
+    const f = 2 * (vX * nX + vY * nY + vZ * nZ) / nMSq;
+    return out.#set(
+      vX - nX * f,
+      vY - nY * f,
+      vZ - nZ * f
+    );
   }
 
-  get b() {
-    return this.#xyzw[2];
+  static refract(v, normal, eta, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    normal = Vec3.#from(normal);
+    const vX = v.#xyz[0];
+    const vY = v.#xyz[1];
+    const vZ = v.#xyz[2];
+    const nX = normal.#xyz[0];
+    const nY = normal.#xyz[1];
+    const nZ = normal.#xyz[2];
+    const d = vX * nX + vY * nY + vZ * nZ;
+    const k = 1 - eta * eta * (1 - d * d);
+    // Total internal reflection.
+    if (k < 0) return null;
+    const f = eta * d + sqrt(k);
+    return out.#set(
+      eta * vX - nX * f,
+      eta * vY - nY * f,
+      eta * vZ - nZ * f
+    );
   }
 
-  get g() {
-    return this.#xyzw[1];
+  static reject(v, w, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    const vX = v.#xyz[0];
+    const vY = v.#xyz[1];
+    const vZ = v.#xyz[2];
+    const wX = w.#xyz[0];
+    const wY = w.#xyz[1];
+    const wZ = w.#xyz[2];
+    const wMSq = wX * wX + wY * wY + wZ * wZ;
+    if (wMSq === 0) {
+      degenerate('reject');
+      return out.#set(vX, vY, vZ);
+    }
+    const f = (vX * wX + vY * wY + vZ * wZ) / wMSq;
+    return out.#set(
+      vX - wX * f,
+      vY - wY * f,
+      vZ - wZ * f
+    );
   }
 
-  get magnitude() {
-    return this.#magnitude;
+  static rotateAround(v, axis, phi, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    axis = Vec3.#from(axis);
+    return out.#rotateAround(
+      v.#xyz[0],
+      v.#xyz[1],
+      v.#xyz[2],
+      axis,
+      phi,
+      'rotateAround'
+    );
   }
 
-  get magnitudeSq() {
-    return this.#magnitude ** 2;
+  static rotateAroundPoint(v, pivot, axis, phi, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    pivot = Vec3.#from(pivot);
+    axis = Vec3.#from(axis);
+    const pX = pivot.#xyz[0];
+    const pY = pivot.#xyz[1];
+    const pZ = pivot.#xyz[2];
+    out.#rotateAround(
+      v.#xyz[0] - pX,
+      v.#xyz[1] - pY,
+      v.#xyz[2] - pZ,
+      axis,
+      phi,
+      'rotateAroundPoint'
+    );
+    return out.#set(
+      out.#xyz[0] + pX,
+      out.#xyz[1] + pY,
+      out.#xyz[2] + pZ
+    );
   }
 
-  get r() {
-    return this.#xyzw[0];
+  static rotateTowards(
+    v,
+    w,
+    maxAngle,
+    maxMagnitudeDelta,
+    out = new Vec3()
+  ) {
+    out = Vec3.#mutable(out);
+    return out.#rotateTowards(
+      Vec3.#from(v),
+      Vec3.#from(w),
+      maxAngle,
+      maxMagnitudeDelta
+    );
   }
 
-  get rgba() {
-    return [...this.#xyzw];
+  static round(v, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    return out.#set(
+      round(v.#xyz[0]),
+      round(v.#xyz[1]),
+      round(v.#xyz[2])
+    );
   }
 
-  get w() {
-    return this.#xyzw[3];
+  static safeNormalize(v, fallback, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    if (v.#computeMagnitude() !== 0) return Vec3.normalize(v, out);
+    return fallback === undefined ? out.#set(0, 0, 0) : out.copy(fallback);
   }
 
-  get x() {
-    return this.#xyzw[0];
+  static satisfyEquality(v, w) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return (
+      v.#xyz[0] === w.#xyz[0] &&
+      v.#xyz[1] === w.#xyz[1] &&
+      v.#xyz[2] === w.#xyz[2]
+    );
   }
 
-  get xyzw() {
-    return [...this.#xyzw];
+  static satisfyOpposition(v, w) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return (
+      v.#xyz[0] === -w.#xyz[0] &&
+      v.#xyz[1] === -w.#xyz[1] &&
+      v.#xyz[2] === -w.#xyz[2]
+    );
   }
 
-  get y() {
-    return this.#xyzw[1];
+  static scale(v, c, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    return out.#set(
+      v.#xyz[0] * c,
+      v.#xyz[1] * c,
+      v.#xyz[2] * c
+    );
   }
 
-  get z() {
-    return this.#xyzw[2];
+  static sign(v, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    return out.#set(
+      sign(v.#xyz[0]),
+      sign(v.#xyz[1]),
+      sign(v.#xyz[2])
+    );
   }
 
-  set a(a) {
-    this.#xyzw[3] = a;
-    this.#computeMagnitude();
+  static signedAngle(v, w, axis) {
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    axis = Vec3.#from(axis);
+    const vX = v.#xyz[0];
+    const vY = v.#xyz[1];
+    const vZ = v.#xyz[2];
+    const wX = w.#xyz[0];
+    const wY = w.#xyz[1];
+    const wZ = w.#xyz[2];
+    const angle = Vec3.angleBetween(v, w);
+    // Negative when `v × w` points against `axis` (i.e.: clockwise around it).
+    return wrapAngleSigned((
+      axis.#xyz[0] * (vY * wZ - vZ * wY) +
+      axis.#xyz[1] * (vZ * wX - vX * wZ) +
+      axis.#xyz[2] * (vX * wY - vY * wX)
+    ) < 0 ? -angle : angle);
   }
 
-  set b(b) {
-    this.#xyzw[2] = b;
-    this.#computeMagnitude();
+  static slerp(v, w, t, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    return out.#slerp(Vec3.#from(v), Vec3.#from(w), t);
   }
 
-  set g(g) {
-    this.#xyzw[1] = g;
-    this.#computeMagnitude();
+  static smoothDamp(
+    current,
+    target,
+    velocity,
+    smoothTime,
+    dt,
+    maxSpeed = Infinity,
+    out = new Vec3()
+  ) {
+    out = Vec3.#mutable(out);
+    current = Vec3.#from(current);
+    target = Vec3.#from(target);
+    velocity = Vec3.#mutable(velocity);
+    // Critically damped spring, as in "Game Programming Gems 4" (by Thomas
+    // Lowe), with the exponential decay approximated by a polynomial.
+    smoothTime = max(smoothTime, 0.0001);
+    const omega = 2 / smoothTime;
+    const step = omega * dt;
+    const decay = 1 / (1 + step + 0.48 * step ** 2 + 0.235 * step ** 3);
+    let dX = current.#xyz[0] - target.#xyz[0];
+    let dY = current.#xyz[1] - target.#xyz[1];
+    let dZ = current.#xyz[2] - target.#xyz[2];
+    const d = sqrt(dX ** 2 + dY ** 2 + dZ ** 2);
+    const maxDelta = maxSpeed * smoothTime;
+    if (d > maxDelta) {
+      dX = dX / d * maxDelta;
+      dY = dY / d * maxDelta;
+      dZ = dZ / d * maxDelta;
+    }
+    const tX = (velocity.#xyz[0] + omega * dX) * dt;
+    const tY = (velocity.#xyz[1] + omega * dY) * dt;
+    const tZ = (velocity.#xyz[2] + omega * dZ) * dt;
+    const x = current.#xyz[0] - dX + (dX + tX) * decay;
+    const y = current.#xyz[1] - dY + (dY + tY) * decay;
+    const z = current.#xyz[2] - dZ + (dZ + tZ) * decay;
+    // Stop at the target instead of overshooting it.
+    if (
+      (target.#xyz[0] - current.#xyz[0]) * (x - target.#xyz[0]) +
+      (target.#xyz[1] - current.#xyz[1]) * (y - target.#xyz[1]) +
+      (target.#xyz[2] - current.#xyz[2]) * (z - target.#xyz[2]) > 0
+    ) {
+      velocity.#set(0, 0, 0);
+      return out.copy(target);
+    }
+    velocity.#set(
+      (velocity.#xyz[0] - omega * tX) * decay,
+      (velocity.#xyz[1] - omega * tY) * decay,
+      (velocity.#xyz[2] - omega * tZ) * decay
+    );
+    return out.#set(x, y, z);
   }
 
-  set magnitude(m) {
-    const M = this.#magnitude;
-    this.#xyzw[0] = this.#xyzw[0] / M * m;
-    this.#xyzw[1] = this.#xyzw[1] / M * m;
-    this.#xyzw[2] = this.#xyzw[2] / M * m;
-    this.#xyzw[3] = this.#xyzw[3] / M * m;
-    this.#computeMagnitude();
+  static snap(v, step, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    return out.#snap(Vec3.#from(v), step);
   }
 
-  set r(r) {
-    this.#xyzw[0] = r;
-    this.#computeMagnitude();
+  static spring(
+    current,
+    target,
+    velocity,
+    stiffness,
+    damping,
+    dt,
+    out = new Vec3()
+  ) {
+    out = Vec3.#mutable(out);
+    current = Vec3.#from(current);
+    target = Vec3.#from(target);
+    velocity = Vec3.#mutable(velocity);
+    // Implicit Euler integration of a unit mass, stable for any time step.
+    const k = stiffness * dt;
+    const c = 1 + damping * dt + k * dt;
+    velocity.#set(
+      (velocity.#xyz[0] + k * (target.#xyz[0] - current.#xyz[0])) / c,
+      (velocity.#xyz[1] + k * (target.#xyz[1] - current.#xyz[1])) / c,
+      (velocity.#xyz[2] + k * (target.#xyz[2] - current.#xyz[2])) / c
+    );
+    return out.#set(
+      current.#xyz[0] + velocity.#xyz[0] * dt,
+      current.#xyz[1] + velocity.#xyz[1] * dt,
+      current.#xyz[2] + velocity.#xyz[2] * dt
+    );
   }
 
-  set rgba(rgba) {
-    this.#xyzw[0] = rgba[0];
-    this.#xyzw[1] = rgba[1];
-    this.#xyzw[2] = rgba[2];
-    this.#xyzw[3] = rgba[3];
-    this.#computeMagnitude();
+  static subtract(v, w, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    w = Vec3.#from(w);
+    return out.#set(
+      v.#xyz[0] - w.#xyz[0],
+      v.#xyz[1] - w.#xyz[1],
+      v.#xyz[2] - w.#xyz[2]
+    );
   }
 
-  set w(w) {
-    this.#xyzw[3] = w;
-    this.#computeMagnitude();
+  static transform(v, m, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    const e = mat3Elements(m);
+    const x = v.#xyz[0];
+    const y = v.#xyz[1];
+    const z = v.#xyz[2];
+    return out.#set(
+      e[0] * x + e[3] * y + e[6] * z,
+      e[1] * x + e[4] * y + e[7] * z,
+      e[2] * x + e[5] * y + e[8] * z
+    );
   }
 
-  set x(x) {
-    this.#xyzw[0] = x;
-    this.#computeMagnitude();
+  static transformDirection(v, m, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    const e = mat4Elements(m);
+    const x = v.#xyz[0];
+    const y = v.#xyz[1];
+    const z = v.#xyz[2];
+    return out.#set(
+      e[0] * x + e[4] * y + e[8] * z,
+      e[1] * x + e[5] * y + e[9] * z,
+      e[2] * x + e[6] * y + e[10] * z
+    );
   }
 
-  set xyzw(xyzw) {
-    this.#xyzw[0] = xyzw[0];
-    this.#xyzw[1] = xyzw[1];
-    this.#xyzw[2] = xyzw[2];
-    this.#xyzw[3] = xyzw[3];
-    this.#computeMagnitude();
+  static transformPoint(v, m, out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    v = Vec3.#from(v);
+    const e = mat4Elements(m);
+    const x = v.#xyz[0];
+    const y = v.#xyz[1];
+    const z = v.#xyz[2];
+    const w = e[3] * x + e[7] * y + e[11] * z + e[15];
+    return out.#set(
+      (e[0] * x + e[4] * y + e[8] * z + e[12]) / w,
+      (e[1] * x + e[5] * y + e[9] * z + e[13]) / w,
+      (e[2] * x + e[6] * y + e[10] * z + e[14]) / w
+    );
   }
 
-  set y(y) {
-    this.#xyzw[1] = y;
-    this.#computeMagnitude();
+  static unsignedAngle(v, w) {
+    return Vec3.angleBetween(v, w);
   }
 
-  set z(z) {
-    this.#xyzw[2] = z;
-    this.#computeMagnitude();
+  static view(buffer, index = 0, stride = 3, offset = 0, view = new Vec3()) {
+    if (!ArrayBuffer.isView(buffer) || buffer instanceof DataView) {
+      throw new TypeError(`Expected a typed array, got ${buffer}.`);
+    }
+    const i = offset + index * stride;
+    if (i < 0 || i + 3 > buffer.length) {
+      throw new TypeError(`Expected 3 components from index ${i} on.`);
+    }
+    view = Vec3.#mutable(view);
+    view.#xyz = buffer.subarray(i, i + 3);
+    return view;
   }
 
-  add(v) {
-    this.#xyzw[0] += v.#xyzw[0];
-    this.#xyzw[1] += v.#xyzw[1];
-    this.#xyzw[2] += v.#xyzw[2];
-    this.#xyzw[3] += v.#xyzw[3];
-    this.#computeMagnitude();
-    return this;
+  static zero(out = new Vec3()) {
+    out = Vec3.#mutable(out);
+    return out.#set(0, 0, 0);
   }
 
-  angleBetween(v) {
-    return acos((
-      this.#xyzw[0] * v.#xyzw[0] +
-      this.#xyzw[1] * v.#xyzw[1] +
-      this.#xyzw[2] * v.#xyzw[2] +
-      this.#xyzw[3] * v.#xyzw[3]
-    ) / (this.#magnitude * v.#magnitude));
+  static #from(v) {
+    if (typeof v !== 'object' || v === null) {
+      throw new TypeError(`Expected a vector-like value, got ${v}.`);
+    }
+    if (#xyz in v) return v;
+    // Any other vector-like value is read as an array (or typed array) of
+    // components, or an object with `x`, `y`, and `z` properties. Missing
+    // components default to 0.
+    return Array.isArray(v) || ArrayBuffer.isView(v) ?
+      new Vec3(v[0] ?? 0, v[1] ?? 0, v[2] ?? 0) :
+      new Vec3(v.x ?? 0, v.y ?? 0, v.z ?? 0);
   }
 
-  clamp(min, max) {
-    const m = this.#magnitude;
-    if (m > max) {
-      this.#xyzw[0] = this.#xyzw[0] / m * max;
-      this.#xyzw[1] = this.#xyzw[1] / m * max;
-      this.#xyzw[2] = this.#xyzw[2] / m * max;
-      this.#xyzw[3] = this.#xyzw[3] / m * max;
-      this.#computeMagnitude();
+  // Arguments updated in place, thus only (mutable) vectors are accepted.
+  static #mutable(v) {
+    if (
+      typeof v !== 'object' ||
+      v === null ||
+      !(#xyz in v) ||
+      v instanceof ImmutableVec3
+    ) {
+      throw new TypeError(`Expected a mutable vector, got ${v}.`);
+    }
+    return v;
+  }
+
+  static #fromLocalFrame(n, x, y, z, out, operation) {
+    // Orthonormal basis around `n` by Duff et al. (2017).
+    const nM = n.#computeMagnitude();
+    if (nM === 0) {
+      degenerate(operation);
+      return out.#set(0, 0, 0);
+    }
+    const nX = n.#xyz[0] / nM;
+    const nY = n.#xyz[1] / nM;
+    const nZ = n.#xyz[2] / nM;
+    const sign = nZ >= 0 ? 1 : -1;
+    const a = -1 / (sign + nZ);
+    const b = nX * nY * a;
+    return out.#set(
+      x * (1 + sign * nX ** 2 * a) + y * b + z * nX,
+      x * sign * b + y * (sign + nY ** 2 * a) + z * nY,
+      -x * sign * nX - y * nY + z * nZ
+    );
+  }
+
+  get angleX() {
+    return atan2(sqrt(
+      this.#xyz[1] ** 2 +
+      this.#xyz[2] ** 2
+    ), this.#xyz[0]);
+  }
+
+  get angleY() {
+    return atan2(sqrt(
+      this.#xyz[2] ** 2 +
+      this.#xyz[0] ** 2
+    ), this.#xyz[1]);
+  }
+
+  get angleZ() {
+    return atan2(sqrt(
+      this.#xyz[0] ** 2 +
+      this.#xyz[1] ** 2
+    ), this.#xyz[2]);
+  }
+
+  get b() {
+    return this.#xyz[2];
+  }
+
+  get g() {
+    return this.#xyz[1];
+  }
+
+  get magnitude() {
+    return this.#computeMagnitude();
+  }
+
+  get magnitudeSq() {
+    this.#computeMagnitude();
+    return this.#magnitudeSq;
+  }
+
+  get r() {
+    return this.#xyz[0];
+  }
+
+  get rgb() {
+    return [...this.#xyz];
+  }
+
+  get x() {
+    return this.#xyz[0];
+  }
+
+  get xyz() {
+    return [...this.#xyz];
+  }
+
+  get y() {
+    return this.#xyz[1];
+  }
+
+  get z() {
+    return this.#xyz[2];
+  }
+
+  set b(b) {
+    this.#xyz[2] = b;
+  }
+
+  set g(g) {
+    this.#xyz[1] = g;
+  }
+
+  set magnitude(m) {
+    const M = this.#computeMagnitude();
+    if (M === 0) {
+      degenerate('magnitude');
+      return;
+    }
+    this.#xyz[0] = this.#xyz[0] / M * m;
+    this.#xyz[1] = this.#xyz[1] / M * m;
+    this.#xyz[2] = this.#xyz[2] / M * m;
+  }
+
+  set r(r) {
+    this.#xyz[0] = r;
+  }
+
+  set rgb(rgb) {
+    this.#xyz[0] = rgb[0];
+    this.#xyz[1] = rgb[1];
+    this.#xyz[2] = rgb[2];
+  }
+
+  set x(x) {
+    this.#xyz[0] = x;
+  }
+
+  set xyz(xyz) {
+    this.#xyz[0] = xyz[0];
+    this.#xyz[1] = xyz[1];
+    this.#xyz[2] = xyz[2];
+  }
+
+  set y(y) {
+    this.#xyz[1] = y;
+  }
+
+  set z(z) {
+    this.#xyz[2] = z;
+  }
+
+  abs() {
+    this.#xyz[0] = abs(this.#xyz[0]);
+    this.#xyz[1] = abs(this.#xyz[1]);
+    this.#xyz[2] = abs(this.#xyz[2]);
+    return this;
+  }
+
+  add(v) {
+    v = Vec3.#from(v);
+    this.#xyz[0] += v.#xyz[0];
+    this.#xyz[1] += v.#xyz[1];
+    this.#xyz[2] += v.#xyz[2];
+    return this;
+  }
+
+  applyQuaternion(q) {
+    const qX = q.x;
+    const qY = q.y;
+    const qZ = q.z;
+    const qW = q.w;
+    const x = this.#xyz[0];
+    const y = this.#xyz[1];
+    const z = this.#xyz[2];
+    // v' = v + w * t + q x t, where t = 2 * (q x v).
+    const tX = 2 * (qY * z - qZ * y);
+    const tY = 2 * (qZ * x - qX * z);
+    const tZ = 2 * (qX * y - qY * x);
+    this.#xyz[0] = x + qW * tX + qY * tZ - qZ * tY;
+    this.#xyz[1] = y + qW * tY + qZ * tX - qX * tZ;
+    this.#xyz[2] = z + qW * tZ + qX * tY - qY * tX;
+    return this;
+  }
+
+  angleBetween(v) {
+    return Vec3.angleBetween(this, v);
+  }
+
+  ceil() {
+    this.#xyz[0] = ceil(this.#xyz[0]);
+    this.#xyz[1] = ceil(this.#xyz[1]);
+    this.#xyz[2] = ceil(this.#xyz[2]);
+    return this;
+  }
+
+  clamp(min, max) {
+    const m = this.#computeMagnitude();
+    if (m === 0 && min > 0) {
+      degenerate('clamp');
+      return this;
+    }
+    if (m > max) {
+      this.#xyz[0] = this.#xyz[0] / m * max;
+      this.#xyz[1] = this.#xyz[1] / m * max;
+      this.#xyz[2] = this.#xyz[2] / m * max;
     } else if (m < min) {
-      this.#xyzw[0] = this.#xyzw[0] / m * min;
-      this.#xyzw[1] = this.#xyzw[1] / m * min;
-      this.#xyzw[2] = this.#xyzw[2] / m * min;
-      this.#xyzw[3] = this.#xyzw[3] / m * min;
-      this.#computeMagnitude();
+      this.#xyz[0] = this.#xyz[0] / m * min;
+      this.#xyz[1] = this.#xyz[1] / m * min;
+      this.#xyz[2] = this.#xyz[2] / m * min;
     }
     return this;
   }
 
+  clampComponents(min, max) {
+    min = Vec3.#from(min);
+    max = Vec3.#from(max);
+    this.#xyz[0] = clamp(this.#xyz[0], min.#xyz[0], max.#xyz[0]);
+    this.#xyz[1] = clamp(this.#xyz[1], min.#xyz[1], max.#xyz[1]);
+    this.#xyz[2] = clamp(this.#xyz[2], min.#xyz[2], max.#xyz[2]);
+    return this;
+  }
+
   clone() {
-    return new Vec4(
-      this.#xyzw[0],
-      this.#xyzw[1],
-      this.#xyzw[2],
-      this.#xyzw[3]
+    return new Vec3(
+      this.#xyz[0],
+      this.#xyz[1],
+      this.#xyz[2]
     );
   }
 
   copy(v) {
-    this.#xyzw[0] = v.#xyzw[0];
-    this.#xyzw[1] = v.#xyzw[1];
-    this.#xyzw[2] = v.#xyzw[2];
-    this.#xyzw[3] = v.#xyzw[3];
-    this.#computeMagnitude();
+    v = Vec3.#from(v);
+    this.#xyz[0] = v.#xyz[0];
+    this.#xyz[1] = v.#xyz[1];
+    this.#xyz[2] = v.#xyz[2];
+    return this;
+  }
+
+  cross(v) {
+    v = Vec3.#from(v);
+    const x = this.#xyz[0];
+    const y = this.#xyz[1];
+    const z = this.#xyz[2];
+    const vX = v.#xyz[0];
+    const vY = v.#xyz[1];
+    const vZ = v.#xyz[2];
+    this.#xyz[0] = y * vZ - z * vY;
+    this.#xyz[1] = z * vX - x * vZ;
+    this.#xyz[2] = x * vY - y * vX;
     return this;
   }
 
   distance(v) {
+    v = Vec3.#from(v);
     return sqrt(
-      (this.#xyzw[0] - v.#xyzw[0]) ** 2 +
-      (this.#xyzw[1] - v.#xyzw[1]) ** 2 +
-      (this.#xyzw[2] - v.#xyzw[2]) ** 2 +
-      (this.#xyzw[3] - v.#xyzw[3]) ** 2
+      (this.#xyz[0] - v.#xyz[0]) ** 2 +
+      (this.#xyz[1] - v.#xyz[1]) ** 2 +
+      (this.#xyz[2] - v.#xyz[2]) ** 2
     );
   }
 
   distanceSq(v) {
+    v = Vec3.#from(v);
     return (
-      (this.#xyzw[0] - v.#xyzw[0]) ** 2 +
-      (this.#xyzw[1] - v.#xyzw[1]) ** 2 +
-      (this.#xyzw[2] - v.#xyzw[2]) ** 2 +
-      (this.#xyzw[3] - v.#xyzw[3]) ** 2
+      (this.#xyz[0] - v.#xyz[0]) ** 2 +
+      (this.#xyz[1] - v.#xyz[1]) ** 2 +
+      (this.#xyz[2] - v.#xyz[2]) ** 2
     );
   }
 
+  divide(v) {
+    v = Vec3.#from(v);
+    this.#xyz[0] /= v.#xyz[0];
+    this.#xyz[1] /= v.#xyz[1];
+    this.#xyz[2] /= v.#xyz[2];
+    return this;
+  }
+
   dot(v) {
+    v = Vec3.#from(v);
     return (
-      this.#xyzw[0] * v.#xyzw[0] +
-      this.#xyzw[1] * v.#xyzw[1] +
-      this.#xyzw[2] * v.#xyzw[2] +
-      this.#xyzw[3] * v.#xyzw[3]
+      this.#xyz[0] * v.#xyz[0] +
+      this.#xyz[1] * v.#xyz[1] +
+      this.#xyz[2] * v.#xyz[2]
     );
   }
 
+  equals(v, epsilon = EPSILON, mode = 'absolute') {
+    return Vec3.equals(this, v, epsilon, mode);
+  }
+
+  floor() {
+    this.#xyz[0] = floor(this.#xyz[0]);
+    this.#xyz[1] = floor(this.#xyz[1]);
+    this.#xyz[2] = floor(this.#xyz[2]);
+    return this;
+  }
+
+  fract() {
+    this.#xyz[0] = this.#xyz[0] - floor(this.#xyz[0]);
+    this.#xyz[1] = this.#xyz[1] - floor(this.#xyz[1]);
+    this.#xyz[2] = this.#xyz[2] - floor(this.#xyz[2]);
+    return this;
+  }
+
+  isCollinear(v, w, epsilon = EPSILON) {
+    return Vec3.isCollinear(this, v, w, epsilon);
+  }
+
   isInfinite() {
-    const x = this.#xyzw[0];
-    const y = this.#xyzw[1];
-    const z = this.#xyzw[2];
-    const w = this.#xyzw[3];
+    const x = this.#xyz[0];
+    const y = this.#xyz[1];
+    const z = this.#xyz[2];
     return (
       x === +Infinity ||
       x === -Infinity ||
       y === +Infinity ||
       y === -Infinity ||
       z === +Infinity ||
-      z === -Infinity ||
-      w === +Infinity ||
-      w === -Infinity
+      z === -Infinity
     );
   }
 
   isNaN() {
     return (
-      isNaN(this.#xyzw[0]) ||
-      isNaN(this.#xyzw[1]) ||
-      isNaN(this.#xyzw[2]) ||
-      isNaN(this.#xyzw[3])
+      isNaN(this.#xyz[0]) ||
+      isNaN(this.#xyz[1]) ||
+      isNaN(this.#xyz[2])
     );
   }
 
+  isNormalized(epsilon = EPSILON) {
+    return Vec3.isNormalized(this, epsilon);
+  }
+
+  isOrthogonal(v, epsilon = EPSILON) {
+    return Vec3.isOrthogonal(this, v, epsilon);
+  }
+
+  isParallel(v, epsilon = EPSILON) {
+    return Vec3.isParallel(this, v, epsilon);
+  }
+
   isZero() {
     return (
-      this.#xyzw[0] === 0 &&
-      this.#xyzw[1] === 0 &&
-      this.#xyzw[2] === 0 &&
-      this.#xyzw[3] === 0
+      this.#xyz[0] === 0 &&
+      this.#xyz[1] === 0 &&
+      this.#xyz[2] === 0
     );
   }
 
   limitMax(max) {
-    const m = this.#magnitude;
+    const m = this.#computeMagnitude();
     if (m > max) {
-      this.#xyzw[0] = this.#xyzw[0] / m * max;
-      this.#xyzw[1] = this.#xyzw[1] / m * max;
-      this.#xyzw[2] = this.#xyzw[2] / m * max;
-      this.#xyzw[3] = this.#xyzw[3] / m * max;
-      this.#computeMagnitude();
+      this.#xyz[0] = this.#xyz[0] / m * max;
+      this.#xyz[1] = this.#xyz[1] / m * max;
+      this.#xyz[2] = this.#xyz[2] / m * max;
     }
     return this;
   }
 
   limitMin(min) {
-    const m = this.#magnitude;
+    const m = this.#computeMagnitude();
+    if (m === 0 && min > 0) {
+      degenerate('limitMin');
+      return this;
+    }
     if (m < min) {
-      this.#xyzw[0] = this.#xyzw[0] / m * min;
-      this.#xyzw[1] = this.#xyzw[1] / m * min;
-      this.#xyzw[2] = this.#xyzw[2] / m * min;
-      this.#xyzw[3] = this.#xyzw[3] / m * min;
-      this.#computeMagnitude();
+      this.#xyz[0] = this.#xyz[0] / m * min;
+      this.#xyz[1] = this.#xyz[1] / m * min;
+      this.#xyz[2] = this.#xyz[2] / m * min;
     }
     return this;
   }
 
   lookAt(v) {
-    const m = this.#magnitude;
-    const vM = v.#magnitude;
-    this.#xyzw[0] = v.#xyzw[0] / vM * m;
-    this.#xyzw[1] = v.#xyzw[1] / vM * m;
-    this.#xyzw[2] = v.#xyzw[2] / vM * m;
-    this.#xyzw[3] = v.#xyzw[3] / vM * m;
-    this.#computeMagnitude();
+    v = Vec3.#from(v);
+    const m = this.#computeMagnitude();
+    const vM = v.#computeMagnitude();
+    if (vM === 0) {
+      degenerate('lookAt');
+      return this;
+    }
+    this.#xyz[0] = v.#xyz[0] / vM * m;
+    this.#xyz[1] = v.#xyz[1] / vM * m;
+    this.#xyz[2] = v.#xyz[2] / vM * m;
+    return this;
+  }
+
+  max(v) {
+    v = Vec3.#from(v);
+    this.#xyz[0] = max(this.#xyz[0], v.#xyz[0]);
+    this.#xyz[1] = max(this.#xyz[1], v.#xyz[1]);
+    this.#xyz[2] = max(this.#xyz[2], v.#xyz[2]);
+    return this;
+  }
+
+  min(v) {
+    v = Vec3.#from(v);
+    this.#xyz[0] = min(this.#xyz[0], v.#xyz[0]);
+    this.#xyz[1] = min(this.#xyz[1], v.#xyz[1]);
+    this.#xyz[2] = min(this.#xyz[2], v.#xyz[2]);
+    return this;
+  }
+
+  mod(n) {
+    return this.#mod(this, n);
+  }
+
+  moveTowards(v, maxDelta) {
+    return this.#moveTowards(this, Vec3.#from(v), maxDelta);
+  }
+
+  multiply(v) {
+    v = Vec3.#from(v);
+    this.#xyz[0] *= v.#xyz[0];
+    this.#xyz[1] *= v.#xyz[1];
+    this.#xyz[2] *= v.#xyz[2];
     return this;
   }
 
   negate() {
-    this.#xyzw[0] *= -1;
-    this.#xyzw[1] *= -1;
-    this.#xyzw[2] *= -1;
-    this.#xyzw[3] *= -1;
-    this.#computeMagnitude();
+    this.#xyz[0] *= -1;
+    this.#xyz[1] *= -1;
+    this.#xyz[2] *= -1;
     return this;
   }
 
+  nlerp(v, t) {
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    return this.#nlerp(this, Vec3.#from(v), t);
+  }
+
   normalize() {
-    const m = this.#magnitude;
-    this.#xyzw[0] /= m;
-    this.#xyzw[1] /= m;
-    this.#xyzw[2] /= m;
-    this.#xyzw[3] /= m;
-    this.#computeMagnitude();
+    const m = this.#computeMagnitude();
+    if (m === 0) {
+      degenerate('normalize');
+      return this.#set(0, 0, 0);
+    }
+    this.#xyz[0] /= m;
+    this.#xyz[1] /= m;
+    this.#xyz[2] /= m;
     return this;
   }
 
   project(v) {
-    const m = this.#magnitude;
-    const vM = v.#magnitude;
-    const vX = v.#xyzw[0];
-    const vY = v.#xyzw[1];
-    const vZ = v.#xyzw[2];
-    const vW = v.#xyzw[3];
+    v = Vec3.#from(v);
+    const m = this.#computeMagnitude();
+    const vM = v.#computeMagnitude();
+    if (vM === 0) {
+      degenerate('project');
+      return this.#set(0, 0, 0);
+    }
+    if (m === 0) return this.#set(0, 0, 0);
+    const vX = v.#xyz[0];
+    const vY = v.#xyz[1];
+    const vZ = v.#xyz[2];
     const f = m * cos(acos((
-      this.#xyzw[0] * vX +
-      this.#xyzw[1] * vY +
-      this.#xyzw[2] * vZ +
-      this.#xyzw[3] * vW
+      this.#xyz[0] * vX +
+      this.#xyz[1] * vY +
+      this.#xyz[2] * vZ
     ) / (m * vM)));
-    this.#xyzw[0] = vX / vM * f;
-    this.#xyzw[1] = vY / vM * f;
-    this.#xyzw[2] = vZ / vM * f;
-    this.#xyzw[3] = vW / vM * f;
-    this.#computeMagnitude();
+    this.#xyz[0] = vX / vM * f;
+    this.#xyz[1] = vY / vM * f;
+    this.#xyz[2] = vZ / vM * f;
     return this;
   }
 
-  random() {
+  projectOnPlane(normal) {
+    normal = Vec3.#from(normal);
+    if (normal.#computeMagnitude() === 0) {
+      degenerate('projectOnPlane');
+      return this;
+    }
+    return this.reject(normal);
+  }
+
+  random(source = randomSource) {
     let x1;
     let x2;
-    let x3;
-    let x4;
     do {
-      x1 = random() * 2 - 1;
-      x2 = random() * 2 - 1;
-      x3 = random() * 2 - 1;
-      x4 = random() * 2 - 1;
-    } while (x1 ** 2 + x2 ** 2 >= 1 || x3 ** 2 + x4 ** 2 >= 1);
-    const f = sqrt((1 - x1 ** 2 - x2 ** 2) / (x3 ** 2 + x4 ** 2));
-    const m = this.#magnitude;
-    this.#xyzw[0] = m * x1;
-    this.#xyzw[1] = m * x2;
-    this.#xyzw[2] = m * x3 * f;
-    this.#xyzw[3] = m * x4 * f;
-    this.#computeMagnitude();
+      x1 = source() * 2 - 1;
+      x2 = source() * 2 - 1;
+    } while (x1 ** 2 + x2 ** 2 >= 1);
+    const f = sqrt((1 - x1 ** 2 - x2 ** 2));
+    const m = this.#computeMagnitude();
+    this.#xyz[0] = m * 2 * x1 * f;
+    this.#xyz[1] = m * 2 * x2 * f;
+    this.#xyz[2] = m * (1 - 2 * (x1 ** 2 + x2 ** 2));
+    return this;
+  }
+
+  readFrom(buffer, offset = 0) {
+    return this.#set(
+      buffer[offset],
+      buffer[offset + 1],
+      buffer[offset + 2]
+    );
+  }
+
+  reflect(normal) {
+    normal = Vec3.#from(normal);
+    const x = this.#xyz[0];
+    const y = this.#xyz[1];
+    const z = this.#xyz[2];
+    const nX = normal.#xyz[0];
+    const nY = normal.#xyz[1];
+    const nZ = normal.#xyz[2];
+    const nMSq = nX * nX + nY * nY + nZ * nZ;
+    if (nMSq === 0) {
+      degenerate('reflect');
+      return this;
+    }
+    const f = 2 * (x * nX + y * nY + z * nZ) / nMSq;
+    this.#xyz[0] = x - nX * f;
+    this.#xyz[1] = y - nY * f;
+    this.#xyz[2] = z - nZ * f;
+    return this;
+  }
+
+  refract(normal, eta) {
+    normal = Vec3.#from(normal);
+    const x = this.#xyz[0];
+    const y = this.#xyz[1];
+    const z = this.#xyz[2];
+    const nX = normal.#xyz[0];
+    const nY = normal.#xyz[1];
+    const nZ = normal.#xyz[2];
+    const d = x * nX + y * nY + z * nZ;
+    const k = 1 - eta * eta * (1 - d * d);
+    // Total internal reflection.
+    if (k < 0) return null;
+    const f = eta * d + sqrt(k);
+    this.#xyz[0] = eta * x - nX * f;
+    this.#xyz[1] = eta * y - nY * f;
+    this.#xyz[2] = eta * z - nZ * f;
+    return this;
+  }
+
+  reject(v) {
+    v = Vec3.#from(v);
+    const x = this.#xyz[0];
+    const y = this.#xyz[1];
+    const z = this.#xyz[2];
+    const vX = v.#xyz[0];
+    const vY = v.#xyz[1];
+    const vZ = v.#xyz[2];
+    const vMSq = vX * vX + vY * vY + vZ * vZ;
+    if (vMSq === 0) {
+      degenerate('reject');
+      return this;
+    }
+    const f = (x * vX + y * vY + z * vZ) / vMSq;
+    this.#xyz[0] = x - vX * f;
+    this.#xyz[1] = y - vY * f;
+    this.#xyz[2] = z - vZ * f;
+    return this;
+  }
+
+  rotateAround(axis, phi) {
+    axis = Vec3.#from(axis);
+    return this.#rotateAround(
+      this.#xyz[0],
+      this.#xyz[1],
+      this.#xyz[2],
+      axis,
+      phi,
+      'rotateAround'
+    );
+  }
+
+  rotateAroundPoint(pivot, axis, phi) {
+    pivot = Vec3.#from(pivot);
+    axis = Vec3.#from(axis);
+    const pX = pivot.#xyz[0];
+    const pY = pivot.#xyz[1];
+    const pZ = pivot.#xyz[2];
+    this.#rotateAround(
+      this.#xyz[0] - pX,
+      this.#xyz[1] - pY,
+      this.#xyz[2] - pZ,
+      axis,
+      phi,
+      'rotateAroundPoint'
+    );
+    return this.#set(
+      this.#xyz[0] + pX,
+      this.#xyz[1] + pY,
+      this.#xyz[2] + pZ
+    );
+  }
+
+  rotateTowards(v, maxAngle, maxMagnitudeDelta) {
+    return this.#rotateTowards(
+      this,
+      Vec3.#from(v),
+      maxAngle,
+      maxMagnitudeDelta
+    );
+  }
+
+  rotateX(phi) {
+    const cosPhi = cos(phi);
+    const sinPhi = sin(phi);
+    const y = this.#xyz[1];
+    const z = this.#xyz[2];
+    this.#xyz[1] = y * cosPhi - z * sinPhi;
+    this.#xyz[2] = y * sinPhi + z * cosPhi;
+    return this;
+  }
+
+  rotateY(phi) {
+    const cosPhi = cos(phi);
+    const sinPhi = sin(phi);
+    const x = this.#xyz[0];
+    const z = this.#xyz[2];
+    this.#xyz[0] = x * cosPhi - z * sinPhi;
+    this.#xyz[2] = x * sinPhi + z * cosPhi;
     return this;
   }
 
+  rotateZ(phi) {
+    const cosPhi = cos(phi);
+    const sinPhi = sin(phi);
+    const x = this.#xyz[0];
+    const y = this.#xyz[1];
+    this.#xyz[0] = x * cosPhi - y * sinPhi;
+    this.#xyz[1] = x * sinPhi + y * cosPhi;
+    return this;
+  }
+
+  round() {
+    this.#xyz[0] = round(this.#xyz[0]);
+    this.#xyz[1] = round(this.#xyz[1]);
+    this.#xyz[2] = round(this.#xyz[2]);
+    return this;
+  }
+
+  safeNormalize(fallback) {
+    if (this.#computeMagnitude() !== 0) return this.normalize();
+    return fallback === undefined ? this.#set(0, 0, 0) : this.copy(fallback);
+  }
+
   satisfyEquality(v) {
+    v = Vec3.#from(v);
     return (
-      this.#xyzw[0] === v.#xyzw[0] &&
-      this.#xyzw[1] === v.#xyzw[1] &&
-      this.#xyzw[2] === v.#xyzw[2] &&
-      this.#xyzw[3] === v.#xyzw[3]
+      this.#xyz[0] === v.#xyz[0] &&
+      this.#xyz[1] === v.#xyz[1] &&
+      this.#xyz[2] === v.#xyz[2]
     );
   }
 
   satisfyOpposition(v) {
+    v = Vec3.#from(v);
     return (
-      this.#xyzw[0] === -v.#xyzw[0] &&
-      this.#xyzw[1] === -v.#xyzw[1] &&
-      this.#xyzw[2] === -v.#xyzw[2] &&
-      this.#xyzw[3] === -v.#xyzw[3]
+      this.#xyz[0] === -v.#xyz[0] &&
+      this.#xyz[1] === -v.#xyz[1] &&
+      this.#xyz[2] === -v.#xyz[2]
     );
   }
 
   scale(c) {
-    this.#xyzw[0] *= c;
-    this.#xyzw[1] *= c;
-    this.#xyzw[2] *= c;
-    this.#xyzw[3] *= c;
-    this.#computeMagnitude();
+    this.#xyz[0] *= c;
+    this.#xyz[1] *= c;
+    this.#xyz[2] *= c;
+    return this;
+  }
+
+  sign() {
+    this.#xyz[0] = sign(this.#xyz[0]);
+    this.#xyz[1] = sign(this.#xyz[1]);
+    this.#xyz[2] = sign(this.#xyz[2]);
     return this;
   }
 
+  signedAngle(v, axis) {
+    return Vec3.signedAngle(this, v, axis);
+  }
+
+  slerp(v, t) {
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    return this.#slerp(this, Vec3.#from(v), t);
+  }
+
+  snap(step) {
+    return this.#snap(this, step);
+  }
+
   subtract(v) {
-    this.#xyzw[0] -= v.#xyzw[0];
-    this.#xyzw[1] -= v.#xyzw[1];
-    this.#xyzw[2] -= v.#xyzw[2];
-    this.#xyzw[3] -= v.#xyzw[3];
-    this.#computeMagnitude();
+    v = Vec3.#from(v);
+    this.#xyz[0] -= v.#xyz[0];
+    this.#xyz[1] -= v.#xyz[1];
+    this.#xyz[2] -= v.#xyz[2];
     return this;
   }
 
-  zero() {
-    this.#xyzw[0] = 0;
-    this.#xyzw[1] = 0;
-    this.#xyzw[2] = 0;
-    this.#xyzw[3] = 0;
-    this.#computeMagnitude();
+  swizzle(pattern) {
+    return swizzleVector(this, pattern, 'xyz');
+  }
+
+  toBarycentricCoords(a, b, c) {
+    a = Vec3.#from(a);
+    b = Vec3.#from(b);
+    c = Vec3.#from(c);
+    const abX = b.#xyz[0] - a.#xyz[0];
+    const abY = b.#xyz[1] - a.#xyz[1];
+    const abZ = b.#xyz[2] - a.#xyz[2];
+    const acX = c.#xyz[0] - a.#xyz[0];
+    const acY = c.#xyz[1] - a.#xyz[1];
+    const acZ = c.#xyz[2] - a.#xyz[2];
+    const apX = this.#xyz[0] - a.#xyz[0];
+    const apY = this.#xyz[1] - a.#xyz[1];
+    const apZ = this.#xyz[2] - a.#xyz[2];
+    const abab = abX * abX + abY * abY + abZ * abZ;
+    const abac = abX * acX + abY * acY + abZ * acZ;
+    const acac = acX * acX + acY * acY + acZ * acZ;
+    const apab = apX * abX + apY * abY + apZ * abZ;
+    const apac = apX * acX + apY * acY + apZ * acZ;
+    const denominator = abab * acac - abac * abac;
+    const v = (acac * apab - abac * apac) / denominator;
+    const w = (abab * apac - abac * apab) / denominator;
+    return { u: 1 - v - w, v, w };
+  }
+
+  toCylindricalCoords() {
+    const x = this.#xyz[0];
+    const y = this.#xyz[1];
+    return {
+      r: sqrt(x ** 2 + y ** 2),
+      phi: wrapAngle(atan2(y, x)),
+      z: this.#xyz[2]
+    };
+  }
+
+  toImmutable() {
+    return new ImmutableVec3(
+      this.#xyz[0],
+      this.#xyz[1],
+      this.#xyz[2]
+    );
+  }
+
+  toJSON() {
+    return {
+      x: this.#xyz[0],
+      y: this.#xyz[1],
+      z: this.#xyz[2]
+    };
+  }
+
+  toSphericalCoords() {
+    const x = this.#xyz[0];
+    const y = this.#xyz[1];
+    return {
+      r: this.#computeMagnitude(),
+      theta: atan2(sqrt(x ** 2 + y ** 2), this.#xyz[2]),
+      phi: wrapAngle(atan2(y, x))
+    };
+  }
+
+  toString(precision) {
+    return stringify('Vec3', this.#xyz, precision);
+  }
+
+  toVec2() {
+    return new Vec2(
+      this.#xyz[0],
+      this.#xyz[1]
+    );
+  }
+
+  toVec4(w = 0) {
+    return new Vec4(
+      this.#xyz[0],
+      this.#xyz[1],
+      this.#xyz[2],
+      w
+    );
+  }
+
+  transform(m) {
+    const e = mat3Elements(m);
+    const x = this.#xyz[0];
+    const y = this.#xyz[1];
+    const z = this.#xyz[2];
+    this.#xyz[0] = e[0] * x + e[3] * y + e[6] * z;
+    this.#xyz[1] = e[1] * x + e[4] * y + e[7] * z;
+    this.#xyz[2] = e[2] * x + e[5] * y + e[8] * z;
     return this;
   }
 
-  *[Symbol.iterator]() {
-    yield this.#xyzw[0];
-    yield this.#xyzw[1];
-    yield this.#xyzw[2];
-    yield this.#xyzw[3];
+  transformDirection(m) {
+    const e = mat4Elements(m);
+    const x = this.#xyz[0];
+    const y = this.#xyz[1];
+    const z = this.#xyz[2];
+    this.#xyz[0] = e[0] * x + e[4] * y + e[8] * z;
+    this.#xyz[1] = e[1] * x + e[5] * y + e[9] * z;
+    this.#xyz[2] = e[2] * x + e[6] * y + e[10] * z;
+    return this;
+  }
+
+  transformPoint(m) {
+    const e = mat4Elements(m);
+    const x = this.#xyz[0];
+    const y = this.#xyz[1];
+    const z = this.#xyz[2];
+    const w = e[3] * x + e[7] * y + e[11] * z + e[15];
+    this.#xyz[0] = (e[0] * x + e[4] * y + e[8] * z + e[12]) / w;
+    this.#xyz[1] = (e[1] * x + e[5] * y + e[9] * z + e[13]) / w;
+    this.#xyz[2] = (e[2] * x + e[6] * y + e[10] * z + e[14]) / w;
+    return this;
+  }
+
+  unsignedAngle(v) {
+    return Vec3.angleBetween(this, v);
+  }
+
+  writeTo(buffer, offset = 0) {
+    buffer[offset] = this.#xyz[0];
+    buffer[offset + 1] = this.#xyz[1];
+    buffer[offset + 2] = this.#xyz[2];
+    return buffer;
+  }
+
+  zero() {
+    this.#xyz[0] = 0;
+    this.#xyz[1] = 0;
+    this.#xyz[2] = 0;
+    return this;
+  }
+
+  [INSPECT]() {
+    return this.toString();
+  }
+
+  *[Symbol.iterator]() {
+    yield this.#xyz[0];
+    yield this.#xyz[1];
+    yield this.#xyz[2];
+  }
+}
+
+// #region ImmutableVec3
+
+class ImmutableVec3 extends Vec3 {
+  constructor(x = 0, y = 0, z = 0) {
+    super(x, y, z);
+    vec3Bind(this, Object.freeze(super.xyz));
+    Object.freeze(this);
+  }
+
+  get b() {
+    return super.b;
+  }
+
+  get g() {
+    return super.g;
+  }
+
+  get magnitude() {
+    return super.magnitude;
+  }
+
+  get r() {
+    return super.r;
+  }
+
+  get rgb() {
+    return super.rgb;
+  }
+
+  get x() {
+    return super.x;
+  }
+
+  get xyz() {
+    return super.xyz;
+  }
+
+  get y() {
+    return super.y;
+  }
+
+  get z() {
+    return super.z;
+  }
+
+  set b(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set g(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set magnitude(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set r(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set rgb(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set x(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set xyz(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set y(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set z(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  abs() {
+    return this.toMutable().abs().toImmutable();
+  }
+
+  add(v) {
+    return this.toMutable().add(v).toImmutable();
+  }
+
+  applyQuaternion(q) {
+    return this.toMutable().applyQuaternion(q).toImmutable();
+  }
+
+  ceil() {
+    return this.toMutable().ceil().toImmutable();
+  }
+
+  clamp(min, max) {
+    return this.toMutable().clamp(min, max).toImmutable();
+  }
+
+  clampComponents(min, max) {
+    return this.toMutable().clampComponents(min, max).toImmutable();
+  }
+
+  clone() {
+    return this;
+  }
+
+  copy(v) {
+    return this.toMutable().copy(v).toImmutable();
+  }
+
+  cross(v) {
+    return this.toMutable().cross(v).toImmutable();
+  }
+
+  divide(v) {
+    return this.toMutable().divide(v).toImmutable();
+  }
+
+  floor() {
+    return this.toMutable().floor().toImmutable();
+  }
+
+  fract() {
+    return this.toMutable().fract().toImmutable();
+  }
+
+  limitMax(max) {
+    return this.toMutable().limitMax(max).toImmutable();
+  }
+
+  limitMin(min) {
+    return this.toMutable().limitMin(min).toImmutable();
+  }
+
+  lookAt(v) {
+    return this.toMutable().lookAt(v).toImmutable();
+  }
+
+  max(v) {
+    return this.toMutable().max(v).toImmutable();
+  }
+
+  min(v) {
+    return this.toMutable().min(v).toImmutable();
+  }
+
+  mod(n) {
+    return this.toMutable().mod(n).toImmutable();
+  }
+
+  moveTowards(v, maxDelta) {
+    return this.toMutable().moveTowards(v, maxDelta).toImmutable();
+  }
+
+  multiply(v) {
+    return this.toMutable().multiply(v).toImmutable();
+  }
+
+  negate() {
+    return this.toMutable().negate().toImmutable();
+  }
+
+  nlerp(v, t) {
+    return this.toMutable().nlerp(v, t).toImmutable();
+  }
+
+  normalize() {
+    return this.toMutable().normalize().toImmutable();
+  }
+
+  project(v) {
+    return this.toMutable().project(v).toImmutable();
+  }
+
+  random(source) {
+    return this.toMutable().random(source).toImmutable();
+  }
+
+  readFrom(buffer, offset) {
+    return this.toMutable().readFrom(buffer, offset).toImmutable();
+  }
+
+  reflect(normal) {
+    return this.toMutable().reflect(normal).toImmutable();
+  }
+
+  refract(normal, eta) {
+    const v = this.toMutable().refract(normal, eta);
+    return v === null ? null : v.toImmutable();
+  }
+
+  reject(v) {
+    return this.toMutable().reject(v).toImmutable();
+  }
+
+  rotateAround(axis, phi) {
+    return this.toMutable().rotateAround(axis, phi).toImmutable();
+  }
+
+  rotateAroundPoint(pivot, axis, phi) {
+    return this.toMutable().rotateAroundPoint(pivot, axis, phi).toImmutable();
+  }
+
+  rotateTowards(v, maxAngle, maxMagnitudeDelta) {
+    return this.toMutable()
+      .rotateTowards(v, maxAngle, maxMagnitudeDelta)
+      .toImmutable();
+  }
+
+  rotateX(phi) {
+    return this.toMutable().rotateX(phi).toImmutable();
+  }
+
+  rotateY(phi) {
+    return this.toMutable().rotateY(phi).toImmutable();
+  }
+
+  rotateZ(phi) {
+    return this.toMutable().rotateZ(phi).toImmutable();
+  }
+
+  round() {
+    return this.toMutable().round().toImmutable();
+  }
+
+  safeNormalize(fallback) {
+    return this.toMutable().safeNormalize(fallback).toImmutable();
+  }
+
+  scale(c) {
+    return this.toMutable().scale(c).toImmutable();
+  }
+
+  sign() {
+    return this.toMutable().sign().toImmutable();
+  }
+
+  slerp(v, t) {
+    return this.toMutable().slerp(v, t).toImmutable();
+  }
+
+  snap(step) {
+    return this.toMutable().snap(step).toImmutable();
+  }
+
+  subtract(v) {
+    return this.toMutable().subtract(v).toImmutable();
+  }
+
+  toImmutable() {
+    return this;
+  }
+
+  toMutable() {
+    return super.clone();
+  }
+
+  transform(m) {
+    return this.toMutable().transform(m).toImmutable();
+  }
+
+  transformDirection(m) {
+    return this.toMutable().transformDirection(m).toImmutable();
+  }
+
+  transformPoint(m) {
+    return this.toMutable().transformPoint(m).toImmutable();
+  }
+
+  zero() {
+    return this.toMutable().zero().toImmutable();
+  }
+}
+
+// #region Vec3F32
+
+class Vec3F32 extends Vec3 {
+  constructor(x = 0, y = 0, z = 0) {
+    super();
+    vec3Bind(this, new Float32Array([x, y, z]));
+  }
+
+  clone() {
+    return new Vec3F32().copy(this);
+  }
+}
+
+// #region Vec4
+
+class Vec4 {
+  #magnitude = 0;
+  #magnitudeSq = 0;
+  #prevXYZW = new Float64Array(4);
+  #xyzw = new Float64Array(4);
+
+  static {
+    vec4Bind = (v, storage) => {
+      v.#xyzw = storage;
+      return v;
+    };
+    vec4From = v => Vec4.#from(v);
+    vec4Mutable = v => Vec4.#mutable(v);
+    defineSwizzles(this, 'xyzw');
+  }
+
+  // Lazy, only recomputed when read after any component changed (i.e.: they
+  // differ from the ones it was computed from), either by a method, a setter,
+  // or a write to the storage of a view.
+  #computeMagnitude() {
+    const x = this.#xyzw[0];
+    const y = this.#xyzw[1];
+    const z = this.#xyzw[2];
+    const w = this.#xyzw[3];
+    if (
+      x !== this.#prevXYZW[0] ||
+      y !== this.#prevXYZW[1] ||
+      z !== this.#prevXYZW[2] ||
+      w !== this.#prevXYZW[3]
+    ) {
+      this.#magnitudeSq = x ** 2 + y ** 2 + z ** 2 + w ** 2;
+      this.#magnitude = sqrt(this.#magnitudeSq);
+      this.#prevXYZW[0] = x;
+      this.#prevXYZW[1] = y;
+      this.#prevXYZW[2] = z;
+      this.#prevXYZW[3] = w;
+    }
+    return this.#magnitude;
+  }
+
+  // Either by a number, or component-wise by a vector-like value.
+  #mod(v, n) {
+    let nX = n;
+    let nY = n;
+    let nZ = n;
+    let nW = n;
+    if (typeof n !== 'number') {
+      n = Vec4.#from(n);
+      nX = n.#xyzw[0];
+      nY = n.#xyzw[1];
+      nZ = n.#xyzw[2];
+      nW = n.#xyzw[3];
+    }
+    return this.#set(
+      v.#xyzw[0] - nX * floor(v.#xyzw[0] / nX),
+      v.#xyzw[1] - nY * floor(v.#xyzw[1] / nY),
+      v.#xyzw[2] - nZ * floor(v.#xyzw[2] / nZ),
+      v.#xyzw[3] - nW * floor(v.#xyzw[3] / nW)
+    );
+  }
+
+  #moveTowards(v, w, maxDelta) {
+    const dX = w.#xyzw[0] - v.#xyzw[0];
+    const dY = w.#xyzw[1] - v.#xyzw[1];
+    const dZ = w.#xyzw[2] - v.#xyzw[2];
+    const dW = w.#xyzw[3] - v.#xyzw[3];
+    const d = sqrt(dX ** 2 + dY ** 2 + dZ ** 2 + dW ** 2);
+    if (d <= maxDelta || d === 0) return this.copy(w);
+    return this.#set(
+      v.#xyzw[0] + dX / d * maxDelta,
+      v.#xyzw[1] + dY / d * maxDelta,
+      v.#xyzw[2] + dZ / d * maxDelta,
+      v.#xyzw[3] + dW / d * maxDelta
+    );
+  }
+
+  #nlerp(
+    v,
+    w,
+    t,
+    magnitude = v.#computeMagnitude() +
+      (w.#computeMagnitude() - v.#computeMagnitude()) * t
+  ) {
+    this.#set(
+      v.#xyzw[0] + (w.#xyzw[0] - v.#xyzw[0]) * t,
+      v.#xyzw[1] + (w.#xyzw[1] - v.#xyzw[1]) * t,
+      v.#xyzw[2] + (w.#xyzw[2] - v.#xyzw[2]) * t,
+      v.#xyzw[3] + (w.#xyzw[3] - v.#xyzw[3]) * t
+    );
+    const m = this.#computeMagnitude();
+    if (m === 0) return this;
+    return this.#set(
+      this.#xyzw[0] / m * magnitude,
+      this.#xyzw[1] / m * magnitude,
+      this.#xyzw[2] / m * magnitude,
+      this.#xyzw[3] / m * magnitude
+    );
+  }
+
+  // The plane is checked before anything is written (e.g.: into `out`).
+  #rotateDouble(v, phi, psi, plane) {
+    if (plane !== 'XY' && plane !== 'XZ' && plane !== 'XW') {
+      throw new TypeError(`Expected 'XY', 'XZ', or 'XW', got ${plane}.`);
+    }
+    this.#set(v.#xyzw[0], v.#xyzw[1], v.#xyzw[2], v.#xyzw[3]);
+    switch (plane) {
+      case 'XY':
+        this.#rotatePlane(0, 1, phi);
+        this.#rotatePlane(2, 3, psi);
+        break;
+      case 'XZ':
+        this.#rotatePlane(0, 2, phi);
+        this.#rotatePlane(1, 3, psi);
+        break;
+      default:
+        this.#rotatePlane(0, 3, phi);
+        this.#rotatePlane(1, 2, psi);
+    }
+    return this;
+  }
+
+  #rotatePlane(i, j, phi) {
+    const cosPhi = cos(phi);
+    const sinPhi = sin(phi);
+    const a = this.#xyzw[i];
+    const b = this.#xyzw[j];
+    this.#xyzw[i] = a * cosPhi - b * sinPhi;
+    this.#xyzw[j] = a * sinPhi + b * cosPhi;
+  }
+
+  #rotateTowards(v, w, maxAngle, maxMagnitudeDelta) {
+    const m = v.#computeMagnitude();
+    const n = w.#computeMagnitude();
+    const angle = Vec4.angleBetween(v, w);
+    return this.#slerp(
+      v,
+      w,
+      angle > maxAngle ? maxAngle / angle : 1,
+      m < n ?
+        min(m + maxMagnitudeDelta, n) :
+        max(m - maxMagnitudeDelta, n)
+    );
+  }
+
+  #set(x, y, z, w) {
+    this.#xyzw[0] = x;
+    this.#xyzw[1] = y;
+    this.#xyzw[2] = z;
+    this.#xyzw[3] = w;
+    return this;
+  }
+
+  #slerp(
+    v,
+    w,
+    t,
+    magnitude = v.#computeMagnitude() +
+      (w.#computeMagnitude() - v.#computeMagnitude()) * t
+  ) {
+    const m = v.#computeMagnitude();
+    const n = w.#computeMagnitude();
+    const vX = v.#xyzw[0] / m;
+    const vY = v.#xyzw[1] / m;
+    const vZ = v.#xyzw[2] / m;
+    const vW = v.#xyzw[3] / m;
+    const wX = w.#xyzw[0] / n;
+    const wY = w.#xyzw[1] / n;
+    const wZ = w.#xyzw[2] / n;
+    const wW = w.#xyzw[3] / n;
+    const cosOmega = min(max(vX * wX + vY * wY + vZ * wZ + vW * wW, -1), 1);
+    if (m === 0 || n === 0 || cosOmega > 1 - EPSILON) {
+      // Undefined or (almost) equal directions, nothing to rotate.
+      return this.#nlerp(v, w, t, magnitude);
+    }
+    const omega = acos(cosOmega);
+    let pX, pY, pZ, pW;
+    if (cosOmega < EPSILON - 1) {
+      // Opposite directions, any perpendicular one is as short a way.
+      pX = -vY;
+      pY = vX;
+      pZ = -vW;
+      pW = vZ;
+    } else {
+      // The unit direction perpendicular to `v` towards `w`.
+      const s = sin(omega);
+      pX = (wX - vX * cosOmega) / s;
+      pY = (wY - vY * cosOmega) / s;
+      pZ = (wZ - vZ * cosOmega) / s;
+      pW = (wW - vW * cosOmega) / s;
+    }
+    const c = cos(omega * t) * magnitude;
+    const s = sin(omega * t) * magnitude;
+    return this.#set(
+      vX * c + pX * s,
+      vY * c + pY * s,
+      vZ * c + pZ * s,
+      vW * c + pW * s
+    );
+  }
+
+  // Either to a number, or component-wise to a vector-like value.
+  #snap(v, step) {
+    let stepX = step;
+    let stepY = step;
+    let stepZ = step;
+    let stepW = step;
+    if (typeof step !== 'number') {
+      step = Vec4.#from(step);
+      stepX = step.#xyzw[0];
+      stepY = step.#xyzw[1];
+      stepZ = step.#xyzw[2];
+      stepW = step.#xyzw[3];
+    }
+    return this.#set(
+      round(v.#xyzw[0] / stepX) * stepX,
+      round(v.#xyzw[1] / stepY) * stepY,
+      round(v.#xyzw[2] / stepZ) * stepZ,
+      round(v.#xyzw[3] / stepW) * stepW
+    );
+  }
+
+  constructor(x = 0, y = 0, z = 0, w = 0) {
+    this.#xyzw[0] = x;
+    this.#xyzw[1] = y;
+    this.#xyzw[2] = z;
+    this.#xyzw[3] = w;
+  }
+
+  static abs(v, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.#set(
+      abs(v.#xyzw[0]),
+      abs(v.#xyzw[1]),
+      abs(v.#xyzw[2]),
+      abs(v.#xyzw[3])
+    );
+  }
+
+  static add(v, w, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return out.#set(
+      v.#xyzw[0] + w.#xyzw[0],
+      v.#xyzw[1] + w.#xyzw[1],
+      v.#xyzw[2] + w.#xyzw[2],
+      v.#xyzw[3] + w.#xyzw[3]
+    );
+  }
+
+  static angleBetween(v, w) {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    // Kahan's formula, twice the angle between the sum and the difference of
+    // `v * |w|` and `w * |v|` (same magnitude), stays accurate for (almost)
+    // parallel vectors.
+    const m = v.#computeMagnitude();
+    const n = w.#computeMagnitude();
+    let difference = 0;
+    let sum = 0;
+    for (let i = 0; i < 4; i++) {
+      const a = v.#xyzw[i] * n;
+      const b = w.#xyzw[i] * m;
+      difference += (a - b) ** 2;
+      sum += (a + b) ** 2;
+    }
+    return 2 * atan2(sqrt(difference), sqrt(sum));
+  }
+
+  static ceil(v, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.#set(
+      ceil(v.#xyzw[0]),
+      ceil(v.#xyzw[1]),
+      ceil(v.#xyzw[2]),
+      ceil(v.#xyzw[3])
+    );
+  }
+
+  static clampComponents(v, min, max, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    min = Vec4.#from(min);
+    max = Vec4.#from(max);
+    return out.#set(
+      clamp(v.#xyzw[0], min.#xyzw[0], max.#xyzw[0]),
+      clamp(v.#xyzw[1], min.#xyzw[1], max.#xyzw[1]),
+      clamp(v.#xyzw[2], min.#xyzw[2], max.#xyzw[2]),
+      clamp(v.#xyzw[3], min.#xyzw[3], max.#xyzw[3])
+    );
+  }
+
+  static distance(v, w) {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return sqrt(
+      (v.#xyzw[0] - w.#xyzw[0]) ** 2 +
+      (v.#xyzw[1] - w.#xyzw[1]) ** 2 +
+      (v.#xyzw[2] - w.#xyzw[2]) ** 2 +
+      (v.#xyzw[3] - w.#xyzw[3]) ** 2
+    );
+  }
+
+  static distanceChebyshev(v, w) {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    const absX = abs(v.#xyzw[0] - w.#xyzw[0]);
+    const absY = abs(v.#xyzw[1] - w.#xyzw[1]);
+    const absZ = abs(v.#xyzw[2] - w.#xyzw[2]);
+    const absW = abs(v.#xyzw[3] - w.#xyzw[3]);
+    return absX >= absY && absX >= absZ && absX >= absW ?
+      absX :
+      absY >= absZ && absY >= absW ?
+        absY :
+        absZ >= absW ?
+          absZ :
+          absW;
+  }
+
+  static distanceManhattan(v, w) {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return (
+      abs(v.#xyzw[0] - w.#xyzw[0]) +
+      abs(v.#xyzw[1] - w.#xyzw[1]) +
+      abs(v.#xyzw[2] - w.#xyzw[2]) +
+      abs(v.#xyzw[3] - w.#xyzw[3])
+    );
+  }
+
+  static distanceMinkowski(v, w, p) {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return (
+      abs(v.#xyzw[0] - w.#xyzw[0]) ** p +
+      abs(v.#xyzw[1] - w.#xyzw[1]) ** p +
+      abs(v.#xyzw[2] - w.#xyzw[2]) ** p +
+      abs(v.#xyzw[3] - w.#xyzw[3]) ** p
+    ) ** (1 / p);
+  }
+
+  static distanceSq(v, w) {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return (
+      (v.#xyzw[0] - w.#xyzw[0]) ** 2 +
+      (v.#xyzw[1] - w.#xyzw[1]) ** 2 +
+      (v.#xyzw[2] - w.#xyzw[2]) ** 2 +
+      (v.#xyzw[3] - w.#xyzw[3]) ** 2
+    );
+  }
+
+  static divide(v, w, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return out.#set(
+      v.#xyzw[0] / w.#xyzw[0],
+      v.#xyzw[1] / w.#xyzw[1],
+      v.#xyzw[2] / w.#xyzw[2],
+      v.#xyzw[3] / w.#xyzw[3]
+    );
+  }
+
+  static dot(v, w) {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return (
+      v.#xyzw[0] * w.#xyzw[0] +
+      v.#xyzw[1] * w.#xyzw[1] +
+      v.#xyzw[2] * w.#xyzw[2] +
+      v.#xyzw[3] * w.#xyzw[3]
+    );
+  }
+
+  static equals(v, w, epsilon = EPSILON, mode = 'absolute') {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return (
+      satisfyTolerance(v.#xyzw[0], w.#xyzw[0], epsilon, mode) &&
+      satisfyTolerance(v.#xyzw[1], w.#xyzw[1], epsilon, mode) &&
+      satisfyTolerance(v.#xyzw[2], w.#xyzw[2], epsilon, mode) &&
+      satisfyTolerance(v.#xyzw[3], w.#xyzw[3], epsilon, mode)
+    );
+  }
+
+  static floor(v, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.#set(
+      floor(v.#xyzw[0]),
+      floor(v.#xyzw[1]),
+      floor(v.#xyzw[2]),
+      floor(v.#xyzw[3])
+    );
+  }
+
+  static fract(v, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.#set(
+      v.#xyzw[0] - floor(v.#xyzw[0]),
+      v.#xyzw[1] - floor(v.#xyzw[1]),
+      v.#xyzw[2] - floor(v.#xyzw[2]),
+      v.#xyzw[3] - floor(v.#xyzw[3])
+    );
+  }
+
+  static fromHypersphericalCoords(r, phi1, phi2, phi3, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    const s1 = r * sin(phi1);
+    const s2 = s1 * sin(phi2);
+    return out.#set(
+      r * cos(phi1),
+      s1 * cos(phi2),
+      s2 * cos(phi3),
+      s2 * sin(phi3)
+    );
+  }
+
+  static fromJSON(json, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    return out.copy(parseJSON(json));
+  }
+
+  static immutable(x = 0, y = 0, z = 0, w = 0) {
+    return new ImmutableVec4(x, y, z, w);
+  }
+
+  static inverseLerp(v, w, u) {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    u = Vec4.#from(u);
+    const dX = w.#xyzw[0] - v.#xyzw[0];
+    const dY = w.#xyzw[1] - v.#xyzw[1];
+    const dZ = w.#xyzw[2] - v.#xyzw[2];
+    const dW = w.#xyzw[3] - v.#xyzw[3];
+    const dd = dX ** 2 + dY ** 2 + dZ ** 2 + dW ** 2;
+    if (dd === 0) return 0;
+    return (
+      (u.#xyzw[0] - v.#xyzw[0]) * dX +
+      (u.#xyzw[1] - v.#xyzw[1]) * dY +
+      (u.#xyzw[2] - v.#xyzw[2]) * dZ +
+      (u.#xyzw[3] - v.#xyzw[3]) * dW
+    ) / dd;
+  }
+
+  static isCollinear(u, v, w, epsilon = EPSILON) {
+    u = Vec4.#from(u);
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    const aX = v.#xyzw[0] - u.#xyzw[0];
+    const aY = v.#xyzw[1] - u.#xyzw[1];
+    const aZ = v.#xyzw[2] - u.#xyzw[2];
+    const aW = v.#xyzw[3] - u.#xyzw[3];
+    const bX = w.#xyzw[0] - u.#xyzw[0];
+    const bY = w.#xyzw[1] - u.#xyzw[1];
+    const bZ = w.#xyzw[2] - u.#xyzw[2];
+    const bW = w.#xyzw[3] - u.#xyzw[3];
+    return sqrt(
+      (aX * bY - aY * bX) ** 2 +
+      (aX * bZ - aZ * bX) ** 2 +
+      (aX * bW - aW * bX) ** 2 +
+      (aY * bZ - aZ * bY) ** 2 +
+      (aY * bW - aW * bY) ** 2 +
+      (aZ * bW - aW * bZ) ** 2
+    ) <= epsilon * sqrt((
+      aX ** 2 +
+      aY ** 2 +
+      aZ ** 2 +
+      aW ** 2
+    ) * (
+      bX ** 2 +
+      bY ** 2 +
+      bZ ** 2 +
+      bW ** 2
+    ));
+  }
+
+  static isInfinite(v) {
+    v = Vec4.#from(v);
+    const x = v.#xyzw[0];
+    const y = v.#xyzw[1];
+    const z = v.#xyzw[2];
+    const w = v.#xyzw[3];
+    return (
+      x === +Infinity ||
+      x === -Infinity ||
+      y === +Infinity ||
+      y === -Infinity ||
+      z === +Infinity ||
+      z === -Infinity ||
+      w === +Infinity ||
+      w === -Infinity
+    );
+  }
+
+  static isNaN(v) {
+    v = Vec4.#from(v);
+    return (
+      isNaN(v.#xyzw[0]) ||
+      isNaN(v.#xyzw[1]) ||
+      isNaN(v.#xyzw[2]) ||
+      isNaN(v.#xyzw[3])
+    );
+  }
+
+  static isNormalized(v, epsilon = EPSILON) {
+    v = Vec4.#from(v);
+    return abs(sqrt(
+      v.#xyzw[0] ** 2 +
+      v.#xyzw[1] ** 2 +
+      v.#xyzw[2] ** 2 +
+      v.#xyzw[3] ** 2
+    ) - 1) <= epsilon;
+  }
+
+  static isOrthogonal(v, w, epsilon = EPSILON) {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    const vX = v.#xyzw[0];
+    const vY = v.#xyzw[1];
+    const vZ = v.#xyzw[2];
+    const vW = v.#xyzw[3];
+    const wX = w.#xyzw[0];
+    const wY = w.#xyzw[1];
+    const wZ = w.#xyzw[2];
+    const wW = w.#xyzw[3];
+    return abs(
+      vX * wX +
+      vY * wY +
+      vZ * wZ +
+      vW * wW
+    ) <= epsilon * sqrt((
+      vX ** 2 +
+      vY ** 2 +
+      vZ ** 2 +
+      vW ** 2
+    ) * (
+      wX ** 2 +
+      wY ** 2 +
+      wZ ** 2 +
+      wW ** 2
+    ));
+  }
+
+  static isParallel(v, w, epsilon = EPSILON) {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    const vX = v.#xyzw[0];
+    const vY = v.#xyzw[1];
+    const vZ = v.#xyzw[2];
+    const vW = v.#xyzw[3];
+    const wX = w.#xyzw[0];
+    const wY = w.#xyzw[1];
+    const wZ = w.#xyzw[2];
+    const wW = w.#xyzw[3];
+    return sqrt(
+      (vX * wY - vY * wX) ** 2 +
+      (vX * wZ - vZ * wX) ** 2 +
+      (vX * wW - vW * wX) ** 2 +
+      (vY * wZ - vZ * wY) ** 2 +
+      (vY * wW - vW * wY) ** 2 +
+      (vZ * wW - vW * wZ) ** 2
+    ) <= epsilon * sqrt((
+      vX ** 2 +
+      vY ** 2 +
+      vZ ** 2 +
+      vW ** 2
+    ) * (
+      wX ** 2 +
+      wY ** 2 +
+      wZ ** 2 +
+      wW ** 2
+    ));
+  }
+
+  static isZero(v) {
+    v = Vec4.#from(v);
+    return (
+      v.#xyzw[0] === 0 &&
+      v.#xyzw[1] === 0 &&
+      v.#xyzw[2] === 0 &&
+      v.#xyzw[3] === 0
+    );
+  }
+
+  static lerp(v, w, t, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    const vX = v.#xyzw[0];
+    const vY = v.#xyzw[1];
+    const vZ = v.#xyzw[2];
+    const vW = v.#xyzw[3];
+    return out.#set(
+      vX + (w.#xyzw[0] - vX) * t,
+      vY + (w.#xyzw[1] - vY) * t,
+      vZ + (w.#xyzw[2] - vZ) * t,
+      vW + (w.#xyzw[3] - vW) * t
+    );
+  }
+
+  static lerpUnclamped(v, w, t, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return out.#set(
+      v.#xyzw[0] + (w.#xyzw[0] - v.#xyzw[0]) * t,
+      v.#xyzw[1] + (w.#xyzw[1] - v.#xyzw[1]) * t,
+      v.#xyzw[2] + (w.#xyzw[2] - v.#xyzw[2]) * t,
+      v.#xyzw[3] + (w.#xyzw[3] - v.#xyzw[3]) * t
+    );
+  }
+
+  static max(v, w, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return out.#set(
+      max(v.#xyzw[0], w.#xyzw[0]),
+      max(v.#xyzw[1], w.#xyzw[1]),
+      max(v.#xyzw[2], w.#xyzw[2]),
+      max(v.#xyzw[3], w.#xyzw[3])
+    );
+  }
+
+  static min(v, w, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return out.#set(
+      min(v.#xyzw[0], w.#xyzw[0]),
+      min(v.#xyzw[1], w.#xyzw[1]),
+      min(v.#xyzw[2], w.#xyzw[2]),
+      min(v.#xyzw[3], w.#xyzw[3])
+    );
+  }
+
+  static mod(v, n, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    return out.#mod(Vec4.#from(v), n);
+  }
+
+  static moveTowards(v, w, maxDelta, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    return out.#moveTowards(Vec4.#from(v), Vec4.#from(w), maxDelta);
+  }
+
+  static multiply(v, w, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return out.#set(
+      v.#xyzw[0] * w.#xyzw[0],
+      v.#xyzw[1] * w.#xyzw[1],
+      v.#xyzw[2] * w.#xyzw[2],
+      v.#xyzw[3] * w.#xyzw[3]
+    );
+  }
+
+  static negate(v, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.#set(
+      -v.#xyzw[0],
+      -v.#xyzw[1],
+      -v.#xyzw[2],
+      -v.#xyzw[3]
+    );
+  }
+
+  static nlerp(v, w, t, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    return out.#nlerp(Vec4.#from(v), Vec4.#from(w), t);
+  }
+
+  static normalize(v, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    const m = v.#computeMagnitude();
+    if (m === 0) {
+      degenerate('normalize');
+      return out.#set(0, 0, 0, 0);
+    }
+    return out.#set(
+      v.#xyzw[0] / m,
+      v.#xyzw[1] / m,
+      v.#xyzw[2] / m,
+      v.#xyzw[3] / m
+    );
+  }
+
+  static project(v, w, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    const vM = v.#computeMagnitude();
+    const wM = w.#computeMagnitude();
+    if (wM === 0) {
+      degenerate('project');
+      return out.#set(0, 0, 0, 0);
+    }
+    if (vM === 0) return out.#set(0, 0, 0, 0);
+    const wX = w.#xyzw[0];
+    const wY = w.#xyzw[1];
+    const wZ = w.#xyzw[2];
+    const wW = w.#xyzw[3];
+    const f = vM * cos(acos((
+      v.#xyzw[0] * wX +
+      v.#xyzw[1] * wY +
+      v.#xyzw[2] * wZ +
+      v.#xyzw[3] * wW
+    ) / (vM * wM)));
+    return out.#set(
+      wX / wM * f,
+      wY / wM * f,
+      wZ / wM * f,
+      wW / wM * f
+    );
+  }
+
+  static random(source = randomSource, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    let x1;
+    let x2;
+    let x3;
+    let x4;
+    do {
+      x1 = source() * 2 - 1;
+      x2 = source() * 2 - 1;
+      x3 = source() * 2 - 1;
+      x4 = source() * 2 - 1;
+    } while (x1 ** 2 + x2 ** 2 >= 1 || x3 ** 2 + x4 ** 2 >= 1);
+    const f = sqrt((1 - x1 ** 2 - x2 ** 2) / (x3 ** 2 + x4 ** 2));
+    return out.#set(
+      x1,
+      x2,
+      x3 * f,
+      x4 * f
+    );
+  }
+
+  static randomGaussian(
+    mean,
+    sigma = 1,
+    source = randomSource,
+    out = new Vec4()
+  ) {
+    out = Vec4.#mutable(out);
+    if (mean) mean = Vec4.#from(mean);
+    return out.#set(
+      (mean ? mean.#xyzw[0] : 0) + sigma * randomGaussian(source),
+      (mean ? mean.#xyzw[1] : 0) + sigma * randomGaussian(source),
+      (mean ? mean.#xyzw[2] : 0) + sigma * randomGaussian(source),
+      (mean ? mean.#xyzw[3] : 0) + sigma * randomGaussian(source)
+    );
+  }
+
+  static randomInBox(min, max, source = randomSource, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    min = Vec4.#from(min);
+    max = Vec4.#from(max);
+    const minX = min.#xyzw[0];
+    const minY = min.#xyzw[1];
+    const minZ = min.#xyzw[2];
+    const minW = min.#xyzw[3];
+    return out.#set(
+      minX + (max.#xyzw[0] - minX) * source(),
+      minY + (max.#xyzw[1] - minY) * source(),
+      minZ + (max.#xyzw[2] - minZ) * source(),
+      minW + (max.#xyzw[3] - minW) * source()
+    );
+  }
+
+  static rotateDouble(v, phi, psi, plane = 'XY', out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    return out.#rotateDouble(Vec4.#from(v), phi, psi, plane);
+  }
+
+  static rotateTowards(
+    v,
+    w,
+    maxAngle,
+    maxMagnitudeDelta,
+    out = new Vec4()
+  ) {
+    out = Vec4.#mutable(out);
+    return out.#rotateTowards(
+      Vec4.#from(v),
+      Vec4.#from(w),
+      maxAngle,
+      maxMagnitudeDelta
+    );
+  }
+
+  static rotateXW(v, phi, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.copy(v).rotateXW(phi);
+  }
+
+  static rotateXY(v, phi, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.copy(v).rotateXY(phi);
+  }
+
+  static rotateXZ(v, phi, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.copy(v).rotateXZ(phi);
+  }
+
+  static rotateYW(v, phi, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.copy(v).rotateYW(phi);
+  }
+
+  static rotateYZ(v, phi, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.copy(v).rotateYZ(phi);
+  }
+
+  static rotateZW(v, phi, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.copy(v).rotateZW(phi);
+  }
+
+  static round(v, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.#set(
+      round(v.#xyzw[0]),
+      round(v.#xyzw[1]),
+      round(v.#xyzw[2]),
+      round(v.#xyzw[3])
+    );
+  }
+
+  static safeNormalize(v, fallback, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    if (v.#computeMagnitude() !== 0) return Vec4.normalize(v, out);
+    return fallback === undefined ? out.#set(0, 0, 0, 0) : out.copy(fallback);
+  }
+
+  static satisfyEquality(v, w) {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return (
+      v.#xyzw[0] === w.#xyzw[0] &&
+      v.#xyzw[1] === w.#xyzw[1] &&
+      v.#xyzw[2] === w.#xyzw[2] &&
+      v.#xyzw[3] === w.#xyzw[3]
+    );
+  }
+
+  static satisfyOpposition(v, w) {
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return (
+      v.#xyzw[0] === -w.#xyzw[0] &&
+      v.#xyzw[1] === -w.#xyzw[1] &&
+      v.#xyzw[2] === -w.#xyzw[2] &&
+      v.#xyzw[3] === -w.#xyzw[3]
+    );
+  }
+
+  static scale(v, c, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.#set(
+      v.#xyzw[0] * c,
+      v.#xyzw[1] * c,
+      v.#xyzw[2] * c,
+      v.#xyzw[3] * c
+    );
+  }
+
+  static sign(v, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    return out.#set(
+      sign(v.#xyzw[0]),
+      sign(v.#xyzw[1]),
+      sign(v.#xyzw[2]),
+      sign(v.#xyzw[3])
+    );
+  }
+
+  static slerp(v, w, t, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    return out.#slerp(Vec4.#from(v), Vec4.#from(w), t);
+  }
+
+  static smoothDamp(
+    current,
+    target,
+    velocity,
+    smoothTime,
+    dt,
+    maxSpeed = Infinity,
+    out = new Vec4()
+  ) {
+    out = Vec4.#mutable(out);
+    current = Vec4.#from(current);
+    target = Vec4.#from(target);
+    velocity = Vec4.#mutable(velocity);
+    // Critically damped spring, as in "Game Programming Gems 4" (by Thomas
+    // Lowe), with the exponential decay approximated by a polynomial.
+    smoothTime = max(smoothTime, 0.0001);
+    const omega = 2 / smoothTime;
+    const step = omega * dt;
+    const decay = 1 / (1 + step + 0.48 * step ** 2 + 0.235 * step ** 3);
+    let dX = current.#xyzw[0] - target.#xyzw[0];
+    let dY = current.#xyzw[1] - target.#xyzw[1];
+    let dZ = current.#xyzw[2] - target.#xyzw[2];
+    let dW = current.#xyzw[3] - target.#xyzw[3];
+    const d = sqrt(dX ** 2 + dY ** 2 + dZ ** 2 + dW ** 2);
+    const maxDelta = maxSpeed * smoothTime;
+    if (d > maxDelta) {
+      dX = dX / d * maxDelta;
+      dY = dY / d * maxDelta;
+      dZ = dZ / d * maxDelta;
+      dW = dW / d * maxDelta;
+    }
+    const tX = (velocity.#xyzw[0] + omega * dX) * dt;
+    const tY = (velocity.#xyzw[1] + omega * dY) * dt;
+    const tZ = (velocity.#xyzw[2] + omega * dZ) * dt;
+    const tW = (velocity.#xyzw[3] + omega * dW) * dt;
+    const x = current.#xyzw[0] - dX + (dX + tX) * decay;
+    const y = current.#xyzw[1] - dY + (dY + tY) * decay;
+    const z = current.#xyzw[2] - dZ + (dZ + tZ) * decay;
+    const w = current.#xyzw[3] - dW + (dW + tW) * decay;
+    // Stop at the target instead of overshooting it.
+    if (
+      (target.#xyzw[0] - current.#xyzw[0]) * (x - target.#xyzw[0]) +
+      (target.#xyzw[1] - current.#xyzw[1]) * (y - target.#xyzw[1]) +
+      (target.#xyzw[2] - current.#xyzw[2]) * (z - target.#xyzw[2]) +
+      (target.#xyzw[3] - current.#xyzw[3]) * (w - target.#xyzw[3]) > 0
+    ) {
+      velocity.#set(0, 0, 0, 0);
+      return out.copy(target);
+    }
+    velocity.#set(
+      (velocity.#xyzw[0] - omega * tX) * decay,
+      (velocity.#xyzw[1] - omega * tY) * decay,
+      (velocity.#xyzw[2] - omega * tZ) * decay,
+      (velocity.#xyzw[3] - omega * tW) * decay
+    );
+    return out.#set(x, y, z, w);
+  }
+
+  static snap(v, step, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    return out.#snap(Vec4.#from(v), step);
+  }
+
+  static spring(
+    current,
+    target,
+    velocity,
+    stiffness,
+    damping,
+    dt,
+    out = new Vec4()
+  ) {
+    out = Vec4.#mutable(out);
+    current = Vec4.#from(current);
+    target = Vec4.#from(target);
+    velocity = Vec4.#mutable(velocity);
+    // Implicit Euler integration of a unit mass, stable for any time step.
+    const k = stiffness * dt;
+    const c = 1 + damping * dt + k * dt;
+    velocity.#set(
+      (velocity.#xyzw[0] + k * (target.#xyzw[0] - current.#xyzw[0])) / c,
+      (velocity.#xyzw[1] + k * (target.#xyzw[1] - current.#xyzw[1])) / c,
+      (velocity.#xyzw[2] + k * (target.#xyzw[2] - current.#xyzw[2])) / c,
+      (velocity.#xyzw[3] + k * (target.#xyzw[3] - current.#xyzw[3])) / c
+    );
+    return out.#set(
+      current.#xyzw[0] + velocity.#xyzw[0] * dt,
+      current.#xyzw[1] + velocity.#xyzw[1] * dt,
+      current.#xyzw[2] + velocity.#xyzw[2] * dt,
+      current.#xyzw[3] + velocity.#xyzw[3] * dt
+    );
+  }
+
+  static subtract(v, w, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    w = Vec4.#from(w);
+    return out.#set(
+      v.#xyzw[0] - w.#xyzw[0],
+      v.#xyzw[1] - w.#xyzw[1],
+      v.#xyzw[2] - w.#xyzw[2],
+      v.#xyzw[3] - w.#xyzw[3]
+    );
+  }
+
+  static transform(v, m, out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    v = Vec4.#from(v);
+    const e = mat4Elements(m);
+    const x = v.#xyzw[0];
+    const y = v.#xyzw[1];
+    const z = v.#xyzw[2];
+    const w = v.#xyzw[3];
+    return out.#set(
+      e[0] * x + e[4] * y + e[8] * z + e[12] * w,
+      e[1] * x + e[5] * y + e[9] * z + e[13] * w,
+      e[2] * x + e[6] * y + e[10] * z + e[14] * w,
+      e[3] * x + e[7] * y + e[11] * z + e[15] * w
+    );
+  }
+
+  static unsignedAngle(v, w) {
+    return Vec4.angleBetween(v, w);
+  }
+
+  static view(buffer, index = 0, stride = 4, offset = 0, view = new Vec4()) {
+    if (!ArrayBuffer.isView(buffer) || buffer instanceof DataView) {
+      throw new TypeError(`Expected a typed array, got ${buffer}.`);
+    }
+    const i = offset + index * stride;
+    if (i < 0 || i + 4 > buffer.length) {
+      throw new TypeError(`Expected 4 components from index ${i} on.`);
+    }
+    view = Vec4.#mutable(view);
+    view.#xyzw = buffer.subarray(i, i + 4);
+    return view;
+  }
+
+  static zero(out = new Vec4()) {
+    out = Vec4.#mutable(out);
+    return out.#set(0, 0, 0, 0);
+  }
+
+  static #from(v) {
+    if (typeof v !== 'object' || v === null) {
+      throw new TypeError(`Expected a vector-like value, got ${v}.`);
+    }
+    if (#xyzw in v) return v;
+    // Any other vector-like value is read as an array (or typed array) of
+    // components, or an object with `x`, `y`, `z`, and `w` properties.
+    // Missing components default to 0.
+    return Array.isArray(v) || ArrayBuffer.isView(v) ?
+      new Vec4(v[0] ?? 0, v[1] ?? 0, v[2] ?? 0, v[3] ?? 0) :
+      new Vec4(v.x ?? 0, v.y ?? 0, v.z ?? 0, v.w ?? 0);
+  }
+
+  // Arguments updated in place, thus only (mutable) vectors are accepted.
+  static #mutable(v) {
+    if (
+      typeof v !== 'object' ||
+      v === null ||
+      !(#xyzw in v) ||
+      v instanceof ImmutableVec4
+    ) {
+      throw new TypeError(`Expected a mutable vector, got ${v}.`);
+    }
+    return v;
+  }
+
+  get a() {
+    return this.#xyzw[3];
+  }
+
+  get angleW() {
+    return atan2(sqrt(
+      this.#xyzw[0] ** 2 +
+      this.#xyzw[1] ** 2 +
+      this.#xyzw[2] ** 2
+    ), this.#xyzw[3]);
+  }
+
+  get angleX() {
+    return atan2(sqrt(
+      this.#xyzw[1] ** 2 +
+      this.#xyzw[2] ** 2 +
+      this.#xyzw[3] ** 2
+    ), this.#xyzw[0]);
+  }
+
+  get angleY() {
+    return atan2(sqrt(
+      this.#xyzw[2] ** 2 +
+      this.#xyzw[3] ** 2 +
+      this.#xyzw[0] ** 2
+    ), this.#xyzw[1]);
+  }
+
+  get angleZ() {
+    return atan2(sqrt(
+      this.#xyzw[3] ** 2 +
+      this.#xyzw[0] ** 2 +
+      this.#xyzw[1] ** 2
+    ), this.#xyzw[2]);
+  }
+
+  get b() {
+    return this.#xyzw[2];
+  }
+
+  get g() {
+    return this.#xyzw[1];
+  }
+
+  get magnitude() {
+    return this.#computeMagnitude();
+  }
+
+  get magnitudeSq() {
+    this.#computeMagnitude();
+    return this.#magnitudeSq;
+  }
+
+  get r() {
+    return this.#xyzw[0];
+  }
+
+  get rgba() {
+    return [...this.#xyzw];
+  }
+
+  get w() {
+    return this.#xyzw[3];
+  }
+
+  get x() {
+    return this.#xyzw[0];
+  }
+
+  get xyzw() {
+    return [...this.#xyzw];
+  }
+
+  get y() {
+    return this.#xyzw[1];
+  }
+
+  get z() {
+    return this.#xyzw[2];
+  }
+
+  set a(a) {
+    this.#xyzw[3] = a;
+  }
+
+  set b(b) {
+    this.#xyzw[2] = b;
+  }
+
+  set g(g) {
+    this.#xyzw[1] = g;
+  }
+
+  set magnitude(m) {
+    const M = this.#computeMagnitude();
+    if (M === 0) {
+      degenerate('magnitude');
+      return;
+    }
+    this.#xyzw[0] = this.#xyzw[0] / M * m;
+    this.#xyzw[1] = this.#xyzw[1] / M * m;
+    this.#xyzw[2] = this.#xyzw[2] / M * m;
+    this.#xyzw[3] = this.#xyzw[3] / M * m;
+  }
+
+  set r(r) {
+    this.#xyzw[0] = r;
+  }
+
+  set rgba(rgba) {
+    this.#xyzw[0] = rgba[0];
+    this.#xyzw[1] = rgba[1];
+    this.#xyzw[2] = rgba[2];
+    this.#xyzw[3] = rgba[3];
+  }
+
+  set w(w) {
+    this.#xyzw[3] = w;
+  }
+
+  set x(x) {
+    this.#xyzw[0] = x;
+  }
+
+  set xyzw(xyzw) {
+    this.#xyzw[0] = xyzw[0];
+    this.#xyzw[1] = xyzw[1];
+    this.#xyzw[2] = xyzw[2];
+    this.#xyzw[3] = xyzw[3];
+  }
+
+  set y(y) {
+    this.#xyzw[1] = y;
+  }
+
+  set z(z) {
+    this.#xyzw[2] = z;
+  }
+
+  abs() {
+    this.#xyzw[0] = abs(this.#xyzw[0]);
+    this.#xyzw[1] = abs(this.#xyzw[1]);
+    this.#xyzw[2] = abs(this.#xyzw[2]);
+    this.#xyzw[3] = abs(this.#xyzw[3]);
+    return this;
+  }
+
+  add(v) {
+    v = Vec4.#from(v);
+    this.#xyzw[0] += v.#xyzw[0];
+    this.#xyzw[1] += v.#xyzw[1];
+    this.#xyzw[2] += v.#xyzw[2];
+    this.#xyzw[3] += v.#xyzw[3];
+    return this;
+  }
+
+  angleBetween(v) {
+    return Vec4.angleBetween(this, v);
+  }
+
+  ceil() {
+    this.#xyzw[0] = ceil(this.#xyzw[0]);
+    this.#xyzw[1] = ceil(this.#xyzw[1]);
+    this.#xyzw[2] = ceil(this.#xyzw[2]);
+    this.#xyzw[3] = ceil(this.#xyzw[3]);
+    return this;
+  }
+
+  clamp(min, max) {
+    const m = this.#computeMagnitude();
+    if (m === 0 && min > 0) {
+      degenerate('clamp');
+      return this;
+    }
+    if (m > max) {
+      this.#xyzw[0] = this.#xyzw[0] / m * max;
+      this.#xyzw[1] = this.#xyzw[1] / m * max;
+      this.#xyzw[2] = this.#xyzw[2] / m * max;
+      this.#xyzw[3] = this.#xyzw[3] / m * max;
+    } else if (m < min) {
+      this.#xyzw[0] = this.#xyzw[0] / m * min;
+      this.#xyzw[1] = this.#xyzw[1] / m * min;
+      this.#xyzw[2] = this.#xyzw[2] / m * min;
+      this.#xyzw[3] = this.#xyzw[3] / m * min;
+    }
+    return this;
+  }
+
+  clampComponents(min, max) {
+    min = Vec4.#from(min);
+    max = Vec4.#from(max);
+    this.#xyzw[0] = clamp(this.#xyzw[0], min.#xyzw[0], max.#xyzw[0]);
+    this.#xyzw[1] = clamp(this.#xyzw[1], min.#xyzw[1], max.#xyzw[1]);
+    this.#xyzw[2] = clamp(this.#xyzw[2], min.#xyzw[2], max.#xyzw[2]);
+    this.#xyzw[3] = clamp(this.#xyzw[3], min.#xyzw[3], max.#xyzw[3]);
+    return this;
+  }
+
+  clone() {
+    return new Vec4(
+      this.#xyzw[0],
+      this.#xyzw[1],
+      this.#xyzw[2],
+      this.#xyzw[3]
+    );
+  }
+
+  copy(v) {
+    v = Vec4.#from(v);
+    this.#xyzw[0] = v.#xyzw[0];
+    this.#xyzw[1] = v.#xyzw[1];
+    this.#xyzw[2] = v.#xyzw[2];
+    this.#xyzw[3] = v.#xyzw[3];
+    return this;
+  }
+
+  distance(v) {
+    v = Vec4.#from(v);
+    return sqrt(
+      (this.#xyzw[0] - v.#xyzw[0]) ** 2 +
+      (this.#xyzw[1] - v.#xyzw[1]) ** 2 +
+      (this.#xyzw[2] - v.#xyzw[2]) ** 2 +
+      (this.#xyzw[3] - v.#xyzw[3]) ** 2
+    );
+  }
+
+  distanceSq(v) {
+    v = Vec4.#from(v);
+    return (
+      (this.#xyzw[0] - v.#xyzw[0]) ** 2 +
+      (this.#xyzw[1] - v.#xyzw[1]) ** 2 +
+      (this.#xyzw[2] - v.#xyzw[2]) ** 2 +
+      (this.#xyzw[3] - v.#xyzw[3]) ** 2
+    );
+  }
+
+  divide(v) {
+    v = Vec4.#from(v);
+    this.#xyzw[0] /= v.#xyzw[0];
+    this.#xyzw[1] /= v.#xyzw[1];
+    this.#xyzw[2] /= v.#xyzw[2];
+    this.#xyzw[3] /= v.#xyzw[3];
+    return this;
+  }
+
+  dot(v) {
+    v = Vec4.#from(v);
+    return (
+      this.#xyzw[0] * v.#xyzw[0] +
+      this.#xyzw[1] * v.#xyzw[1] +
+      this.#xyzw[2] * v.#xyzw[2] +
+      this.#xyzw[3] * v.#xyzw[3]
+    );
+  }
+
+  equals(v, epsilon = EPSILON, mode = 'absolute') {
+    return Vec4.equals(this, v, epsilon, mode);
+  }
+
+  floor() {
+    this.#xyzw[0] = floor(this.#xyzw[0]);
+    this.#xyzw[1] = floor(this.#xyzw[1]);
+    this.#xyzw[2] = floor(this.#xyzw[2]);
+    this.#xyzw[3] = floor(this.#xyzw[3]);
+    return this;
+  }
+
+  fract() {
+    this.#xyzw[0] = this.#xyzw[0] - floor(this.#xyzw[0]);
+    this.#xyzw[1] = this.#xyzw[1] - floor(this.#xyzw[1]);
+    this.#xyzw[2] = this.#xyzw[2] - floor(this.#xyzw[2]);
+    this.#xyzw[3] = this.#xyzw[3] - floor(this.#xyzw[3]);
+    return this;
+  }
+
+  isCollinear(v, w, epsilon = EPSILON) {
+    return Vec4.isCollinear(this, v, w, epsilon);
+  }
+
+  isInfinite() {
+    const x = this.#xyzw[0];
+    const y = this.#xyzw[1];
+    const z = this.#xyzw[2];
+    const w = this.#xyzw[3];
+    return (
+      x === +Infinity ||
+      x === -Infinity ||
+      y === +Infinity ||
+      y === -Infinity ||
+      z === +Infinity ||
+      z === -Infinity ||
+      w === +Infinity ||
+      w === -Infinity
+    );
+  }
+
+  isNaN() {
+    return (
+      isNaN(this.#xyzw[0]) ||
+      isNaN(this.#xyzw[1]) ||
+      isNaN(this.#xyzw[2]) ||
+      isNaN(this.#xyzw[3])
+    );
+  }
+
+  isNormalized(epsilon = EPSILON) {
+    return Vec4.isNormalized(this, epsilon);
+  }
+
+  isOrthogonal(v, epsilon = EPSILON) {
+    return Vec4.isOrthogonal(this, v, epsilon);
+  }
+
+  isParallel(v, epsilon = EPSILON) {
+    return Vec4.isParallel(this, v, epsilon);
+  }
+
+  isZero() {
+    return (
+      this.#xyzw[0] === 0 &&
+      this.#xyzw[1] === 0 &&
+      this.#xyzw[2] === 0 &&
+      this.#xyzw[3] === 0
+    );
+  }
+
+  limitMax(max) {
+    const m = this.#computeMagnitude();
+    if (m > max) {
+      this.#xyzw[0] = this.#xyzw[0] / m * max;
+      this.#xyzw[1] = this.#xyzw[1] / m * max;
+      this.#xyzw[2] = this.#xyzw[2] / m * max;
+      this.#xyzw[3] = this.#xyzw[3] / m * max;
+    }
+    return this;
+  }
+
+  limitMin(min) {
+    const m = this.#computeMagnitude();
+    if (m === 0 && min > 0) {
+      degenerate('limitMin');
+      return this;
+    }
+    if (m < min) {
+      this.#xyzw[0] = this.#xyzw[0] / m * min;
+      this.#xyzw[1] = this.#xyzw[1] / m * min;
+      this.#xyzw[2] = this.#xyzw[2] / m * min;
+      this.#xyzw[3] = this.#xyzw[3] / m * min;
+    }
+    return this;
+  }
+
+  lookAt(v) {
+    v = Vec4.#from(v);
+    const m = this.#computeMagnitude();
+    const vM = v.#computeMagnitude();
+    if (vM === 0) {
+      degenerate('lookAt');
+      return this;
+    }
+    this.#xyzw[0] = v.#xyzw[0] / vM * m;
+    this.#xyzw[1] = v.#xyzw[1] / vM * m;
+    this.#xyzw[2] = v.#xyzw[2] / vM * m;
+    this.#xyzw[3] = v.#xyzw[3] / vM * m;
+    return this;
+  }
+
+  max(v) {
+    v = Vec4.#from(v);
+    this.#xyzw[0] = max(this.#xyzw[0], v.#xyzw[0]);
+    this.#xyzw[1] = max(this.#xyzw[1], v.#xyzw[1]);
+    this.#xyzw[2] = max(this.#xyzw[2], v.#xyzw[2]);
+    this.#xyzw[3] = max(this.#xyzw[3], v.#xyzw[3]);
+    return this;
+  }
+
+  min(v) {
+    v = Vec4.#from(v);
+    this.#xyzw[0] = min(this.#xyzw[0], v.#xyzw[0]);
+    this.#xyzw[1] = min(this.#xyzw[1], v.#xyzw[1]);
+    this.#xyzw[2] = min(this.#xyzw[2], v.#xyzw[2]);
+    this.#xyzw[3] = min(this.#xyzw[3], v.#xyzw[3]);
+    return this;
+  }
+
+  mod(n) {
+    return this.#mod(this, n);
+  }
+
+  moveTowards(v, maxDelta) {
+    return this.#moveTowards(this, Vec4.#from(v), maxDelta);
+  }
+
+  multiply(v) {
+    v = Vec4.#from(v);
+    this.#xyzw[0] *= v.#xyzw[0];
+    this.#xyzw[1] *= v.#xyzw[1];
+    this.#xyzw[2] *= v.#xyzw[2];
+    this.#xyzw[3] *= v.#xyzw[3];
+    return this;
+  }
+
+  negate() {
+    this.#xyzw[0] *= -1;
+    this.#xyzw[1] *= -1;
+    this.#xyzw[2] *= -1;
+    this.#xyzw[3] *= -1;
+    return this;
+  }
+
+  nlerp(v, t) {
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    return this.#nlerp(this, Vec4.#from(v), t);
+  }
+
+  normalize() {
+    const m = this.#computeMagnitude();
+    if (m === 0) {
+      degenerate('normalize');
+      return this.#set(0, 0, 0, 0);
+    }
+    this.#xyzw[0] /= m;
+    this.#xyzw[1] /= m;
+    this.#xyzw[2] /= m;
+    this.#xyzw[3] /= m;
+    return this;
+  }
+
+  project(v) {
+    v = Vec4.#from(v);
+    const m = this.#computeMagnitude();
+    const vM = v.#computeMagnitude();
+    if (vM === 0) {
+      degenerate('project');
+      return this.#set(0, 0, 0, 0);
+    }
+    if (m === 0) return this.#set(0, 0, 0, 0);
+    const vX = v.#xyzw[0];
+    const vY = v.#xyzw[1];
+    const vZ = v.#xyzw[2];
+    const vW = v.#xyzw[3];
+    const f = m * cos(acos((
+      this.#xyzw[0] * vX +
+      this.#xyzw[1] * vY +
+      this.#xyzw[2] * vZ +
+      this.#xyzw[3] * vW
+    ) / (m * vM)));
+    this.#xyzw[0] = vX / vM * f;
+    this.#xyzw[1] = vY / vM * f;
+    this.#xyzw[2] = vZ / vM * f;
+    this.#xyzw[3] = vW / vM * f;
+    return this;
+  }
+
+  random(source = randomSource) {
+    let x1;
+    let x2;
+    let x3;
+    let x4;
+    do {
+      x1 = source() * 2 - 1;
+      x2 = source() * 2 - 1;
+      x3 = source() * 2 - 1;
+      x4 = source() * 2 - 1;
+    } while (x1 ** 2 + x2 ** 2 >= 1 || x3 ** 2 + x4 ** 2 >= 1);
+    const f = sqrt((1 - x1 ** 2 - x2 ** 2) / (x3 ** 2 + x4 ** 2));
+    const m = this.#computeMagnitude();
+    this.#xyzw[0] = m * x1;
+    this.#xyzw[1] = m * x2;
+    this.#xyzw[2] = m * x3 * f;
+    this.#xyzw[3] = m * x4 * f;
+    return this;
+  }
+
+  readFrom(buffer, offset = 0) {
+    return this.#set(
+      buffer[offset],
+      buffer[offset + 1],
+      buffer[offset + 2],
+      buffer[offset + 3]
+    );
+  }
+
+  rotateDouble(phi, psi, plane = 'XY') {
+    return this.#rotateDouble(this, phi, psi, plane);
+  }
+
+  rotateTowards(v, maxAngle, maxMagnitudeDelta) {
+    return this.#rotateTowards(
+      this,
+      Vec4.#from(v),
+      maxAngle,
+      maxMagnitudeDelta
+    );
+  }
+
+  rotateXW(phi) {
+    this.#rotatePlane(0, 3, phi);
+    return this;
+  }
+
+  rotateXY(phi) {
+    this.#rotatePlane(0, 1, phi);
+    return this;
+  }
+
+  rotateXZ(phi) {
+    this.#rotatePlane(0, 2, phi);
+    return this;
+  }
+
+  rotateYW(phi) {
+    this.#rotatePlane(1, 3, phi);
+    return this;
+  }
+
+  rotateYZ(phi) {
+    this.#rotatePlane(1, 2, phi);
+    return this;
+  }
+
+  rotateZW(phi) {
+    this.#rotatePlane(2, 3, phi);
+    return this;
+  }
+
+  round() {
+    this.#xyzw[0] = round(this.#xyzw[0]);
+    this.#xyzw[1] = round(this.#xyzw[1]);
+    this.#xyzw[2] = round(this.#xyzw[2]);
+    this.#xyzw[3] = round(this.#xyzw[3]);
+    return this;
+  }
+
+  safeNormalize(fallback) {
+    if (this.#computeMagnitude() !== 0) return this.normalize();
+    return fallback === undefined ? this.#set(0, 0, 0, 0) : this.copy(fallback);
+  }
+
+  satisfyEquality(v) {
+    v = Vec4.#from(v);
+    return (
+      this.#xyzw[0] === v.#xyzw[0] &&
+      this.#xyzw[1] === v.#xyzw[1] &&
+      this.#xyzw[2] === v.#xyzw[2] &&
+      this.#xyzw[3] === v.#xyzw[3]
+    );
+  }
+
+  satisfyOpposition(v) {
+    v = Vec4.#from(v);
+    return (
+      this.#xyzw[0] === -v.#xyzw[0] &&
+      this.#xyzw[1] === -v.#xyzw[1] &&
+      this.#xyzw[2] === -v.#xyzw[2] &&
+      this.#xyzw[3] === -v.#xyzw[3]
+    );
+  }
+
+  scale(c) {
+    this.#xyzw[0] *= c;
+    this.#xyzw[1] *= c;
+    this.#xyzw[2] *= c;
+    this.#xyzw[3] *= c;
+    return this;
+  }
+
+  sign() {
+    this.#xyzw[0] = sign(this.#xyzw[0]);
+    this.#xyzw[1] = sign(this.#xyzw[1]);
+    this.#xyzw[2] = sign(this.#xyzw[2]);
+    this.#xyzw[3] = sign(this.#xyzw[3]);
+    return this;
+  }
+
+  slerp(v, t) {
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    return this.#slerp(this, Vec4.#from(v), t);
+  }
+
+  snap(step) {
+    return this.#snap(this, step);
+  }
+
+  subtract(v) {
+    v = Vec4.#from(v);
+    this.#xyzw[0] -= v.#xyzw[0];
+    this.#xyzw[1] -= v.#xyzw[1];
+    this.#xyzw[2] -= v.#xyzw[2];
+    this.#xyzw[3] -= v.#xyzw[3];
+    return this;
+  }
+
+  swizzle(pattern) {
+    return swizzleVector(this, pattern, 'xyzw');
+  }
+
+  toHypersphericalCoords() {
+    const y = this.#xyzw[1];
+    const z = this.#xyzw[2];
+    const w = this.#xyzw[3];
+    return {
+      r: this.#computeMagnitude(),
+      phi1: atan2(sqrt(y ** 2 + z ** 2 + w ** 2), this.#xyzw[0]),
+      phi2: atan2(sqrt(z ** 2 + w ** 2), y),
+      phi3: wrapAngle(atan2(w, z))
+    };
+  }
+
+  toImmutable() {
+    return new ImmutableVec4(
+      this.#xyzw[0],
+      this.#xyzw[1],
+      this.#xyzw[2],
+      this.#xyzw[3]
+    );
+  }
+
+  toJSON() {
+    return {
+      x: this.#xyzw[0],
+      y: this.#xyzw[1],
+      z: this.#xyzw[2],
+      w: this.#xyzw[3]
+    };
+  }
+
+  toString(precision) {
+    return stringify('Vec4', this.#xyzw, precision);
+  }
+
+  toVec2() {
+    return new Vec2(
+      this.#xyzw[0],
+      this.#xyzw[1]
+    );
+  }
+
+  toVec3() {
+    return new Vec3(
+      this.#xyzw[0],
+      this.#xyzw[1],
+      this.#xyzw[2]
+    );
+  }
+
+  transform(m) {
+    const e = mat4Elements(m);
+    const x = this.#xyzw[0];
+    const y = this.#xyzw[1];
+    const z = this.#xyzw[2];
+    const w = this.#xyzw[3];
+    this.#xyzw[0] = e[0] * x + e[4] * y + e[8] * z + e[12] * w;
+    this.#xyzw[1] = e[1] * x + e[5] * y + e[9] * z + e[13] * w;
+    this.#xyzw[2] = e[2] * x + e[6] * y + e[10] * z + e[14] * w;
+    this.#xyzw[3] = e[3] * x + e[7] * y + e[11] * z + e[15] * w;
+    return this;
+  }
+
+  unsignedAngle(v) {
+    return Vec4.angleBetween(this, v);
+  }
+
+  writeTo(buffer, offset = 0) {
+    buffer[offset] = this.#xyzw[0];
+    buffer[offset + 1] = this.#xyzw[1];
+    buffer[offset + 2] = this.#xyzw[2];
+    buffer[offset + 3] = this.#xyzw[3];
+    return buffer;
+  }
+
+  zero() {
+    this.#xyzw[0] = 0;
+    this.#xyzw[1] = 0;
+    this.#xyzw[2] = 0;
+    this.#xyzw[3] = 0;
+    return this;
+  }
+
+  [INSPECT]() {
+    return this.toString();
+  }
+
+  *[Symbol.iterator]() {
+    yield this.#xyzw[0];
+    yield this.#xyzw[1];
+    yield this.#xyzw[2];
+    yield this.#xyzw[3];
+  }
+}
+
+// #region ImmutableVec4
+
+class ImmutableVec4 extends Vec4 {
+  constructor(x = 0, y = 0, z = 0, w = 0) {
+    super(x, y, z, w);
+    vec4Bind(this, Object.freeze(super.xyzw));
+    Object.freeze(this);
+  }
+
+  get a() {
+    return super.a;
+  }
+
+  get b() {
+    return super.b;
+  }
+
+  get g() {
+    return super.g;
+  }
+
+  get magnitude() {
+    return super.magnitude;
+  }
+
+  get r() {
+    return super.r;
+  }
+
+  get rgba() {
+    return super.rgba;
+  }
+
+  get w() {
+    return super.w;
+  }
+
+  get x() {
+    return super.x;
+  }
+
+  get xyzw() {
+    return super.xyzw;
+  }
+
+  get y() {
+    return super.y;
+  }
+
+  get z() {
+    return super.z;
+  }
+
+  set a(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set b(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set g(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set magnitude(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set r(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set rgba(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set w(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set x(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set xyzw(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set y(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  set z(_) {
+    throw new TypeError('Cannot modify an immutable vector.');
+  }
+
+  abs() {
+    return this.toMutable().abs().toImmutable();
+  }
+
+  add(v) {
+    return this.toMutable().add(v).toImmutable();
+  }
+
+  ceil() {
+    return this.toMutable().ceil().toImmutable();
+  }
+
+  clamp(min, max) {
+    return this.toMutable().clamp(min, max).toImmutable();
+  }
+
+  clampComponents(min, max) {
+    return this.toMutable().clampComponents(min, max).toImmutable();
+  }
+
+  clone() {
+    return this;
+  }
+
+  copy(v) {
+    return this.toMutable().copy(v).toImmutable();
+  }
+
+  divide(v) {
+    return this.toMutable().divide(v).toImmutable();
+  }
+
+  floor() {
+    return this.toMutable().floor().toImmutable();
+  }
+
+  fract() {
+    return this.toMutable().fract().toImmutable();
+  }
+
+  limitMax(max) {
+    return this.toMutable().limitMax(max).toImmutable();
+  }
+
+  limitMin(min) {
+    return this.toMutable().limitMin(min).toImmutable();
+  }
+
+  lookAt(v) {
+    return this.toMutable().lookAt(v).toImmutable();
+  }
+
+  max(v) {
+    return this.toMutable().max(v).toImmutable();
+  }
+
+  min(v) {
+    return this.toMutable().min(v).toImmutable();
+  }
+
+  mod(n) {
+    return this.toMutable().mod(n).toImmutable();
+  }
+
+  moveTowards(v, maxDelta) {
+    return this.toMutable().moveTowards(v, maxDelta).toImmutable();
+  }
+
+  multiply(v) {
+    return this.toMutable().multiply(v).toImmutable();
+  }
+
+  negate() {
+    return this.toMutable().negate().toImmutable();
+  }
+
+  nlerp(v, t) {
+    return this.toMutable().nlerp(v, t).toImmutable();
+  }
+
+  normalize() {
+    return this.toMutable().normalize().toImmutable();
+  }
+
+  project(v) {
+    return this.toMutable().project(v).toImmutable();
+  }
+
+  random(source) {
+    return this.toMutable().random(source).toImmutable();
+  }
+
+  readFrom(buffer, offset) {
+    return this.toMutable().readFrom(buffer, offset).toImmutable();
+  }
+
+  rotateDouble(phi, psi, plane) {
+    return this.toMutable().rotateDouble(phi, psi, plane).toImmutable();
+  }
+
+  rotateTowards(v, maxAngle, maxMagnitudeDelta) {
+    return this.toMutable()
+      .rotateTowards(v, maxAngle, maxMagnitudeDelta)
+      .toImmutable();
+  }
+
+  rotateXW(phi) {
+    return this.toMutable().rotateXW(phi).toImmutable();
+  }
+
+  rotateXY(phi) {
+    return this.toMutable().rotateXY(phi).toImmutable();
+  }
+
+  rotateXZ(phi) {
+    return this.toMutable().rotateXZ(phi).toImmutable();
+  }
+
+  rotateYW(phi) {
+    return this.toMutable().rotateYW(phi).toImmutable();
+  }
+
+  rotateYZ(phi) {
+    return this.toMutable().rotateYZ(phi).toImmutable();
+  }
+
+  rotateZW(phi) {
+    return this.toMutable().rotateZW(phi).toImmutable();
+  }
+
+  round() {
+    return this.toMutable().round().toImmutable();
+  }
+
+  safeNormalize(fallback) {
+    return this.toMutable().safeNormalize(fallback).toImmutable();
+  }
+
+  scale(c) {
+    return this.toMutable().scale(c).toImmutable();
+  }
+
+  sign() {
+    return this.toMutable().sign().toImmutable();
+  }
+
+  slerp(v, t) {
+    return this.toMutable().slerp(v, t).toImmutable();
+  }
+
+  snap(step) {
+    return this.toMutable().snap(step).toImmutable();
+  }
+
+  subtract(v) {
+    return this.toMutable().subtract(v).toImmutable();
+  }
+
+  toImmutable() {
+    return this;
+  }
+
+  toMutable() {
+    return super.clone();
+  }
+
+  transform(m) {
+    return this.toMutable().transform(m).toImmutable();
+  }
+
+  zero() {
+    return this.toMutable().zero().toImmutable();
+  }
+}
+
+// #region Vec4F32
+
+class Vec4F32 extends Vec4 {
+  constructor(x = 0, y = 0, z = 0, w = 0) {
+    super();
+    vec4Bind(this, new Float32Array([x, y, z, w]));
+  }
+
+  clone() {
+    return new Vec4F32().copy(this);
+  }
+}
+
+// #region Mat2
+
+class Mat2 {
+  #elements = new Float64Array(4);
+
+  static {
+    mat2Elements = m => m.#elements;
+  }
+
+  #set(
+    m00, m01,
+    m10, m11
+  ) {
+    this.#elements[0] = m00;
+    this.#elements[1] = m01;
+    this.#elements[2] = m10;
+    this.#elements[3] = m11;
+    return this;
+  }
+
+  constructor(
+    m00 = 1, m01 = 0,
+    m10 = 0, m11 = 1
+  ) {
+    this.#set(
+      m00, m01,
+      m10, m11
+    );
+  }
+
+  static determinant(m) {
+    const e = m.#elements;
+    return e[0] * e[3] - e[2] * e[1];
+  }
+
+  static fromJSON(json, out = new Mat2()) {
+    out.elements = parseJSON(json);
+    return out;
+  }
+
+  static fromRotation(phi, out = new Mat2()) {
+    const cosPhi = cos(phi);
+    const sinPhi = sin(phi);
+    return out.#set(
+      cosPhi, sinPhi,
+      -sinPhi, cosPhi
+    );
+  }
+
+  static fromScaling(v, out = new Mat2()) {
+    v = vec2From(v);
+    return out.#set(
+      v.x, 0,
+      0, v.y
+    );
+  }
+
+  static identity(out = new Mat2()) {
+    return out.identity();
+  }
+
+  static invert(m, out = new Mat2()) {
+    return out.copy(m).invert();
+  }
+
+  static multiply(m, n, out = new Mat2()) {
+    Mat2.#multiply(m.#elements, n.#elements, out.#elements);
+    return out;
+  }
+
+  static transpose(m, out = new Mat2()) {
+    const e = m.#elements;
+    return out.#set(
+      e[0], e[2],
+      e[1], e[3]
+    );
+  }
+
+  static #multiply(a, b, out) {
+    const a00 = a[0];
+    const a01 = a[1];
+    const a10 = a[2];
+    const a11 = a[3];
+    const b00 = b[0];
+    const b01 = b[1];
+    const b10 = b[2];
+    const b11 = b[3];
+    out[0] = a00 * b00 + a10 * b01;
+    out[1] = a01 * b00 + a11 * b01;
+    out[2] = a00 * b10 + a10 * b11;
+    out[3] = a01 * b10 + a11 * b11;
+  }
+
+  get elements() {
+    return [...this.#elements];
+  }
+
+  set elements(elements) {
+    this.#elements.set(elements);
+  }
+
+  clone() {
+    return new Mat2(...this.#elements);
+  }
+
+  copy(m) {
+    this.#elements.set(m.#elements);
+    return this;
+  }
+
+  determinant() {
+    const e = this.#elements;
+    return e[0] * e[3] - e[2] * e[1];
+  }
+
+  identity() {
+    this.#elements.set(MAT2_IDENTITY);
+    return this;
+  }
+
+  invert() {
+    const e = this.#elements;
+    const e00 = e[0];
+    const e01 = e[1];
+    const e10 = e[2];
+    const e11 = e[3];
+    const det = e00 * e11 - e10 * e01;
+    e[0] = e11 / det;
+    e[1] = -e01 / det;
+    e[2] = -e10 / det;
+    e[3] = e00 / det;
+    return this;
+  }
+
+  multiply(m) {
+    Mat2.#multiply(this.#elements, m.#elements, this.#elements);
+    return this;
+  }
+
+  premultiply(m) {
+    Mat2.#multiply(m.#elements, this.#elements, this.#elements);
+    return this;
+  }
+
+  toJSON() {
+    return [...this.#elements];
+  }
+
+  toString(precision) {
+    return stringify('Mat2', this.#elements, precision);
+  }
+
+  transpose() {
+    const e = this.#elements;
+    const e01 = e[1];
+    e[1] = e[2];
+    e[2] = e01;
+    return this;
+  }
+
+  [INSPECT]() {
+    return this.toString();
+  }
+
+  *[Symbol.iterator]() {
+    yield* this.#elements;
+  }
+}
+
+// #region Mat3
+
+class Mat3 {
+  #elements = new Float64Array(9);
+
+  static {
+    mat3Elements = m => m.#elements;
+  }
+
+  #set(
+    m00, m01, m02,
+    m10, m11, m12,
+    m20, m21, m22
+  ) {
+    this.#elements[0] = m00;
+    this.#elements[1] = m01;
+    this.#elements[2] = m02;
+    this.#elements[3] = m10;
+    this.#elements[4] = m11;
+    this.#elements[5] = m12;
+    this.#elements[6] = m20;
+    this.#elements[7] = m21;
+    this.#elements[8] = m22;
+    return this;
+  }
+
+  constructor(
+    m00 = 1, m01 = 0, m02 = 0,
+    m10 = 0, m11 = 1, m12 = 0,
+    m20 = 0, m21 = 0, m22 = 1
+  ) {
+    this.#set(
+      m00, m01, m02,
+      m10, m11, m12,
+      m20, m21, m22
+    );
+  }
+
+  static determinant(m) {
+    return Mat3.#determinant(m.#elements);
+  }
+
+  static fromJSON(json, out = new Mat3()) {
+    out.elements = parseJSON(json);
+    return out;
+  }
+
+  static fromQuat(q, out = new Mat3()) {
+    const x = q.x;
+    const y = q.y;
+    const z = q.z;
+    const w = q.w;
+    const xx = x * x;
+    const yy = y * y;
+    const zz = z * z;
+    const xy = x * y;
+    const xz = x * z;
+    const yz = y * z;
+    const xw = x * w;
+    const yw = y * w;
+    const zw = z * w;
+    return out.#set(
+      1 - 2 * (yy + zz), 2 * (xy + zw), 2 * (xz - yw),
+      2 * (xy - zw), 1 - 2 * (xx + zz), 2 * (yz + xw),
+      2 * (xz + yw), 2 * (yz - xw), 1 - 2 * (xx + yy)
+    );
+  }
+
+  static fromRotationX(phi, out = new Mat3()) {
+    const cosPhi = cos(phi);
+    const sinPhi = sin(phi);
+    return out.#set(
+      1, 0, 0,
+      0, cosPhi, sinPhi,
+      0, -sinPhi, cosPhi
+    );
+  }
+
+  static fromRotationY(phi, out = new Mat3()) {
+    const cosPhi = cos(phi);
+    const sinPhi = sin(phi);
+    return out.#set(
+      cosPhi, 0, sinPhi,
+      0, 1, 0,
+      -sinPhi, 0, cosPhi
+    );
+  }
+
+  static fromRotationZ(phi, out = new Mat3()) {
+    const cosPhi = cos(phi);
+    const sinPhi = sin(phi);
+    return out.#set(
+      cosPhi, sinPhi, 0,
+      -sinPhi, cosPhi, 0,
+      0, 0, 1
+    );
+  }
+
+  static fromScaling(v, out = new Mat3()) {
+    v = vec3From(v);
+    return out.#set(
+      v.x, 0, 0,
+      0, v.y, 0,
+      0, 0, v.z
+    );
+  }
+
+  static identity(out = new Mat3()) {
+    return out.identity();
+  }
+
+  static invert(m, out = new Mat3()) {
+    return out.copy(m).invert();
+  }
+
+  static multiply(m, n, out = new Mat3()) {
+    Mat3.#multiply(m.#elements, n.#elements, out.#elements);
+    return out;
+  }
+
+  static transpose(m, out = new Mat3()) {
+    return out.copy(m).transpose();
+  }
+
+  static #determinant(e) {
+    const e00 = e[0];
+    const e01 = e[1];
+    const e02 = e[2];
+    const e10 = e[3];
+    const e11 = e[4];
+    const e12 = e[5];
+    const e20 = e[6];
+    const e21 = e[7];
+    const e22 = e[8];
+    return (
+      e00 * (e11 * e22 - e21 * e12) -
+      e10 * (e01 * e22 - e21 * e02) +
+      e20 * (e01 * e12 - e11 * e02)
+    );
+  }
+
+  static #multiply(a, b, out) {
+    const a00 = a[0];
+    const a01 = a[1];
+    const a02 = a[2];
+    const a10 = a[3];
+    const a11 = a[4];
+    const a12 = a[5];
+    const a20 = a[6];
+    const a21 = a[7];
+    const a22 = a[8];
+    for (let i = 0; i < 9; i += 3) {
+      const b0 = b[i];
+      const b1 = b[i + 1];
+      const b2 = b[i + 2];
+      out[i] = a00 * b0 + a10 * b1 + a20 * b2;
+      out[i + 1] = a01 * b0 + a11 * b1 + a21 * b2;
+      out[i + 2] = a02 * b0 + a12 * b1 + a22 * b2;
+    }
+  }
+
+  get elements() {
+    return [...this.#elements];
+  }
+
+  set elements(elements) {
+    this.#elements.set(elements);
+  }
+
+  clone() {
+    return new Mat3(...this.#elements);
+  }
+
+  copy(m) {
+    this.#elements.set(m.#elements);
+    return this;
+  }
+
+  determinant() {
+    return Mat3.#determinant(this.#elements);
+  }
+
+  identity() {
+    this.#elements.set(MAT3_IDENTITY);
+    return this;
+  }
+
+  invert() {
+    const e = this.#elements;
+    const e00 = e[0];
+    const e01 = e[1];
+    const e02 = e[2];
+    const e10 = e[3];
+    const e11 = e[4];
+    const e12 = e[5];
+    const e20 = e[6];
+    const e21 = e[7];
+    const e22 = e[8];
+    const c00 = e11 * e22 - e21 * e12;
+    const c10 = e20 * e12 - e10 * e22;
+    const c20 = e10 * e21 - e20 * e11;
+    const det = e00 * c00 + e01 * c10 + e02 * c20;
+    e[0] = c00 / det;
+    e[1] = (e21 * e02 - e01 * e22) / det;
+    e[2] = (e01 * e12 - e11 * e02) / det;
+    e[3] = c10 / det;
+    e[4] = (e00 * e22 - e20 * e02) / det;
+    e[5] = (e10 * e02 - e00 * e12) / det;
+    e[6] = c20 / det;
+    e[7] = (e20 * e01 - e00 * e21) / det;
+    e[8] = (e00 * e11 - e10 * e01) / det;
+    return this;
+  }
+
+  multiply(m) {
+    Mat3.#multiply(this.#elements, m.#elements, this.#elements);
+    return this;
+  }
+
+  premultiply(m) {
+    Mat3.#multiply(m.#elements, this.#elements, this.#elements);
+    return this;
+  }
+
+  toJSON() {
+    return [...this.#elements];
+  }
+
+  toString(precision) {
+    return stringify('Mat3', this.#elements, precision);
+  }
+
+  transpose() {
+    const e = this.#elements;
+    let t = e[1];
+    e[1] = e[3];
+    e[3] = t;
+    t = e[2];
+    e[2] = e[6];
+    e[6] = t;
+    t = e[5];
+    e[5] = e[7];
+    e[7] = t;
+    return this;
+  }
+
+  [INSPECT]() {
+    return this.toString();
+  }
+
+  *[Symbol.iterator]() {
+    yield* this.#elements;
+  }
+}
+
+// #region Mat4
+
+class Mat4 {
+  #elements = new Float64Array(16);
+
+  static {
+    mat4Elements = m => m.#elements;
+  }
+
+  #set(
+    m00, m01, m02, m03,
+    m10, m11, m12, m13,
+    m20, m21, m22, m23,
+    m30, m31, m32, m33
+  ) {
+    this.#elements[0] = m00;
+    this.#elements[1] = m01;
+    this.#elements[2] = m02;
+    this.#elements[3] = m03;
+    this.#elements[4] = m10;
+    this.#elements[5] = m11;
+    this.#elements[6] = m12;
+    this.#elements[7] = m13;
+    this.#elements[8] = m20;
+    this.#elements[9] = m21;
+    this.#elements[10] = m22;
+    this.#elements[11] = m23;
+    this.#elements[12] = m30;
+    this.#elements[13] = m31;
+    this.#elements[14] = m32;
+    this.#elements[15] = m33;
+    return this;
+  }
+
+  constructor(
+    m00 = 1, m01 = 0, m02 = 0, m03 = 0,
+    m10 = 0, m11 = 1, m12 = 0, m13 = 0,
+    m20 = 0, m21 = 0, m22 = 1, m23 = 0,
+    m30 = 0, m31 = 0, m32 = 0, m33 = 1
+  ) {
+    this.#set(
+      m00, m01, m02, m03,
+      m10, m11, m12, m13,
+      m20, m21, m22, m23,
+      m30, m31, m32, m33
+    );
+  }
+
+  static determinant(m) {
+    return Mat4.#determinant(m.#elements);
+  }
+
+  static fromJSON(json, out = new Mat4()) {
+    out.elements = parseJSON(json);
+    return out;
+  }
+
+  static fromQuat(q, out = new Mat4()) {
+    const x = q.x;
+    const y = q.y;
+    const z = q.z;
+    const w = q.w;
+    const xx = x * x;
+    const yy = y * y;
+    const zz = z * z;
+    const xy = x * y;
+    const xz = x * z;
+    const yz = y * z;
+    const xw = x * w;
+    const yw = y * w;
+    const zw = z * w;
+    return out.#set(
+      1 - 2 * (yy + zz), 2 * (xy + zw), 2 * (xz - yw), 0,
+      2 * (xy - zw), 1 - 2 * (xx + zz), 2 * (yz + xw), 0,
+      2 * (xz + yw), 2 * (yz - xw), 1 - 2 * (xx + yy), 0,
+      0, 0, 0, 1
+    );
+  }
+
+  static fromRotationX(phi, out = new Mat4()) {
+    const cosPhi = cos(phi);
+    const sinPhi = sin(phi);
+    return out.#set(
+      1, 0, 0, 0,
+      0, cosPhi, sinPhi, 0,
+      0, -sinPhi, cosPhi, 0,
+      0, 0, 0, 1
+    );
+  }
+
+  static fromRotationY(phi, out = new Mat4()) {
+    const cosPhi = cos(phi);
+    const sinPhi = sin(phi);
+    return out.#set(
+      cosPhi, 0, sinPhi, 0,
+      0, 1, 0, 0,
+      -sinPhi, 0, cosPhi, 0,
+      0, 0, 0, 1
+    );
+  }
+
+  static fromRotationZ(phi, out = new Mat4()) {
+    const cosPhi = cos(phi);
+    const sinPhi = sin(phi);
+    return out.#set(
+      cosPhi, sinPhi, 0, 0,
+      -sinPhi, cosPhi, 0, 0,
+      0, 0, 1, 0,
+      0, 0, 0, 1
+    );
+  }
+
+  static fromScaling(v, out = new Mat4()) {
+    v = vec3From(v);
+    return out.#set(
+      v.x, 0, 0, 0,
+      0, v.y, 0, 0,
+      0, 0, v.z, 0,
+      0, 0, 0, 1
+    );
+  }
+
+  static fromTranslation(v, out = new Mat4()) {
+    v = vec3From(v);
+    return out.#set(
+      1, 0, 0, 0,
+      0, 1, 0, 0,
+      0, 0, 1, 0,
+      v.x, v.y, v.z, 1
+    );
+  }
+
+  static identity(out = new Mat4()) {
+    return out.identity();
+  }
+
+  static invert(m, out = new Mat4()) {
+    return out.copy(m).invert();
+  }
+
+  static multiply(m, n, out = new Mat4()) {
+    Mat4.#multiply(m.#elements, n.#elements, out.#elements);
+    return out;
+  }
+
+  static transpose(m, out = new Mat4()) {
+    return out.copy(m).transpose();
+  }
+
+  static #determinant(e) {
+    const b00 = e[0] * e[5] - e[1] * e[4];
+    const b01 = e[0] * e[6] - e[2] * e[4];
+    const b02 = e[0] * e[7] - e[3] * e[4];
+    const b03 = e[1] * e[6] - e[2] * e[5];
+    const b04 = e[1] * e[7] - e[3] * e[5];
+    const b05 = e[2] * e[7] - e[3] * e[6];
+    const b06 = e[8] * e[13] - e[9] * e[12];
+    const b07 = e[8] * e[14] - e[10] * e[12];
+    const b08 = e[8] * e[15] - e[11] * e[12];
+    const b09 = e[9] * e[14] - e[10] * e[13];
+    const b10 = e[9] * e[15] - e[11] * e[13];
+    const b11 = e[10] * e[15] - e[11] * e[14];
+    return (
+      b00 * b11 -
+      b01 * b10 +
+      b02 * b09 +
+      b03 * b08 -
+      b04 * b07 +
+      b05 * b06
+    );
+  }
+
+  static #multiply(a, b, out) {
+    const a00 = a[0];
+    const a01 = a[1];
+    const a02 = a[2];
+    const a03 = a[3];
+    const a10 = a[4];
+    const a11 = a[5];
+    const a12 = a[6];
+    const a13 = a[7];
+    const a20 = a[8];
+    const a21 = a[9];
+    const a22 = a[10];
+    const a23 = a[11];
+    const a30 = a[12];
+    const a31 = a[13];
+    const a32 = a[14];
+    const a33 = a[15];
+    for (let i = 0; i < 16; i += 4) {
+      const b0 = b[i];
+      const b1 = b[i + 1];
+      const b2 = b[i + 2];
+      const b3 = b[i + 3];
+      out[i] = a00 * b0 + a10 * b1 + a20 * b2 + a30 * b3;
+      out[i + 1] = a01 * b0 + a11 * b1 + a21 * b2 + a31 * b3;
+      out[i + 2] = a02 * b0 + a12 * b1 + a22 * b2 + a32 * b3;
+      out[i + 3] = a03 * b0 + a13 * b1 + a23 * b2 + a33 * b3;
+    }
+  }
+
+  get elements() {
+    return [...this.#elements];
+  }
+
+  set elements(elements) {
+    this.#elements.set(elements);
+  }
+
+  clone() {
+    return new Mat4(...this.#elements);
+  }
+
+  copy(m) {
+    this.#elements.set(m.#elements);
+    return this;
+  }
+
+  determinant() {
+    return Mat4.#determinant(this.#elements);
+  }
+
+  identity() {
+    this.#elements.set(MAT4_IDENTITY);
+    return this;
+  }
+
+  invert() {
+    const e = this.#elements;
+    const e00 = e[0];
+    const e01 = e[1];
+    const e02 = e[2];
+    const e03 = e[3];
+    const e10 = e[4];
+    const e11 = e[5];
+    const e12 = e[6];
+    const e13 = e[7];
+    const e20 = e[8];
+    const e21 = e[9];
+    const e22 = e[10];
+    const e23 = e[11];
+    const e30 = e[12];
+    const e31 = e[13];
+    const e32 = e[14];
+    const e33 = e[15];
+    const b00 = e00 * e11 - e01 * e10;
+    const b01 = e00 * e12 - e02 * e10;
+    const b02 = e00 * e13 - e03 * e10;
+    const b03 = e01 * e12 - e02 * e11;
+    const b04 = e01 * e13 - e03 * e11;
+    const b05 = e02 * e13 - e03 * e12;
+    const b06 = e20 * e31 - e21 * e30;
+    const b07 = e20 * e32 - e22 * e30;
+    const b08 = e20 * e33 - e23 * e30;
+    const b09 = e21 * e32 - e22 * e31;
+    const b10 = e21 * e33 - e23 * e31;
+    const b11 = e22 * e33 - e23 * e32;
+    const det = (
+      b00 * b11 -
+      b01 * b10 +
+      b02 * b09 +
+      b03 * b08 -
+      b04 * b07 +
+      b05 * b06
+    );
+    e[0] = (e11 * b11 - e12 * b10 + e13 * b09) / det;
+    e[1] = (e02 * b10 - e01 * b11 - e03 * b09) / det;
+    e[2] = (e31 * b05 - e32 * b04 + e33 * b03) / det;
+    e[3] = (e22 * b04 - e21 * b05 - e23 * b03) / det;
+    e[4] = (e12 * b08 - e10 * b11 - e13 * b07) / det;
+    e[5] = (e00 * b11 - e02 * b08 + e03 * b07) / det;
+    e[6] = (e32 * b02 - e30 * b05 - e33 * b01) / det;
+    e[7] = (e20 * b05 - e22 * b02 + e23 * b01) / det;
+    e[8] = (e10 * b10 - e11 * b08 + e13 * b06) / det;
+    e[9] = (e01 * b08 - e00 * b10 - e03 * b06) / det;
+    e[10] = (e30 * b04 - e31 * b02 + e33 * b00) / det;
+    e[11] = (e21 * b02 - e20 * b04 - e23 * b00) / det;
+    e[12] = (e11 * b07 - e10 * b09 - e12 * b06) / det;
+    e[13] = (e00 * b09 - e01 * b07 + e02 * b06) / det;
+    e[14] = (e31 * b01 - e30 * b03 - e32 * b00) / det;
+    e[15] = (e20 * b03 - e21 * b01 + e22 * b00) / det;
+    return this;
+  }
+
+  multiply(m) {
+    Mat4.#multiply(this.#elements, m.#elements, this.#elements);
+    return this;
+  }
+
+  premultiply(m) {
+    Mat4.#multiply(m.#elements, this.#elements, this.#elements);
+    return this;
+  }
+
+  toJSON() {
+    return [...this.#elements];
+  }
+
+  toString(precision) {
+    return stringify('Mat4', this.#elements, precision);
+  }
+
+  transpose() {
+    const e = this.#elements;
+    let t = e[1];
+    e[1] = e[4];
+    e[4] = t;
+    t = e[2];
+    e[2] = e[8];
+    e[8] = t;
+    t = e[3];
+    e[3] = e[12];
+    e[12] = t;
+    t = e[6];
+    e[6] = e[9];
+    e[9] = t;
+    t = e[7];
+    e[7] = e[13];
+    e[13] = t;
+    t = e[11];
+    e[11] = e[14];
+    e[14] = t;
+    return this;
+  }
+
+  [INSPECT]() {
+    return this.toString();
+  }
+
+  *[Symbol.iterator]() {
+    yield* this.#elements;
+  }
+}
+
+// #region Quat
+
+class Quat {
+  #xyzw = new Float64Array(4);
+
+  #set(x, y, z, w) {
+    this.#xyzw[0] = x;
+    this.#xyzw[1] = y;
+    this.#xyzw[2] = z;
+    this.#xyzw[3] = w;
+    return this;
+  }
+
+  #fromRotationMatrix(
+    m00, m01, m02,
+    m10, m11, m12,
+    m20, m21, m22
+  ) {
+    const trace = m00 + m11 + m22;
+    if (trace > 0) {
+      const s = 0.5 / sqrt(trace + 1);
+      return this.#set(
+        (m21 - m12) * s,
+        (m02 - m20) * s,
+        (m10 - m01) * s,
+        0.25 / s
+      );
+    } else if (m00 > m11 && m00 > m22) {
+      const s = 2 * sqrt(1 + m00 - m11 - m22);
+      return this.#set(
+        0.25 * s,
+        (m01 + m10) / s,
+        (m02 + m20) / s,
+        (m21 - m12) / s
+      );
+    } else if (m11 > m22) {
+      const s = 2 * sqrt(1 + m11 - m00 - m22);
+      return this.#set(
+        (m01 + m10) / s,
+        0.25 * s,
+        (m12 + m21) / s,
+        (m02 - m20) / s
+      );
+    }
+    const s = 2 * sqrt(1 + m22 - m00 - m11);
+    return this.#set(
+      (m02 + m20) / s,
+      (m12 + m21) / s,
+      0.25 * s,
+      (m10 - m01) / s
+    );
+  }
+
+  #lerp(q, r, u, s) {
+    return this.#set(
+      q.#xyzw[0] * u + r.#xyzw[0] * s,
+      q.#xyzw[1] * u + r.#xyzw[1] * s,
+      q.#xyzw[2] * u + r.#xyzw[2] * s,
+      q.#xyzw[3] * u + r.#xyzw[3] * s
+    );
+  }
+
+  #nlerp(q, r, t) {
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    const s = Quat.dot(q, r) < 0 ? -t : t;
+    return this.#lerp(q, r, 1 - t, s).normalize();
+  }
+
+  #slerp(q, r, t) {
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    let cosOmega = Quat.dot(q, r);
+    // Take the shortest path, `r` and `-r` represent the same rotation.
+    const sign = cosOmega < 0 ? -1 : 1;
+    cosOmega *= sign;
+    if (cosOmega > 1 - QUAT_EPSILON) return this.#nlerp(q, r, t);
+    const omega = acos(cosOmega);
+    const sinOmega = sin(omega);
+    const u = sin((1 - t) * omega) / sinOmega;
+    const s = sin(t * omega) / sinOmega * sign;
+    return this.#lerp(q, r, u, s);
+  }
+
+  constructor(x = 0, y = 0, z = 0, w = 1) {
+    this.#set(x, y, z, w);
+  }
+
+  static conjugate(q, out = new Quat()) {
+    return out.#set(
+      -q.#xyzw[0],
+      -q.#xyzw[1],
+      -q.#xyzw[2],
+      q.#xyzw[3]
+    );
+  }
+
+  static dot(q, r) {
+    return (
+      q.#xyzw[0] * r.#xyzw[0] +
+      q.#xyzw[1] * r.#xyzw[1] +
+      q.#xyzw[2] * r.#xyzw[2] +
+      q.#xyzw[3] * r.#xyzw[3]
+    );
+  }
+
+  static fromAxisAngle(axis, phi, out = new Quat()) {
+    axis = vec3From(axis);
+    const x = axis.x;
+    const y = axis.y;
+    const z = axis.z;
+    const m = sqrt(
+      x ** 2 +
+      y ** 2 +
+      z ** 2
+    );
+    if (m === 0) {
+      degenerate('fromAxisAngle');
+      return out.identity();
+    }
+    const f = sin(phi / 2) / m;
+    return out.#set(
+      x * f,
+      y * f,
+      z * f,
+      cos(phi / 2)
+    );
+  }
+
+  static fromEuler(x, y, z, order = 'XYZ', out = new Quat()) {
+    // The order is optional even if followed by `out`, so a quaternion in its
+    // place is taken for `out`.
+    if (order instanceof Quat) {
+      out = order;
+      order = 'XYZ';
+    }
+    if (!EULER_ORDERS.includes(order)) {
+      throw new TypeError(
+        `Expected one of ${EULER_ORDERS.join(', ')}, got ${order}.`
+      );
+    }
+    if (!(out instanceof Quat)) {
+      throw new TypeError(`Expected a quaternion, got ${out}.`);
+    }
+    const e = out.identity().#xyzw;
+    const r = new Float64Array(4);
+    for (const axis of order) {
+      r[0] = 0;
+      r[1] = 0;
+      r[2] = 0;
+      switch (axis) {
+        case 'X':
+          r[0] = sin(x / 2);
+          r[3] = cos(x / 2);
+          break;
+        case 'Y':
+          r[1] = -sin(y / 2);
+          r[3] = cos(y / 2);
+          break;
+        case 'Z':
+          r[2] = sin(z / 2);
+          r[3] = cos(z / 2);
+          break;
+      }
+      Quat.#multiply(r, e, e);
+    }
+    return out;
+  }
+
+  static fromJSON(json, out = new Quat()) {
+    json = parseJSON(json);
+    return out.#set(json.x, json.y, json.z, json.w);
+  }
+
+  static fromMat3(m, out = new Quat()) {
+    const e = mat3Elements(m);
+    return out.#fromRotationMatrix(
+      e[0], e[3], e[6],
+      e[1], e[4], e[7],
+      e[2], e[5], e[8]
+    );
+  }
+
+  static fromMat4(m, out = new Quat()) {
+    const e = mat4Elements(m);
+    return out.#fromRotationMatrix(
+      e[0], e[4], e[8],
+      e[1], e[5], e[9],
+      e[2], e[6], e[10]
+    );
+  }
+
+  static fromVectors(v, w, out = new Quat()) {
+    v = vec3From(v);
+    w = vec3From(w);
+    const vM = v.magnitude;
+    const wM = w.magnitude;
+    if (vM === 0 || wM === 0) {
+      degenerate('fromVectors');
+      return out.identity();
+    }
+    const vX = v.x / vM;
+    const vY = v.y / vM;
+    const vZ = v.z / vM;
+    const wX = w.x / wM;
+    const wY = w.y / wM;
+    const wZ = w.z / wM;
+    const d = vX * wX + vY * wY + vZ * wZ;
+    if (d < QUAT_EPSILON - 1) {
+      // Opposite vectors, any axis orthogonal to `v` will do.
+      return abs(vX) > abs(vZ) ?
+        out.#set(-vY, vX, 0, 0).normalize() :
+        out.#set(0, -vZ, vY, 0).normalize();
+    }
+    return out.#set(
+      vY * wZ - vZ * wY,
+      vZ * wX - vX * wZ,
+      vX * wY - vY * wX,
+      1 + d
+    ).normalize();
+  }
+
+  static identity(out = new Quat()) {
+    return out.identity();
+  }
+
+  static invert(q, out = new Quat()) {
+    return out.copy(q).invert();
+  }
+
+  static multiply(q, r, out = new Quat()) {
+    Quat.#multiply(q.#xyzw, r.#xyzw, out.#xyzw);
+    return out;
+  }
+
+  static nlerp(q, r, t, out = new Quat()) {
+    return out.#nlerp(q, r, t);
+  }
+
+  static normalize(q, out = new Quat()) {
+    return out.copy(q).normalize();
+  }
+
+  static slerp(q, r, t, out = new Quat()) {
+    return out.#slerp(q, r, t);
+  }
+
+  static #multiply(a, b, out) {
+    const aX = a[0];
+    const aY = a[1];
+    const aZ = a[2];
+    const aW = a[3];
+    const bX = b[0];
+    const bY = b[1];
+    const bZ = b[2];
+    const bW = b[3];
+    out[0] = aW * bX + aX * bW + aY * bZ - aZ * bY;
+    out[1] = aW * bY - aX * bZ + aY * bW + aZ * bX;
+    out[2] = aW * bZ + aX * bY - aY * bX + aZ * bW;
+    out[3] = aW * bW - aX * bX - aY * bY - aZ * bZ;
+  }
+
+  get magnitude() {
+    return sqrt(
+      this.#xyzw[0] ** 2 +
+      this.#xyzw[1] ** 2 +
+      this.#xyzw[2] ** 2 +
+      this.#xyzw[3] ** 2
+    );
+  }
+
+  get w() {
+    return this.#xyzw[3];
+  }
+
+  get x() {
+    return this.#xyzw[0];
+  }
+
+  get xyzw() {
+    return [...this.#xyzw];
+  }
+
+  get y() {
+    return this.#xyzw[1];
+  }
+
+  get z() {
+    return this.#xyzw[2];
+  }
+
+  set w(w) {
+    this.#xyzw[3] = w;
+  }
+
+  set x(x) {
+    this.#xyzw[0] = x;
+  }
+
+  set xyzw(xyzw) {
+    this.#xyzw[0] = xyzw[0];
+    this.#xyzw[1] = xyzw[1];
+    this.#xyzw[2] = xyzw[2];
+    this.#xyzw[3] = xyzw[3];
+  }
+
+  set y(y) {
+    this.#xyzw[1] = y;
+  }
+
+  set z(z) {
+    this.#xyzw[2] = z;
+  }
+
+  clone() {
+    return new Quat(
+      this.#xyzw[0],
+      this.#xyzw[1],
+      this.#xyzw[2],
+      this.#xyzw[3]
+    );
+  }
+
+  conjugate() {
+    this.#xyzw[0] *= -1;
+    this.#xyzw[1] *= -1;
+    this.#xyzw[2] *= -1;
+    return this;
+  }
+
+  copy(q) {
+    this.#xyzw.set(q.#xyzw);
+    return this;
+  }
+
+  dot(q) {
+    return (
+      this.#xyzw[0] * q.#xyzw[0] +
+      this.#xyzw[1] * q.#xyzw[1] +
+      this.#xyzw[2] * q.#xyzw[2] +
+      this.#xyzw[3] * q.#xyzw[3]
+    );
+  }
+
+  identity() {
+    this.#xyzw[0] = 0;
+    this.#xyzw[1] = 0;
+    this.#xyzw[2] = 0;
+    this.#xyzw[3] = 1;
+    return this;
+  }
+
+  invert() {
+    const mSq = (
+      this.#xyzw[0] ** 2 +
+      this.#xyzw[1] ** 2 +
+      this.#xyzw[2] ** 2 +
+      this.#xyzw[3] ** 2
+    );
+    if (mSq === 0) {
+      degenerate('invert');
+      return this;
+    }
+    this.#xyzw[0] /= -mSq;
+    this.#xyzw[1] /= -mSq;
+    this.#xyzw[2] /= -mSq;
+    this.#xyzw[3] /= mSq;
+    return this;
+  }
+
+  multiply(q) {
+    Quat.#multiply(this.#xyzw, q.#xyzw, this.#xyzw);
+    return this;
+  }
+
+  nlerp(q, t) {
+    return this.#nlerp(this, q, t);
+  }
+
+  normalize() {
+    const m = this.magnitude;
+    if (m === 0) {
+      degenerate('normalize');
+      return this;
+    }
+    this.#xyzw[0] /= m;
+    this.#xyzw[1] /= m;
+    this.#xyzw[2] /= m;
+    this.#xyzw[3] /= m;
+    return this;
+  }
+
+  premultiply(q) {
+    Quat.#multiply(q.#xyzw, this.#xyzw, this.#xyzw);
+    return this;
+  }
+
+  slerp(q, t) {
+    return this.#slerp(this, q, t);
+  }
+
+  toJSON() {
+    return {
+      x: this.#xyzw[0],
+      y: this.#xyzw[1],
+      z: this.#xyzw[2],
+      w: this.#xyzw[3]
+    };
+  }
+
+  toMat3() {
+    return Mat3.fromQuat(this);
+  }
+
+  toMat4() {
+    return Mat4.fromQuat(this);
+  }
+
+  toString(precision) {
+    return stringify('Quat', this.#xyzw, precision);
+  }
+
+  [INSPECT]() {
+    return this.toString();
+  }
+
+  *[Symbol.iterator]() {
+    yield this.#xyzw[0];
+    yield this.#xyzw[1];
+    yield this.#xyzw[2];
+    yield this.#xyzw[3];
+  }
+}
+
+// #region Vec2Array
+
+class Vec2Array {
+  #data;
+  #length;
+
+  #checkIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.#length) {
+      throw new RangeError(
+        `Expected an index from 0 to ${this.#length - 1}, got ${index}.`
+      );
+    }
+  }
+
+  #checkLength(length) {
+    if (length !== this.#length) {
+      throw new RangeError(`Expected ${this.#length} vectors, got ${length}.`);
+    }
+  }
+
+  constructor(source = 0) {
+    if (typeof source === 'number') {
+      this.#data = new Float64Array(source * 2);
+      this.#length = source;
+    } else {
+      // Plain arrays are copied, views of their vectors need a typed array.
+      if (Array.isArray(source)) source = new Float64Array(source);
+      else if (
+        !(source instanceof Float64Array) &&
+        !(source instanceof Float32Array)
+      ) {
+        throw new TypeError(
+          `Expected a number, an array, or a float typed array, got ${source}.`
+        );
+      }
+      this.#data = source;
+      this.#length = (source.length / 2) | 0;
+    }
+  }
+
+  static decode(buffer) {
+    return new Vec2Array(decodeVectors(buffer, 2));
+  }
+
+  static from(vectors) {
+    const result = new Vec2Array(vectors.length);
+    for (let i = 0; i < vectors.length; i++) {
+      result.set(i, vectors[i]);
+    }
+    return result;
+  }
+
+  get data() {
+    return this.#data;
+  }
+
+  get length() {
+    return this.#length;
+  }
+
+  add(v) {
+    const d = this.#data;
+    const n = this.#length * 2;
+    if (v instanceof Vec2Array) {
+      this.#checkLength(v.#length);
+      const e = v.#data;
+      for (let i = 0; i < n; i++) d[i] += e[i];
+      return this;
+    }
+    v = vec2From(v);
+    const x = v.x;
+    const y = v.y;
+    for (let i = 0; i < n; i += 2) {
+      d[i] += x;
+      d[i + 1] += y;
+    }
+    return this;
+  }
+
+  at(index, view = new Vec2()) {
+    this.#checkIndex(index);
+    const i = index * 2;
+    return vec2Bind(vec2Mutable(view), this.#data.subarray(i, i + 2));
+  }
+
+  bounds(min = new Vec2(), max = new Vec2()) {
+    const d = this.#data;
+    const n = this.#length * 2;
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (let i = 0; i < n; i += 2) {
+      if (d[i] < minX) minX = d[i];
+      if (d[i] > maxX) maxX = d[i];
+      if (d[i + 1] < minY) minY = d[i + 1];
+      if (d[i + 1] > maxY) maxY = d[i + 1];
+    }
+    min.x = minX;
+    min.y = minY;
+    max.x = maxX;
+    max.y = maxY;
+    return [min, max];
+  }
+
+  centroid(out = new Vec2()) {
+    // Nothing to average, the sum (i.e.: a zero vector) is returned as is.
+    if (this.#length === 0) return this.sum(out);
+    return this.sum(out).scale(1 / this.#length);
+  }
+
+  dot(v, out = new Float64Array(this.#length)) {
+    if (out.length < this.#length) {
+      throw new RangeError(
+        `Expected room for ${this.#length} values, got ${out.length}.`
+      );
+    }
+    const d = this.#data;
+    const n = this.#length * 2;
+    if (v instanceof Vec2Array) {
+      this.#checkLength(v.#length);
+      const e = v.#data;
+      for (let i = 0; i < n; i += 2) {
+        out[i / 2] =
+          d[i] * e[i] +
+          d[i + 1] * e[i + 1];
+      }
+      return out;
+    }
+    v = vec2From(v);
+    const x = v.x;
+    const y = v.y;
+    for (let i = 0; i < n; i += 2) {
+      out[i / 2] =
+        d[i] * x +
+        d[i + 1] * y;
+    }
+    return out;
+  }
+
+  encode(precision = 64) {
+    return encodeVectors(this.#data, this.#length, 2, precision);
+  }
+
+  forEach(callback) {
+    const view = new Vec2();
+    for (let i = 0; i < this.#length; i++) {
+      callback(this.at(i, view), i, this);
+    }
+  }
+
+  get(index, out = new Vec2()) {
+    this.#checkIndex(index);
+    const i = index * 2;
+    out.x = this.#data[i];
+    out.y = this.#data[i + 1];
+    return out;
+  }
+
+  lerp(v, t) {
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    const d = this.#data;
+    const n = this.#length * 2;
+    if (v instanceof Vec2Array) {
+      this.#checkLength(v.#length);
+      const e = v.#data;
+      for (let i = 0; i < n; i++) d[i] += (e[i] - d[i]) * t;
+      return this;
+    }
+    v = vec2From(v);
+    const x = v.x;
+    const y = v.y;
+    for (let i = 0; i < n; i += 2) {
+      d[i] += (x - d[i]) * t;
+      d[i + 1] += (y - d[i + 1]) * t;
+    }
+    return this;
+  }
+
+  normalize() {
+    const d = this.#data;
+    const n = this.#length * 2;
+    for (let i = 0; i < n; i += 2) {
+      const m = sqrt(
+        d[i] ** 2 +
+        d[i + 1] ** 2
+      );
+      if (m === 0) {
+        degenerate('normalize');
+        continue;
+      }
+      d[i] /= m;
+      d[i + 1] /= m;
+    }
+    return this;
+  }
+
+  scale(c) {
+    const d = this.#data;
+    const n = this.#length * 2;
+    for (let i = 0; i < n; i++) d[i] *= c;
+    return this;
+  }
+
+  set(index, v) {
+    this.#checkIndex(index);
+    v = vec2From(v);
+    const i = index * 2;
+    this.#data[i] = v.x;
+    this.#data[i + 1] = v.y;
+    return this;
+  }
+
+  subtract(v) {
+    const d = this.#data;
+    const n = this.#length * 2;
+    if (v instanceof Vec2Array) {
+      this.#checkLength(v.#length);
+      const e = v.#data;
+      for (let i = 0; i < n; i++) d[i] -= e[i];
+      return this;
+    }
+    v = vec2From(v);
+    const x = v.x;
+    const y = v.y;
+    for (let i = 0; i < n; i += 2) {
+      d[i] -= x;
+      d[i + 1] -= y;
+    }
+    return this;
+  }
+
+  sum(out = new Vec2()) {
+    const d = this.#data;
+    const n = this.#length * 2;
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < n; i += 2) {
+      x += d[i];
+      y += d[i + 1];
+    }
+    out.x = x;
+    out.y = y;
+    return out;
+  }
+
+  transform(m) {
+    const e = mat2Elements(m);
+    const d = this.#data;
+    const n = this.#length * 2;
+    for (let i = 0; i < n; i += 2) {
+      const x = d[i];
+      const y = d[i + 1];
+      d[i] = e[0] * x + e[2] * y;
+      d[i + 1] = e[1] * x + e[3] * y;
+    }
+    return this;
+  }
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.#length; i++) yield this.at(i);
+  }
+}
+
+// #region Vec3Array
+
+class Vec3Array {
+  #data;
+  #length;
+
+  #checkIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.#length) {
+      throw new RangeError(
+        `Expected an index from 0 to ${this.#length - 1}, got ${index}.`
+      );
+    }
+  }
+
+  #checkLength(length) {
+    if (length !== this.#length) {
+      throw new RangeError(`Expected ${this.#length} vectors, got ${length}.`);
+    }
+  }
+
+  constructor(source = 0) {
+    if (typeof source === 'number') {
+      this.#data = new Float64Array(source * 3);
+      this.#length = source;
+    } else {
+      // Plain arrays are copied, views of their vectors need a typed array.
+      if (Array.isArray(source)) source = new Float64Array(source);
+      else if (
+        !(source instanceof Float64Array) &&
+        !(source instanceof Float32Array)
+      ) {
+        throw new TypeError(
+          `Expected a number, an array, or a float typed array, got ${source}.`
+        );
+      }
+      this.#data = source;
+      this.#length = (source.length / 3) | 0;
+    }
+  }
+
+  static decode(buffer) {
+    return new Vec3Array(decodeVectors(buffer, 3));
+  }
+
+  static from(vectors) {
+    const result = new Vec3Array(vectors.length);
+    for (let i = 0; i < vectors.length; i++) {
+      result.set(i, vectors[i]);
+    }
+    return result;
+  }
+
+  get data() {
+    return this.#data;
+  }
+
+  get length() {
+    return this.#length;
+  }
+
+  add(v) {
+    const d = this.#data;
+    const n = this.#length * 3;
+    if (v instanceof Vec3Array) {
+      this.#checkLength(v.#length);
+      const e = v.#data;
+      for (let i = 0; i < n; i++) d[i] += e[i];
+      return this;
+    }
+    v = vec3From(v);
+    const x = v.x;
+    const y = v.y;
+    const z = v.z;
+    for (let i = 0; i < n; i += 3) {
+      d[i] += x;
+      d[i + 1] += y;
+      d[i + 2] += z;
+    }
+    return this;
+  }
+
+  at(index, view = new Vec3()) {
+    this.#checkIndex(index);
+    const i = index * 3;
+    return vec3Bind(vec3Mutable(view), this.#data.subarray(i, i + 3));
+  }
+
+  bounds(min = new Vec3(), max = new Vec3()) {
+    const d = this.#data;
+    const n = this.#length * 3;
+    let minX = Infinity;
+    let minY = Infinity;
+    let minZ = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    let maxZ = -Infinity;
+    for (let i = 0; i < n; i += 3) {
+      if (d[i] < minX) minX = d[i];
+      if (d[i] > maxX) maxX = d[i];
+      if (d[i + 1] < minY) minY = d[i + 1];
+      if (d[i + 1] > maxY) maxY = d[i + 1];
+      if (d[i + 2] < minZ) minZ = d[i + 2];
+      if (d[i + 2] > maxZ) maxZ = d[i + 2];
+    }
+    min.x = minX;
+    min.y = minY;
+    min.z = minZ;
+    max.x = maxX;
+    max.y = maxY;
+    max.z = maxZ;
+    return [min, max];
+  }
+
+  centroid(out = new Vec3()) {
+    // Nothing to average, the sum (i.e.: a zero vector) is returned as is.
+    if (this.#length === 0) return this.sum(out);
+    return this.sum(out).scale(1 / this.#length);
+  }
+
+  dot(v, out = new Float64Array(this.#length)) {
+    if (out.length < this.#length) {
+      throw new RangeError(
+        `Expected room for ${this.#length} values, got ${out.length}.`
+      );
+    }
+    const d = this.#data;
+    const n = this.#length * 3;
+    if (v instanceof Vec3Array) {
+      this.#checkLength(v.#length);
+      const e = v.#data;
+      for (let i = 0; i < n; i += 3) {
+        out[i / 3] =
+          d[i] * e[i] +
+          d[i + 1] * e[i + 1] +
+          d[i + 2] * e[i + 2];
+      }
+      return out;
+    }
+    v = vec3From(v);
+    const x = v.x;
+    const y = v.y;
+    const z = v.z;
+    for (let i = 0; i < n; i += 3) {
+      out[i / 3] =
+        d[i] * x +
+        d[i + 1] * y +
+        d[i + 2] * z;
+    }
+    return out;
+  }
+
+  encode(precision = 64) {
+    return encodeVectors(this.#data, this.#length, 3, precision);
+  }
+
+  forEach(callback) {
+    const view = new Vec3();
+    for (let i = 0; i < this.#length; i++) {
+      callback(this.at(i, view), i, this);
+    }
+  }
+
+  get(index, out = new Vec3()) {
+    this.#checkIndex(index);
+    const i = index * 3;
+    out.x = this.#data[i];
+    out.y = this.#data[i + 1];
+    out.z = this.#data[i + 2];
+    return out;
+  }
+
+  lerp(v, t) {
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    const d = this.#data;
+    const n = this.#length * 3;
+    if (v instanceof Vec3Array) {
+      this.#checkLength(v.#length);
+      const e = v.#data;
+      for (let i = 0; i < n; i++) d[i] += (e[i] - d[i]) * t;
+      return this;
+    }
+    v = vec3From(v);
+    const x = v.x;
+    const y = v.y;
+    const z = v.z;
+    for (let i = 0; i < n; i += 3) {
+      d[i] += (x - d[i]) * t;
+      d[i + 1] += (y - d[i + 1]) * t;
+      d[i + 2] += (z - d[i + 2]) * t;
+    }
+    return this;
+  }
+
+  normalize() {
+    const d = this.#data;
+    const n = this.#length * 3;
+    for (let i = 0; i < n; i += 3) {
+      const m = sqrt(
+        d[i] ** 2 +
+        d[i + 1] ** 2 +
+        d[i + 2] ** 2
+      );
+      if (m === 0) {
+        degenerate('normalize');
+        continue;
+      }
+      d[i] /= m;
+      d[i + 1] /= m;
+      d[i + 2] /= m;
+    }
+    return this;
+  }
+
+  scale(c) {
+    const d = this.#data;
+    const n = this.#length * 3;
+    for (let i = 0; i < n; i++) d[i] *= c;
+    return this;
+  }
+
+  set(index, v) {
+    this.#checkIndex(index);
+    v = vec3From(v);
+    const i = index * 3;
+    this.#data[i] = v.x;
+    this.#data[i + 1] = v.y;
+    this.#data[i + 2] = v.z;
+    return this;
+  }
+
+  subtract(v) {
+    const d = this.#data;
+    const n = this.#length * 3;
+    if (v instanceof Vec3Array) {
+      this.#checkLength(v.#length);
+      const e = v.#data;
+      for (let i = 0; i < n; i++) d[i] -= e[i];
+      return this;
+    }
+    v = vec3From(v);
+    const x = v.x;
+    const y = v.y;
+    const z = v.z;
+    for (let i = 0; i < n; i += 3) {
+      d[i] -= x;
+      d[i + 1] -= y;
+      d[i + 2] -= z;
+    }
+    return this;
+  }
+
+  sum(out = new Vec3()) {
+    const d = this.#data;
+    const n = this.#length * 3;
+    let x = 0;
+    let y = 0;
+    let z = 0;
+    for (let i = 0; i < n; i += 3) {
+      x += d[i];
+      y += d[i + 1];
+      z += d[i + 2];
+    }
+    out.x = x;
+    out.y = y;
+    out.z = z;
+    return out;
+  }
+
+  transform(m) {
+    const e = mat3Elements(m);
+    const d = this.#data;
+    const n = this.#length * 3;
+    for (let i = 0; i < n; i += 3) {
+      const x = d[i];
+      const y = d[i + 1];
+      const z = d[i + 2];
+      d[i] = e[0] * x + e[3] * y + e[6] * z;
+      d[i + 1] = e[1] * x + e[4] * y + e[7] * z;
+      d[i + 2] = e[2] * x + e[5] * y + e[8] * z;
+    }
+    return this;
+  }
+
+  transformDirection(m) {
+    const e = mat4Elements(m);
+    const d = this.#data;
+    const n = this.#length * 3;
+    for (let i = 0; i < n; i += 3) {
+      const x = d[i];
+      const y = d[i + 1];
+      const z = d[i + 2];
+      d[i] = e[0] * x + e[4] * y + e[8] * z;
+      d[i + 1] = e[1] * x + e[5] * y + e[9] * z;
+      d[i + 2] = e[2] * x + e[6] * y + e[10] * z;
+    }
+    return this;
+  }
+
+  transformPoint(m) {
+    const e = mat4Elements(m);
+    const d = this.#data;
+    const n = this.#length * 3;
+    for (let i = 0; i < n; i += 3) {
+      const x = d[i];
+      const y = d[i + 1];
+      const z = d[i + 2];
+      const w = e[3] * x + e[7] * y + e[11] * z + e[15];
+      d[i] = (e[0] * x + e[4] * y + e[8] * z + e[12]) / w;
+      d[i + 1] = (e[1] * x + e[5] * y + e[9] * z + e[13]) / w;
+      d[i + 2] = (e[2] * x + e[6] * y + e[10] * z + e[14]) / w;
+    }
+    return this;
+  }
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.#length; i++) yield this.at(i);
+  }
+}
+
+// #region Vec4Array
+
+class Vec4Array {
+  #data;
+  #length;
+
+  #checkIndex(index) {
+    if (!Number.isInteger(index) || index < 0 || index >= this.#length) {
+      throw new RangeError(
+        `Expected an index from 0 to ${this.#length - 1}, got ${index}.`
+      );
+    }
+  }
+
+  #checkLength(length) {
+    if (length !== this.#length) {
+      throw new RangeError(`Expected ${this.#length} vectors, got ${length}.`);
+    }
+  }
+
+  constructor(source = 0) {
+    if (typeof source === 'number') {
+      this.#data = new Float64Array(source * 4);
+      this.#length = source;
+    } else {
+      // Plain arrays are copied, views of their vectors need a typed array.
+      if (Array.isArray(source)) source = new Float64Array(source);
+      else if (
+        !(source instanceof Float64Array) &&
+        !(source instanceof Float32Array)
+      ) {
+        throw new TypeError(
+          `Expected a number, an array, or a float typed array, got ${source}.`
+        );
+      }
+      this.#data = source;
+      this.#length = (source.length / 4) | 0;
+    }
+  }
+
+  static decode(buffer) {
+    return new Vec4Array(decodeVectors(buffer, 4));
+  }
+
+  static from(vectors) {
+    const result = new Vec4Array(vectors.length);
+    for (let i = 0; i < vectors.length; i++) {
+      result.set(i, vectors[i]);
+    }
+    return result;
+  }
+
+  get data() {
+    return this.#data;
+  }
+
+  get length() {
+    return this.#length;
+  }
+
+  add(v) {
+    const d = this.#data;
+    const n = this.#length * 4;
+    if (v instanceof Vec4Array) {
+      this.#checkLength(v.#length);
+      const e = v.#data;
+      for (let i = 0; i < n; i++) d[i] += e[i];
+      return this;
+    }
+    v = vec4From(v);
+    const x = v.x;
+    const y = v.y;
+    const z = v.z;
+    const w = v.w;
+    for (let i = 0; i < n; i += 4) {
+      d[i] += x;
+      d[i + 1] += y;
+      d[i + 2] += z;
+      d[i + 3] += w;
+    }
+    return this;
+  }
+
+  at(index, view = new Vec4()) {
+    this.#checkIndex(index);
+    const i = index * 4;
+    return vec4Bind(vec4Mutable(view), this.#data.subarray(i, i + 4));
+  }
+
+  bounds(min = new Vec4(), max = new Vec4()) {
+    const d = this.#data;
+    const n = this.#length * 4;
+    let minX = Infinity;
+    let minY = Infinity;
+    let minZ = Infinity;
+    let minW = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    let maxZ = -Infinity;
+    let maxW = -Infinity;
+    for (let i = 0; i < n; i += 4) {
+      if (d[i] < minX) minX = d[i];
+      if (d[i] > maxX) maxX = d[i];
+      if (d[i + 1] < minY) minY = d[i + 1];
+      if (d[i + 1] > maxY) maxY = d[i + 1];
+      if (d[i + 2] < minZ) minZ = d[i + 2];
+      if (d[i + 2] > maxZ) maxZ = d[i + 2];
+      if (d[i + 3] < minW) minW = d[i + 3];
+      if (d[i + 3] > maxW) maxW = d[i + 3];
+    }
+    min.x = minX;
+    min.y = minY;
+    min.z = minZ;
+    min.w = minW;
+    max.x = maxX;
+    max.y = maxY;
+    max.z = maxZ;
+    max.w = maxW;
+    return [min, max];
+  }
+
+  centroid(out = new Vec4()) {
+    // Nothing to average, the sum (i.e.: a zero vector) is returned as is.
+    if (this.#length === 0) return this.sum(out);
+    return this.sum(out).scale(1 / this.#length);
+  }
+
+  dot(v, out = new Float64Array(this.#length)) {
+    if (out.length < this.#length) {
+      throw new RangeError(
+        `Expected room for ${this.#length} values, got ${out.length}.`
+      );
+    }
+    const d = this.#data;
+    const n = this.#length * 4;
+    if (v instanceof Vec4Array) {
+      this.#checkLength(v.#length);
+      const e = v.#data;
+      for (let i = 0; i < n; i += 4) {
+        out[i / 4] =
+          d[i] * e[i] +
+          d[i + 1] * e[i + 1] +
+          d[i + 2] * e[i + 2] +
+          d[i + 3] * e[i + 3];
+      }
+      return out;
+    }
+    v = vec4From(v);
+    const x = v.x;
+    const y = v.y;
+    const z = v.z;
+    const w = v.w;
+    for (let i = 0; i < n; i += 4) {
+      out[i / 4] =
+        d[i] * x +
+        d[i + 1] * y +
+        d[i + 2] * z +
+        d[i + 3] * w;
+    }
+    return out;
+  }
+
+  encode(precision = 64) {
+    return encodeVectors(this.#data, this.#length, 4, precision);
+  }
+
+  forEach(callback) {
+    const view = new Vec4();
+    for (let i = 0; i < this.#length; i++) {
+      callback(this.at(i, view), i, this);
+    }
+  }
+
+  get(index, out = new Vec4()) {
+    this.#checkIndex(index);
+    const i = index * 4;
+    out.x = this.#data[i];
+    out.y = this.#data[i + 1];
+    out.z = this.#data[i + 2];
+    out.w = this.#data[i + 3];
+    return out;
+  }
+
+  lerp(v, t) {
+    if (t > 1) t = 1;
+    else if (t < 0) t = 0;
+    const d = this.#data;
+    const n = this.#length * 4;
+    if (v instanceof Vec4Array) {
+      this.#checkLength(v.#length);
+      const e = v.#data;
+      for (let i = 0; i < n; i++) d[i] += (e[i] - d[i]) * t;
+      return this;
+    }
+    v = vec4From(v);
+    const x = v.x;
+    const y = v.y;
+    const z = v.z;
+    const w = v.w;
+    for (let i = 0; i < n; i += 4) {
+      d[i] += (x - d[i]) * t;
+      d[i + 1] += (y - d[i + 1]) * t;
+      d[i + 2] += (z - d[i + 2]) * t;
+      d[i + 3] += (w - d[i + 3]) * t;
+    }
+    return this;
+  }
+
+  normalize() {
+    const d = this.#data;
+    const n = this.#length * 4;
+    for (let i = 0; i < n; i += 4) {
+      const m = sqrt(
+        d[i] ** 2 +
+        d[i + 1] ** 2 +
+        d[i + 2] ** 2 +
+        d[i + 3] ** 2
+      );
+      if (m === 0) {
+        degenerate('normalize');
+        continue;
+      }
+      d[i] /= m;
+      d[i + 1] /= m;
+      d[i + 2] /= m;
+      d[i + 3] /= m;
+    }
+    return this;
+  }
+
+  scale(c) {
+    const d = this.#data;
+    const n = this.#length * 4;
+    for (let i = 0; i < n; i++) d[i] *= c;
+    return this;
+  }
+
+  set(index, v) {
+    this.#checkIndex(index);
+    v = vec4From(v);
+    const i = index * 4;
+    this.#data[i] = v.x;
+    this.#data[i + 1] = v.y;
+    this.#data[i + 2] = v.z;
+    this.#data[i + 3] = v.w;
+    return this;
+  }
+
+  subtract(v) {
+    const d = this.#data;
+    const n = this.#length * 4;
+    if (v instanceof Vec4Array) {
+      this.#checkLength(v.#length);
+      const e = v.#data;
+      for (let i = 0; i < n; i++) d[i] -= e[i];
+      return this;
+    }
+    v = vec4From(v);
+    const x = v.x;
+    const y = v.y;
+    const z = v.z;
+    const w = v.w;
+    for (let i = 0; i < n; i += 4) {
+      d[i] -= x;
+      d[i + 1] -= y;
+      d[i + 2] -= z;
+      d[i + 3] -= w;
+    }
+    return this;
+  }
+
+  sum(out = new Vec4()) {
+    const d = this.#data;
+    const n = this.#length * 4;
+    let x = 0;
+    let y = 0;
+    let z = 0;
+    let w = 0;
+    for (let i = 0; i < n; i += 4) {
+      x += d[i];
+      y += d[i + 1];
+      z += d[i + 2];
+      w += d[i + 3];
+    }
+    out.x = x;
+    out.y = y;
+    out.z = z;
+    out.w = w;
+    return out;
+  }
+
+  transform(m) {
+    const e = mat4Elements(m);
+    const d = this.#data;
+    const n = this.#length * 4;
+    for (let i = 0; i < n; i += 4) {
+      const x = d[i];
+      const y = d[i + 1];
+      const z = d[i + 2];
+      const w = d[i + 3];
+      d[i] = e[0] * x + e[4] * y + e[8] * z + e[12] * w;
+      d[i + 1] = e[1] * x + e[5] * y + e[9] * z + e[13] * w;
+      d[i + 2] = e[2] * x + e[6] * y + e[10] * z + e[14] * w;
+      d[i + 3] = e[3] * x + e[7] * y + e[11] * z + e[15] * w;
+    }
+    return this;
+  }
+
+  *[Symbol.iterator]() {
+    for (let i = 0; i < this.#length; i++) yield this.at(i);
+  }
+}
+
+// #region Ray3
+
+class Ray3 {
+  #direction = new Vec3(0, 0, 1);
+  #origin = new Vec3();
+
+  constructor(origin = [0, 0, 0], direction = [0, 0, 1]) {
+    this.#origin.copy(origin);
+    this.#direction.copy(direction);
+  }
+
+  get direction() {
+    return this.#direction;
+  }
+
+  get origin() {
+    return this.#origin;
+  }
+
+  set direction(v) {
+    this.#direction.copy(v);
+  }
+
+  set origin(v) {
+    this.#origin.copy(v);
+  }
+
+  at(t, out = new Vec3()) {
+    return Vec3.scale(this.#direction, t, out).add(this.#origin);
+  }
+
+  clone() {
+    return new Ray3(this.#origin, this.#direction);
+  }
+
+  closestPoint(point, out = new Vec3()) {
+    const d = this.#direction;
+    const t = Vec3.subtract(point, this.#origin, out).dot(d) / d.magnitudeSq;
+    return this.at(t > 0 ? t : 0, out);
+  }
+
+  copy(ray) {
+    this.#origin.copy(ray.#origin);
+    this.#direction.copy(ray.#direction);
+    return this;
+  }
+
+  distanceToPoint(point) {
+    return this.closestPoint(point).distance(point);
+  }
+
+  intersectAABB(box) {
+    const o = this.#origin.xyz;
+    const d = this.#direction.xyz;
+    const min = box.min.xyz;
+    const max = box.max.xyz;
+    let tNear = 0;
+    let tFar = Infinity;
+    // Slab method: the overlap of the intervals in which the ray is between
+    // each pair of parallel planes (NaNs, from a ray lying on a plane, never
+    // pass the comparisons).
+    for (let i = 0; i < 3; i++) {
+      const inverse = 1 / d[i];
+      let t0 = (min[i] - o[i]) * inverse;
+      let t1 = (max[i] - o[i]) * inverse;
+      if (t0 > t1) [t0, t1] = [t1, t0];
+      if (t0 > tNear) tNear = t0;
+      if (t1 < tFar) tFar = t1;
+      if (tNear > tFar) return null;
+    }
+    return tNear;
+  }
+
+  intersectPlane(plane) {
+    const n = plane.normal;
+    const denominator = n.dot(this.#direction);
+    if (abs(denominator) < EPSILON) return null;
+    const t = -(n.dot(this.#origin) + plane.constant) / denominator;
+    return t >= 0 ? t : null;
+  }
+
+  intersectSphere(sphere) {
+    const oc = Vec3.subtract(this.#origin, sphere.center);
+    const a = this.#direction.magnitudeSq;
+    const b = oc.dot(this.#direction);
+    const c = oc.magnitudeSq - sphere.radius * sphere.radius;
+    const discriminant = b * b - a * c;
+    if (discriminant < 0) return null;
+    const s = sqrt(discriminant);
+    const t0 = (-b - s) / a;
+    const t1 = (-b + s) / a;
+    if (t1 < 0) return null;
+    // From inside the sphere, the ray hits it on its way out.
+    return t0 >= 0 ? t0 : t1;
+  }
+
+  intersectTriangle(triangle, cullBackFaces = false) {
+    // Möller–Trumbore algorithm.
+    const d = this.#direction;
+    const e1 = Vec3.subtract(triangle.b, triangle.a);
+    const e2 = Vec3.subtract(triangle.c, triangle.a);
+    const p = Vec3.cross(d, e2);
+    const determinant = e1.dot(p);
+    if (cullBackFaces ? determinant < EPSILON : abs(determinant) < EPSILON) {
+      return null;
+    }
+    const s = Vec3.subtract(this.#origin, triangle.a);
+    const u = s.dot(p) / determinant;
+    if (u < 0 || u > 1) return null;
+    const q = Vec3.cross(s, e1);
+    const v = d.dot(q) / determinant;
+    if (v < 0 || u + v > 1) return null;
+    const t = e2.dot(q) / determinant;
+    return t >= 0 ? t : null;
+  }
+}
+
+// #region Segment2
+
+class Segment2 {
+  #end = new Vec2();
+  #start = new Vec2();
+
+  constructor(start = [0, 0], end = [0, 0]) {
+    this.#start.copy(start);
+    this.#end.copy(end);
+  }
+
+  get end() {
+    return this.#end;
+  }
+
+  get length() {
+    return this.#start.distance(this.#end);
+  }
+
+  get start() {
+    return this.#start;
+  }
+
+  set end(v) {
+    this.#end.copy(v);
+  }
+
+  set start(v) {
+    this.#start.copy(v);
+  }
+
+  at(t, out = new Vec2()) {
+    return Vec2.lerp(this.#start, this.#end, t, out);
+  }
+
+  clone() {
+    return new Segment2(this.#start, this.#end);
+  }
+
+  closestPoint(point, out = new Vec2()) {
+    out = vec2Mutable(out);
+    const lengthSq = this.#start.distanceSq(this.#end);
+    if (lengthSq === 0) return out.copy(this.#start);
+    const dot = Vec2.subtract(point, this.#start, out)
+      .dot(Vec2.subtract(this.#end, this.#start));
+    return this.at(dot / lengthSq, out);
+  }
+
+  copy(segment) {
+    this.#start.copy(segment.#start);
+    this.#end.copy(segment.#end);
+    return this;
+  }
+
+  distanceToPoint(point) {
+    return this.closestPoint(point).distance(point);
+  }
+
+  intersectSegment(segment) {
+    const p = this.#start;
+    const r = Vec2.subtract(this.#end, p);
+    const s = Vec2.subtract(segment.#end, segment.#start);
+    const pq = Vec2.subtract(segment.#start, p);
+    // Cross products (i.e.: perp dot products) of 2D vectors.
+    const denominator = r.x * s.y - r.y * s.x;
+    if (abs(denominator) < EPSILON) return null;
+    const t = (pq.x * s.y - pq.y * s.x) / denominator;
+    const u = (pq.x * r.y - pq.y * r.x) / denominator;
+    return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+  }
+}
+
+// #region Segment3
+
+class Segment3 {
+  #end = new Vec3();
+  #start = new Vec3();
+
+  constructor(start = [0, 0, 0], end = [0, 0, 0]) {
+    this.#start.copy(start);
+    this.#end.copy(end);
+  }
+
+  get end() {
+    return this.#end;
+  }
+
+  get length() {
+    return this.#start.distance(this.#end);
+  }
+
+  get start() {
+    return this.#start;
+  }
+
+  set end(v) {
+    this.#end.copy(v);
+  }
+
+  set start(v) {
+    this.#start.copy(v);
+  }
+
+  at(t, out = new Vec3()) {
+    return Vec3.lerp(this.#start, this.#end, t, out);
+  }
+
+  clone() {
+    return new Segment3(this.#start, this.#end);
+  }
+
+  closestPoint(point, out = new Vec3()) {
+    out = vec3Mutable(out);
+    const lengthSq = this.#start.distanceSq(this.#end);
+    if (lengthSq === 0) return out.copy(this.#start);
+    const dot = Vec3.subtract(point, this.#start, out)
+      .dot(Vec3.subtract(this.#end, this.#start));
+    return this.at(dot / lengthSq, out);
+  }
+
+  copy(segment) {
+    this.#start.copy(segment.#start);
+    this.#end.copy(segment.#end);
+    return this;
+  }
+
+  distanceToPoint(point) {
+    return this.closestPoint(point).distance(point);
+  }
+}
+
+// #region Plane
+
+class Plane {
+  #constant = 0;
+  #normal = new Vec3(0, 0, 1);
+
+  constructor(normal = [0, 0, 1], constant = 0) {
+    // Both are scaled alike, so it's still the same plane.
+    const m = this.#normal.copy(normal).magnitude;
+    this.#normal.normalize();
+    this.#constant = m === 0 ? constant : constant / m;
+  }
+
+  static fromNormalAndPoint(normal, point, out = new Plane()) {
+    out.#normal.copy(normal).normalize();
+    out.#constant = -out.#normal.dot(point);
+    return out;
+  }
+
+  static fromPoints(a, b, c, out = new Plane()) {
+    const ab = Vec3.subtract(b, a);
+    const ac = Vec3.subtract(c, a);
+    Vec3.cross(ab, ac, out.#normal).normalize();
+    out.#constant = -out.#normal.dot(a);
+    return out;
+  }
+
+  get constant() {
+    return this.#constant;
+  }
+
+  get normal() {
+    return this.#normal;
+  }
+
+  set constant(c) {
+    this.#constant = c;
+  }
+
+  set normal(v) {
+    this.#normal.copy(v).normalize();
+  }
+
+  clone() {
+    return new Plane(this.#normal, this.#constant);
+  }
+
+  closestPoint(point, out = new Vec3()) {
+    const distance = this.distanceToPoint(point);
+    return Vec3.scale(this.#normal, -distance, out).add(point);
+  }
+
+  containsPoint(point, epsilon = EPSILON) {
+    return abs(this.distanceToPoint(point)) <= epsilon;
+  }
+
+  copy(plane) {
+    this.#normal.copy(plane.#normal);
+    this.#constant = plane.#constant;
+    return this;
+  }
+
+  distanceToPoint(point) {
+    return this.#normal.dot(point) + this.#constant;
+  }
+}
+
+// #region Circle
+
+class Circle {
+  #center = new Vec2();
+  #radius = 1;
+
+  constructor(center = [0, 0], radius = 1) {
+    this.#center.copy(center);
+    this.#radius = radius;
+  }
+
+  get center() {
+    return this.#center;
+  }
+
+  get radius() {
+    return this.#radius;
+  }
+
+  set center(v) {
+    this.#center.copy(v);
+  }
+
+  set radius(r) {
+    this.#radius = r;
+  }
+
+  clone() {
+    return new Circle(this.#center, this.#radius);
+  }
+
+  closestPoint(point, out = new Vec2()) {
+    Vec2.subtract(point, this.#center, out);
+    if (out.magnitude > this.#radius) out.magnitude = this.#radius;
+    return out.add(this.#center);
+  }
+
+  containsPoint(point) {
+    return this.#center.distanceSq(point) <= this.#radius * this.#radius;
+  }
+
+  copy(circle) {
+    this.#center.copy(circle.#center);
+    this.#radius = circle.#radius;
+    return this;
+  }
+
+  distanceToPoint(point) {
+    return this.#center.distance(point) - this.#radius;
+  }
+
+  intersectsCircle(circle) {
+    const r = this.#radius + circle.#radius;
+    return this.#center.distanceSq(circle.#center) <= r * r;
+  }
+}
+
+// #region Sphere
+
+class Sphere {
+  #center = new Vec3();
+  #radius = 1;
+
+  constructor(center = [0, 0, 0], radius = 1) {
+    this.#center.copy(center);
+    this.#radius = radius;
+  }
+
+  get center() {
+    return this.#center;
+  }
+
+  get radius() {
+    return this.#radius;
+  }
+
+  set center(v) {
+    this.#center.copy(v);
+  }
+
+  set radius(r) {
+    this.#radius = r;
+  }
+
+  clone() {
+    return new Sphere(this.#center, this.#radius);
+  }
+
+  closestPoint(point, out = new Vec3()) {
+    Vec3.subtract(point, this.#center, out);
+    if (out.magnitude > this.#radius) out.magnitude = this.#radius;
+    return out.add(this.#center);
+  }
+
+  containsPoint(point) {
+    return this.#center.distanceSq(point) <= this.#radius * this.#radius;
+  }
+
+  copy(sphere) {
+    this.#center.copy(sphere.#center);
+    this.#radius = sphere.#radius;
+    return this;
+  }
+
+  distanceToPoint(point) {
+    return this.#center.distance(point) - this.#radius;
+  }
+
+  intersectsSphere(sphere) {
+    const r = this.#radius + sphere.#radius;
+    return this.#center.distanceSq(sphere.#center) <= r * r;
+  }
+}
+
+// #region AABB2
+
+class AABB2 {
+  #max = new Vec2(-Infinity, -Infinity);
+  #min = new Vec2(Infinity, Infinity);
+
+  constructor(
+    min = [Infinity, Infinity],
+    max = [-Infinity, -Infinity]
+  ) {
+    this.#min.copy(min);
+    this.#max.copy(max);
+  }
+
+  static fromPoints(points, out = new AABB2()) {
+    out.makeEmpty();
+    for (const point of points) out.expandByPoint(point);
+    return out;
+  }
+
+  get max() {
+    return this.#max;
+  }
+
+  get min() {
+    return this.#min;
+  }
+
+  set max(v) {
+    this.#max.copy(v);
+  }
+
+  set min(v) {
+    this.#min.copy(v);
+  }
+
+  center(out = new Vec2()) {
+    return Vec2.lerp(this.#min, this.#max, 0.5, out);
+  }
+
+  clone() {
+    return new AABB2(this.#min, this.#max);
+  }
+
+  closestPoint(point, out = new Vec2()) {
+    return Vec2.clampComponents(point, this.#min, this.#max, out);
+  }
+
+  containsPoint(point) {
+    point = vec2From(point);
+    return (
+      point.x >= this.#min.x && point.x <= this.#max.x &&
+      point.y >= this.#min.y && point.y <= this.#max.y
+    );
+  }
+
+  copy(box) {
+    this.#min.copy(box.#min);
+    this.#max.copy(box.#max);
+    return this;
+  }
+
+  distanceToPoint(point) {
+    return this.closestPoint(point).distance(point);
+  }
+
+  expandByPoint(point) {
+    this.#min.min(point);
+    this.#max.max(point);
+    return this;
+  }
+
+  intersectsAABB(box) {
+    return (
+      box.#max.x >= this.#min.x && box.#min.x <= this.#max.x &&
+      box.#max.y >= this.#min.y && box.#min.y <= this.#max.y
+    );
+  }
+
+  isEmpty() {
+    return this.#max.x < this.#min.x || this.#max.y < this.#min.y;
+  }
+
+  makeEmpty() {
+    this.#min.xy = [Infinity, Infinity];
+    this.#max.xy = [-Infinity, -Infinity];
+    return this;
+  }
+
+  size(out = new Vec2()) {
+    return Vec2.subtract(this.#max, this.#min, out);
+  }
+}
+
+// #region AABB3
+
+class AABB3 {
+  #max = new Vec3(-Infinity, -Infinity, -Infinity);
+  #min = new Vec3(Infinity, Infinity, Infinity);
+
+  constructor(
+    min = [Infinity, Infinity, Infinity],
+    max = [-Infinity, -Infinity, -Infinity]
+  ) {
+    this.#min.copy(min);
+    this.#max.copy(max);
+  }
+
+  static fromPoints(points, out = new AABB3()) {
+    out.makeEmpty();
+    for (const point of points) out.expandByPoint(point);
+    return out;
+  }
+
+  get max() {
+    return this.#max;
+  }
+
+  get min() {
+    return this.#min;
+  }
+
+  set max(v) {
+    this.#max.copy(v);
+  }
+
+  set min(v) {
+    this.#min.copy(v);
+  }
+
+  center(out = new Vec3()) {
+    return Vec3.lerp(this.#min, this.#max, 0.5, out);
+  }
+
+  clone() {
+    return new AABB3(this.#min, this.#max);
+  }
+
+  closestPoint(point, out = new Vec3()) {
+    return Vec3.clampComponents(point, this.#min, this.#max, out);
+  }
+
+  containsPoint(point) {
+    point = vec3From(point);
+    return (
+      point.x >= this.#min.x && point.x <= this.#max.x &&
+      point.y >= this.#min.y && point.y <= this.#max.y &&
+      point.z >= this.#min.z && point.z <= this.#max.z
+    );
+  }
+
+  copy(box) {
+    this.#min.copy(box.#min);
+    this.#max.copy(box.#max);
+    return this;
+  }
+
+  distanceToPoint(point) {
+    return this.closestPoint(point).distance(point);
+  }
+
+  expandByPoint(point) {
+    this.#min.min(point);
+    this.#max.max(point);
+    return this;
+  }
+
+  intersectsAABB(box) {
+    return (
+      box.#max.x >= this.#min.x && box.#min.x <= this.#max.x &&
+      box.#max.y >= this.#min.y && box.#min.y <= this.#max.y &&
+      box.#max.z >= this.#min.z && box.#min.z <= this.#max.z
+    );
+  }
+
+  isEmpty() {
+    return (
+      this.#max.x < this.#min.x ||
+      this.#max.y < this.#min.y ||
+      this.#max.z < this.#min.z
+    );
+  }
+
+  makeEmpty() {
+    this.#min.xyz = [Infinity, Infinity, Infinity];
+    this.#max.xyz = [-Infinity, -Infinity, -Infinity];
+    return this;
+  }
+
+  size(out = new Vec3()) {
+    return Vec3.subtract(this.#max, this.#min, out);
+  }
+}
+
+// #region Triangle3
+
+class Triangle3 {
+  #a = new Vec3();
+  #b = new Vec3();
+  #c = new Vec3();
+
+  constructor(a = [0, 0, 0], b = [0, 0, 0], c = [0, 0, 0]) {
+    this.#a.copy(a);
+    this.#b.copy(b);
+    this.#c.copy(c);
+  }
+
+  get a() {
+    return this.#a;
+  }
+
+  get area() {
+    return Vec3.subtract(this.#b, this.#a)
+      .cross(Vec3.subtract(this.#c, this.#a))
+      .magnitude / 2;
+  }
+
+  get b() {
+    return this.#b;
+  }
+
+  get c() {
+    return this.#c;
+  }
+
+  set a(v) {
+    this.#a.copy(v);
+  }
+
+  set b(v) {
+    this.#b.copy(v);
+  }
+
+  set c(v) {
+    this.#c.copy(v);
+  }
+
+  clone() {
+    return new Triangle3(this.#a, this.#b, this.#c);
+  }
+
+  closestPoint(point, out = new Vec3()) {
+    out = vec3Mutable(out);
+    // By the Voronoi region of the triangle the point lies in, from "Real-Time
+    // Collision Detection" (C. Ericson), 5.1.5.
+    point = vec3From(point);
+    const a = this.#a;
+    const ab = Vec3.subtract(this.#b, a);
+    const ac = Vec3.subtract(this.#c, a);
+    const ap = Vec3.subtract(point, a);
+    const d1 = ab.dot(ap);
+    const d2 = ac.dot(ap);
+    if (d1 <= 0 && d2 <= 0) return out.copy(a);
+    const bp = Vec3.subtract(point, this.#b);
+    const d3 = ab.dot(bp);
+    const d4 = ac.dot(bp);
+    if (d3 >= 0 && d4 <= d3) return out.copy(this.#b);
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+      return out.copy(a).add(ab.scale(d1 / (d1 - d3)));
+    }
+    const cp = Vec3.subtract(point, this.#c);
+    const d5 = ab.dot(cp);
+    const d6 = ac.dot(cp);
+    if (d6 >= 0 && d5 <= d6) return out.copy(this.#c);
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+      return out.copy(a).add(ac.scale(d2 / (d2 - d6)));
+    }
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+      const t = (d4 - d3) / (d4 - d3 + (d5 - d6));
+      return Vec3.lerp(this.#b, this.#c, t, out);
+    }
+    const denominator = 1 / (va + vb + vc);
+    const v = vb * denominator;
+    const w = vc * denominator;
+    return out.copy(a).add(ab.scale(v)).add(ac.scale(w));
+  }
+
+  containsPoint(point, epsilon = EPSILON) {
+    point = vec3From(point);
+    const ab = Vec3.subtract(this.#b, this.#a);
+    const ac = Vec3.subtract(this.#c, this.#a);
+    const ap = Vec3.subtract(point, this.#a);
+    const abab = ab.dot(ab);
+    const abac = ab.dot(ac);
+    const acac = ac.dot(ac);
+    const apab = ap.dot(ab);
+    const apac = ap.dot(ac);
+    const denominator = abab * acac - abac * abac;
+    if (denominator === 0) return false;
+    // Distance to the plane of the triangle, since the squared magnitude of
+    // the cross product of `ab` and `ac` is the denominator itself.
+    if (abs(ap.dot(ab.cross(ac))) / sqrt(denominator) > epsilon) return false;
+    // Barycentric coordinates of the point projected onto the triangle.
+    const v = (acac * apab - abac * apac) / denominator;
+    const w = (abab * apac - abac * apab) / denominator;
+    return v >= 0 && w >= 0 && v + w <= 1;
+  }
+
+  copy(triangle) {
+    this.#a.copy(triangle.#a);
+    this.#b.copy(triangle.#b);
+    this.#c.copy(triangle.#c);
+    return this;
+  }
+
+  distanceToPoint(point) {
+    return this.closestPoint(point).distance(point);
+  }
+
+  normal(out = new Vec3()) {
+    return Vec3.subtract(this.#b, this.#a, out)
+      .cross(Vec3.subtract(this.#c, this.#a))
+      .normalize();
+  }
+}
+
+// #region Curve
+
+// Base of every curve: `point` and `derivative` are up to each kind of curve,
+// everything else (e.g.: arc length, flattening) is derived from them.
+class Curve {
+  #lengths = null;
+  #points;
+
+  #arcLengths() {
+    if (this.#lengths === null) {
+      const lengths = new Float64Array(CURVE_DIVISIONS + 1);
+      const previous = this.point(0);
+      const current = this.point(0);
+      for (let i = 1; i <= CURVE_DIVISIONS; i++) {
+        this.point(i / CURVE_DIVISIONS, current);
+        lengths[i] = lengths[i - 1] + current.distance(previous);
+        previous.copy(current);
+      }
+      this.#lengths = lengths;
+    }
+    return this.#lengths;
+  }
+
+  #subdivide(t0, p0, t1, p1, tolerance, depth, polyline) {
+    const t = (t0 + t1) / 2;
+    const p = this.point(t);
+    const chordMidpoint = combine([p0, p1], [0.5, 0.5], p0.clone());
+    if (
+      depth < CURVE_FLATTENING_DEPTH &&
+      p.distance(chordMidpoint) > tolerance
+    ) {
+      this.#subdivide(t0, p0, t, p, tolerance, depth + 1, polyline);
+      this.#subdivide(t, p, t1, p1, tolerance, depth + 1, polyline);
+    } else {
+      polyline.push(p1);
+    }
+  }
+
+  constructor(points) {
+    this.#points = Array.from(points, vectorOf);
+    if (this.#points.length < 2) {
+      throw new TypeError('Expected at least 2 points.');
+    }
+  }
+
+  get length() {
+    return this.#arcLengths()[CURVE_DIVISIONS];
+  }
+
+  get points() {
+    return this.#points;
+  }
+
+  flatten(tolerance = 0.01) {
+    const polyline = [this.point(0)];
+    // A few chords to start with, so no wave of the curve goes unnoticed.
+    const chords = 16;
+    for (let i = 0; i < chords; i++) {
+      this.#subdivide(
+        i / chords,
+        polyline[polyline.length - 1],
+        (i + 1) / chords,
+        this.point((i + 1) / chords),
+        tolerance,
+        0,
+        polyline
+      );
+    }
+    return polyline;
+  }
+
+  parameterAtLength(s) {
+    const lengths = this.#arcLengths();
+    if (s <= 0) return 0;
+    if (s >= lengths[CURVE_DIVISIONS]) return 1;
+    let low = 0;
+    let high = CURVE_DIVISIONS;
+    while (high - low > 1) {
+      const middle = (low + high) >> 1;
+      if (lengths[middle] <= s) low = middle;
+      else high = middle;
+    }
+    const f = (s - lengths[low]) / (lengths[high] - lengths[low]);
+    return (low + f) / CURVE_DIVISIONS;
+  }
+
+  pointAtLength(s, out) {
+    return this.point(this.parameterAtLength(s), out);
+  }
+
+  tangent(t, out) {
+    return this.derivative(t, out).normalize();
+  }
+
+  tangentAtLength(s, out) {
+    return this.tangent(this.parameterAtLength(s), out);
+  }
+
+  update() {
+    this.#lengths = null;
+    return this;
+  }
+}
+
+// #region BezierCurve
+
+class BezierCurve extends Curve {
+  get degree() {
+    return this.points.length - 1;
+  }
+
+  derivative(t, out = this.points[0].clone()) {
+    const points = this.points;
+    const n = points.length - 1;
+    const weights = bernstein(n - 1, t);
+    const derivativeWeights = new Array(n + 1).fill(0);
+    // The derivative is a curve of degree n - 1, with n * (P[i + 1] - P[i])
+    // as control points.
+    for (let i = 0; i < n; i++) {
+      derivativeWeights[i] -= n * weights[i];
+      derivativeWeights[i + 1] += n * weights[i];
+    }
+    return combine(points, derivativeWeights, out);
+  }
+
+  point(t, out = this.points[0].clone()) {
+    return combine(this.points, bernstein(this.points.length - 1, t), out);
+  }
+
+  split(t = 0.5) {
+    // De Casteljau's algorithm, the outer points of each level of
+    // interpolation are the control points of each half.
+    let level = this.points;
+    const left = [level[0]];
+    const right = [level[level.length - 1]];
+    while (level.length > 1) {
+      const next = [];
+      for (let i = 0; i < level.length - 1; i++) {
+        next.push(combine(
+          [level[i], level[i + 1]],
+          [1 - t, t],
+          level[i].clone()
+        ));
+      }
+      left.push(next[0]);
+      right.unshift(next[next.length - 1]);
+      level = next;
+    }
+    return [new BezierCurve(left), new BezierCurve(right)];
+  }
+}
+
+// #region CatmullRomCurve
+
+class CatmullRomCurve extends Curve {
+  #closed;
+
+  // The 4 points of the span at `t`, the span's local parameter, and the
+  // number of spans.
+  #span(t) {
+    const points = this.points;
+    const n = points.length;
+    const spans = this.#closed ? n : n - 1;
+    const i = min(max(floor(t * spans), 0), spans - 1);
+    const at = j => points[(j % n + n) % n];
+    const p1 = at(i);
+    const p2 = at(i + 1);
+    // Open ends are extended by reflection.
+    const p0 = !this.#closed && i === 0 ?
+      combine([p1, p2], [2, -1], p1.clone()) :
+      at(i - 1);
+    const p3 = !this.#closed && i === n - 2 ?
+      combine([p2, p1], [2, -1], p2.clone()) :
+      at(i + 2);
+    return [[p0, p1, p2, p3], t * spans - i, spans];
+  }
+
+  constructor(points, closed = false) {
+    super(points);
+    this.#closed = closed;
+  }
+
+  get closed() {
+    return this.#closed;
+  }
+
+  set closed(closed) {
+    this.#closed = closed;
+    this.update();
+  }
+
+  derivative(t, out = this.points[0].clone()) {
+    const [span, u, spans] = this.#span(t);
+    const uu = u * u;
+    return combine(span, [
+      0.5 * (-1 + 4 * u - 3 * uu) * spans,
+      0.5 * (-10 * u + 9 * uu) * spans,
+      0.5 * (1 + 8 * u - 9 * uu) * spans,
+      0.5 * (-2 * u + 3 * uu) * spans
+    ], out);
+  }
+
+  point(t, out = this.points[0].clone()) {
+    const [span, u] = this.#span(t);
+    const uu = u * u;
+    const uuu = uu * u;
+    return combine(span, [
+      0.5 * (-u + 2 * uu - uuu),
+      0.5 * (2 - 5 * uu + 3 * uuu),
+      0.5 * (u + 4 * uu - 3 * uuu),
+      0.5 * (-uu + uuu)
+    ], out);
+  }
+}
+
+// #region HermiteCurve
+
+class HermiteCurve extends Curve {
+  #tangents;
+
+  // The points and tangents of the span at `t`, the span's local parameter,
+  // and the number of spans.
+  #span(t) {
+    const points = this.points;
+    const spans = points.length - 1;
+    const i = min(max(floor(t * spans), 0), spans - 1);
+    return [
+      [points[i], this.#tangents[i], points[i + 1], this.#tangents[i + 1]],
+      t * spans - i,
+      spans
+    ];
+  }
+
+  constructor(points, tangents) {
+    super(points);
+    this.#tangents = Array.from(tangents, vectorOf);
+    if (this.#tangents.length !== this.points.length) {
+      throw new TypeError('Expected as many tangents as points.');
+    }
+  }
+
+  get tangents() {
+    return this.#tangents;
+  }
+
+  derivative(t, out = this.points[0].clone()) {
+    const [span, u, spans] = this.#span(t);
+    const uu = u * u;
+    return combine(span, [
+      (6 * uu - 6 * u) * spans,
+      3 * uu - 4 * u + 1,
+      (-6 * uu + 6 * u) * spans,
+      3 * uu - 2 * u
+    ], out);
+  }
+
+  point(t, out = this.points[0].clone()) {
+    const [span, u, spans] = this.#span(t);
+    const uu = u * u;
+    const uuu = uu * u;
+    // Tangents are derivatives with respect to `t` (the whole curve's
+    // parameter), thus divided by the number of spans to be relative to each
+    // span's own.
+    return combine(span, [
+      2 * uuu - 3 * uu + 1,
+      (uuu - 2 * uu + u) / spans,
+      -2 * uuu + 3 * uu,
+      (uuu - uu) / spans
+    ], out);
+  }
+}
+
+// #region BSplineCurve
+
+class BSplineCurve extends Curve {
+  #degree;
+  #knots = [];
+
+  constructor(points, degree = 3) {
+    super(points);
+    const n = this.points.length;
+    if (n <= degree) {
+      throw new TypeError(`Expected more than ${degree} points.`);
+    }
+    this.#degree = degree;
+    // Clamped (i.e.: it starts and ends at the first and last points) uniform
+    // knot vector.
+    const spans = n - degree;
+    for (let i = 0; i <= n + degree; i++) {
+      this.#knots.push(min(max(i - degree, 0), spans) / spans);
+    }
+  }
+
+  get degree() {
+    return this.#degree;
+  }
+
+  derivative(t, out = this.points[0].clone()) {
+    const k = this.#knots;
+    const p = this.#degree;
+    const basis = bSplineBasis(k, p - 1, t);
+    const weights = [];
+    for (let i = 0; i < this.points.length; i++) {
+      const a = k[i + p] - k[i];
+      const b = k[i + p + 1] - k[i + 1];
+      weights.push(
+        (a ? p * basis[i] / a : 0) -
+        (b ? p * basis[i + 1] / b : 0)
+      );
+    }
+    return combine(this.points, weights, out);
+  }
+
+  point(t, out = this.points[0].clone()) {
+    return combine(
+      this.points,
+      bSplineBasis(this.#knots, this.#degree, t),
+      out
+    );
   }
 }
 
-export { Vec2, Vec3, Vec4 };
+export {
+  AABB2,
+  AABB3,
+  BezierCurve,
+  BSplineCurve,
+  CatmullRomCurve,
+  Circle,
+  createSeededRandom,
+  deltaAngle,
+  HermiteCurve,
+  ImmutableVec2,
+  ImmutableVec3,
+  ImmutableVec4,
+  Mat2,
+  Mat3,
+  Mat4,
+  Plane,
+  Quat,
+  Ray3,
+  Segment2,
+  Segment3,
+  setRandomSource,
+  setStrictMode,
+  Sphere,
+  toDegrees,
+  toRadians,
+  Triangle3,
+  Vec2,
+  Vec2Array,
+  Vec2F32,
+  Vec3,
+  Vec3Array,
+  Vec3F32,
+  Vec4,
+  Vec4Array,
+  Vec4F32,
+  VecError,
+  wrapAngle,
+  wrapAngleSigned
+};
@@ -1,14 +1,197 @@
 import { describe, test, expect } from 'bun:test';
-import { Vec2, Vec3, Vec4 } from './index.js';
+import {
+  AABB3,
+  BezierCurve,
+  BSplineCurve,
+  CatmullRomCurve,
+  createSeededRandom,
+  deltaAngle,
+  HermiteCurve,
+  ImmutableVec3,
+  ImmutableVec4,
+  Mat2,
+  Mat3,
+  Mat4,
+  Plane,
+  Quat,
+  Ray3,
+  Segment2,
+  setRandomSource,
+  setStrictMode,
+  Sphere,
+  toDegrees,
+  toRadians,
+  Triangle3,
+  Vec2,
+  Vec2Array,
+  Vec3,
+  Vec3Array,
+  Vec3F32,
+  Vec4,
+  Vec4Array,
+  VecError,
+  wrapAngle,
+  wrapAngleSigned
+} from './index.js';
 
 const { MAX_VALUE } = Number;
-const { PI } = Math;
+const { floor, PI } = Math;
 const DEG_45 = PI * 0.25;
 const DEG_90 = PI * 0.5;
 const DEG_120 = PI * (1 / 3 * 2);
 const PRECISE_DIGITS = 15;
 
 describe('@leodeslf/vec.js', () => {
+  describe('Random', () => {
+    test('a [seeded random] source yields the same sequence', () => {
+      const a = createSeededRandom(42);
+      const b = createSeededRandom(42);
+      const c = createSeededRandom(43);
+      const aSequence = [a(), a(), a()];
+      expect(aSequence).toStrictEqual([b(), b(), b()]);
+      expect(aSequence).not.toStrictEqual([c(), c(), c()]);
+      aSequence.forEach(n => {
+        expect(n).toBeGreaterThanOrEqual(0);
+        expect(n).toBeLessThan(1);
+      });
+    });
+    test('[random] methods take a random source', () => {
+      const a = Vec2.random(createSeededRandom(1));
+      const b = Vec2.random(createSeededRandom(1));
+      const c = new Vec3(0, 0, 2).random(createSeededRandom(1));
+      const d = new Vec3(0, 0, 2).random(createSeededRandom(1));
+      expect(a.xy).toStrictEqual(b.xy);
+      expect(c.xyz).toStrictEqual(d.xyz);
+      expect(c.magnitude).toBeCloseTo(2, PRECISE_DIGITS);
+    });
+    test('create random vectors [in a disc, ball, and box]', () => {
+      const source = createSeededRandom(2);
+      const min = new Vec4(-1, 0, 1, 2);
+      const max = new Vec4(0, 1, 2, 3);
+      for (let i = 0; i < 100; i++) {
+        expect(Vec2.randomInUnitDisc(source).magnitude).toBeLessThanOrEqual(1);
+        expect(Vec3.randomInUnitBall(source).magnitude).toBeLessThanOrEqual(1);
+        const a = Vec4.randomInBox(min, max, source);
+        a.xyzw.forEach((c, j) => {
+          expect(c).toBeGreaterThanOrEqual(min.xyzw[j]);
+          expect(c).toBeLessThanOrEqual(max.xyzw[j]);
+        });
+      }
+    });
+    test('create [gaussian] random vectors', () => {
+      const source = createSeededRandom(3);
+      const mean = new Vec3(1, 2, 3);
+      const sum = Vec3.zero();
+      for (let i = 0; i < 1000; i++) {
+        sum.add(Vec3.randomGaussian(mean, 0.5, source));
+      }
+      expect(sum.scale(1 / 1000).distance(mean)).toBeLessThan(0.1);
+    });
+    test('create random vectors [in a cone and on a hemisphere]', () => {
+      const source = createSeededRandom(4);
+      const axis = new Vec3(1, -2, 3);
+      for (let i = 0; i < 100; i++) {
+        const a = Vec3.randomInCone(axis, DEG_45, source);
+        const b = Vec3.randomOnHemisphere(axis, source);
+        expect(a.magnitude).toBeCloseTo(1, 14);
+        expect(a.angleBetween(axis)).toBeLessThanOrEqual(DEG_45 + 1e-12);
+        expect(b.magnitude).toBeCloseTo(1, 14);
+        expect(b.dot(axis)).toBeGreaterThanOrEqual(0);
+      }
+    });
+    test('[set the random source] used by default', () => {
+      setRandomSource(createSeededRandom(7));
+      const a = Vec4.random();
+      setRandomSource(createSeededRandom(7));
+      const b = Vec4.random();
+      setRandomSource();
+      expect(a.xyzw).toStrictEqual(b.xyzw);
+    });
+  });
+
+  describe('Angles', () => {
+    test('[wrap] angles and get their [shortest delta]', () => {
+      expect(wrapAngle(-DEG_90)).toStrictEqual(DEG_90 * 3);
+      expect(wrapAngle(PI * 2)).toStrictEqual(0);
+      expect(wrapAngle(-1e-17)).toStrictEqual(0);
+      expect(wrapAngleSigned(DEG_90 * 3)).toBeCloseTo(-DEG_90, PRECISE_DIGITS);
+      expect(wrapAngleSigned(-PI)).toStrictEqual(PI);
+      expect(deltaAngle(DEG_45 * 7, DEG_45))
+        .toBeCloseTo(DEG_90, PRECISE_DIGITS);
+      expect(toDegrees(DEG_45)).toStrictEqual(45);
+      expect(toRadians(180)).toStrictEqual(PI);
+    });
+    test('get [signed and unsigned] angles between vectors', () => {
+      expect(Vec2.perpDot([2, 0], [0, 3])).toStrictEqual(6);
+      expect(new Vec2(1, 0).signedAngle([0, -1])).toStrictEqual(-DEG_90);
+      expect(Vec2.unsignedAngle([1, 0], [0, -1])).toStrictEqual(DEG_90);
+      expect(new Vec2(0, -1).angleY).toStrictEqual(PI);
+      expect(Vec3.signedAngle([1, 0, 0], [0, 1, 0], [0, 0, -2]))
+        .toStrictEqual(-DEG_90);
+      expect(new Vec3(0, 1, 0).unsignedAngle([0, -1, 0])).toStrictEqual(PI);
+      // Rounding would push the cosine past 1 (i.e.: `acos` would be NaN).
+      expect(Vec3.angleBetween([1, 2, 3], [2, 4, 6])).toStrictEqual(0);
+      expect(Vec3.angleBetween([1, 0, 0], [1, 1e-9, 0])).toStrictEqual(1e-9);
+      expect(Vec4.angleBetween([1, 2, 3, 4], [2, 4, 6, 8])).toStrictEqual(0);
+      expect(Vec4.unsignedAngle([1, 0, 0, 0], [0, 0, 0, 3]))
+        .toStrictEqual(DEG_90);
+    });
+    test('wrap [signed angles] at the ends of their interval', () => {
+      // `atan2` alone would return -PI, out of the interval (-PI, PI].
+      expect(Vec2.angleBetween([1, 0], [-1, -1e-300])).toStrictEqual(PI);
+      expect(new Vec2(1, 0).signedAngle([-1, -1e-300])).toStrictEqual(PI);
+      const a = new Vec2(2, 0);
+      a.angleX = -DEG_90;
+      expect(a.angleX).toStrictEqual(wrapAngle(-DEG_90));
+      a.angleY = PI * 3;
+      expect(a.angleY).toBeCloseTo(PI, PRECISE_DIGITS);
+    });
+  });
+
+  describe('Magnitude', () => {
+    // Random sequences of operations, checking that `magnitude` (cached) is
+    // always up to date with the components.
+    const operations = [
+      (a, b, r) => a.add(b),
+      (a, b, r) => a.scale(r() * 4 - 2),
+      (a, b, r) => a.normalize(),
+      (a, b, r) => a.negate(),
+      (a, b, r) => a.constructor.lerp(a, b, r(), a),
+      (a, b, r) => a.copy(b),
+      (a, b, r) => { a.magnitude = r() * 3; },
+      (a, b, r) => { a.x = r() - 0.5; },
+      (a, b, r) => { a.y = a.magnitude; },
+      (a, b, r) => a.constructor.subtract(b, a, a),
+      (a, b, r) => a.constructor.scale(a, 0, a),
+    ];
+    test.each([
+      ['Vec2', Vec2],
+      ['Vec3', Vec3],
+      ['Vec4', Vec4],
+    ])('keep [%s] magnitudes up to date', (_, Vec) => {
+      const r = createSeededRandom(5);
+      const a = Vec.random(r);
+      for (let i = 0; i < 500; i++) {
+        const b = Vec.random(r).scale(r() * 5);
+        operations[floor(r() * operations.length)](a, b, r);
+        const magnitudeSq = a.dot(a);
+        expect(a.magnitudeSq).toStrictEqual(magnitudeSq);
+        expect(a.magnitude).toStrictEqual(Math.sqrt(magnitudeSq));
+      }
+    });
+    test('keep the magnitudes of [views] up to date', () => {
+      const r = createSeededRandom(6);
+      const a = new Float32Array(8);
+      const b = Vec4.view(a, 1);
+      for (let i = 0; i < 100; i++) {
+        a[4 + floor(r() * 4)] = r() * 2 - 1;
+        expect(b.magnitude).toStrictEqual(Math.sqrt(b.dot(b)));
+        b.scale(2);
+        expect(b.magnitude).toStrictEqual(Math.sqrt(b.dot(b)));
+      }
+    });
+  });
+
   describe('Vec2', () => {
     test('set & get [x] component', () => {
       const a = new Vec2(0, 0);
@@ -96,6 +279,82 @@ describe('@leodeslf/vec.js', () => {
       expect(a.x).toBeCloseTo(0, PRECISE_DIGITS);
       expect(a.angleX).toBeCloseTo(DEG_90, PRECISE_DIGITS);
     });
+    test('compare [rotated] vectors within a tolerance', () => {
+      const a = new Vec2(1, 0).rotateZ(DEG_90);
+      const b = new Vec2(0, 1);
+      expect(a.satisfyEquality(b)).toStrictEqual(false);
+      expect(a.equals(b)).toStrictEqual(true);
+      expect(Vec2.isParallel(a, b)).toStrictEqual(true);
+      expect(Vec2.isOrthogonal(a, new Vec2(3, 0))).toStrictEqual(true);
+      expect(a.isNormalized()).toStrictEqual(true);
+    });
+    test('[transform] a vector by a matrix', () => {
+      const a = new Vec2(1, 2);
+      const m = new Mat2(2, 0, 0, 3);
+      expect(Vec2.transform(a, m).xy).toStrictEqual([2, 6]);
+      expect(a.transform(m).xy).toStrictEqual([2, 6]);
+      expect(a.magnitude).toStrictEqual(Math.sqrt(40));
+    });
+    test('write static results [into an output] vector', () => {
+      const a = new Vec2(3, 4);
+      const b = new Vec2();
+      expect(Vec2.add(a, new Vec2(1, 1), b)).toBe(b);
+      expect(b.xy).toStrictEqual([4, 5]);
+      expect(Vec2.normalize(b, b)).toBe(b);
+      expect(b.magnitude).toBeCloseTo(1, PRECISE_DIGITS);
+      expect(Vec2.subtract(a, a, a).magnitude).toStrictEqual(0);
+      expect(Vec2.zero(b).xy).toStrictEqual([0, 0]);
+    });
+    test('accept [vector-like] values', () => {
+      const a = new Vec2(1, 2);
+      expect(Vec2.add(a, [3, 4]).xy).toStrictEqual([4, 6]);
+      expect(a.dot({ x: 2, y: 1 })).toStrictEqual(4);
+      expect(a.distance(Vec2.immutable(1, 5))).toStrictEqual(3);
+      expect(a.subtract(new Float32Array([1])).xy).toStrictEqual([0, 2]);
+      expect(() => a.add(null)).toThrow(TypeError);
+    });
+    test('[multiply], [divide], and bound vectors component-wise', () => {
+      const a = new Vec2(3, -4).multiply([2, 0.5]);
+      expect(a.xy).toStrictEqual([6, -2]);
+      expect(a.magnitude).toStrictEqual(Math.hypot(6, 2));
+      expect(Vec2.divide(a, [4, -4]).xy).toStrictEqual([1.5, 0.5]);
+      expect(Vec2.min(a, [1, 1]).xy).toStrictEqual([1, -2]);
+      expect(Vec2.max(a, [1, 1]).xy).toStrictEqual([6, 1]);
+      expect(a.clampComponents([0, -1], [5, 1]).xy).toStrictEqual([5, -1]);
+    });
+    test('[round] and [snap] vectors component-wise', () => {
+      const a = new Vec2(-1.25, 2.5);
+      expect(Vec2.abs(a).xy).toStrictEqual([1.25, 2.5]);
+      expect(Vec2.floor(a).xy).toStrictEqual([-2, 2]);
+      expect(Vec2.ceil(a).xy).toStrictEqual([-1, 3]);
+      expect(Vec2.round(a).xy).toStrictEqual([-1, 3]);
+      expect(Vec2.sign(a).xy).toStrictEqual([-1, 1]);
+      expect(Vec2.fract(a).xy).toStrictEqual([0.75, 0.5]);
+      expect(Vec2.mod(a, 2).xy).toStrictEqual([0.75, 0.5]);
+      expect(Vec2.mod(a, [2, 1]).xy).toStrictEqual([0.75, 0.5]);
+      expect(Vec2.snap(a, { x: 0.5, y: 2 }).xy).toStrictEqual([-1, 2]);
+      expect(a.snap(0.75).xy).toStrictEqual([-1.5, 2.25]);
+      expect(new Vec4(5, 5, 5, 5).mod([2, 3, 4, 5]).xyzw)
+        .toStrictEqual([1, 2, 1, 0]);
+    });
+    test('[smooth damp] and [spring] towards a target', () => {
+      const a = new Vec2();
+      const b = new Vec2();
+      for (let i = 0; i < 120; i++) {
+        expect(Vec2.smoothDamp(a, [10, 0], b, 0.3, 1 / 60, 20, a)).toBe(a);
+        expect(a.x).toBeLessThanOrEqual(10);
+      }
+      expect(a.x).toBeCloseTo(10, 3);
+      expect(b.x).toBeCloseTo(0, 2);
+      const c = new Vec2();
+      const d = new Vec2();
+      for (let i = 0; i < 600; i++) {
+        Vec2.spring(c, [1, 2], d, 100, 20, 1 / 60, c);
+      }
+      expect(c.x).toBeCloseTo(1, PRECISE_DIGITS);
+      expect(c.y).toBeCloseTo(2, PRECISE_DIGITS);
+      expect(() => Vec2.spring(c, [1, 2], [0, 0], 1, 1, 1)).toThrow(TypeError);
+    });
   });
 
   describe('Vec3', () => {
@@ -158,6 +417,32 @@ describe('@leodeslf/vec.js', () => {
       expect(a.angleY).toStrictEqual(DEG_45, PRECISE_DIGITS);
       expect(a.z).toBeCloseTo(0, PRECISE_DIGITS);
     });
+    test('convert a vector [to and from] coordinate systems', () => {
+      const a = new Vec3(1, -2, 3);
+      const { r, theta, phi } = a.toSphericalCoords();
+      expect(r).toStrictEqual(a.magnitude);
+      expect(Vec3.fromSphericalCoords(r, theta, phi).equals(a))
+        .toStrictEqual(true);
+      const b = a.toCylindricalCoords();
+      expect(b.z).toStrictEqual(3);
+      expect(Vec3.fromCylindricalCoords(b.r, b.phi, b.z).equals(a))
+        .toStrictEqual(true);
+      expect(new Vec2(0, -2).toPolarCoords())
+        .toStrictEqual({ r: 2, theta: DEG_90 * 3 });
+      const c = new Vec4(1, -2, 3, -4);
+      const d = c.toHypersphericalCoords();
+      expect(Vec4.fromHypersphericalCoords(d.r, d.phi1, d.phi2, d.phi3)
+        .equals(c)).toStrictEqual(true);
+    });
+    test('convert a vector to and from [barycentric coords]', () => {
+      const a = [[0, 0, 0], [2, 0, 0], [0, 2, 0]];
+      const b = new Vec3(0.5, 0.5, 7).toBarycentricCoords(...a);
+      expect(b).toStrictEqual({ u: 0.5, v: 0.25, w: 0.25 });
+      expect(Vec3.fromBarycentricCoords(b.u, b.v, b.w, ...a).xyz)
+        .toStrictEqual([0.5, 0.5, 0]);
+      expect(new Vec2(2, 2).toBarycentricCoords([0, 0], [2, 0], [0, 2]).u)
+        .toStrictEqual(-1);
+    });
     test('create a [random] vector', () => {
       const a = Vec3.random();
       expect(a.magnitude).toBeCloseTo(1, PRECISE_DIGITS);
@@ -213,6 +498,259 @@ describe('@leodeslf/vec.js', () => {
       expect(a.y).toBeCloseTo(0, PRECISE_DIGITS);
       expect(a.z).toStrictEqual(1);
     });
+    test('[rotate around] an arbitrary axis', () => {
+      const a = new Vec3(1, 2, 3);
+      const b = Vec3.rotateAround(a, new Vec3(0, 0, 5), DEG_90);
+      expect(b.x).toBeCloseTo(-2, PRECISE_DIGITS);
+      expect(b.y).toBeCloseTo(1, PRECISE_DIGITS);
+      expect(b.z).toBeCloseTo(3, PRECISE_DIGITS);
+      const axis = new Vec3(1, 1, 1);
+      a.rotateAround(axis, DEG_120);
+      expect(a.x).toBeCloseTo(3, 14);
+      expect(a.y).toBeCloseTo(1, 14);
+      expect(a.z).toBeCloseTo(2, 14);
+      expect(a.magnitude).toBeCloseTo(Math.sqrt(14), 14);
+    });
+    test('[rotate around] an arbitrary axis through a point', () => {
+      const a = new Vec3(2, 1, 0);
+      const pivot = new Vec3(1, 1, 0);
+      a.rotateAroundPoint(pivot, new Vec3(0, 0, 1), DEG_90);
+      expect(a.x).toBeCloseTo(1, PRECISE_DIGITS);
+      expect(a.y).toBeCloseTo(2, PRECISE_DIGITS);
+      expect(a.magnitude).toBeCloseTo(Math.sqrt(5), PRECISE_DIGITS);
+      const b = Vec3.rotateAroundPoint(a, pivot, new Vec3(0, 0, 1), -DEG_90);
+      expect(b.x).toBeCloseTo(2, PRECISE_DIGITS);
+      expect(b.y).toBeCloseTo(1, PRECISE_DIGITS);
+    });
+    test('compare [rotated] vectors within a tolerance', () => {
+      const a = new Vec3(1, 2, 3).rotateAround(new Vec3(1, 1, 1), DEG_120);
+      const b = new Vec3(3, 1, 2);
+      expect(a.satisfyEquality(b)).toStrictEqual(false);
+      expect(Vec3.equals(a, b, 1e-14)).toStrictEqual(true);
+      expect(a.isParallel(Vec3.scale(b, -2))).toStrictEqual(true);
+      expect(a.isOrthogonal(new Vec3(1, -3, 0))).toStrictEqual(true);
+      expect(Vec3.isCollinear(a, Vec3.scale(b, 2), Vec3.zero())).toStrictEqual(true);
+    });
+    test('[transform] a vector by a matrix', () => {
+      const a = new Vec3(1, 0, 1);
+      const b = new Vec3(1, 0, 1);
+      const m = Mat3.fromRotationY(DEG_90);
+      b.rotateY(DEG_90);
+      expect(Vec3.transform(a, m).x).toBeCloseTo(b.x, PRECISE_DIGITS);
+      a.transform(m);
+      expect(a.x).toBeCloseTo(b.x, PRECISE_DIGITS);
+      expect(a.z).toBeCloseTo(b.z, PRECISE_DIGITS);
+    });
+    test('[transform] a point or a direction by a homogeneous matrix', () => {
+      const m = Mat4.fromTranslation(new Vec3(1, 2, 3));
+      expect(Vec3.transformPoint(new Vec3(1, 1, 1), m).xyz).toStrictEqual([2, 3, 4]);
+      expect(Vec3.transformDirection(new Vec3(1, 1, 1), m).xyz).toStrictEqual([1, 1, 1]);
+      expect(new Vec3(0, 0, 0).transformPoint(m).xyz).toStrictEqual([1, 2, 3]);
+      expect(new Vec3(0, 0, 1).transformDirection(m).xyz).toStrictEqual([0, 0, 1]);
+    });
+    test('write static results [into an output] vector', () => {
+      const a = new Vec3(1, 0, 0);
+      const b = new Vec3(0, 1, 0);
+      expect(Vec3.cross(a, b, a)).toBe(a);
+      expect(a.xyz).toStrictEqual([0, 0, 1]);
+      expect(Vec3.scale(a, 2, a).magnitude).toStrictEqual(2);
+      const c = Vec3.rotateAround(b, b, DEG_90, b);
+      expect(c).toBe(b);
+      expect(c.xyz).toStrictEqual([0, 1, 0]);
+    });
+    test('accept [vector-like] values', () => {
+      const a = new Vec3(1, 0, 0).rotateAround([0, 0, 1], DEG_90);
+      expect(a.equals({ x: 0, y: 1, z: 0 })).toStrictEqual(true);
+      expect(Vec3.cross([1, 0, 0], new Vec2(0, 1)).xyz).toStrictEqual([0, 0, 1]);
+      expect(Vec3.dot(new Vec4(1, 2, 3, 4), [1, 1, 1])).toStrictEqual(6);
+      expect(Mat4.fromTranslation([1, 2, 3]).elements.slice(12))
+        .toStrictEqual([1, 2, 3, 1]);
+      expect(() => Vec3.add(1, [1, 2, 3])).toThrow(TypeError);
+    });
+    test('[serialize] vectors to JSON and strings', () => {
+      const a = new Vec3(1, -2.5, 1 / 3);
+      const json = JSON.stringify({ a });
+      expect(JSON.parse(json).a).toStrictEqual({ x: 1, y: -2.5, z: 1 / 3 });
+      expect(Vec3.fromJSON(JSON.parse(json).a).equals(a)).toStrictEqual(true);
+      expect(Vec3.fromJSON('{"x":1,"y":2}').xyz).toStrictEqual([1, 2, 0]);
+      const b = JSON.stringify(new Vec3(1, NaN, Infinity));
+      expect(Vec3.fromJSON(b).xyz).toStrictEqual([1, NaN, NaN]);
+      expect(Vec3.fromJSON(JSON.parse(b)).isNaN()).toStrictEqual(true);
+      expect(Vec2.fromJSON([null, 1]).xy).toStrictEqual([NaN, 1]);
+      expect(Quat.fromJSON('{"x":0,"y":0,"z":0,"w":null}').w).toBeNaN();
+      expect(a.toString(2)).toStrictEqual('Vec3(1.00, -2.50, 0.33)');
+      expect(`${new Vec3(1, 2, 3)}`).toStrictEqual('Vec3(1, 2, 3)');
+    });
+    test('[reflect] and [refract] a direction', () => {
+      const a = new Vec3(1, -1, 0).normalize();
+      const normal = new Vec3(0, 1, 0);
+      const b = Vec3.reflect(a, normal);
+      expect(b.x).toBeCloseTo(a.x, PRECISE_DIGITS);
+      expect(b.y).toBeCloseTo(-a.y, PRECISE_DIGITS);
+      expect(Vec3.refract(a, normal, 1).equals(a)).toStrictEqual(true);
+      const c = Vec3.refract(a, normal, 1 / 1.5);
+      // Snell's law: sin(i) * eta = sin(t).
+      expect(c.x).toBeCloseTo(a.x / 1.5, PRECISE_DIGITS);
+      expect(c.magnitude).toBeCloseTo(1, PRECISE_DIGITS);
+      expect(a.refract(normal, 1.5)).toBeNull();
+      expect(a.xyz).toStrictEqual(new Vec3(1, -1, 0).normalize().xyz);
+    });
+    test('[reject] a vector from another', () => {
+      const a = new Vec3(1, 2, 3);
+      expect(Vec3.reject(a, [0, 0, 2]).xyz).toStrictEqual([1, 2, 0]);
+      expect(a.projectOnPlane([0, 1, 0]).xyz).toStrictEqual([1, 0, 3]);
+      const b = Vec2.reject([2, 0], [1, 1]);
+      expect(b.xy).toStrictEqual([1, -1]);
+      expect(b.add(Vec2.project([2, 0], [1, 1])).x).toBeCloseTo(2, 15);
+      expect(a.projectOnPlane([0, 0, 0]).xyz).toStrictEqual([1, 0, 3]);
+      expect(Vec3.reject(a, [0, 0, 0]).xyz).toStrictEqual([1, 0, 3]);
+      expect(b.reject([0, 0]).xy).toStrictEqual(b.xy);
+    });
+    test('[slerp] and [nlerp] between directions', () => {
+      const a = Vec3.slerp([0, 0, 1], [0, 1, 0], 1 / 3);
+      expect(a.y).toBeCloseTo(0.5, PRECISE_DIGITS);
+      expect(a.magnitude).toBeCloseTo(1, PRECISE_DIGITS);
+      const b = Vec3.slerp([2, 0, 0], [-4, 0, 0], 0.5);
+      expect(b.x).toBeCloseTo(0, PRECISE_DIGITS);
+      expect(b.magnitude).toBeCloseTo(3, PRECISE_DIGITS);
+      const c = new Vec3(1, 0, 0).nlerp([0, 1, 0], 0.5);
+      expect(c.x).toBeCloseTo(Math.SQRT1_2, PRECISE_DIGITS);
+      expect(c.magnitude).toBeCloseTo(1, PRECISE_DIGITS);
+      expect(Vec3.slerp([1, 0, 0], [0, 1, 0], 2).xyz)
+        .toStrictEqual(Vec3.slerp([1, 0, 0], [0, 1, 0], 1).xyz);
+    });
+    test('interpolate [unclamped] and [inversely]', () => {
+      expect(Vec3.lerpUnclamped([0, 0, 0], [1, 2, 3], 2).xyz)
+        .toStrictEqual([2, 4, 6]);
+      expect(Vec3.inverseLerp([0, 0, 0], [2, 0, 0], [3, 5, 0]))
+        .toStrictEqual(1.5);
+      expect(Vec3.inverseLerp([1, 1, 1], [1, 1, 1], [0, 0, 0]))
+        .toStrictEqual(0);
+    });
+    test('[move] and [rotate] towards a target', () => {
+      expect(new Vec3(0, 0, 0).moveTowards([0, 3, 4], 2).xyz)
+        .toStrictEqual([0, 1.2, 1.6]);
+      expect(Vec3.moveTowards([0, 0, 0], [0, 3, 4], 9).xyz)
+        .toStrictEqual([0, 3, 4]);
+      const a = new Vec3(1, 0, 0).rotateTowards([0, 3, 0], DEG_45, 1);
+      expect(a.x).toBeCloseTo(Math.SQRT2, PRECISE_DIGITS);
+      expect(a.y).toBeCloseTo(Math.SQRT2, PRECISE_DIGITS);
+      expect(a.magnitude).toBeCloseTo(2, PRECISE_DIGITS);
+      const b = Vec3.rotateTowards([1, 0, 0], [0, 3, 0], DEG_90 * 2, 9);
+      expect(b.y).toBeCloseTo(3, PRECISE_DIGITS);
+    });
+    test('get and set [swizzled] components', () => {
+      const a = new Vec3(1, 2, 3);
+      expect(a.zx).toBeInstanceOf(Vec2);
+      expect(a.zx.xy).toStrictEqual([3, 1]);
+      expect(a.zyx.xyz).toStrictEqual([3, 2, 1]);
+      expect(a.swizzle('xxzy').xyzw).toStrictEqual([1, 1, 3, 2]);
+      expect(() => a.swizzle('xw')).toThrow(TypeError);
+      a.zy = [5, 6];
+      expect(a.xyz).toStrictEqual([1, 6, 5]);
+      expect(a.magnitude).toStrictEqual(Math.hypot(1, 6, 5));
+      expect(() => { a.toImmutable().yx = [0, 0]; }).toThrow(TypeError);
+      expect(new Vec4(1, 2, 3, 4).wxyz.xyzw).toStrictEqual([4, 1, 2, 3]);
+    });
+    test('convert vectors [to other dimensions]', () => {
+      const a = new Vec3(1, 2, 3);
+      expect(a.toVec2().xy).toStrictEqual([1, 2]);
+      expect(a.toVec4(1).xyzw).toStrictEqual([1, 2, 3, 1]);
+      expect(new Vec2(1, 2).toVec3().xyz).toStrictEqual([1, 2, 0]);
+      expect(new Vec4(1, 2, 3, 4).toVec3().xyz).toStrictEqual([1, 2, 3]);
+    });
+    test('handle [zero-length] vectors', () => {
+      const a = new Vec3(1, 2, 3);
+      expect(Vec3.zero().normalize().xyz).toStrictEqual([0, 0, 0]);
+      expect(Vec3.normalize([0, 0, 0]).xyz).toStrictEqual([0, 0, 0]);
+      expect(a.clone().project([0, 0, 0]).xyz).toStrictEqual([0, 0, 0]);
+      expect(Vec3.project([0, 0, 0], a).xyz).toStrictEqual([0, 0, 0]);
+      expect(a.clone().lookAt([0, 0, 0]).xyz).toStrictEqual([1, 2, 3]);
+      expect(Vec3.zero().limitMin(1).xyz).toStrictEqual([0, 0, 0]);
+      expect(Vec3.zero().clamp(1, 2).xyz).toStrictEqual([0, 0, 0]);
+      expect(Vec3.zero().safeNormalize([0, 0, 2]).xyz)
+        .toStrictEqual([0, 0, 2]);
+      expect(Vec3.safeNormalize([0, 0, 0]).xyz).toStrictEqual([0, 0, 0]);
+      expect(Vec3.safeNormalize([0, 0, 2]).xyz).toStrictEqual([0, 0, 1]);
+    });
+    test('throw on zero-length vectors in [strict mode]', () => {
+      setStrictMode(true);
+      try {
+        expect(() => Vec3.zero().normalize()).toThrow(VecError);
+        expect(() => Vec3.normalize([0, 0, 0])).toThrow(VecError);
+        expect(() => new Vec2(1, 0).lookAt([0, 0])).toThrow(VecError);
+        expect(() => Vec3.zero().clamp(1, 2)).toThrow(VecError);
+        expect(() => new Vec4(1, 2, 3, 4).project([0, 0, 0, 0]))
+          .toThrow('Zero-length vector given to project.');
+        let error;
+        try {
+          Vec3.zero().limitMin(1);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.operation).toStrictEqual('limitMin');
+        expect(Vec3.zero().safeNormalize().xyz).toStrictEqual([0, 0, 0]);
+      } finally {
+        setStrictMode();
+      }
+      expect(Vec3.zero().normalize().xyz).toStrictEqual([0, 0, 0]);
+    });
+    test('handle zero-length vectors when [dividing by a magnitude]', () => {
+      const a = new Vec3(1, 2, 3);
+      const b = new Vec2();
+      b.magnitude = 2;
+      expect(b.xy).toStrictEqual([0, 0]);
+      const c = new Vec3();
+      c.magnitude = 2;
+      expect(c.xyz).toStrictEqual([0, 0, 0]);
+      expect(a.clone().reject([0, 0, 0]).xyz).toStrictEqual([1, 2, 3]);
+      expect(a.clone().projectOnPlane([0, 0, 0]).xyz)
+        .toStrictEqual([1, 2, 3]);
+      expect(Vec3.projectOnPlane(a, [0, 0, 0]).xyz).toStrictEqual([1, 2, 3]);
+      expect(a.clone().rotateAround([0, 0, 0], 1).xyz)
+        .toStrictEqual([1, 2, 3]);
+      expect(Vec3.rotateAroundPoint(a, [1, 1, 1], [0, 0, 0], 1).xyz)
+        .toStrictEqual([1, 2, 3]);
+      const d = new Vec3Array(2).set(1, [0, 0, 2]).normalize();
+      expect(d.get(0).xyz).toStrictEqual([0, 0, 0]);
+      expect(d.get(1).xyz).toStrictEqual([0, 0, 1]);
+      expect(new Quat(0, 0, 0, 0).normalize().xyzw)
+        .toStrictEqual([0, 0, 0, 0]);
+      expect(Quat.fromAxisAngle([0, 0, 0], 1).xyzw)
+        .toStrictEqual([0, 0, 0, 1]);
+      expect(Quat.fromVectors([0, 0, 0], a).xyzw).toStrictEqual([0, 0, 0, 1]);
+      expect(a.clone().reflect([0, 0, 0]).xyz).toStrictEqual([1, 2, 3]);
+      expect(Vec2.reflect([1, 2], [0, 0]).xy).toStrictEqual([1, 2]);
+      expect(Vec3.randomInCone([0, 0, 0], 1).xyz).toStrictEqual([0, 0, 0]);
+      expect(Vec3.randomOnHemisphere([0, 0, 0]).xyz)
+        .toStrictEqual([0, 0, 0]);
+      expect(new Quat(0, 0, 0, 0).invert().xyzw).toStrictEqual([0, 0, 0, 0]);
+      setStrictMode(true);
+      try {
+        expect(() => { b.magnitude = 2; }).toThrow(VecError);
+        expect(() => a.clone().reject([0, 0, 0])).toThrow(VecError);
+        expect(() => Vec2.reject([1, 2], [0, 0])).toThrow(VecError);
+        expect(() => a.clone().projectOnPlane([0, 0, 0]))
+          .toThrow('Zero-length vector given to projectOnPlane.');
+        expect(() => a.clone().rotateAround([0, 0, 0], 1))
+          .toThrow('Zero-length vector given to rotateAround.');
+        expect(() => Vec3.rotateAroundPoint(a, a, [0, 0, 0], 1))
+          .toThrow('Zero-length vector given to rotateAroundPoint.');
+        expect(() => new Vec3Array(1).normalize()).toThrow(VecError);
+        expect(() => new Quat(0, 0, 0, 0).normalize()).toThrow(VecError);
+        expect(() => Quat.fromAxisAngle([0, 0, 0], 1)).toThrow(VecError);
+        expect(() => Quat.fromVectors(a, [0, 0, 0])).toThrow(VecError);
+        expect(() => new Vec2(1, 2).reflect([0, 0])).toThrow(VecError);
+        expect(() => Vec3.reflect(a, [0, 0, 0])).toThrow(VecError);
+        expect(() => Vec3.randomInCone([0, 0, 0], 1))
+          .toThrow('Zero-length vector given to randomInCone.');
+        expect(() => Vec3.randomOnHemisphere([0, 0, 0]))
+          .toThrow('Zero-length vector given to randomOnHemisphere.');
+        expect(() => Quat.invert(new Quat(0, 0, 0, 0))).toThrow(VecError);
+      } finally {
+        setStrictMode();
+      }
+    });
   });
 
   describe('Vec4', () => {
@@ -325,6 +863,42 @@ describe('@leodeslf/vec.js', () => {
       expect(Vec4.satisfyOpposition(a, c)).toStrictEqual(false);
       expect(a.satisfyOpposition(c)).toStrictEqual(false);
     });
+    test('two vectors are [approximately equal]', () => {
+      const a = new Vec4(1, 2, 3, 4);
+      const b = new Vec4(1, 2, 3, 4 + 1e-12);
+      const c = new Vec4(1e6, 2, 3, 4);
+      const d = new Vec4(1e6 + 1e-3, 2, 3, 4);
+      expect(a.satisfyEquality(b)).toStrictEqual(false);
+      expect(Vec4.equals(a, b)).toStrictEqual(true);
+      expect(a.equals(b)).toStrictEqual(true);
+      expect(a.equals(b, 0)).toStrictEqual(false);
+      expect(c.equals(d)).toStrictEqual(false);
+      expect(c.equals(d, 1e-6, 'relative')).toStrictEqual(true);
+      expect(Vec4.equals(c, d, 1e-10, 'relative')).toStrictEqual(false);
+    });
+    test('check if two vectors [are parallel or orthogonal]', () => {
+      const a = new Vec4(1, 2, 3, 4);
+      const b = new Vec4(-2, -4, -6, -8);
+      const c = new Vec4(-2, 1, -4, 3);
+      expect(Vec4.isParallel(a, b)).toStrictEqual(true);
+      expect(a.isParallel(c)).toStrictEqual(false);
+      expect(Vec4.isOrthogonal(a, c)).toStrictEqual(true);
+      expect(a.isOrthogonal(b)).toStrictEqual(false);
+      expect(a.isParallel(Vec4.zero())).toStrictEqual(true);
+      expect(a.isOrthogonal(Vec4.zero())).toStrictEqual(true);
+    });
+    test('check if three points [are collinear]', () => {
+      const a = new Vec4(1, 1, 1, 1);
+      const b = new Vec4(2, 3, 4, 5);
+      const c = new Vec4(4, 7, 10, 13);
+      expect(Vec4.isCollinear(a, b, c)).toStrictEqual(true);
+      expect(a.isCollinear(b, new Vec4(4, 7, 10, 12))).toStrictEqual(false);
+    });
+    test('check if a vector [is normalized]', () => {
+      const a = new Vec4(1, 2, 3, 4);
+      expect(Vec4.isNormalized(a)).toStrictEqual(false);
+      expect(a.normalize().isNormalized()).toStrictEqual(true);
+    });
     test('check if a vector [is infinite]', () => {
       const a = new Vec4(1, 2, 3, 4);
       const b = new Vec4(1, 2, 3, Infinity);
@@ -408,8 +982,22 @@ describe('@leodeslf/vec.js', () => {
     });
     test('create an [immutable], readonly vector', () => {
       const a = Vec4.immutable(1, 2, 3, 4);
-      expect(a.isInfinite).toBeFalse();
+      expect(a.isInfinite()).toBeFalse();
       expect(() => a.x = Infinity).toThrowError();
+      const isZero = v => v.isZero();
+      expect(isZero(Vec4.immutable())).toBeTrue();
+      expect(isZero(new ImmutableVec4(1, 0, 0, 0))).toBeFalse();
+    });
+    test('operate [immutable] vectors', () => {
+      const a = new ImmutableVec4(1, 2, 3, 4);
+      const b = a.add(new Vec4(1, 1, 1, 1)).scale(2);
+      expect(b).toBeInstanceOf(ImmutableVec4);
+      expect(b.xyzw).toStrictEqual([4, 6, 8, 10]);
+      expect(a.xyzw).toStrictEqual([1, 2, 3, 4]);
+      expect(Vec4.dot(a, b)).toStrictEqual(80);
+      expect(new Vec4().add(a).toImmutable().equals(a)).toStrictEqual(true);
+      expect(a.toMutable().normalize().magnitude).toBeCloseTo(1, PRECISE_DIGITS);
+      expect(() => Vec4.negate(b, b)).toThrow(TypeError);
     });
     test('find the [linear interpolation] between two vectors', () => {
       const a = new Vec4(1, 2, 3, 4);
@@ -453,5 +1041,482 @@ describe('@leodeslf/vec.js', () => {
       const a = new Vec4(1, 2, 3, 4);
       expect([...a]).toStrictEqual([1, 2, 3, 4]);
     });
+    test('rotate in the [xy, xz, xw, yz, yw, zw planes]', () => {
+      const a = new Vec4(1, 2, 3, 4);
+      expect(Vec4.rotateXY(a, DEG_90).xyzw.map(Math.round)).toStrictEqual([-2, 1, 3, 4]);
+      expect(Vec4.rotateXZ(a, DEG_90).xyzw.map(Math.round)).toStrictEqual([-3, 2, 1, 4]);
+      expect(Vec4.rotateXW(a, DEG_90).xyzw.map(Math.round)).toStrictEqual([-4, 2, 3, 1]);
+      expect(Vec4.rotateYZ(a, DEG_90).xyzw.map(Math.round)).toStrictEqual([1, -3, 2, 4]);
+      expect(Vec4.rotateYW(a, DEG_90).xyzw.map(Math.round)).toStrictEqual([1, -4, 3, 2]);
+      expect(a.rotateZW(DEG_90).xyzw.map(Math.round)).toStrictEqual([1, 2, -4, 3]);
+      expect(a.magnitude).toBeCloseTo(Math.sqrt(30), 14);
+    });
+    test('[rotate double] in two orthogonal planes', () => {
+      const a = new Vec4(1, 2, 3, 4);
+      const b = Vec4.rotateXZ(a, DEG_45).rotateYW(DEG_120);
+      a.rotateDouble(DEG_45, DEG_120, 'XZ');
+      a.xyzw.forEach((c, i) => {
+        expect(c).toBeCloseTo(b.xyzw[i], PRECISE_DIGITS);
+      });
+      expect(Vec4.rotateDouble(a, 0, DEG_90).xyzw.map(Math.round))
+        .toStrictEqual(a.clone().rotateZW(DEG_90).xyzw.map(Math.round));
+      expect(() => a.rotateDouble(1, 1, 'YZ')).toThrow(TypeError);
+      expect(() => Vec4.rotateDouble(a, 1, 1, 'xy')).toThrow(TypeError);
+      const c = new Vec4(1, 2, 3, 4);
+      expect(() => Vec4.rotateDouble(a, 1, 1, 'YW', c)).toThrow(TypeError);
+      expect(c.xyzw).toStrictEqual([1, 2, 3, 4]);
+    });
+    test('[transform] a vector by a matrix', () => {
+      const a = new Vec4(1, 2, 3, 1);
+      const m = Mat4.fromTranslation(new Vec3(1, 1, 1));
+      expect(Vec4.transform(a, m).xyzw).toStrictEqual([2, 3, 4, 1]);
+      expect(a.transform(m).xyzw).toStrictEqual([2, 3, 4, 1]);
+    });
+    test('store components in [Float32] storage', () => {
+      const a = new Vec3F32(0.1, 0.2, 0.3);
+      expect(a.x).toStrictEqual(Math.fround(0.1));
+      expect(a.magnitude).toStrictEqual(Math.sqrt(a.dot(a)));
+      expect(a.normalize()).toBeInstanceOf(Vec3F32);
+      expect(a.magnitude).toStrictEqual(Math.sqrt(a.dot(a)));
+      expect(a.clone()).toBeInstanceOf(Vec3F32);
+      expect(Vec3.add(a, [1, 2, 3], new Vec3F32())).toBeInstanceOf(Vec3F32);
+      const b = Vec3F32.add(a, [1, 2, 3]);
+      expect(b).not.toBeInstanceOf(Vec3F32);
+      expect(b.x).toStrictEqual(a.x + 1);
+      expect(a.toImmutable()).toBeInstanceOf(ImmutableVec3);
+      expect(a.toImmutable().xyz).toStrictEqual(a.xyz);
+    });
+    test('alias an external buffer through a [view]', () => {
+      // Position (3) and normal (3) components per vertex.
+      const a = new Float32Array([1, 2, 3, 0, 0, 2, 4, 5, 6, 3, 0, 0]);
+      const b = Vec3.view(a, 1, 6, 3);
+      expect(b.xyz).toStrictEqual([3, 0, 0]);
+      b.normalize();
+      expect([...a.subarray(9)]).toStrictEqual([1, 0, 0]);
+      expect(Vec3.view(a, 0, 6, 0, b)).toBe(b);
+      b.add([1, 1, 1]);
+      expect([...a.subarray(0, 3)]).toStrictEqual([2, 3, 4]);
+      expect(() => Vec3.view(a, 2, 6)).toThrow(TypeError);
+      expect(() => Vec3.view(a.buffer)).toThrow(TypeError);
+    });
+    test('[write to] and [read from] buffers', () => {
+      const a = new Float32Array(6);
+      expect(new Vec4(1, 2, 3, 4).writeTo(a, 1)).toBe(a);
+      expect([...a]).toStrictEqual([0, 1, 2, 3, 4, 0]);
+      expect(new Vec3().readFrom(a, 2).xyz).toStrictEqual([2, 3, 4]);
+      expect(new Vec2().readFrom([5, 6]).magnitude)
+        .toStrictEqual(Math.hypot(5, 6));
+    });
+  });
+
+  describe('VecArray', () => {
+    test('[add], [scale], and [lerp] packed vectors in bulk', () => {
+      const a = Vec3Array.from([new Vec3(1, 2, 3), new Vec3(4, 5, 6)]);
+      a.add(new Vec3(1, 1, 1)).scale(2);
+      expect([...a.data]).toStrictEqual([4, 6, 8, 10, 12, 14]);
+      a.subtract(a).add(new Vec3Array(new Float64Array([1, 1, 1, 3, 3, 3])));
+      a.lerp(new Vec3(3, 3, 3), 0.5);
+      expect([...a.data]).toStrictEqual([2, 2, 2, 3, 3, 3]);
+    });
+    test('[normalize] and find the [dot] products of packed vectors', () => {
+      const a = new Vec2Array(new Float32Array([3, 4, 0, -2]));
+      expect([...a.normalize().data]).toStrictEqual([
+        Math.fround(0.6), Math.fround(0.8), 0, -1
+      ]);
+      expect([...a.dot(new Vec2(0, 1))]).toStrictEqual([Math.fround(0.8), -1]);
+    });
+    test('[transform] packed vectors by a matrix', () => {
+      const a = Vec4Array.from([new Vec4(1, 2, 3, 1)]);
+      expect([...a.transform(Mat4.fromScaling(new Vec3(2, 2, 2))).data])
+        .toStrictEqual([2, 4, 6, 1]);
+      const b = Vec3Array.from([new Vec3(0, 0, 0), new Vec3(1, 1, 1)]);
+      b.transformPoint(Mat4.fromTranslation(new Vec3(1, 2, 3)));
+      expect([...b.data]).toStrictEqual([1, 2, 3, 2, 3, 4]);
+    });
+    test('find the [sum], [centroid], and [bounds] of packed vectors', () => {
+      const a = Vec3Array.from([new Vec3(1, -2, 3), new Vec3(3, 4, -5)]);
+      expect(a.sum().xyz).toStrictEqual([4, 2, -2]);
+      expect(a.centroid().xyz).toStrictEqual([2, 1, -1]);
+      const [min, max] = a.bounds();
+      expect(min.xyz).toStrictEqual([1, -2, -5]);
+      expect(max.xyz).toStrictEqual([3, 4, 3]);
+    });
+    test('[view] packed vectors as regular vectors', () => {
+      const a = new Vec3Array(2).set(1, new Vec3(0, 3, 4));
+      const b = a.at(1);
+      expect(b.magnitude).toStrictEqual(5);
+      b.normalize();
+      expect(a.get(1).xyz).toStrictEqual([0, 0.6, 0.8]);
+      a.forEach(v => v.add(new Vec3(1, 0, 0)));
+      expect([...a.data]).toStrictEqual([1, 0, 0, 1, 0.6, 0.8]);
+      expect([...a].map(v => v.x)).toStrictEqual([1, 1]);
+      a.scale(2);
+      expect(b.magnitude).toStrictEqual(Math.sqrt(b.dot(b)));
+    });
+    test('reject [immutable outputs] of static methods', () => {
+      const a = Vec3.immutable();
+      expect(() => Vec3.add([1, 2, 3], [1, 1, 1], a))
+        .toThrow('Expected a mutable vector');
+      expect(() => Vec3.normalize([0, 0, 1], a)).toThrow(TypeError);
+      expect(() => Vec2.lerp([0, 0], [1, 1], 0.5, Vec2.immutable()))
+        .toThrow(TypeError);
+      expect(() => Vec4.zero(Vec4.immutable(1, 1, 1, 1))).toThrow(TypeError);
+      expect(() => new Vec3Array(1).get(0, a)).toThrow(TypeError);
+      const b = new Segment2([1, 1], [1, 1]);
+      expect(() => b.closestPoint([0, 0], Vec2.immutable())).toThrow(TypeError);
+      const c = new BezierCurve([[0, 0, 0], [1, 1, 1]]);
+      expect(() => c.point(0.5, a)).toThrow(TypeError);
+      expect(a.xyz).toStrictEqual([0, 0, 0]);
+    });
+    test('reject [immutable views] of packed vectors', () => {
+      const a = new Vec3Array(1);
+      const b = Vec3.immutable(5, 5, 5);
+      expect(() => a.at(0, b)).toThrow('Expected a mutable vector');
+      expect(b.xyz).toStrictEqual([5, 5, 5]);
+      expect(() => new Vec2Array(1).at(0, Vec2.immutable())).toThrow(TypeError);
+      expect(() => new Vec4Array(1).at(0, Vec4.immutable())).toThrow(TypeError);
+    });
+    test('check the [source and indices] of packed vectors', () => {
+      const a = new Vec2Array([1, 2, 3, 4]);
+      expect(a.data).toBeInstanceOf(Float64Array);
+      expect(a.at(1).xy).toStrictEqual([3, 4]);
+      expect(() => new Vec3Array('abc')).toThrow(TypeError);
+      expect(() => new Vec4Array(new Int8Array(4))).toThrow(TypeError);
+      expect(() => a.at(2)).toThrow(RangeError);
+      expect(() => a.get(-1)).toThrow(RangeError);
+      expect(() => a.set(0.5, [0, 0])).toThrow(RangeError);
+      expect(new Vec3Array().centroid().xyz).toStrictEqual([0, 0, 0]);
+    });
+    test('reject packed vectors of [mismatched sizes]', () => {
+      const a = new Vec2Array(2);
+      expect(() => a.add(new Vec2Array(3))).toThrow(RangeError);
+      expect(() => a.lerp(new Vec2Array(1), 0.5)).toThrow(RangeError);
+      expect(() => a.dot(new Vec2(1, 0), new Float64Array(1)))
+        .toThrow(RangeError);
+      expect(() => new Vec4Array(1).subtract(new Vec4Array(2)))
+        .toThrow(RangeError);
+    });
+    test('[encode & decode] packed vectors as binary data', () => {
+      const a = Vec3Array.from([new Vec3(1, 2, 3), new Vec3(0.1, -5, 6)]);
+      const b = Vec3Array.decode(a.encode());
+      expect(b.data).toBeInstanceOf(Float64Array);
+      expect([...b.data]).toStrictEqual([...a.data]);
+      const c = Vec3Array.decode(new Uint8Array(a.encode(32)));
+      expect(c.data).toBeInstanceOf(Float32Array);
+      expect(c.data[3]).toStrictEqual(Math.fround(0.1));
+      expect(() => Vec2Array.decode(a.encode())).toThrow(TypeError);
+    });
+  });
+
+  describe('Mat2', () => {
+    test('create an [identity] matrix by default', () => {
+      expect(new Mat2().elements).toStrictEqual([1, 0, 0, 1]);
+      expect(Mat2.identity().elements).toStrictEqual([1, 0, 0, 1]);
+      expect(new Mat2(1, 2, 3, 4).identity().elements).toStrictEqual([1, 0, 0, 1]);
+    });
+    test('find the [determinant] of a matrix', () => {
+      const a = new Mat2(1, 2, 3, 4);
+      expect(Mat2.determinant(a)).toStrictEqual(-2);
+      expect(a.determinant()).toStrictEqual(-2);
+    });
+    test('[multiply] two matrices', () => {
+      const a = new Mat2(1, 2, 3, 4);
+      const b = new Mat2(5, 6, 7, 8);
+      expect(Mat2.multiply(a, b).elements).toStrictEqual([23, 34, 31, 46]);
+      expect(b.clone().premultiply(a).elements).toStrictEqual([23, 34, 31, 46]);
+      expect(a.multiply(b).elements).toStrictEqual([23, 34, 31, 46]);
+    });
+    test('[invert] a matrix', () => {
+      const a = new Mat2(1, 2, 3, 4);
+      expect(Mat2.invert(a).elements).toStrictEqual([-2, 1, 1.5, -0.5]);
+      expect(a.invert().elements).toStrictEqual([-2, 1, 1.5, -0.5]);
+    });
+    test('[transpose] a matrix', () => {
+      const a = new Mat2(1, 2, 3, 4);
+      expect(Mat2.transpose(a).elements).toStrictEqual([1, 3, 2, 4]);
+      expect(a.transpose().elements).toStrictEqual([1, 3, 2, 4]);
+    });
+    test('rotate a vector like [rotateZ] does', () => {
+      const a = new Vec2(1, 1);
+      const b = new Vec2(1, 1);
+      a.transform(Mat2.fromRotation(DEG_45));
+      b.rotateZ(DEG_45);
+      expect(a.x).toBeCloseTo(b.x, PRECISE_DIGITS);
+      expect(a.y).toBeCloseTo(b.y, PRECISE_DIGITS);
+    });
+  });
+
+  describe('Mat3', () => {
+    test('find the [determinant] of a matrix', () => {
+      const a = new Mat3(2, 0, 0, 0, 3, 0, 1, 1, 4);
+      expect(Mat3.determinant(a)).toStrictEqual(24);
+      expect(a.determinant()).toStrictEqual(24);
+    });
+    test('[multiply] a matrix by its [inverse]', () => {
+      const a = new Mat3(2, 1, 0, 0, 3, 1, 1, 0, 4);
+      const b = Mat3.multiply(a, Mat3.invert(a));
+      const identity = Mat3.identity().elements;
+      b.elements.forEach((e, i) => {
+        expect(e).toBeCloseTo(identity[i], PRECISE_DIGITS);
+      });
+    });
+    test('[transpose] a matrix', () => {
+      const a = new Mat3(1, 2, 3, 4, 5, 6, 7, 8, 9);
+      expect(a.transpose().elements).toStrictEqual([1, 4, 7, 2, 5, 8, 3, 6, 9]);
+    });
+  });
+
+  describe('Mat4', () => {
+    test('find the [determinant] of a matrix', () => {
+      const a = Mat4.fromScaling(new Vec3(2, 3, 4));
+      expect(Mat4.determinant(a)).toStrictEqual(24);
+      expect(a.determinant()).toStrictEqual(24);
+    });
+    test('[multiply] a matrix by its [inverse]', () => {
+      const a = Mat4.multiply(
+        Mat4.fromTranslation(new Vec3(1, 2, 3)),
+        Mat4.fromRotationX(DEG_120)
+      ).multiply(Mat4.fromScaling(new Vec3(2, 2, 2)));
+      const b = Mat4.invert(a).multiply(a);
+      const identity = Mat4.identity().elements;
+      b.elements.forEach((e, i) => {
+        expect(e).toBeCloseTo(identity[i], PRECISE_DIGITS);
+      });
+    });
+    test('[transpose] a matrix', () => {
+      const a = Mat4.fromTranslation(new Vec3(1, 2, 3));
+      expect(Mat4.transpose(a).elements.slice(3, 16)).toStrictEqual([
+        1, 0, 1, 0, 2, 0, 0, 1, 3, 0, 0, 0, 1
+      ]);
+    });
+    test('write static results [into an output] matrix', () => {
+      const a = Mat4.fromScaling(new Vec3(2, 2, 2));
+      const b = Mat4.fromTranslation(new Vec3(1, 2, 3));
+      expect(Mat4.multiply(a, b, b)).toBe(b);
+      expect(b.elements.slice(12)).toStrictEqual([2, 4, 6, 1]);
+      expect(Mat4.identity(a)).toBe(a);
+      expect(a.elements).toStrictEqual(new Mat4().elements);
+    });
+    test('can be [iterated]', () => {
+      expect([...new Mat4()]).toStrictEqual(Mat4.identity().elements);
+    });
+  });
+
+  describe('Quat', () => {
+    test('create an [identity] quaternion by default', () => {
+      expect(new Quat().xyzw).toStrictEqual([0, 0, 0, 1]);
+      expect(Quat.identity().xyzw).toStrictEqual([0, 0, 0, 1]);
+    });
+    test('instantiate a quaternion from an [axis angle]', () => {
+      const a = Quat.fromAxisAngle(new Vec3(0, 0, 2), DEG_90);
+      expect(a.magnitude).toBeCloseTo(1, PRECISE_DIGITS);
+      const b = new Vec3(1, 0, 0).applyQuaternion(a);
+      expect(b.x).toBeCloseTo(0, PRECISE_DIGITS);
+      expect(b.y).toBeCloseTo(1, PRECISE_DIGITS);
+    });
+    test('instantiate a quaternion from [euler] angles', () => {
+      const a = new Vec3(1, 2, 3);
+      const b = a.clone().rotateZ(DEG_45).rotateX(DEG_90).rotateY(DEG_120);
+      Vec3.applyQuaternion(a, Quat.fromEuler(DEG_90, DEG_120, DEG_45, 'ZXY'))
+        .xyz.forEach((c, i) => {
+          expect(c).toBeCloseTo(b.xyz[i], PRECISE_DIGITS);
+        });
+    });
+    test('match [euler] angles with chained axis rotations', () => {
+      const angles = { X: DEG_45, Y: DEG_120, Z: DEG_90 };
+      for (const order of ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX']) {
+        const a = new Vec3(1, 2, 3);
+        const q = Quat.fromEuler(angles.X, angles.Y, angles.Z, order);
+        const b = Vec3.applyQuaternion(a, q);
+        for (const axis of order) a[`rotate${axis}`](angles[axis]);
+        b.xyz.forEach((c, i) => {
+          expect(c).toBeCloseTo(a.xyz[i], 14);
+        });
+      }
+      expect(() => Quat.fromEuler(1, 1, 1, 'xyz')).toThrow(TypeError);
+      expect(() => Quat.fromEuler(1, 1, 1, 'XXY')).toThrow(TypeError);
+    });
+    test('instantiate a quaternion from [two vectors]', () => {
+      const a = new Vec3(1, 0, 0);
+      const b = new Vec3(0, 2, 2);
+      const c = Vec3.applyQuaternion(a, Quat.fromVectors(a, b));
+      expect(c.x).toBeCloseTo(0, PRECISE_DIGITS);
+      expect(c.y).toBeCloseTo(Math.SQRT1_2, PRECISE_DIGITS);
+      expect(c.z).toBeCloseTo(Math.SQRT1_2, PRECISE_DIGITS);
+      const d = Vec3.applyQuaternion(a, Quat.fromVectors(a, Vec3.negate(a)));
+      expect(d.x).toBeCloseTo(-1, PRECISE_DIGITS);
+    });
+    test('[multiply] a quaternion by its [inverse] and [conjugate]', () => {
+      const a = Quat.fromAxisAngle(new Vec3(1, 2, 3), DEG_120);
+      const b = Quat.multiply(a, Quat.invert(a));
+      const c = Quat.multiply(a, Quat.conjugate(a));
+      expect(b.w).toBeCloseTo(1, PRECISE_DIGITS);
+      expect(c.w).toBeCloseTo(1, PRECISE_DIGITS);
+    });
+    test('[normalize] a quaternion', () => {
+      const a = new Quat(1, 2, 3, 4);
+      expect(Quat.normalize(a).magnitude).toBeCloseTo(1, PRECISE_DIGITS);
+      expect(a.normalize().magnitude).toBeCloseTo(1, PRECISE_DIGITS);
+    });
+    test('find the [spherical linear interpolation] between two quaternions', () => {
+      const axis = new Vec3(0, 1, 0);
+      const a = Quat.fromAxisAngle(axis, 0);
+      const b = Quat.fromAxisAngle(axis, DEG_120);
+      const c = Quat.fromAxisAngle(axis, DEG_90);
+      expect(Quat.slerp(a, b, 0.75).dot(c)).toBeCloseTo(1, PRECISE_DIGITS);
+      expect(Quat.nlerp(a, b, 0.5).magnitude).toBeCloseTo(1, PRECISE_DIGITS);
+    });
+    test('convert a quaternion [to & from matrices]', () => {
+      const a = Quat.fromAxisAngle(new Vec3(1, -2, 3), DEG_120);
+      const v = new Vec3(4, 5, 6);
+      const b = Vec3.applyQuaternion(v, a);
+      const c = Vec3.transform(v, a.toMat3());
+      const d = Vec3.transformPoint(v, Mat4.fromQuat(a));
+      b.xyz.forEach((e, i) => {
+        expect(c.xyz[i]).toBeCloseTo(e, 14);
+        expect(d.xyz[i]).toBeCloseTo(e, 14);
+      });
+      expect(Quat.fromMat3(a.toMat3()).dot(a)).toBeCloseTo(1, PRECISE_DIGITS);
+      expect(Quat.fromMat4(a.toMat4()).dot(a)).toBeCloseTo(1, PRECISE_DIGITS);
+    });
+    test('write static results [into an output] quaternion', () => {
+      const axis = new Vec3(0, 1, 0);
+      const a = Quat.fromAxisAngle(axis, 0);
+      const b = Quat.fromAxisAngle(axis, DEG_120);
+      const c = Quat.fromAxisAngle(axis, DEG_90);
+      expect(Quat.slerp(a, b, 0.75, b)).toBe(b);
+      expect(b.dot(c)).toBeCloseTo(1, PRECISE_DIGITS);
+      expect(Quat.fromEuler(0, DEG_90, 0, 'XYZ', a)).toBe(a);
+      const d = Quat.fromEuler(DEG_45, DEG_90, 0, c);
+      expect(d).toBe(c);
+      expect(d.xyzw).toStrictEqual(Quat.fromEuler(DEG_45, DEG_90, 0).xyzw);
+      expect(() => Quat.fromEuler(0, 0, 0, 'XYZ', {})).toThrow(TypeError);
+      expect(() => Quat.fromEuler(0, 0, 0, undefined, c)).not.toThrow();
+      expect(Quat.multiply(a, a, a).w).toBeCloseTo(0, PRECISE_DIGITS);
+    });
+    test('[serialize] matrices and quaternions', () => {
+      const a = new Mat2(1, 2, 3, 4);
+      expect(Mat2.fromJSON(JSON.stringify(a)).elements).toStrictEqual(a.elements);
+      expect(a.toString()).toStrictEqual('Mat2(1, 2, 3, 4)');
+      const b = Quat.fromAxisAngle(new Vec3(0, 0, 1), DEG_90);
+      expect(Quat.fromJSON(JSON.stringify(b)).dot(b)).toStrictEqual(1);
+      expect(new Quat().toString(1)).toStrictEqual('Quat(0.0, 0.0, 0.0, 1.0)');
+    });
+  });
+
+  describe('Curve', () => {
+    test('evaluate [Bézier curves] and split them', () => {
+      const a = new BezierCurve([[0, 0], [0, 1], [1, 1], [1, 0]]);
+      expect(a.point(0).xy).toStrictEqual([0, 0]);
+      expect(a.point(0.5).xy).toStrictEqual([0.5, 0.75]);
+      expect(a.point(1).xy).toStrictEqual([1, 0]);
+      expect(a.derivative(0).xy).toStrictEqual([0, 3]);
+      expect(a.tangent(0.5).xy).toStrictEqual([1, 0]);
+      const [b, c] = a.split(0.5);
+      expect(b.points.map(p => p.xy)).toStrictEqual([
+        [0, 0], [0, 0.5], [0.25, 0.75], [0.5, 0.75]
+      ]);
+      expect(c.point(0.5).xy).toStrictEqual(a.point(0.75).xy);
+    });
+    test('evaluate [Catmull-Rom, Hermite, and B-spline] curves', () => {
+      const a = new CatmullRomCurve([[0, 0], [1, 0], [2, 1], [3, 1]]);
+      expect(a.point(1 / 3).xy).toStrictEqual([1, 0]);
+      expect(a.point(1).xy).toStrictEqual([3, 1]);
+      a.closed = true;
+      expect(a.point(1).xy).toStrictEqual([0, 0]);
+      const b = new HermiteCurve([[0, 0], [1, 0]], [[0, 1], [0, -1]]);
+      expect(b.point(0.5).xy).toStrictEqual([0.5, 0.25]);
+      expect(b.derivative(1).xy).toStrictEqual([0, -1]);
+      const c = new BSplineCurve([[0, 0], [1, 2], [2, 2], [3, 0], [4, 0]]);
+      expect(c.point(0).xy).toStrictEqual([0, 0]);
+      expect(c.point(1).xy).toStrictEqual([4, 0]);
+      expect(() => new BSplineCurve([[0, 0], [1, 1]])).toThrow(TypeError);
+    });
+    test('parameterize a curve by [arc length]', () => {
+      const a = new BezierCurve([new Vec3(0, 0, 0), new Vec3(10, 0, 0)]);
+      expect(a.length).toBeCloseTo(10, PRECISE_DIGITS);
+      expect(a.parameterAtLength(2.5)).toBeCloseTo(0.25, PRECISE_DIGITS);
+      expect(a.pointAtLength(7)).toBeInstanceOf(Vec3);
+      a.points[1].x = 20;
+      expect(a.update().length).toBeCloseTo(20, PRECISE_DIGITS);
+    });
+    test('[flatten] a curve', () => {
+      const a = new BezierCurve([[0, 0], [0, 1], [1, 1], [1, 0]]);
+      const b = a.flatten(0.001);
+      expect(b[0].xy).toStrictEqual([0, 0]);
+      expect(b[b.length - 1].xy).toStrictEqual([1, 0]);
+      expect(b.length).toBeGreaterThan(a.flatten(0.1).length);
+      expect(new BezierCurve([[0, 0], [1, 1]]).flatten()).toHaveLength(17);
+    });
+  });
+  describe('Geometry', () => {
+    test('intersect a ray with a [plane, sphere, and box]', () => {
+      const a = new Ray3([0, 0, -5], [0, 0, 1]);
+      expect(a.intersectPlane(new Plane([0, 0, 1], -1))).toStrictEqual(6);
+      expect(a.intersectPlane(new Plane([1, 0, 0], 0))).toBeNull();
+      expect(a.intersectSphere(new Sphere([0, 0, 0], 2))).toStrictEqual(3);
+      expect(a.intersectSphere(new Sphere([0, 3, 0], 2))).toBeNull();
+      const b = new AABB3([-1, -1, -1], [1, 1, 1]);
+      expect(a.intersectAABB(b)).toStrictEqual(4);
+      expect(new Ray3([0, 0, 0], [1, 1, 0]).intersectAABB(b)).toStrictEqual(0);
+      expect(new Ray3([2, 0, -5], [0, 0, 1]).intersectAABB(b)).toBeNull();
+      expect(a.at(4).xyz).toStrictEqual([0, 0, -1]);
+    });
+    test('intersect a ray with a [triangle]', () => {
+      const a = new Triangle3([-1, -1, 0], [1, -1, 0], [0, 1, 0]);
+      expect(new Ray3([0, 0, 5], [0, 0, -1]).intersectTriangle(a, true))
+        .toStrictEqual(5);
+      expect(new Ray3([0, 0, -5], [0, 0, 1]).intersectTriangle(a))
+        .toStrictEqual(5);
+      expect(new Ray3([0, 0, -5], [0, 0, 1]).intersectTriangle(a, true))
+        .toBeNull();
+      expect(new Ray3([1, 1, -5], [0, 0, 1]).intersectTriangle(a)).toBeNull();
+    });
+    test('intersect [segments] in 2D', () => {
+      const a = new Segment2([0, 0], [2, 2]);
+      expect(a.intersectSegment(new Segment2([0, 2], [2, 0])))
+        .toStrictEqual(0.5);
+      expect(a.intersectSegment(new Segment2([3, 0], [3, 5]))).toBeNull();
+      expect(a.intersectSegment(new Segment2([1, 0], [3, 2]))).toBeNull();
+    });
+    test('find the [closest point] of a primitive', () => {
+      const a = new Triangle3([-1, -1, 0], [1, -1, 0], [0, 1, 0]);
+      expect(a.closestPoint([0, 0, 3]).xyz).toStrictEqual([0, 0, 0]);
+      expect(a.closestPoint([-3, -3, 0]).xyz).toStrictEqual([-1, -1, 0]);
+      expect(a.closestPoint([0, -3, 1]).xyz).toStrictEqual([0, -1, 0]);
+      expect(new Segment2([0, 0], [2, 2]).closestPoint([2, 0]).xy)
+        .toStrictEqual([1, 1]);
+      expect(new Plane([0, 1, 0], -3).closestPoint([1, 7, 1]).xyz)
+        .toStrictEqual([1, 3, 1]);
+      const b = new Plane([0, 2, 0], -6);
+      expect(b.normal.xyz).toStrictEqual([0, 1, 0]);
+      expect(b.distanceToPoint([1, 7, 1])).toStrictEqual(4);
+      b.normal = [0, 0, -3];
+      expect(b.normal.xyz).toStrictEqual([0, 0, -1]);
+      expect(new Sphere([0, 0, 0], 2).closestPoint([0, 4, 0]).xyz)
+        .toStrictEqual([0, 2, 0]);
+      expect(new Ray3([0, 0, 0], [1, 0, 0]).distanceToPoint([-3, 4, 0]))
+        .toStrictEqual(5);
+    });
+    test('check the [containment] of points', () => {
+      const a = AABB3.fromPoints([[1, 2, 3], [-1, 5, 0]]);
+      expect(a.min.xyz).toStrictEqual([-1, 2, 0]);
+      expect(a.max.xyz).toStrictEqual([1, 5, 3]);
+      expect(a.containsPoint([0, 3, 1])).toStrictEqual(true);
+      expect(a.containsPoint([0, 1, 1])).toStrictEqual(false);
+      expect(a.distanceToPoint([0, 3, 5])).toStrictEqual(2);
+      expect(new AABB3().isEmpty()).toStrictEqual(true);
+      const b = Plane.fromPoints([0, 0, 1], [1, 0, 1], [0, 1, 1]);
+      expect(b.normal.xyz).toStrictEqual([0, 0, 1]);
+      expect(b.containsPoint([5, -5, 1])).toStrictEqual(true);
+      expect(new Sphere().containsPoint([0, 1, 0])).toStrictEqual(true);
+      const c = new Triangle3([0, 0, 0], [1, 0, 0], [0, 1, 0]);
+      expect(c.area).toStrictEqual(0.5);
+      expect(c.containsPoint([0.25, 0.25, 0])).toStrictEqual(true);
+      expect(c.containsPoint([0.25, 0.25, 1])).toStrictEqual(false);
+      expect(c.containsPoint([0.25, 0.25, 1e-12])).toStrictEqual(true);
+      expect(c.containsPoint([0.25, 0.25, 0.1], 0.5)).toStrictEqual(true);
+      expect(c.containsPoint([1, 1, 0])).toStrictEqual(false);
+    });
   });
 });